@@ -1,21 +1,27 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { AppError } = require('./errorHandler');
 const Startup = require('../models/Startup');
 const Admin = require('../models/Admin');
+const User = require('../models/User');
+const StartupMember = require('../models/StartupMember');
 const logger = require('../utils/logger');
+const { findRefreshSession } = require('../utils/sessions');
+const { workspaceRole, roleHasPermission } = require('../utils/workspacePermissions');
+const { recordWorkspaceAction } = require('../utils/startupWorkspace');
 
 // Generate JWT token
-const generateToken = (payload, secret, expiresIn) => {
-  return jwt.sign(payload, secret, { expiresIn });
+const generateToken = (payload, secret, expiresIn, options = {}) => {
+  return jwt.sign(payload, secret, { expiresIn, ...options });
 };
 
-// Generate tokens for startup
-const generateStartupTokens = (startup) => {
-  const payload = {
-    id: startup._id,
-    email: startup.email,
-    userType: 'startup'
-  };
+// Access and refresh token pair. With a session id (see utils/sessions) both
+// carry `sid`, and each refresh token gets a unique id so a rotated token
+// never equals the one it replaced.
+const generateSessionTokens = (payload, sessionId) => {
+  if (sessionId) {
+    payload = { ...payload, sid: sessionId.toString() };
+  }
   
   const accessToken = generateToken(
     payload,
@@ -26,14 +32,29 @@ const generateStartupTokens = (startup) => {
   const refreshToken = generateToken(
     payload,
     process.env.JWT_REFRESH_SECRET,
-    process.env.JWT_REFRESH_EXPIRE || '7d'
+    process.env.JWT_REFRESH_EXPIRE || '7d',
+    { jwtid: crypto.randomUUID() }
   );
   
   return { accessToken, refreshToken };
 };
 
+// Generate tokens for startup; a workspace member's tokens also carry memberId
+const generateStartupTokens = (startup, sessionId, member) => {
+  const payload = {
+    id: startup._id,
+    email: member ? member.email : startup.email,
+    userType: 'startup'
+  };
+  if (member) {
+    payload.memberId = member._id.toString();
+  }
+  
+  return generateSessionTokens(payload, sessionId);
+};
+
 // Generate tokens for admin
-const generateAdminTokens = (admin) => {
+const generateAdminTokens = (admin, sessionId) => {
   const payload = {
     id: admin._id,
     email: admin.email,
@@ -41,19 +62,7 @@ const generateAdminTokens = (admin) => {
     role: admin.role
   };
   
-  const accessToken = generateToken(
-    payload,
-    process.env.JWT_SECRET,
-    process.env.JWT_EXPIRE || '15m'
-  );
-  
-  const refreshToken = generateToken(
-    payload,
-    process.env.JWT_REFRESH_SECRET,
-    process.env.JWT_REFRESH_EXPIRE || '7d'
-  );
-  
-  return { accessToken, refreshToken };
+  return generateSessionTokens(payload, sessionId);
 };
 
 // Verify JWT token
@@ -86,6 +95,7 @@ const authenticate = async (req, res, next) => {
     const decoded = verifyToken(token, process.env.JWT_SECRET);
     
     let user;
+    let member = null;
     
     // Get user based on type
     if (decoded.userType === 'startup') {
@@ -104,11 +114,19 @@ const authenticate = async (req, res, next) => {
         return next(new AppError('Account is inactive', 401, 'ACCOUNT_INACTIVE'));
       }
       
+      // Workspace member signed in to the startup account
+      if (decoded.memberId) {
+        member = await StartupMember.findOne({ _id: decoded.memberId, startupId: user._id, status: 'active' });
+        if (!member) {
+          return next(new AppError('You are no longer a member of this workspace', 401, 'MEMBER_REMOVED'));
+        }
+      }
+      
       // Update last active time
       await user.save();
       
     } else if (decoded.userType === 'admin') {
-      user = await Admin.findById(decoded.id).select('+password');
+      user = await Admin.findById(decoded.id).select('+password').populate('customRole', 'name permissions');
       
       if (!user) {
         return next(new AppError('Admin not found', 401, 'USER_NOT_FOUND'));
@@ -131,14 +149,21 @@ const authenticate = async (req, res, next) => {
       return next(new AppError('Invalid user type', 401, 'INVALID_USER_TYPE'));
     }
     
-    // Check if account is locked
-    if (user.isLocked) {
+    // Check if account is locked (members have their own lockout)
+    if ((member || user).isLocked) {
       return next(new AppError('Account is temporarily locked', 401, 'ACCOUNT_LOCKED'));
     }
     
+    // Access tokens of a revoked session stop working right away
+    if (decoded.sid && !user.authentication.refreshTokens.id(decoded.sid)) {
+      return next(new AppError('Session has been revoked', 401, 'SESSION_REVOKED'));
+    }
+    
     // Attach user to request
     req.user = user;
     req.userType = decoded.userType;
+    req.sessionId = decoded.sid || null;
+    req.member = member;
     
     // Log authentication
     logger.logAuth('AUTH_SUCCESS', `${decoded.userType} ${user.email}`, req.ip);
@@ -189,7 +214,8 @@ const authenticateSuperAdmin = async (req, res, next) => {
   });
 };
 
-// Permission-based authorization middleware
+// Permission-based authorization middleware: the admin needs any one of the
+// named permissions (see utils/adminPermissions). Use after authenticateAdmin.
 const authorize = (...permissions) => {
   return (req, res, next) => {
     // Only admins have permissions
@@ -203,10 +229,7 @@ const authorize = (...permissions) => {
     }
     
     // Check if admin has required permissions
-    const hasPermission = permissions.some(permission => {
-      const [resource, action] = permission.split('.');
-      return req.user.hasPermission(resource, action);
-    });
+    const hasPermission = permissions.some(permission => req.user.hasPermission(permission));
     
     if (!hasPermission) {
       return next(new AppError('Insufficient permissions', 403, 'INSUFFICIENT_PERMISSIONS'));
@@ -216,6 +239,32 @@ const authorize = (...permissions) => {
   };
 };
 
+// Workspace permission check for startup requests (see utils/workspacePermissions):
+// the member's role must grant the named permission. Admin requests pass, so
+// it can sit on routes shared with admins. Actions that succeed are recorded
+// in the workspace activity log with the member who took them.
+const authorizeMember = (permission) => {
+  return (req, res, next) => {
+    if (req.userType !== 'startup') {
+      return next();
+    }
+    
+    if (!roleHasPermission(workspaceRole(req), permission)) {
+      return next(new AppError('Your workspace role does not allow this action', 403, 'WORKSPACE_PERMISSION_DENIED'));
+    }
+    
+    const route = `${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    const params = { ...req.params };
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        recordWorkspaceAction(req, { permission, route, params, statusCode: res.statusCode });
+      }
+    });
+    
+    next();
+  };
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -299,14 +348,8 @@ const validateRefreshToken = async (req, res, next) => {
       return next(new AppError('User not found', 401, 'USER_NOT_FOUND'));
     }
     
-    // Check if refresh token exists in user's tokens
-    const tokenExists = user.authentication.refreshTokens.some(
-      token => token.token === refreshToken && token.expiresAt > new Date()
-    );
-    
-    if (!tokenExists) {
-      return next(new AppError('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN'));
-    }
+    // Session the token belongs to; a replayed, already rotated token ends it
+    req.refreshSession = await findRefreshSession(user, refreshToken, decoded, req.ip);
     
     req.user = user;
     req.userType = decoded.userType;
@@ -398,7 +441,9 @@ const userRateLimit = (maxAttempts, windowMs) => {
 };
 
 /**
- * Middleware to authenticate refresh tokens.
+ * Middleware to authenticate refresh tokens of the legacy User accounts
+ * (routes/auth). Startup and admin tokens belong to login sessions and must be
+ * refreshed through their own endpoints, which detect token reuse.
  */
 const refreshTokenAuth = async (req, res, next) => {
   try {
@@ -407,15 +452,18 @@ const refreshTokenAuth = async (req, res, next) => {
       return next(new AppError('Refresh token is required', 400, 'REFRESH_TOKEN_REQUIRED'));
     }
     const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
-    let user;
-    if (decoded.userType === 'startup') {
-      user = await Startup.findById(decoded.id);
-    } else if (decoded.userType === 'admin') {
-      user = await Admin.findById(decoded.id);
+    if (decoded.userType !== 'user') {
+      return next(new AppError('Invalid token type', 400, 'INVALID_TOKEN_TYPE'));
     }
+    const user = await User.findById(decoded.id);
     if (!user) {
       return next(new AppError('User not found', 401, 'USER_NOT_FOUND'));
     }
+    // Rotated tokens are removed, so a replayed one is no longer stored
+    const stored = user.authentication.refreshTokens.find(entry => entry.token === refreshToken);
+    if (!stored || stored.expiresAt <= new Date()) {
+      return next(new AppError('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN'));
+    }
     req.user = user;
     req.userType = decoded.userType;
     req.refreshToken = refreshToken;
@@ -426,9 +474,10 @@ const refreshTokenAuth = async (req, res, next) => {
 };
 
 /**
- * General token generator for any user type.
+ * Token pair for legacy User accounts (routes/auth). Refresh tokens get a
+ * unique id so a rotated token never equals the one it replaced.
  */
-const generateTokens = (userId, userType = 'startup') => {
+const generateTokens = (userId, userType = 'user') => {
   const payload = { id: userId, userType };
   const accessToken = generateToken(
     payload,
@@ -438,7 +487,8 @@ const generateTokens = (userId, userType = 'startup') => {
   const refreshToken = generateToken(
     payload,
     process.env.JWT_REFRESH_SECRET,
-    process.env.JWT_REFRESH_EXPIRE || '7d'
+    process.env.JWT_REFRESH_EXPIRE || '7d',
+    { jwtid: crypto.randomUUID() }
   );
   return { accessToken, refreshToken };
 };
@@ -464,6 +514,7 @@ module.exports = {
   authenticateAdmin,
   authenticateSuperAdmin,
   authorize,
+  authorizeMember,
   optionalAuth,
   ownerOrAdmin,
   validateRefreshToken,
@@ -34,6 +34,10 @@ const handleCastError = (err) => {
   return new AppError(message, 400, 'INVALID_ID');
 };
 
+// Handle Mongoose optimistic concurrency errors (a save against a stale copy)
+const handleVersionError = () =>
+  new AppError('This record was changed by someone else; reload it and retry.', 409, 'VERSION_CONFLICT');
+
 // Handle JWT errors
 const handleJWTError = () => 
   new AppError('Invalid token. Please log in again.', 401, 'INVALID_TOKEN');
@@ -48,6 +52,7 @@ const sendErrorDev = (err, res) => {
     error: {
       code: err.code || 'INTERNAL_ERROR',
       message: err.message,
+      ...(err.details !== undefined && { details: err.details }),
       stack: err.stack
     },
     timestamp: new Date().toISOString()
@@ -62,7 +67,9 @@ const sendErrorProd = (err, res) => {
       success: false,
       error: {
         code: err.code || 'OPERATIONAL_ERROR',
-        message: err.message
+        message: err.message,
+        // Structured context some AppErrors carry (e.g. the blocking dependency cycle)
+        ...(err.details !== undefined && { details: err.details })
       },
       timestamp: new Date().toISOString()
     });
@@ -97,6 +104,8 @@ const globalErrorHandler = (err, req, res, next) => {
     error = handleValidationError(error);
   } else if (error.code === 11000) {
     error = handleDuplicateFieldsError(error);
+  } else if (err.name === 'VersionError') {
+    error = handleVersionError();
   } else if (error.name === 'CastError') {
     error = handleCastError(error);
   } else if (error.name === 'JsonWebTokenError') {
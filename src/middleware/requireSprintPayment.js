@@ -1,7 +1,9 @@
 const Sprint = require('../models/Sprint');
+const { hasPaymentAccess } = require('../utils/paymentLedger');
 
 /**
- * Middleware to restrict admin board access unless sprint payment is confirmed.
+ * Middleware to restrict admin board access until the sprint's payment
+ * satisfies its paymentAccessPolicy (full payment, first instalment or any payment).
  * Expects req.params.sprintId to be set.
  */
 module.exports = async function requireSprintPayment(req, res, next) {
@@ -14,10 +16,14 @@ module.exports = async function requireSprintPayment(req, res, next) {
     if (!sprint) {
       return res.status(404).json({ code: 'SPRINT_NOT_FOUND', message: 'Sprint not found.' });
     }
-    if (sprint.selectedPackagePaymentStatus !== 'paid') {
+    if (!hasPaymentAccess(sprint)) {
       return res.status(403).json({
         code: 'PAYMENT_REQUIRED',
-        message: 'Board cannot be accessed until payment is confirmed.'
+        message: sprint.paymentAccessPolicy === 'first_instalment'
+          ? 'Board cannot be accessed until the first instalment is paid.'
+          : 'Board cannot be accessed until payment is confirmed.',
+        paymentStatus: sprint.selectedPackagePaymentStatus,
+        accessPolicy: sprint.paymentAccessPolicy
       });
     }
     next();
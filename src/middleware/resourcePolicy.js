@@ -0,0 +1,56 @@
+const {
+  requestPrincipal,
+  loadBoardChain,
+  loadTaskChain,
+  authorizeResource
+} = require('../utils/resourcePolicy');
+
+/**
+ * Middleware factory authorizing a task route against the task's board and
+ * sprint (see utils/resourcePolicy). Expects req.params.id; attaches
+ * req.task, req.board and req.sprint.
+ * @param {String} permission - 'view' or a key of Board.members[].permissions
+ * @param {Object} [options] - { trashed: the task is in the trash }
+ */
+function authorizeTask(permission, options = {}) {
+  return async (req, res, next) => {
+    try {
+      const chain = await loadTaskChain(req.params.id, options);
+      await authorizeResource(chain, requestPrincipal(req), permission);
+
+      req.task = chain.task;
+      req.board = chain.board;
+      req.sprint = chain.sprint;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Middleware factory authorizing a board route. Reads the board ID from
+ * req.params.boardId unless `getBoardId` says otherwise; attaches req.board
+ * and req.sprint.
+ * @param {String} permission - 'view' or a key of Board.members[].permissions
+ * @param {Function} [getBoardId] - (req) => board ID
+ */
+function authorizeBoard(permission, getBoardId = req => req.params.boardId) {
+  return async (req, res, next) => {
+    try {
+      const chain = await loadBoardChain(getBoardId(req));
+      await authorizeResource(chain, requestPrincipal(req), permission);
+
+      req.board = chain.board;
+      req.sprint = chain.sprint;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  authorizeTask,
+  authorizeBoard
+};
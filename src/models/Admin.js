@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { PERMISSION_NAMES, DEFAULT_ADMIN_PERMISSIONS } = require('../utils/adminPermissions');
 
 const adminSchema = new mongoose.Schema({
   email: {
@@ -49,12 +50,23 @@ const adminSchema = new mongoose.Schema({
     default: 'admin',
     required: true
   },
+
+  // Custom role granting named permissions; admins without one get the default permissions
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminRole',
+    default: null
+  },
   
   authentication: {
+    // One entry per login session (see utils/sessions)
     refreshTokens: [{
       token: String,
       expiresAt: Date,
       deviceInfo: String,
+      userAgent: String,
+      ipAddress: String,
+      lastUsedAt: Date,
       createdAt: {
         type: Date,
         default: Date.now
@@ -72,7 +84,21 @@ const adminSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    twoFactorSecret: String
+    // Set by a super admin: the admin must enrol before signing in
+    twoFactorRequired: {
+      type: Boolean,
+      default: false
+    },
+    // TOTP secrets are stored encrypted (see utils/twoFactor)
+    twoFactorSecret: String,
+    twoFactorPendingSecret: String,
+    twoFactorEnabledAt: Date,
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastUsedStep: Number,
+    twoFactorRecoveryCodes: [{
+      codeHash: String,
+      usedAt: Date
+    }]
   },
   
   status: {
@@ -132,8 +158,11 @@ const adminSchema = new mongoose.Schema({
       if (ret.authentication && ret.authentication.passwordResetToken) {
         delete ret.authentication.passwordResetToken;
       }
-      if (ret.authentication && ret.authentication.twoFactorSecret) {
+      if (ret.authentication) {
         delete ret.authentication.twoFactorSecret;
+        delete ret.authentication.twoFactorPendingSecret;
+        delete ret.authentication.twoFactorRecoveryCodes;
+        delete ret.authentication.twoFactorLastUsedStep;
       }
       if (ret.inviteToken) {
         delete ret.inviteToken;
@@ -147,6 +176,7 @@ const adminSchema = new mongoose.Schema({
 // Indexes for efficient querying
 adminSchema.index({ email: 1 });
 adminSchema.index({ role: 1 });
+adminSchema.index({ customRole: 1 });
 adminSchema.index({ status: 1 });
 adminSchema.index({ 'profile.department': 1 });
 adminSchema.index({ 'workload.assignedStartups.startupId': 1 });
@@ -162,6 +192,17 @@ adminSchema.virtual('isLocked').get(function() {
   return !!(this.authentication.lockedUntil && this.authentication.lockedUntil > Date.now());
 });
 
+// Permissions held by the admin (expects customRole to be populated)
+adminSchema.methods.getPermissions = function() {
+  if (this.role === 'super_admin') return [...PERMISSION_NAMES];
+  if (this.customRole && Array.isArray(this.customRole.permissions)) return [...this.customRole.permissions];
+  return [...DEFAULT_ADMIN_PERMISSIONS];
+};
+
+adminSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
 //// Pre-save middleware to hash password
 adminSchema.pre('save', async function(next) {
   // Only hash password if it's been modified (or is new)
@@ -209,6 +250,9 @@ adminSchema.methods.resetLoginAttempts = async function() {
 
 // Instance method to add refresh token
 adminSchema.methods.addRefreshToken = async function(tokenData) {
+  // Drop expired sessions first so they do not count towards the limit
+  const now = new Date();
+  this.authentication.refreshTokens = this.authentication.refreshTokens.filter(rt => rt.expiresAt > now);
   this.authentication.refreshTokens.push(tokenData);
   
   // Keep only the last 3 refresh tokens (stricter for admins)
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { PERMISSION_NAMES } = require('../utils/adminPermissions');
+
+// Custom admin role managed by super admins: a named set of admin permissions
+const adminRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Role description cannot exceed 500 characters']
+  },
+
+  permissions: [{
+    type: String,
+    enum: PERMISSION_NAMES
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AdminRole', adminRoleSchema);
@@ -203,6 +203,20 @@ boardSchema.index({ visibility: 1 });
 boardSchema.index({ 'members.userId': 1, 'members.userModel': 1 });
 boardSchema.index({ sprintId: 1 }); // Add index for sprintId
 
+// Instance methods
+boardSchema.methods.getMember = function(userId, userModel) {
+  return this.members.find(member =>
+    member.userId && member.userId.toString() === userId.toString() && member.userModel === userModel
+  );
+};
+
+// Board owners hold every member permission
+boardSchema.methods.hasMemberPermission = function(userId, userModel, permission) {
+  const member = this.getMember(userId, userModel);
+  if (!member) return false;
+  return member.role === 'owner' || Boolean(member.permissions && member.permissions[permission]);
+};
+
 // ... rest of the file unchanged ...
 
 module.exports = mongoose.model('Board', boardSchema);
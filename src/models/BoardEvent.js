@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// How long board events stay available for reconnecting clients
+const BOARD_EVENT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Server-generated board change, numbered per board so clients can catch up
+const boardEventSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+
+  // Per-board sequence number, increasing by one for every event
+  seq: {
+    type: Number,
+    required: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'task_created',
+      'task_updated',
+      'task_moved',
+      'task_deleted',
+      'task_comment_added',
+      'task_comment_updated',
+      'task_comment_deleted',
+      'task_subtask_added',
+      'task_subtask_updated',
+      'task_subtask_deleted',
+      'task_dependencies_updated',
+      'tasks_bulk_updated',
+      'board_columns_updated',
+      'board_tasks_reranked'
+    ]
+  },
+
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'actorModel'
+  },
+
+  actorModel: {
+    type: String,
+    enum: ['Admin', 'Startup']
+  },
+
+  // Workspace member acting for a startup actor
+  actorMemberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StartupMember'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+boardEventSchema.index({ boardId: 1, seq: 1 }, { unique: true });
+boardEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: BOARD_EVENT_RETENTION_SECONDS });
+
+// Payload sent to clients
+boardEventSchema.methods.toClient = function() {
+  return {
+    boardId: this.boardId,
+    seq: this.seq,
+    type: this.type,
+    taskId: this.taskId,
+    data: this.data,
+    actor: this.actorId ? { id: this.actorId, model: this.actorModel, memberId: this.actorMemberId } : null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('BoardEvent', boardEventSchema);
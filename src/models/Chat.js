@@ -23,6 +23,8 @@ const chatSchema = new mongoose.Schema({
     _id: { type: mongoose.Schema.Types.ObjectId, default: () => new mongoose.Types.ObjectId() },
     senderType: { type: String, enum: ['admin', 'startup'], required: true },
     senderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Workspace member who sent a startup message (none: the account's own login)
+    senderMemberId: { type: mongoose.Schema.Types.ObjectId, ref: 'StartupMember' },
     messageType: { type: String, enum: ['text', 'image', 'file', 'voice'], default: 'text' },
     content: { type: String, default: '' },
     fileUrl: { type: String },
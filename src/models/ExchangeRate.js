@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Rates are quoted against a single reference currency: `rate` is how many
+// units of `currency` equal one unit of the reference currency (USD).
+const rateHistorySchema = new mongoose.Schema({
+  rate: {
+    type: Number,
+    required: true
+  },
+  effectiveAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { _id: false });
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['USD', 'EUR', 'GBP', 'QAR']
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Previous rates, most recent last
+  history: [rateHistorySchema]
+}, {
+  timestamps: true
+});
+
+// Instance method to replace the rate, keeping the previous one in history
+exchangeRateSchema.methods.updateRate = function(rate, updatedBy) {
+  if (this.rate != null) {
+    this.history.push({ rate: this.rate, effectiveAt: this.effectiveAt, updatedBy: this.updatedBy });
+  }
+  this.rate = rate;
+  this.effectiveAt = new Date();
+  this.updatedBy = updatedBy;
+  return this.save();
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // INV-2025-00001 / RCT-2025-00001
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  documentType: {
+    type: String,
+    required: true,
+    enum: ['invoice', 'receipt'],
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['issued', 'paid', 'void'],
+    default: 'issued',
+    index: true
+  },
+
+  sprintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    required: true,
+    index: true
+  },
+
+  startupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    index: true
+  },
+
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Receipt -> invoice it settles
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  billTo: {
+    name: String,
+    companyName: String,
+    email: String
+  },
+
+  sprintName: String,
+  packageName: String,
+
+  pricingModel: {
+    type: String,
+    enum: ['hourly', 'fixed']
+  },
+
+  lineItems: [lineItemSchema],
+
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    required: true,
+    enum: ['USD', 'EUR', 'GBP', 'QAR']
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  paidAt: Date,
+  voidedAt: Date,
+
+  // Payment reference shown on receipts (provider payment id or "manual")
+  paymentReference: String,
+
+  // Generated PDF stored in Azure Blob Storage
+  fileUrl: String,
+  fileName: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invoiceSchema.index({ sprintId: 1, documentType: 1, createdAt: -1 });
+
+// Static method to get the current (non-void) invoice for a sprint
+invoiceSchema.statics.findCurrentInvoice = function(sprintId) {
+  return this.findOne({
+    sprintId,
+    documentType: 'invoice',
+    status: { $ne: 'void' }
+  }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -158,10 +158,307 @@ const statusHistorySchema = new mongoose.Schema({
     required: true,
     enum: ['admin', 'startup']
   },
+  // Workspace member acting for the startup
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StartupMember'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: true });
+
+// Scheduled instalment of the selected package price
+const paymentInstalmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dueDate: Date,
+  // Derived from the payment ledger (see utils/paymentLedger.js)
+  status: {
+    type: String,
+    enum: ['pending', 'partially_paid', 'paid', 'overdue'],
+    default: 'pending'
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  paidAt: Date
+}, { _id: true });
+
+// Payment or refund recorded against the selected package
+const paymentLedgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['payment', 'refund']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    enum: ['USD', 'EUR', 'GBP', 'QAR']
+  },
+  method: {
+    type: String,
+    enum: ['manual', 'bank_transfer', 'card', 'cash', 'provider', 'other'],
+    default: 'manual'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
   note: {
     type: String,
     trim: true,
     maxlength: 500
+  },
+  // Instalment the payment was made against (informational; allocation is in order)
+  instalmentId: mongoose.Schema.Types.ObjectId,
+  // Refund -> payment entry it refunds
+  refundOf: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: ['recorded', 'void'],
+    default: 'recorded'
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { timestamps: true, _id: true });
+
+// Previously published version of a proposal, kept for diffing
+const proposalVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  name: String,
+  description: String,
+  estimatedDuration: Number,
+  deliverables: [{ type: String, trim: true }],
+  packageOptions: [packageOptionSchema],
+  changeSummary: String,
+  publishedAt: Date,
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { _id: false });
+
+// Negotiation history entry between admin and startup
+const proposalEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['published', 'changes_requested', 'revised', 'accepted', 'expired', 'closed', 'expiry_updated']
+  },
+  version: Number,
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Package option the comment refers to, if any
+  packageId: mongoose.Schema.Types.ObjectId,
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'proposal.history.actorModel'
+  },
+  actorModel: {
+    type: String,
+    enum: ['Admin', 'Startup']
+  },
+  // Workspace member acting for the startup
+  actorMemberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StartupMember'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Admin-managed exchange rate table captured at a point in the sprint's lifecycle
+const exchangeRateSnapshotSchema = new mongoose.Schema({
+  referenceCurrency: {
+    type: String,
+    default: 'USD'
+  },
+  rates: {
+    USD: Number,
+    EUR: Number,
+    GBP: Number,
+    QAR: Number
+  },
+  capturedAt: Date
+}, { _id: false });
+
+// Evidence submitted for a deliverable: an uploaded file or a link
+const deliverableEvidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['file', 'link'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  name: String,
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Startup decision on a submitted deliverable
+const deliverableReviewSchema = new mongoose.Schema({
+  decision: {
+    type: String,
+    enum: ['accepted', 'rejected'],
+    required: true
+  },
+  comment: {
+    type: String,
+    maxlength: 2000
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup'
+  },
+  // Workspace member who reviewed for the startup
+  reviewedByMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StartupMember'
+  },
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Deliverable tracked through submission and client acceptance (see utils/deliverables.js)
+const deliverableItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  evidence: [deliverableEvidenceSchema],
+  submissionNote: String,
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reviews: [deliverableReviewSchema],
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup'
+  }
+}, { timestamps: true, _id: true });
+
+// Client feedback collected once the sprint is completed (see utils/sprintFeedback.js)
+const FEEDBACK_CATEGORIES = ['overall', 'communication', 'quality', 'timeliness', 'value'];
+
+const clientFeedbackSchema = new mongoose.Schema({
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  // Net Promoter Score answer: how likely (0-10) to recommend us
+  npsScore: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  category: {
+    type: String,
+    enum: FEEDBACK_CATEGORIES,
+    default: 'overall'
+  },
+  categoryRatings: [{
+    category: {
+      type: String,
+      enum: FEEDBACK_CATEGORIES,
+      required: true
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  }],
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup'
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: true });
 
@@ -237,13 +534,52 @@ const sprintSchema = new mongoose.Schema({
   packageOptions: [packageOptionSchema],
   selectedPackage: packageOptionSchema,
 
+  // Catalogue template the sprint was created from, if any
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SprintTemplate'
+  },
+
   // Top-level deliverables for the sprint
   deliverables: [{ type: String, trim: true }],
 
+  // Deliverables under client review; seeded from `deliverables` when first used
+  deliverableItems: [deliverableItemSchema],
+
+  // Admin team delivering the sprint; the team lead is credited in performance analytics
+  assignedTeam: {
+    teamLead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    members: [teamMemberSchema]
+  },
+
+  clientFeedback: [clientFeedbackSchema],
+
+  // In-app feedback prompt shown to the startup after completion
+  feedbackRequest: {
+    requestedAt: Date,
+    dismissedAt: Date
+  },
+
+  // Startup sign-off recorded when the sprint is completed
+  signOff: {
+    signedOffAt: Date,
+    signedOffBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Startup'
+    },
+    signatoryName: String,
+    signatoryEmail: String,
+    ipAddress: String,
+    certificateNumber: String
+  },
+
   // Payment status for selected package
   selectedPackagePaymentStatus: {
     type: String,
-    enum: ['paid', 'unpaid'],
+    enum: ['paid', 'partially_paid', 'unpaid'],
     default: 'unpaid'
   },
   selectedPackagePaymentVerifiedAt: Date,
@@ -251,6 +587,75 @@ const sprintSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin'
   },
+  // How the payment was confirmed: by an admin or by the payment provider webhook
+  selectedPackagePaymentSource: {
+    type: String,
+    enum: ['manual', 'provider']
+  },
+  // Latest payment provider checkout session for the selected package
+  paymentCheckout: {
+    provider: {
+      type: String,
+      enum: ['stripe', 'fake']
+    },
+    sessionId: String,
+    checkoutUrl: String,
+    packageId: mongoose.Schema.Types.ObjectId,
+    amount: Number,
+    currency: String,
+    status: {
+      type: String,
+      enum: ['open', 'completed', 'expired', 'failed']
+    },
+    paymentReference: String,
+    lastEventId: String,
+    createdAt: Date,
+    expiresAt: Date,
+    completedAt: Date
+  },
+  // Instalments for the selected package (empty = single payment of the full amount)
+  paymentSchedule: [paymentInstalmentSchema],
+  paymentLedger: [paymentLedgerEntrySchema],
+  // Totals derived from the ledger
+  paymentSummary: {
+    amountDue: { type: Number, default: 0 },
+    amountPaid: { type: Number, default: 0 },
+    amountRefunded: { type: Number, default: 0 },
+    outstandingBalance: { type: Number, default: 0 },
+    currency: String,
+    lastPaymentAt: Date
+  },
+  // Proposal negotiation: current version, expiry and history (see utils/proposals.js)
+  proposal: {
+    version: {
+      type: Number,
+      default: 1
+    },
+    status: {
+      type: String,
+      enum: ['open', 'changes_requested', 'accepted', 'expired', 'closed'],
+      default: 'open'
+    },
+    publishedAt: Date,
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    expiresAt: Date,
+    previousVersions: [proposalVersionSchema],
+    history: [proposalEventSchema]
+  },
+  // Exchange rates for multi-currency revenue reporting
+  exchangeRateSnapshots: {
+    packageSelected: exchangeRateSnapshotSchema,
+    paid: exchangeRateSnapshotSchema
+  },
+  // When admins may access the sprint board (see requireSprintPayment)
+  paymentAccessPolicy: {
+    type: String,
+    enum: ['full_payment', 'first_instalment', 'any_payment'],
+    default: () => process.env.DEFAULT_PAYMENT_ACCESS_POLICY || 'full_payment'
+  },
   documentsSubmitted: {
     type: Boolean,
     default: false
@@ -327,17 +732,58 @@ sprintSchema.index({ 'assignedTeam.members.userId': 1 });
 sprintSchema.index({ startDate: 1, endDate: 1 });
 sprintSchema.index({ priority: 1 });
 sprintSchema.index({ createdAt: -1 });
+sprintSchema.index({ 'paymentCheckout.sessionId': 1 }, { sparse: true });
+sprintSchema.index({ templateId: 1 }, { sparse: true });
+
 
+// Remember the persisted status so status changes can be checked on save
+sprintSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+sprintSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.statusTransitionRecorded = false;
+});
+
+// Pre-save middleware enforcing the status transition table. Changes made via
+// utils/sprintStateMachine are already validated and recorded; any other status
+// change is validated here and recorded in statusHistory.
+sprintSchema.pre('save', function(next) {
+  if (this.isNew || !this.isModified('status') || this.$locals.statusTransitionRecorded) {
+    return next();
+  }
+
+  const { canTransition, illegalTransitionError } = require('../utils/sprintStateMachine');
+  const from = this.$locals.persistedStatus;
+  if (!from || from === this.status) {
+    return next();
+  }
+  if (!canTransition(from, this.status)) {
+    return next(illegalTransitionError(from, this.status));
+  }
+
+  this.statusHistory.push({
+    status: this.status,
+    changedAt: new Date(),
+    changedBy: this.$locals.statusChangedBy || this.createdBy,
+    userType: this.$locals.statusChangedByType || 'admin',
+    note: `Status changed from ${from} to ${this.status}`
+  });
+  next();
+});
 
 // Pre-save middleware to update progress calculations
 sprintSchema.pre('save', function(next) {
-  if (this.milestones && this.milestones.length > 0) {
-    this.progress.totalMilestones = this.milestones.length;
-    this.progress.completedMilestones = this.milestones.filter(m => m.status === 'completed').length;
-    
-    if (this.progress.totalMilestones > 0) {
-      this.progress.percentage = Math.round((this.progress.completedMilestones / this.progress.totalMilestones) * 100);
-    }
+  this.progress.totalMilestones = this.milestones ? this.milestones.length : 0;
+  this.progress.completedMilestones = this.milestones ? this.milestones.filter(m => m.status === 'completed').length : 0;
+  if (this.progress.totalMilestones > 0) {
+    // Milestone progress is rolled up from linked tasks (utils/sprintProgress)
+    const milestoneProgress = this.milestones.reduce(
+      (sum, m) => sum + (m.status === 'completed' ? 100 : (m.progress || 0)),
+      0
+    );
+    this.progress.percentage = Math.round(milestoneProgress / this.progress.totalMilestones);
   }
   
   // Update budget remaining
@@ -428,11 +874,12 @@ sprintSchema.methods.addNote = function(content, createdBy, createdByType, isInt
   return this.save();
 };
 
-sprintSchema.methods.addFeedback = function(rating, feedback, category) {
+sprintSchema.methods.addFeedback = function(rating, feedback, category, details = {}) {
   this.clientFeedback.push({
     rating,
     feedback,
-    category
+    category,
+    ...details
   });
   return this.save();
 };
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// Default package offered by a template; mirrors Sprint packageOptionSchema
+const templatePackageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  currency: {
+    type: String,
+    enum: ['USD', 'EUR', 'GBP', 'QAR'],
+    default: 'QAR'
+  },
+  engagementHours: {
+    type: Number,
+    min: 0
+  },
+  duration: {
+    type: Number, // Duration in weeks
+    min: 0
+  },
+  hourlyRate: {
+    type: Number,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    min: 0
+  },
+  QTY: {
+    type: Number,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    min: 0
+  },
+  tier: String,
+  // Required like Sprint packages, so a template always yields a valid sprint
+  paymentLink: {
+    type: String,
+    trim: true,
+    required: true
+  }
+}, { _id: true });
+
+const templateMilestoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const sprintTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['mvp', 'validation', 'branding', 'marketing', 'fundraising', 'custom']
+  },
+  estimatedDuration: {
+    type: Number, // Duration in days
+    required: true,
+    min: 1,
+    max: 365
+  },
+  deliverables: [{ type: String, trim: true }],
+  packageOptions: [templatePackageSchema],
+  milestones: [templateMilestoneSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+sprintTemplateSchema.index({ type: 1, isActive: 1 });
+
+/**
+ * Sprint fields for a new sprint based on this template. Any field present in
+ * `overrides` (name, description, type, estimatedDuration, deliverables,
+ * packageOptions, milestones) replaces the template's value.
+ */
+sprintTemplateSchema.methods.toSprintFields = function(overrides = {}) {
+  const pick = (field, fallback) => (overrides[field] !== undefined ? overrides[field] : fallback);
+
+  return {
+    name: pick('name', this.name),
+    description: pick('description', this.description),
+    type: pick('type', this.type),
+    estimatedDuration: pick('estimatedDuration', this.estimatedDuration),
+    deliverables: pick('deliverables', [...this.deliverables]),
+    packageOptions: pick('packageOptions', this.packageOptions.map(pkg => {
+      const { _id, ...fields } = pkg.toObject();
+      return {
+        ...fields,
+        price: fields.hourlyRate && fields.QTY ? fields.hourlyRate * fields.QTY : fields.amount
+      };
+    })),
+    milestones: pick('milestones', this.milestones.map(milestone => ({
+      name: milestone.name,
+      description: milestone.description
+    }))),
+    templateId: this._id
+  };
+};
+
+module.exports = mongoose.model('SprintTemplate', sprintTemplateSchema);
@@ -96,10 +96,19 @@ const startupSchema = new mongoose.Schema({
   },
   
   authentication: {
+    // One entry per login session (see utils/sessions)
     refreshTokens: [{
       token: String,
       expiresAt: Date,
       deviceInfo: String,
+      userAgent: String,
+      ipAddress: String,
+      lastUsedAt: Date,
+      // Workspace member signed in with this session; none for the account's own login
+      memberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StartupMember'
+      },
       createdAt: {
         type: Date,
         default: Date.now
@@ -112,7 +121,21 @@ const startupSchema = new mongoose.Schema({
     },
     lockedUntil: Date,
     passwordResetToken: String,
-    passwordResetExpires: Date
+    passwordResetExpires: Date,
+    // Opt-in TOTP; secrets are stored encrypted (see utils/twoFactor)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false
+    },
+    twoFactorSecret: String,
+    twoFactorPendingSecret: String,
+    twoFactorEnabledAt: Date,
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastUsedStep: Number,
+    twoFactorRecoveryCodes: [{
+      codeHash: String,
+      usedAt: Date
+    }]
   },
   
   status: {
@@ -194,6 +217,12 @@ const startupSchema = new mongoose.Schema({
       if (ret.authentication && ret.authentication.passwordResetToken) {
         delete ret.authentication.passwordResetToken;
       }
+      if (ret.authentication) {
+        delete ret.authentication.twoFactorSecret;
+        delete ret.authentication.twoFactorPendingSecret;
+        delete ret.authentication.twoFactorRecoveryCodes;
+        delete ret.authentication.twoFactorLastUsedStep;
+      }
       return ret;
     }
   },
@@ -282,11 +311,17 @@ startupSchema.methods.resetLoginAttempts = async function() {
 
 // Instance method to add refresh token
 startupSchema.methods.addRefreshToken = async function(tokenData) {
+  // Drop expired sessions first so they do not count towards the limit
+  const now = new Date();
+  this.authentication.refreshTokens = this.authentication.refreshTokens.filter(rt => rt.expiresAt > now);
   this.authentication.refreshTokens.push(tokenData);
   
-  // Keep only the last 5 refresh tokens
-  if (this.authentication.refreshTokens.length > 5) {
-    this.authentication.refreshTokens = this.authentication.refreshTokens.slice(-5);
+  // Keep only the last 5 refresh tokens of each person (account login or member)
+  const owner = rt => (rt.memberId ? rt.memberId.toString() : '');
+  const sameOwner = this.authentication.refreshTokens.filter(rt => owner(rt) === owner(tokenData));
+  if (sameOwner.length > 5) {
+    const dropped = new Set(sameOwner.slice(0, -5));
+    this.authentication.refreshTokens = this.authentication.refreshTokens.filter(rt => !dropped.has(rt));
   }
   
   return this.save();
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { WORKSPACE_ROLES } = require('../utils/workspacePermissions');
+
+// A person invited to share a startup account. Members sign in with their own
+// email and password; their sessions live on the Startup (see utils/sessions).
+const startupMemberSchema = new mongoose.Schema({
+  startupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+
+  // Set when the invite is accepted
+  password: {
+    type: String,
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+
+  profile: {
+    firstName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters']
+    }
+  },
+
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    default: 'member'
+  },
+
+  // Removed members are kept so records they made still name them
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'removed'],
+    default: 'invited'
+  },
+
+  inviteToken: String,
+  inviteExpiresAt: Date,
+  // Member who sent the invite; null when the account's own login did
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StartupMember',
+    default: null
+  },
+  joinedAt: Date,
+  removedAt: Date,
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StartupMember',
+    default: null
+  },
+
+  authentication: {
+    lastLoginAt: Date,
+    loginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.password;
+      delete ret.inviteToken;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+startupMemberSchema.index({ startupId: 1, email: 1 }, { unique: true });
+startupMemberSchema.index({ email: 1, status: 1 });
+startupMemberSchema.index({ inviteToken: 1 });
+
+startupMemberSchema.virtual('fullName').get(function() {
+  return `${this.profile?.firstName || ''} ${this.profile?.lastName || ''}`.trim();
+});
+
+startupMemberSchema.virtual('isLocked').get(function() {
+  return !!(this.authentication.lockedUntil && this.authentication.lockedUntil > Date.now());
+});
+
+startupMemberSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  this.password = await bcrypt.hash(this.password, saltRounds);
+  next();
+});
+
+startupMemberSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Same lockout as the startup account: 5 failed attempts lock for 2 hours
+startupMemberSchema.methods.incLoginAttempts = async function() {
+  if (this.authentication.lockedUntil && this.authentication.lockedUntil < Date.now()) {
+    return this.updateOne({
+      $unset: { 'authentication.lockedUntil': 1 },
+      $set: { 'authentication.loginAttempts': 1 }
+    });
+  }
+
+  const updates = { $inc: { 'authentication.loginAttempts': 1 } };
+  if (this.authentication.loginAttempts + 1 >= 5 && !this.isLocked) {
+    updates.$set = { 'authentication.lockedUntil': Date.now() + 2 * 60 * 60 * 1000 };
+  }
+  return this.updateOne(updates);
+};
+
+startupMemberSchema.methods.resetLoginAttempts = async function() {
+  return this.updateOne({
+    $unset: { 'authentication.loginAttempts': 1, 'authentication.lockedUntil': 1 }
+  });
+};
+
+startupMemberSchema.methods.createInviteToken = function() {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+
+  this.inviteToken = crypto
+    .createHash('sha256')
+    .update(inviteToken)
+    .digest('hex');
+
+  this.inviteExpiresAt = Date.now() + 7 * 24 * 60 * 60 * 1000; // 7 days
+
+  return inviteToken;
+};
+
+startupMemberSchema.statics.findByInviteToken = function(token) {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOne({
+    inviteToken: hashedToken,
+    inviteExpiresAt: { $gt: Date.now() },
+    status: 'invited'
+  });
+};
+
+module.exports = mongoose.model('StartupMember', startupMemberSchema);
@@ -87,12 +87,36 @@ const taskSchema = new mongoose.Schema({
     index: true
   },
   
+  // Legacy integer order; ordering within a column uses `rank`
   position: {
     type: Number,
     default: 0,
     index: true
   },
   
+  // Lexicographic order key within the column (see utils/taskRanking.js)
+  rank: {
+    type: String
+  },
+  
+  // Sprint milestone (Sprint.milestones subdocument) this task counts towards
+  milestoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  
+  // Prerequisite tasks on the same board that must be completed first
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  
+  // Set while the task is blocked by incomplete prerequisites (rather than by hand)
+  blockedByDependencies: {
+    type: Boolean,
+    default: false
+  },
+  
   // Time tracking
   dueDate: {
     type: Date,
@@ -105,6 +129,117 @@ const taskSchema = new mongoose.Schema({
     max: 1000
   },
   
+  // Work breakdown
+  subtasks: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Subtask title cannot exceed 200 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Subtask description cannot exceed 1000 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'completed'],
+      default: 'pending'
+    },
+    assigneeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    dueDate: Date,
+    completedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  checklist: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [300, 'Checklist item cannot exceed 300 characters']
+    },
+    isCompleted: {
+      type: Boolean,
+      default: false
+    },
+    completedAt: Date
+  }],
+  
+  // Task template this task was stamped from
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskTemplate'
+  },
+  
+  // Recurrence rule; held by the latest instance of a recurring task
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'biweekly', 'monthly']
+    },
+    // on_completion: next instance when this one reaches a completed column
+    // schedule: next instance at nextRunAt, completed or not
+    trigger: {
+      type: String,
+      enum: ['on_completion', 'schedule'],
+      default: 'on_completion'
+    },
+    nextRunAt: Date,
+    endsAt: Date,
+    active: {
+      type: Boolean,
+      default: false
+    },
+    nextInstanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }
+  },
+  
+  // Previous instance of a recurring task
+  recurringFromId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  
+  // Archived tasks are hidden from the board and left out of progress and WIP counts
+  isArchived: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  archivedAt: Date,
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  
+  // Trash (soft delete); purged after the retention period, see utils/taskTrash.js
+  deletedAt: {
+    type: Date,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'deletedByModel'
+  },
+  deletedByModel: {
+    type: String,
+    enum: ['Admin', 'Startup']
+  },
+  
   // Comments and communication
   comments: [{
     authorId: {
@@ -117,6 +252,11 @@ const taskSchema = new mongoose.Schema({
       required: true,
       enum: ['Admin', 'Startup']
     },
+    // Workspace member who wrote a startup comment
+    authorMemberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StartupMember'
+    },
     content: {
       type: String,
       required: true,
@@ -127,9 +267,22 @@ const taskSchema = new mongoose.Schema({
       type: Boolean,
       default: false // Internal comments only visible to admins
     },
+    // Replies are one level deep: parentCommentId always points at a top-level comment
+    parentCommentId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     mentions: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Admin'
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'comments.mentions.userModel',
+        required: true
+      },
+      userModel: {
+        type: String,
+        required: true,
+        enum: ['Admin', 'Startup']
+      }
     }],
     attachments: [{
       filename: String,
@@ -151,6 +304,58 @@ const taskSchema = new mongoose.Schema({
     }
   }],
   
+  // Structured history of task mutations, see utils/taskActivity.js
+  activityLog: [{
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        'created',
+        'updated',
+        'status_changed',
+        'moved',
+        'reassigned',
+        'due_date_changed',
+        'comment_added',
+        'comment_edited',
+        'comment_deleted',
+        'attachment_added',
+        'attachment_removed',
+        'subtask_added',
+        'subtask_updated',
+        'subtask_deleted',
+        'dependency_added',
+        'dependency_removed',
+        'recurrence_changed',
+        'archived',
+        'unarchived',
+        'trashed',
+        'restored'
+      ]
+    },
+    field: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    description: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'activityLog.userModel'
+    },
+    userModel: {
+      type: String,
+      enum: ['Admin', 'Startup']
+    },
+    // Workspace member acting for a startup
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StartupMember'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Attachments and files
   attachments: [{
     filename: {
@@ -187,13 +392,47 @@ const taskSchema = new mongoose.Schema({
 
 taskSchema.index({ boardId: 1, columnId: 1, position: 1 });
 taskSchema.index({ columnId: 1, position: 1 }); // Added for move optimization
+taskSchema.index({ boardId: 1, columnId: 1, rank: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ 'recurrence.active': 1, 'recurrence.trigger': 1, 'recurrence.nextRunAt': 1 });
 taskSchema.index({ assigneeId: 1, status: 1 });
 taskSchema.index({ dueDate: 1, status: 1 });
 taskSchema.index({ priority: 1, status: 1 });
 taskSchema.index({ sprintId: 1 });
 taskSchema.index({ createdBy: 1, createdByModel: 1 });
+taskSchema.index({ boardId: 1, 'activityLog.timestamp': -1 });
 taskSchema.index({ 'tags.name': 1 }); // tags removed, but index left for migration safety
 
+// Every write bumps the task version, so a client holding an older copy gets
+// TASK_VERSION_CONFLICT instead of overwriting a newer change
+taskSchema.pre('save', function() {
+  if (!this.isNew && this.isModified()) {
+    this.increment();
+  }
+});
+
+taskSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+  const update = this.getUpdate() || {};
+  if (!update.$inc || update.$inc.__v === undefined) {
+    this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+  }
+});
+
+// Trashed tasks are hidden from queries and aggregates that don't filter on
+// deletedAt themselves
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate'], function() {
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+});
+
+taskSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (!(first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt'))) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Virtual for overdue status
 taskSchema.virtual('isOverdue').get(function() {
   return this.dueDate && this.dueDate < new Date() && this.status !== 'done';
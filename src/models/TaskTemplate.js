@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Task = require('./Task');
+
+// Reusable task stamped onto sprint boards (e.g. weekly status report, QA pass)
+const taskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  taskType: {
+    type: String,
+    required: true,
+    enum: Task.schema.path('taskType').enumValues
+  },
+  priority: {
+    type: String,
+    enum: Task.schema.path('priority').enumValues,
+    default: 'medium'
+  },
+  estimatedHours: {
+    type: Number,
+    min: 0,
+    max: 1000
+  },
+  // Due date offset from the day the task is stamped onto a board
+  dueInDays: {
+    type: Number,
+    min: 0,
+    max: 365
+  },
+  subtasks: [{
+    _id: false,
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  }],
+  checklist: [{
+    type: String,
+    trim: true,
+    maxlength: 300
+  }],
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: Task.schema.path('recurrence.frequency').enumValues
+    },
+    trigger: {
+      type: String,
+      enum: Task.schema.path('recurrence.trigger').enumValues,
+      default: 'on_completion'
+    }
+  },
+  // Sprint types whose boards get this task when the board is created
+  sprintTypes: [{
+    type: String,
+    enum: ['mvp', 'validation', 'branding', 'marketing', 'fundraising', 'custom']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+taskTemplateSchema.index({ sprintTypes: 1, isActive: 1 });
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
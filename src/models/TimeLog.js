@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Hours an admin logged against a task; the source of timesheets and sprint burn reports
+const timeLogSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true,
+    index: true
+  },
+
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+
+  // Sprint of the task's board at the time of logging (unset for boards without a sprint)
+  sprintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint'
+  },
+
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+
+  hours: {
+    type: Number,
+    required: [true, 'Hours are required'],
+    min: [0.1, 'At least 0.1 hours must be logged'],
+    max: [24, 'Cannot log more than 24 hours at once']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Time log description is required'],
+    trim: true,
+    maxlength: [500, 'Time log description cannot exceed 500 characters']
+  },
+
+  // Day the work was done
+  logDate: {
+    type: Date,
+    required: true
+  },
+
+  billable: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+timeLogSchema.index({ sprintId: 1, logDate: 1 });
+timeLogSchema.index({ adminId: 1, logDate: 1 });
+
+module.exports = mongoose.model('TimeLog', timeLogSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Write action taken in a startup workspace, with the member who took it.
+// Recorded by authorizeMember() (middleware/auth) once the request succeeds.
+const workspaceActivitySchema = new mongoose.Schema({
+  startupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+
+  // null when the startup account's own login acted
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StartupMember',
+    default: null
+  },
+
+  role: {
+    type: String,
+    required: true
+  },
+
+  // Workspace permission the action needed, e.g. 'sprints.manage'
+  permission: {
+    type: String,
+    required: true
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+
+  // Route pattern, e.g. /api/sprints/:id/select-package
+  route: {
+    type: String,
+    required: true
+  },
+
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  statusCode: Number,
+  ipAddress: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workspaceActivitySchema.index({ startupId: 1, createdAt: -1 });
+workspaceActivitySchema.index({ startupId: 1, memberId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WorkspaceActivity', workspaceActivitySchema);
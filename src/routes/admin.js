@@ -5,13 +5,19 @@ const Questionnaire = require('../models/Questionnaire');
 const Sprint = require('../models/Sprint');
 const Board = require('../models/Board');
 const Task = require('../models/Task');
-const { authenticateAdmin } = require('../middleware/auth');
+const ExchangeRate = require('../models/ExchangeRate');
+const { authenticateAdmin, authenticateSuperAdmin, authorize } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
+const { validate } = require('../utils/validation');
+const { REFERENCE_CURRENCY, SUPPORTED_CURRENCIES } = require('../utils/exchangeRates');
+const { getAssignableRole } = require('../utils/adminRoles');
+const { resetTwoFactor, twoFactorStatus } = require('../utils/twoFactor');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // GET /api/admin/dashboard - Get admin dashboard data
-router.get('/dashboard', authenticateAdmin, async (req, res, next) => {
+router.get('/dashboard', authenticateAdmin, authorize('dashboard.view'), async (req, res, next) => {
   try {
     // Get basic stats for dashboard
     const totalStartups = await Startup.countDocuments();
@@ -53,9 +59,10 @@ router.get('/dashboard', authenticateAdmin, async (req, res, next) => {
 });
 
 // GET /api/admin/users - List all admin users (for assignment dropdown)
-router.get('/users', authenticateAdmin, async (req, res, next) => {
+router.get('/users', authenticateAdmin, authorize('admins.view'), async (req, res, next) => {
   try {
-    const admins = await Admin.find({}, 'email profile role status createdAt updatedAt');
+    const admins = await Admin.find({}, 'email profile role customRole status createdAt updatedAt')
+      .populate('customRole', 'name');
     res.json({
       success: true,
       data: {
@@ -64,6 +71,7 @@ router.get('/users', authenticateAdmin, async (req, res, next) => {
           email: admin.email,
           profile: admin.profile,
           role: admin.role,
+          customRole: admin.customRole ? { id: admin.customRole._id, name: admin.customRole.name } : null,
           status: admin.status,
           createdAt: admin.createdAt,
           updatedAt: admin.updatedAt
@@ -75,8 +83,80 @@ router.get('/users', authenticateAdmin, async (req, res, next) => {
   }
 });
 
+// PUT /api/admin/users/:id/role - Assign a custom role to an admin (roleId null: default permissions)
+router.put('/users/:id/role', authenticateSuperAdmin, validate(require('joi').object({
+  roleId: require('joi').string().hex().length(24).allow(null).required()
+})), async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return next(new AppError('Admin not found', 404, 'ADMIN_NOT_FOUND'));
+    }
+    if (admin.role === 'super_admin') {
+      return next(new AppError('Super admins hold every permission and take no custom role', 400, 'ROLE_NOT_APPLICABLE'));
+    }
+
+    const role = await getAssignableRole(req.body.roleId, req.user);
+    admin.customRole = role ? role._id : null;
+    await admin.save();
+    await admin.populate('customRole', 'name permissions');
+
+    res.json({
+      success: true,
+      message: role ? `Role "${role.name}" assigned` : 'Custom role removed',
+      data: {
+        adminId: admin._id,
+        customRole: role ? { id: role._id, name: role.name } : null,
+        permissions: admin.getPermissions()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/users/:id/two-factor - Require 2FA for an admin, or reset it (lost device)
+// A reset clears the enrolment and signs the admin out everywhere; if 2FA is
+// required they enrol again at their next login. Requiring it of an admin
+// without 2FA also signs them out, so no session outlives the policy.
+router.put('/users/:id/two-factor', authenticateSuperAdmin, validate(require('joi').object({
+  required: require('joi').boolean(),
+  reset: require('joi').boolean()
+}).or('required', 'reset')), async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return next(new AppError('Admin not found', 404, 'ADMIN_NOT_FOUND'));
+    }
+
+    if (req.body.required !== undefined) {
+      admin.authentication.twoFactorRequired = req.body.required;
+    }
+    if (req.body.reset) {
+      resetTwoFactor(admin);
+    }
+    if (req.body.reset || (req.body.required && !admin.authentication.twoFactorEnabled)) {
+      admin.authentication.refreshTokens = [];
+    }
+    await admin.save();
+
+    logger.logSecurity('ADMIN_2FA_POLICY_CHANGED', `${admin.email} by ${req.user.email}: ${JSON.stringify(req.body)}`, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Two-factor settings updated',
+      data: {
+        adminId: admin._id,
+        twoFactor: twoFactorStatus(admin)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/admin/startups - List all startups with sprint counts
-router.get('/startups', authenticateAdmin, async (req, res, next) => {
+router.get('/startups', authenticateAdmin, authorize('startups.view'), async (req, res, next) => {
   try {
     const { 
       page = 1, 
@@ -168,7 +248,7 @@ router.get('/startups', authenticateAdmin, async (req, res, next) => {
 });
 
 // GET /api/admin/startups/:id/sprints - Get all sprints for a specific startup
-router.get('/startups/:id/sprints', authenticateAdmin, async (req, res, next) => {
+router.get('/startups/:id/sprints', authenticateAdmin, authorize('startups.view'), async (req, res, next) => {
   try {
     const { id: startupId } = req.params;
     const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
@@ -275,4 +355,64 @@ router.get('/startups/:id/sprints', authenticateAdmin, async (req, res, next) =>
   }
 });
 
+// GET /api/admin/exchange-rates - Get the exchange rate table used for revenue reporting
+router.get('/exchange-rates', authenticateAdmin, authorize('payments.view'), async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find({ currency: { $in: SUPPORTED_CURRENCIES } })
+      .populate('updatedBy', 'profile.firstName profile.lastName')
+      .sort({ currency: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        referenceCurrency: REFERENCE_CURRENCY,
+        rates: rates.map(rate => ({
+          currency: rate.currency,
+          rate: rate.rate,
+          effectiveAt: rate.effectiveAt,
+          updatedBy: rate.updatedBy,
+          history: rate.history
+        })),
+        missing: SUPPORTED_CURRENCIES.filter(currency =>
+          currency !== REFERENCE_CURRENCY && !rates.some(rate => rate.currency === currency))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/exchange-rates/:currency - Set the rate for a currency (units per 1 USD)
+router.put('/exchange-rates/:currency', authenticateAdmin, authorize('exchangeRates.manage'), validate(require('joi').object({
+  rate: require('joi').number().positive().required()
+})), async (req, res, next) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return next(new AppError('Unsupported currency', 400, 'UNSUPPORTED_CURRENCY'));
+    }
+    if (currency === REFERENCE_CURRENCY) {
+      return next(new AppError(`${REFERENCE_CURRENCY} is the reference currency and is always 1`, 400, 'REFERENCE_CURRENCY_FIXED'));
+    }
+
+    let exchangeRate = await ExchangeRate.findOne({ currency });
+    if (!exchangeRate) {
+      exchangeRate = new ExchangeRate({ currency });
+    }
+    await exchangeRate.updateRate(req.body.rate, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Exchange rate updated',
+      data: {
+        currency: exchangeRate.currency,
+        rate: exchangeRate.rate,
+        effectiveAt: exchangeRate.effectiveAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
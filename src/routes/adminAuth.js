@@ -5,13 +5,33 @@ const { AppError } = require('../middleware/errorHandler');
 const { 
   generateAdminTokens, 
   authenticateAdmin,
-  authenticateSuperAdmin,
+  authorize,
   validateRefreshToken,
-  loginRateLimit 
+  loginRateLimit,
+  userRateLimit
 } = require('../middleware/auth');
-const { validate } = require('../utils/validation');
+const { validate, twoFactorSchemas } = require('../utils/validation');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../utils/communications');
+const { getAssignableRole } = require('../utils/adminRoles');
+const {
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+  twoFactorStatus,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/twoFactor');
+const {
+  SESSION_TTL_MS,
+  newSessionId,
+  sessionMetadata,
+  rotateRefreshSession,
+  listSessions,
+  revokeSession
+} = require('../utils/sessions');
 
 const router = express.Router();
 
@@ -39,37 +59,76 @@ const createAdminSchema = Joi.object({
   role: Joi.string().valid('admin', 'super_admin').optional()
 });
 
-const inviteAdminSchema = {
-  email: {
-    required: true,
-    type: 'email',
-    message: 'Valid email is required'
-  },
-  'profile.firstName': {
-    required: true,
-    type: 'string',
-    minLength: 2,
-    maxLength: 50,
-    message: 'First name is required (2-50 characters)'
-  },
-  'profile.lastName': {
-    required: true,
-    type: 'string',
-    minLength: 2,
-    maxLength: 50,
-    message: 'Last name is required (2-50 characters)'
-  },
-  'profile.department': {
-    required: true,
-    type: 'string',
-    enum: ['operations', 'business-development', 'technical', 'marketing', 'finance', 'legal', 'hr', 'management'],
-    message: 'Valid department is required'
-  },
-  role: {
-    required: false,
-    type: 'string',
-    enum: ['admin', 'super_admin'],
-    message: 'Valid role is required'
+const inviteAdminSchema = Joi.object({
+  email: Joi.string().email().required(),
+  profile: Joi.object({
+    firstName: Joi.string().min(2).max(50).required(),
+    lastName: Joi.string().min(2).max(50).required(),
+    department: Joi.string().valid(
+      'operations',
+      'business-development',
+      'technical',
+      'marketing',
+      'finance',
+      'legal',
+      'hr',
+      'management'
+    ).required()
+  }).required(),
+  role: Joi.string().valid('admin', 'super_admin').optional(),
+  // Custom role (AdminRole) for a regular admin
+  roleId: Joi.string().hex().length(24).optional()
+}).oxor('roleId', 'role');
+
+// Issue session tokens once every login step has passed
+async function startAdminSession(admin, req, deviceInfo) {
+  admin.authentication.lastLoginAt = new Date();
+  await admin.save();
+
+  const sessionId = newSessionId();
+  const { accessToken, refreshToken } = generateAdminTokens(admin, sessionId);
+  await admin.addRefreshToken({
+    _id: sessionId,
+    token: refreshToken,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    ...sessionMetadata(req, deviceInfo)
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  };
+}
+
+function loginSummary(admin) {
+  return {
+    id: admin._id,
+    email: admin.email,
+    profile: admin.profile,
+    role: admin.role,
+    status: admin.status,
+  };
+}
+
+// A signed-in admin, or one holding the enrolment challenge issued at login
+// when a super admin requires 2FA they have not set up yet
+const authenticateTwoFactorEnrolment = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateAdmin(req, res, next);
+  }
+  try {
+    const { id } = verifyTwoFactorChallenge(req.body.challengeToken, 'admin', 'enrol');
+    const admin = await Admin.findById(id);
+    if (!admin || admin.status !== 'active') {
+      return next(new AppError('Invalid two-factor challenge', 401, 'INVALID_CHALLENGE'));
+    }
+    req.user = admin;
+    req.userType = 'admin';
+    req.twoFactorEnrolment = true;
+    next();
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -105,24 +164,34 @@ router.post('/login', loginRateLimit, validate(userSchemas.login), async (req, r
       return next(new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS'));
     }
     
+    // With 2FA the password only earns a challenge, exchanged at /2fa/verify
+    // (or /2fa/setup + /2fa/enable when 2FA is required but not set up).
+    // Failed attempts are kept until the code is verified, so a known
+    // password cannot be used to keep guessing codes.
+    const { twoFactorEnabled, twoFactorRequired } = admin.authentication;
+    if (twoFactorEnabled || twoFactorRequired) {
+      const purpose = twoFactorEnabled ? 'login' : 'enrol';
+      logger.logAuth(twoFactorEnabled ? 'ADMIN_LOGIN_2FA_CHALLENGE' : 'ADMIN_LOGIN_2FA_SETUP_REQUIRED', email, req.ip);
+
+      return res.json({
+        success: true,
+        message: twoFactorEnabled
+          ? 'Enter your two-factor authentication code'
+          : 'Two-factor authentication must be set up to sign in',
+        data: {
+          twoFactorRequired: twoFactorEnabled,
+          twoFactorSetupRequired: !twoFactorEnabled,
+          ...createTwoFactorChallenge(admin, 'admin', purpose)
+        }
+      });
+    }
+    
     // Reset login attempts on successful login
     if (admin.authentication.loginAttempts > 0) {
       await admin.resetLoginAttempts();
     }
     
-    // Update last login
-    admin.authentication.lastLoginAt = new Date();
-    await admin.save();
-    
-    // Generate tokens
-    const { accessToken, refreshToken } = generateAdminTokens(admin);
-    
-    // Store refresh token
-    await admin.addRefreshToken({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      deviceInfo: deviceInfo || req.headers['user-agent'] || 'Unknown'
-    });
+    const tokens = await startAdminSession(admin, req, deviceInfo);
     
     // Log successful login
     logger.logAuth('ADMIN_LOGIN_SUCCESS', email, req.ip);
@@ -131,18 +200,8 @@ router.post('/login', loginRateLimit, validate(userSchemas.login), async (req, r
       success: true,
       message: 'Login successful',
       data: {
-        admin: {
-          id: admin._id,
-          email: admin.email,
-          profile: admin.profile,
-          role: admin.role,
-          status: admin.status,
-        },
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRE || '15m'
-        }
+        admin: loginSummary(admin),
+        tokens
       }
     });
     
@@ -152,28 +211,177 @@ router.post('/login', loginRateLimit, validate(userSchemas.login), async (req, r
   }
 });
 
+// @route   POST /api/admin/auth/2fa/verify
+// @desc    Second login step: exchange the challenge and a TOTP or recovery code for tokens
+// @access  Public (challenge token)
+router.post('/2fa/verify', userRateLimit(10, 15 * 60 * 1000), validate(twoFactorSchemas.verify), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode, deviceInfo } = req.body;
+    const { id } = verifyTwoFactorChallenge(challengeToken, 'admin', 'login');
+
+    const admin = await Admin.findById(id);
+    if (!admin || admin.status !== 'active') {
+      return next(new AppError('Invalid two-factor challenge', 401, 'INVALID_CHALLENGE'));
+    }
+    if (admin.isLocked) {
+      const lockTime = Math.ceil((admin.authentication.lockedUntil - Date.now()) / (1000 * 60));
+      return next(new AppError(`Account locked for ${lockTime} minutes`, 401, 'ACCOUNT_LOCKED'));
+    }
+
+    let result;
+    try {
+      result = verifySecondFactor(admin, { code, recoveryCode });
+    } catch (error) {
+      await admin.incLoginAttempts();
+      logger.logSecurity('ADMIN_2FA_FAILED', `Invalid two-factor code for ${admin.email}`, req.ip);
+      throw error;
+    }
+
+    if (admin.authentication.loginAttempts > 0) {
+      await admin.resetLoginAttempts();
+    }
+    const tokens = await startAdminSession(admin, req, deviceInfo);
+
+    logger.logAuth(result.method === 'recovery_code' ? 'ADMIN_LOGIN_SUCCESS_RECOVERY_CODE' : 'ADMIN_LOGIN_SUCCESS', admin.email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        admin: loginSummary(admin),
+        tokens,
+        recoveryCodesRemaining: result.recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/auth/2fa
+// @desc    Two-factor status of the current admin
+// @access  Private
+router.get('/2fa', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: { twoFactor: twoFactorStatus(req.user) }
+  });
+});
+
+// @route   POST /api/admin/auth/2fa/setup
+// @desc    Start enrolment: new secret as otpauth URI and QR code, confirmed with /2fa/enable
+// @access  Private, or enrolment challenge from login
+router.post('/2fa/setup', userRateLimit(10, 15 * 60 * 1000), authenticateTwoFactorEnrolment, validate(twoFactorSchemas.setup), async (req, res, next) => {
+  try {
+    const setup = await beginTwoFactorSetup(req.user, req.user.email);
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/auth/2fa/enable
+// @desc    Confirm enrolment with a code; returns recovery codes (and tokens when enrolling at login)
+// @access  Private, or enrolment challenge from login
+router.post('/2fa/enable', userRateLimit(10, 15 * 60 * 1000), authenticateTwoFactorEnrolment, validate(twoFactorSchemas.enable), async (req, res, next) => {
+  try {
+    const admin = req.user;
+    const recoveryCodes = confirmTwoFactorSetup(admin, req.body.code);
+    await admin.save();
+
+    logger.logAuth('ADMIN_2FA_ENABLED', admin.email, req.ip);
+
+    const data = { recoveryCodes, twoFactor: twoFactorStatus(admin) };
+    if (req.twoFactorEnrolment) {
+      if (admin.authentication.loginAttempts > 0) {
+        await admin.resetLoginAttempts();
+      }
+      data.admin = loginSummary(admin);
+      data.tokens = await startAdminSession(admin, req, req.body.deviceInfo);
+      logger.logAuth('ADMIN_LOGIN_SUCCESS', admin.email, req.ip);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/auth/2fa/disable
+// @desc    Turn two-factor authentication off (not while a super admin requires it)
+// @access  Private
+router.post('/2fa/disable', authenticateAdmin, validate(twoFactorSchemas.disable), async (req, res, next) => {
+  try {
+    const admin = req.user;
+    if (admin.authentication.twoFactorRequired) {
+      return next(new AppError('Two-factor authentication is required for your account', 403, 'TWO_FACTOR_REQUIRED'));
+    }
+    if (!(await admin.comparePassword(req.body.password || ''))) {
+      return next(new AppError('Password is incorrect', 400, 'INVALID_CURRENT_PASSWORD'));
+    }
+
+    verifySecondFactor(admin, req.body);
+    resetTwoFactor(admin);
+    await admin.save();
+
+    logger.logAuth('ADMIN_2FA_DISABLED', admin.email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: { twoFactor: twoFactorStatus(admin) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/auth/2fa/recovery-codes
+// @desc    Replace recovery codes; the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateAdmin, validate(twoFactorSchemas.regenerateRecoveryCodes), async (req, res, next) => {
+  try {
+    verifySecondFactor(req.user, req.body);
+    const recoveryCodes = regenerateRecoveryCodes(req.user);
+    await req.user.save();
+
+    logger.logAuth('ADMIN_2FA_RECOVERY_CODES_REGENERATED', req.user.email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; they are shown only once',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/admin/auth/refresh
-// @desc    Refresh access token
+// @desc    Rotate the refresh token and issue a new access token
 // @access  Public
 router.post('/refresh', validateRefreshToken, async (req, res, next) => {
   try {
-    const { user: admin, refreshToken: oldRefreshToken } = req;
+    const { user: admin, refreshSession } = req;
     
     // Ensure it's an admin refresh
     if (req.userType !== 'admin') {
       return next(new AppError('Invalid token type', 400, 'INVALID_TOKEN_TYPE'));
     }
     
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateAdminTokens(admin);
-    
-    // Remove old refresh token and add new one
-    await admin.removeRefreshToken(oldRefreshToken);
-    await admin.addRefreshToken({
-      token: newRefreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      deviceInfo: req.headers['user-agent'] || 'Unknown'
-    });
+    // Rotate the session's refresh token; replaying the old one revokes the session
+    const { accessToken, refreshToken: newRefreshToken } = generateAdminTokens(admin, refreshSession._id);
+    await rotateRefreshSession(admin, refreshSession, newRefreshToken, req);
     
     logger.logAuth('ADMIN_TOKEN_REFRESH', admin.email, req.ip);
     
@@ -196,13 +404,15 @@ router.post('/refresh', validateRefreshToken, async (req, res, next) => {
 });
 
 // @route   POST /api/admin/auth/logout
-// @desc    Logout admin
+// @desc    End the current session
 // @access  Private
 router.post('/logout', authenticateAdmin, async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
     
-    if (refreshToken) {
+    if (req.sessionId) {
+      await revokeSession(req.user, req.sessionId);
+    } else if (refreshToken) {
       await req.user.removeRefreshToken(refreshToken);
     }
     
@@ -219,6 +429,56 @@ router.post('/logout', authenticateAdmin, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/admin/auth/logout-all
+// @desc    End every session, on all devices
+// @access  Private
+router.post('/logout-all', authenticateAdmin, async (req, res, next) => {
+  try {
+    req.user.authentication.refreshTokens = [];
+    await req.user.save();
+    
+    logger.logAuth('ADMIN_LOGOUT_ALL', req.user.email, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+    
+  } catch (error) {
+    logger.logError('Admin logout from all devices failed', error);
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/auth/sessions
+// @desc    Active sessions with device, user agent, IP and last use
+// @access  Private
+router.get('/sessions', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: { sessions: listSessions(req.user, req.sessionId) }
+  });
+});
+
+// @route   DELETE /api/admin/auth/sessions/:sessionId
+// @desc    Revoke one session; its tokens stop working immediately
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateAdmin, async (req, res, next) => {
+  try {
+    await revokeSession(req.user, req.params.sessionId);
+    
+    logger.logAuth('ADMIN_SESSION_REVOKED', `${req.user.email} session ${req.params.sessionId}`, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/auth/me
 // @desc    Get current admin info
 // @access  Private
@@ -235,7 +495,8 @@ router.get('/me', authenticateAdmin, async (req, res, next) => {
           email: req.user.email,
           profile: req.user.profile,
           role: req.user.role,
-          permissions: req.user.permissions,
+          customRole: req.user.customRole ? { id: req.user.customRole._id, name: req.user.customRole.name } : null,
+          permissions: req.user.getPermissions(),
           status: req.user.status,
           workload: req.user.workload,
           activity: req.user.activity,
@@ -252,11 +513,16 @@ router.get('/me', authenticateAdmin, async (req, res, next) => {
 });
 
 // @route   POST /api/admin/auth/invite
-// @desc    Invite new admin (Super Admin only)
-// @access  Private (Super Admin)
-router.post('/invite', authenticateSuperAdmin, validate(inviteAdminSchema), async (req, res, next) => {
+// @desc    Invite new admin, optionally with a custom role (roleId)
+// @access  Private (Admin with admins.invite)
+router.post('/invite', authenticateAdmin, authorize('admins.invite'), validate(inviteAdminSchema), async (req, res, next) => {
   try {
-    const { email, profile, role = 'admin' } = req.body;
+    const { email, profile, role = 'admin', roleId } = req.body;
+    
+    if (role === 'super_admin' && req.user.role !== 'super_admin') {
+      return next(new AppError('Only super admins can invite super admins', 403, 'SUPER_ADMIN_REQUIRED'));
+    }
+    const customRole = await getAssignableRole(roleId, req.user);
     
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({ email });
@@ -269,6 +535,7 @@ router.post('/invite', authenticateSuperAdmin, validate(inviteAdminSchema), asyn
       email,
       profile,
       role,
+      customRole: customRole ? customRole._id : null,
       status: 'inactive', // Will be activated when they set password
       createdBy: req.user._id,
       invitedBy: req.user._id
@@ -289,7 +556,7 @@ router.post('/invite', authenticateSuperAdmin, validate(inviteAdminSchema), asyn
           adminName: admin.fullName,
           inviterName: req.user.fullName,
           inviteUrl,
-          role: admin.role,
+          role: customRole ? customRole.name : admin.role,
           department: admin.profile.department
         }
       }).catch(err => logger.logError(err, 'Async Email Send'));
@@ -311,6 +578,7 @@ router.post('/invite', authenticateSuperAdmin, validate(inviteAdminSchema), asyn
           email: admin.email,
           profile: admin.profile,
           role: admin.role,
+          customRole: customRole ? { id: customRole._id, name: customRole.name } : null,
           status: admin.status,
           invitedAt: admin.createdAt
         }
@@ -350,22 +618,28 @@ router.post('/setup-account', async (req, res, next) => {
     admin.status = 'active';
     admin.inviteToken = undefined;
     admin.inviteExpiresAt = undefined;
-    admin.authentication.lastLoginAt = new Date();
-    
-    await admin.save();
     
-    // Generate tokens
-    const { accessToken, refreshToken } = generateAdminTokens(admin);
+    // Required 2FA is set up before the first session
+    if (admin.authentication.twoFactorRequired) {
+      await admin.save();
+      logger.logAuth('ADMIN_ACCOUNT_SETUP', admin.email, req.ip);
+      
+      return res.json({
+        success: true,
+        message: 'Account setup completed. Two-factor authentication must be set up to sign in',
+        data: {
+          twoFactorSetupRequired: true,
+          ...createTwoFactorChallenge(admin, 'admin', 'enrol')
+        }
+      });
+    }
     
-    // Store refresh token
-    await admin.addRefreshToken({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      deviceInfo: req.headers['user-agent'] || 'Unknown'
-    });
+    const tokens = await startAdminSession(admin, req);
     
     logger.logAuth('ADMIN_ACCOUNT_SETUP', admin.email, req.ip);
     
+    await admin.populate('customRole', 'name permissions');
+    
     res.json({
       success: true,
       message: 'Account setup completed successfully',
@@ -375,14 +649,10 @@ router.post('/setup-account', async (req, res, next) => {
           email: admin.email,
           profile: admin.profile,
           role: admin.role,
-          permissions: admin.permissions,
+          permissions: admin.getPermissions(),
           status: admin.status
         },
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRE || '15m'
-        }
+        tokens
       }
     });
     
@@ -393,13 +663,17 @@ router.post('/setup-account', async (req, res, next) => {
 });
 
 // @route   POST /api/admin/auth/create
-// @desc    Create admin directly (Super Admin only)
-// @access  Private (Super Admin)
-router.post('/create', 
-  // authenticateSuperAdmin, 
-  validate(createAdminSchema), async (req, res, next) => {
+// @desc    Create admin directly
+// @access  Private (Admin with admins.invite)
+router.post('/create', authenticateAdmin, authorize('admins.invite'), validate(createAdminSchema), async (req, res, next) => {
   try {
     const { email, password, profile, role = 'admin' } = req.body;
+    
+    if (role === 'super_admin' && req.user.role !== 'super_admin') {
+      return next(new AppError('Only super admins can create super admins', 403, 'SUPER_ADMIN_REQUIRED'));
+    }
+    // Created admins get the default permissions
+    await getAssignableRole(null, req.user);
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({ email });
     if (existingAdmin) {
@@ -417,7 +691,7 @@ router.post('/create',
       profile,
       role,
       status: 'active',
-      createdBy: "684e02ee985a60e9fb88f1b0"
+      createdBy: req.user._id
     });
     
     await admin.save();
@@ -452,7 +726,7 @@ router.post('/create',
           email: admin.email,
           profile: admin.profile,
           role: admin.role,
-          permissions: admin.permissions,
+          permissions: admin.getPermissions(),
           status: admin.status,
           createdAt: admin.createdAt
         }
@@ -0,0 +1,156 @@
+const express = require('express');
+const Joi = require('joi');
+const Admin = require('../models/Admin');
+const AdminRole = require('../models/AdminRole');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticateSuperAdmin } = require('../middleware/auth');
+const { validate } = require('../utils/validation');
+const logger = require('../utils/logger');
+const { PERMISSION_NAMES, DEFAULT_ADMIN_PERMISSIONS, describePermissions } = require('../utils/adminPermissions');
+const { serializeRole } = require('../utils/adminRoles');
+
+const router = express.Router();
+
+const roleFields = {
+  name: Joi.string().trim().min(2).max(50),
+  description: Joi.string().trim().max(500).allow(''),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_NAMES)).unique()
+};
+
+const createRoleSchema = Joi.object({
+  ...roleFields,
+  name: roleFields.name.required(),
+  permissions: roleFields.permissions.required()
+});
+
+const updateRoleSchema = Joi.object(roleFields).min(1);
+
+async function findRole(id) {
+  const role = await AdminRole.findById(id);
+  if (!role) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+  return role;
+}
+
+async function ensureNameAvailable(name, exceptId) {
+  const existing = await AdminRole.findOne({ name }).collation({ locale: 'en', strength: 2 });
+  if (existing && (!exceptId || existing._id.toString() !== exceptId.toString())) {
+    throw new AppError('A role with this name already exists', 409, 'ROLE_EXISTS');
+  }
+}
+
+// @route   GET /api/admin/roles/permissions
+// @desc    Catalog of named admin permissions and the defaults for admins without a role
+// @access  Private (Super Admin)
+router.get('/permissions', authenticateSuperAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: describePermissions(),
+      defaultPermissions: DEFAULT_ADMIN_PERMISSIONS
+    }
+  });
+});
+
+// @route   GET /api/admin/roles
+// @desc    Custom admin roles with how many admins hold each
+// @access  Private (Super Admin)
+router.get('/', authenticateSuperAdmin, async (req, res, next) => {
+  try {
+    const roles = await AdminRole.find().sort({ name: 1 });
+    const counts = await Admin.aggregate([
+      { $match: { customRole: { $in: roles.map(role => role._id) } } },
+      { $group: { _id: '$customRole', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => serializeRole(role, countByRole.get(role._id.toString()) || 0))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom admin role
+// @access  Private (Super Admin)
+router.post('/', authenticateSuperAdmin, validate(createRoleSchema), async (req, res, next) => {
+  try {
+    await ensureNameAvailable(req.body.name);
+
+    const role = await AdminRole.create({
+      ...req.body,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    logger.logInfo(`Admin role "${role.name}" created by ${req.user.email}`, {
+      roleId: role._id,
+      permissions: role.permissions
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created',
+      data: { role: serializeRole(role, 0) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/roles/:id
+// @desc    Rename a role or change its permissions; applies to its admins on their next request
+// @access  Private (Super Admin)
+router.put('/:id', authenticateSuperAdmin, validate(updateRoleSchema), async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id);
+    if (req.body.name !== undefined) {
+      await ensureNameAvailable(req.body.name, role._id);
+    }
+
+    Object.assign(role, req.body, { updatedBy: req.user._id });
+    await role.save();
+
+    logger.logInfo(`Admin role "${role.name}" updated by ${req.user.email}`, {
+      roleId: role._id,
+      permissions: role.permissions
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { role: serializeRole(role, await Admin.countDocuments({ customRole: role._id })) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/roles/:id
+// @desc    Delete a role no admin holds
+// @access  Private (Super Admin)
+router.delete('/:id', authenticateSuperAdmin, async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id);
+
+    const assignedAdmins = await Admin.countDocuments({ customRole: role._id });
+    if (assignedAdmins > 0) {
+      return next(new AppError(`Role is assigned to ${assignedAdmins} admin(s); reassign them first`, 409, 'ROLE_IN_USE'));
+    }
+
+    await role.deleteOne();
+    logger.logInfo(`Admin role "${role.name}" deleted by ${req.user.email}`, { roleId: role._id });
+
+    res.json({ success: true, message: 'Role deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
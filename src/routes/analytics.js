@@ -7,8 +7,12 @@ const Sprint = require('../models/Sprint');
 const Board = require('../models/Board');
 const Task = require('../models/Task');
 const { AppError } = require('../middleware/errorHandler');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateAdmin, authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { getPackageAmountDue } = require('../utils/packagePricing');
+const { seedLegacyPayment, recalculatePaymentState } = require('../utils/paymentLedger');
+const { SUPPORTED_CURRENCIES, getCurrentRates, convertAmount } = require('../utils/exchangeRates');
+const { summarizeFeedback } = require('../utils/sprintFeedback');
 
 const router = express.Router();
 
@@ -40,7 +44,7 @@ function getDateRange(period) {
 // @route   GET /api/analytics/dashboard
 // @desc    Get comprehensive dashboard analytics
 // @access  Private (Admin)
-router.get('/dashboard', authenticateAdmin, async (req, res, next) => {
+router.get('/dashboard', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
   try {
     const { period = '30d' } = req.query;
     const { startDate, endDate } = getDateRange(period);
@@ -285,7 +289,7 @@ router.get('/dashboard', authenticateAdmin, async (req, res, next) => {
 // @route   GET /api/analytics/startup-onboarding
 // @desc    Get startup onboarding funnel analytics
 // @access  Private (Admin)
-router.get('/startup-onboarding', authenticateAdmin, async (req, res, next) => {
+router.get('/startup-onboarding', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
   try {
     const { period = '30d' } = req.query;
     const { startDate, endDate } = getDateRange(period);
@@ -433,10 +437,35 @@ router.get('/startup-onboarding', authenticateAdmin, async (req, res, next) => {
   }
 });
 
+// Helper to summarise feedback per group (sprint type, lead admin) with a trend per period bucket
+function groupFeedbackTrends(entries, getKey, period) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = getKey(entry);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  return [...groups.entries()].map(([key, groupEntries]) => {
+    const buckets = new Map();
+    groupEntries.forEach(entry => {
+      const bucket = getPeriodBucket(entry.submittedAt, period);
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(entry);
+    });
+    return {
+      key,
+      ...summarizeFeedback(groupEntries),
+      trend: [...buckets.keys()].sort().map(bucket => ({ period: bucket, ...summarizeFeedback(buckets.get(bucket)) }))
+    };
+  });
+}
+
 // @route   GET /api/analytics/project-performance
 // @desc    Get project/sprint performance analytics
 // @access  Private (Admin)
-router.get('/project-performance', authenticateAdmin, async (req, res, next) => {
+router.get('/project-performance', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
   try {
     const { period = '30d' } = req.query;
     const { startDate, endDate } = getDateRange(period);
@@ -449,7 +478,8 @@ router.get('/project-performance', authenticateAdmin, async (req, res, next) =>
       clientSatisfaction,
       teamProductivity,
       projectsByType,
-      monthlyTrends
+      monthlyTrends,
+      feedbackEntries
     ] = await Promise.all([
       // Sprint completion rates
       Sprint.aggregate([
@@ -594,8 +624,32 @@ router.get('/project-performance', authenticateAdmin, async (req, res, next) =>
           }
         },
         { $sort: { '_id.year': 1, '_id.month': 1 } }
+      ]),
+
+      // Feedback submitted in the period, credited to the team lead (or creating admin)
+      Sprint.aggregate([
+        { $unwind: '$clientFeedback' },
+        {
+          $match: {
+            'clientFeedback.submittedAt': { $gte: startDate, $lte: endDate }
+          }
+        },
+        {
+          $project: {
+            type: 1,
+            leadId: { $ifNull: ['$assignedTeam.teamLead', '$createdBy'] },
+            rating: '$clientFeedback.rating',
+            npsScore: '$clientFeedback.npsScore',
+            submittedAt: '$clientFeedback.submittedAt'
+          }
+        }
       ])
     ]);
+
+    const leads = await Admin.find({
+      _id: { $in: [...new Set(feedbackEntries.map(entry => entry.leadId && entry.leadId.toString()).filter(Boolean))] }
+    }).select('profile.firstName profile.lastName');
+    const leadNames = new Map(leads.map(lead => [lead._id.toString(), `${lead.profile.firstName} ${lead.profile.lastName}`]));
     
     res.json({
       success: true,
@@ -653,7 +707,15 @@ router.get('/project-performance', authenticateAdmin, async (req, res, next) =>
           year: item._id.year,
           month: item._id.month,
           completed: item.completed
-        }))
+        })),
+
+        satisfaction: {
+          overall: summarizeFeedback(feedbackEntries),
+          byType: groupFeedbackTrends(feedbackEntries, entry => entry.type, period)
+            .map(({ key, ...group }) => ({ type: key, ...group })),
+          byLead: groupFeedbackTrends(feedbackEntries, entry => entry.leadId && entry.leadId.toString(), period)
+            .map(({ key, ...group }) => ({ adminId: key, name: leadNames.get(key) || null, ...group }))
+        }
       }
     });
     
@@ -665,7 +727,7 @@ router.get('/project-performance', authenticateAdmin, async (req, res, next) =>
 // @route   GET /api/analytics/admin-workload
 // @desc    Get admin workload and performance analytics
 // @access  Private (Admin)
-router.get('/admin-workload', authenticateAdmin, async (req, res, next) => {
+router.get('/admin-workload', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
   try {
     const { period = '30d' } = req.query;
     const { startDate, endDate } = getDateRange(period);
@@ -936,4 +998,190 @@ router.get('/admin-workload', authenticateAdmin, async (req, res, next) => {
   }
 });
 
+// Helper to bucket a date for revenue trends: daily for short periods, monthly otherwise
+function getPeriodBucket(date, period) {
+  const iso = new Date(date).toISOString();
+  return ['7d', '30d'].includes(period) ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+// Helper to get when a sprint's package was booked
+function getBookedAt(sprint) {
+  const snapshot = sprint.exchangeRateSnapshots && sprint.exchangeRateSnapshots.packageSelected;
+  if (snapshot && snapshot.capturedAt) return snapshot.capturedAt;
+  const selected = [...(sprint.statusHistory || [])].reverse().find(entry => entry.status === 'package_selected');
+  return selected ? selected.changedAt : sprint.updatedAt;
+}
+
+// @route   GET /api/analytics/revenue
+// @desc    Get booked, paid and outstanding revenue in a base currency
+// @access  Private (Admin)
+router.get('/revenue', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
+  try {
+    const { period = '30d' } = req.query;
+    const baseCurrency = (req.query.baseCurrency || 'USD').toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(baseCurrency)) {
+      return next(new AppError('Unsupported base currency', 400, 'UNSUPPORTED_CURRENCY'));
+    }
+    const { startDate, endDate } = getDateRange(period);
+
+    // Sprints touched in the period; booking and payment dates are checked below
+    const [sprints, currentRates] = await Promise.all([
+      Sprint.find({
+        selectedPackage: { $exists: true },
+        updatedAt: { $gte: startDate }
+      }).select('type status selectedPackage selectedPackagePaymentStatus selectedPackagePaymentVerifiedAt selectedPackagePaymentVerifiedBy selectedPackagePaymentSource paymentCheckout paymentSchedule paymentLedger paymentSummary exchangeRateSnapshots statusHistory updatedAt'),
+      getCurrentRates()
+    ]);
+
+    const emptyTotals = () => ({ booked: 0, paid: 0, outstanding: 0, sprints: 0 });
+    const totals = emptyTotals();
+    const byType = {};
+    const byPeriod = {};
+    const unconverted = {};
+
+    const inPeriod = (date) => date && date >= startDate && date <= endDate;
+    const addTo = (bucket, key, amount) => {
+      bucket[key] += amount;
+    };
+    const record = (sprint, bucketDate, key, amount, currency, rateTable) => {
+      const converted = convertAmount(amount, currency, baseCurrency, rateTable) ??
+        convertAmount(amount, currency, baseCurrency, currentRates);
+      if (converted == null) {
+        unconverted[currency] = unconverted[currency] || emptyTotals();
+        addTo(unconverted[currency], key, amount);
+        return;
+      }
+      const periodKey = getPeriodBucket(bucketDate, period);
+      byType[sprint.type] = byType[sprint.type] || emptyTotals();
+      byPeriod[periodKey] = byPeriod[periodKey] || emptyTotals();
+      [totals, byType[sprint.type], byPeriod[periodKey]].forEach(bucket => addTo(bucket, key, converted));
+    };
+
+    sprints.forEach(sprint => {
+      const currency = sprint.selectedPackage.currency || 'QAR';
+      const snapshots = sprint.exchangeRateSnapshots || {};
+      const bookedRates = snapshots.packageSelected;
+      const paidRates = snapshots.paid || bookedRates;
+
+      // Booked and outstanding: sprints whose package was selected in the period
+      const bookedAt = getBookedAt(sprint);
+      if (inPeriod(bookedAt) && sprint.status !== 'cancelled') {
+        seedLegacyPayment(sprint);
+        recalculatePaymentState(sprint);
+        record(sprint, bookedAt, 'booked', getPackageAmountDue(sprint.selectedPackage), currency, bookedRates);
+        record(sprint, bookedAt, 'outstanding', sprint.paymentSummary.outstandingBalance, currency, bookedRates);
+        [totals, byType[sprint.type], byPeriod[getPeriodBucket(bookedAt, period)]]
+          .filter(Boolean)
+          .forEach(bucket => { bucket.sprints += 1; });
+      }
+
+      // Paid: payments net of refunds recorded in the period
+      seedLegacyPayment(sprint);
+      (sprint.paymentLedger || [])
+        .filter(entry => entry.status !== 'void' && inPeriod(entry.paidAt))
+        .forEach(entry => {
+          const amount = entry.type === 'refund' ? -entry.amount : entry.amount;
+          record(sprint, entry.paidAt, 'paid', amount, entry.currency || currency, paidRates);
+        });
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const roundTotals = (item) => ({
+      booked: round(item.booked),
+      paid: round(item.paid),
+      outstanding: round(item.outstanding),
+      sprints: item.sprints
+    });
+
+    res.json({
+      success: true,
+      data: {
+        period: { start: startDate, end: endDate, label: period },
+        baseCurrency,
+        totals: roundTotals(totals),
+        byType: Object.keys(byType).map(type => ({ type, ...roundTotals(byType[type]) })),
+        byPeriod: Object.keys(byPeriod).sort().map(bucket => ({ period: bucket, ...roundTotals(byPeriod[bucket]) })),
+        // Amounts in currencies with no exchange rate configured
+        unconverted: Object.keys(unconverted).map(currency => ({ currency, ...roundTotals(unconverted[currency]) }))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/analytics/template-conversion
+// @desc    Get proposal conversion by sprint template
+// @access  Private (Admin)
+router.get('/template-conversion', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
+  try {
+    const { period = '90d' } = req.query;
+    const { startDate, endDate } = getDateRange(period);
+
+    const conversion = await Sprint.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: startDate, $lte: endDate },
+          status: { $ne: 'draft' }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$templateId', null] },
+          proposed: { $sum: 1 },
+          selected: {
+            $sum: { $cond: [{ $ifNull: ['$selectedPackage', false] }, 1, 0] }
+          },
+          paid: {
+            $sum: { $cond: [{ $eq: ['$selectedPackagePaymentStatus', 'paid'] }, 1, 0] }
+          },
+          completed: {
+            $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'sprinttemplates',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'template'
+        }
+      }
+    ]);
+
+    const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+    const rows = conversion.map(item => ({
+      templateId: item._id,
+      template: item.template[0] ? {
+        name: item.template[0].name,
+        type: item.template[0].type,
+        isActive: item.template[0].isActive
+      } : null,
+      proposed: item.proposed,
+      selected: item.selected,
+      paid: item.paid,
+      completed: item.completed,
+      selectionRate: toRate(item.selected, item.proposed),
+      paymentRate: toRate(item.paid, item.proposed)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        period: { start: startDate, end: endDate, label: period },
+        templates: rows
+          .filter(row => row.templateId)
+          .sort((a, b) => b.paymentRate - a.paymentRate || b.selectionRate - a.selectionRate),
+        // Sprints created without a template, for comparison
+        withoutTemplate: rows.find(row => !row.templateId) || null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
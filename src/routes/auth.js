@@ -12,6 +12,7 @@ const {
   userRateLimit
 } = require('../middleware/auth');
 const { validate, userSchemas } = require('../utils/validation');
+const { revokeAllSessions } = require('../utils/sessions');
 const logger = require('../utils/logger');
 const { sendEmail, sendSMS } = require('../utils/communications');
 
@@ -331,8 +332,8 @@ router.post('/logout',
 router.post('/logout-all',
   authenticate,
   catchAsync(async (req, res, next) => {
-    req.user.authentication.refreshTokens = [];
-    await req.user.save();
+    // Only the caller's own sessions; a workspace member's logout leaves the others signed in
+    await revokeAllSessions(req.user, req.member ? req.member._id : undefined);
 
     logger.logAuth('LOGOUT_ALL', req.user._id, req.ip);
 
@@ -3,10 +3,20 @@ const Board = require('../models/Board');
 const Task = require('../models/Task');
 const Sprint = require('../models/Sprint');
 const { AppError } = require('../middleware/errorHandler');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticate, authenticateAdmin, authorize } = require('../middleware/auth');
 const requireSprintPayment = require('../middleware/requireSprintPayment');
 const { validate } = require('../utils/validation');
 const logger = require('../utils/logger');
+const { authorizeBoard } = require('../middleware/resourcePolicy');
+const { ownsSprint } = require('../utils/resourcePolicy');
+const { syncSprintProgressForBoard } = require('../utils/sprintProgress');
+const { normalizeColumnPositions, getBoardColumn, rehomeColumnTasks } = require('../utils/boardColumns');
+const { refreshBlockedTasks } = require('../utils/taskDependencies');
+const { generateCompletedRecurrences } = require('../utils/taskRecurrence');
+const { applyTaskTemplates, getActiveTemplates, applySprintTypeTemplates } = require('../utils/taskTemplates');
+const { repairTaskRanks } = require('../utils/taskRanking');
+const { publishBoardEvent, requestActor, getBoardEventsSince } = require('../utils/boardEvents');
+const Joi = require('joi');
 
 const router = express.Router();
 
@@ -15,7 +25,7 @@ const router = express.Router();
 // @route   GET /api/boards/by-sprint/:sprintId
 // @desc    Get board by sprint ID (create if doesn't exist)
 // @access  Private (Admin)
-router.get('/by-sprint/:sprintId', authenticateAdmin, requireSprintPayment, async (req, res, next) => {
+router.get('/by-sprint/:sprintId', authenticateAdmin, authorize('boards.view'), requireSprintPayment, async (req, res, next) => {
   try {
     const sprintId = req.params.sprintId;
     
@@ -78,6 +88,9 @@ router.get('/by-sprint/:sprintId', authenticateAdmin, requireSprintPayment, asyn
 
       await board.save();
 
+      // Stamp the recurring work for this sprint type onto the new board
+      await applySprintTypeTemplates(board, sprint, { id: req.user._id, model: 'Admin' });
+
       // logger.logInfo(`Board auto-created for sprint ${sprintId}`, {
       //   boardId: board._id,
       //   sprintId: sprintId,
@@ -86,11 +99,12 @@ router.get('/by-sprint/:sprintId', authenticateAdmin, requireSprintPayment, asyn
     }
     
     // Get tasks for this board
-    const tasks = await Task.find({ boardId: board._id })
+    const tasks = await Task.find({ boardId: board._id, isArchived: { $ne: true } })
+      .select('-activityLog')
       .populate('assigneeId', 'profile.firstName profile.lastName profile.avatar')
       .populate('createdBy', 'profile.firstName profile.lastName profile.founderFirstName profile.founderLastName')
       .populate('comments.authorId', 'profile.firstName profile.lastName')
-      .sort({ position: 1, createdAt: -1 });
+      .sort({ rank: 1, position: 1, createdAt: -1 });
     
 const tasksWithCreatedBy = tasks.map(task => {
   const taskObj = task.toObject();
@@ -150,17 +164,12 @@ const { authenticateStartup } = require('../middleware/auth');
 router.get('/startup/by-sprint/:sprintId', authenticateStartup, async (req, res, next) => {
   try {
     const sprintId = req.params.sprintId;
-    // Populate questionnaireId to check startup ownership
-    const sprint = await Sprint.findById(sprintId).populate('questionnaireId');
+    const sprint = await Sprint.findById(sprintId).select('questionnaireId');
     if (!sprint) {
       return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
     }
     // Only allow if the questionnaire belongs to the authenticated startup
-    if (
-      !sprint.questionnaireId ||
-      !sprint.questionnaireId.startupId ||
-      sprint.questionnaireId.startupId.toString() !== req.user._id.toString()
-    ) {
+    if (!(await ownsSprint(sprint, req.user._id))) {
       return next(new AppError('Access denied. You can only view your own sprints.', 403, 'STARTUP_SPRINT_FORBIDDEN'));
     }
     // Find existing board for this sprint
@@ -172,13 +181,16 @@ router.get('/startup/by-sprint/:sprintId', authenticateStartup, async (req, res,
       return next(new AppError('Board not found for this sprint', 404, 'BOARD_NOT_FOUND'));
     }
     // Get tasks for this board
-    const tasks = await Task.find({ boardId: board._id })
+    const tasks = await Task.find({ boardId: board._id, isArchived: { $ne: true } })
+      .select('-activityLog')
       .populate('assigneeId', 'profile.firstName profile.lastName profile.avatar')
       .populate('createdBy', 'profile.firstName profile.lastName profile.founderFirstName profile.founderLastName')
-      .populate('comments.authorId', 'profile.firstName profile.lastName')
-      .sort({ position: 1, createdAt: -1 });
+      .populate('comments.authorId', 'profile.firstName profile.lastName profile.founderFirstName profile.founderLastName')
+      .sort({ rank: 1, position: 1, createdAt: -1 });
 const tasksWithCreatedBy = tasks.map(task => {
   const taskObj = task.toObject();
+  // Internal comments are for admins only
+  taskObj.comments = (taskObj.comments || []).filter(comment => !comment.isInternal);
   if (task.createdByModel === 'Startup' && task.createdBy && task.createdBy.profile) {
     taskObj.createdByName = `${task.createdBy.profile.founderFirstName || ''} ${task.createdBy.profile.founderLastName || ''}`.trim();
   } else if (task.createdByModel === 'Admin' && task.createdBy && task.createdBy.profile) {
@@ -222,6 +234,257 @@ board.columns.forEach(column => {
   }
 });
 
+// ==================== COLUMN MANAGEMENT ====================
+
+const columnFields = {
+  name: Joi.string().trim().max(50),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{3,8}$/),
+  wipLimit: Joi.number().integer().min(0),
+  isCompleted: Joi.boolean()
+};
+
+// Push the new column layout to clients viewing the board
+function emitColumnsUpdated(req, board, data = {}) {
+  return publishBoardEvent(board._id, 'board_columns_updated', {
+    data: { columns: board.columns.map(column => column.toJSON()), ...data },
+    actor: requestActor(req)
+  });
+}
+
+/**
+ * @route   POST /api/boards/:boardId/columns
+ * @desc    Add a column (appended, or inserted at `position`)
+ * @access  Private (Admin, board permission canManageColumns)
+ */
+router.post('/:boardId/columns', authenticateAdmin, authorize('boards.manage'), authorizeBoard('canManageColumns'), validate(Joi.object({
+  ...columnFields,
+  name: columnFields.name.required(),
+  position: Joi.number().integer().min(0)
+})), async (req, res, next) => {
+  try {
+    const board = req.board;
+    const { position, ...fields } = req.body;
+
+    normalizeColumnPositions(board);
+    const index = position === undefined ? board.columns.length : Math.min(position, board.columns.length);
+    board.columns.forEach(column => {
+      if (column.position >= index) column.position += 1;
+    });
+    board.columns.push({ ...fields, position: index });
+    const column = board.columns[board.columns.length - 1];
+    normalizeColumnPositions(board);
+    await board.save();
+
+    await emitColumnsUpdated(req, board);
+    res.status(201).json({
+      success: true,
+      message: 'Column added',
+      data: { column, columns: board.columns }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/boards/:boardId/columns/reorder
+ * @desc    Reorder columns; columnIds must list every column of the board
+ * @access  Private (Admin, board permission canManageColumns)
+ */
+router.put('/:boardId/columns/reorder', authenticateAdmin, authorize('boards.manage'), authorizeBoard('canManageColumns'), validate(Joi.object({
+  columnIds: Joi.array().items(Joi.string().hex().length(24)).unique().min(1).required()
+})), async (req, res, next) => {
+  try {
+    const board = req.board;
+    const { columnIds } = req.body;
+
+    const existing = board.columns.map(column => column._id.toString());
+    if (columnIds.length !== existing.length || !columnIds.every(id => existing.includes(id))) {
+      return next(new AppError('columnIds must contain every column of the board exactly once', 400, 'INVALID_COLUMN_ORDER'));
+    }
+
+    columnIds.forEach((id, index) => {
+      board.columns.id(id).position = index;
+    });
+    normalizeColumnPositions(board);
+    await board.save();
+
+    await emitColumnsUpdated(req, board);
+    res.json({
+      success: true,
+      message: 'Columns reordered',
+      data: { columns: board.columns }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/boards/:boardId/columns/:columnId
+ * @desc    Rename or reconfigure a column (colour, WIP limit, completed flag)
+ * @access  Private (Admin, board permission canManageColumns)
+ */
+router.put('/:boardId/columns/:columnId', authenticateAdmin, authorize('boards.manage'), authorizeBoard('canManageColumns'), validate(Joi.object(columnFields).min(1)), async (req, res, next) => {
+  try {
+    const board = req.board;
+    const column = getBoardColumn(board, req.params.columnId);
+    const completionChanged = req.body.isCompleted !== undefined && req.body.isCompleted !== column.isCompleted;
+
+    Object.assign(column, req.body);
+    await board.save();
+
+    // Marking a column (not) completed changes which tasks count as done
+    if (completionChanged) {
+      await syncSprintProgressForBoard(board._id);
+      await refreshBlockedTasks(board._id);
+      await generateCompletedRecurrences(board._id);
+    }
+
+    await emitColumnsUpdated(req, board);
+    res.json({
+      success: true,
+      message: 'Column updated',
+      data: { column, columns: board.columns }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/boards/:boardId/columns/:columnId
+ * @desc    Delete a column; its tasks move to `targetColumnId` (default: the nearest remaining column)
+ * @access  Private (Admin, board permission canManageColumns)
+ */
+router.delete('/:boardId/columns/:columnId', authenticateAdmin, authorize('boards.manage'), authorizeBoard('canManageColumns'), async (req, res, next) => {
+  try {
+    const board = req.board;
+    const column = getBoardColumn(board, req.params.columnId);
+
+    if (board.columns.length <= 1) {
+      return next(new AppError('A board must keep at least one column', 400, 'LAST_COLUMN'));
+    }
+
+    normalizeColumnPositions(board);
+    const remaining = board.columns.filter(c => c._id.toString() !== column._id.toString());
+    let target;
+    if (req.query.targetColumnId) {
+      target = getBoardColumn(board, req.query.targetColumnId);
+      if (target._id.toString() === column._id.toString()) {
+        return next(new AppError('Tasks cannot be moved into the column being deleted', 400, 'INVALID_TARGET_COLUMN'));
+      }
+    } else {
+      // Prefer the column to the left, so tasks don't jump ahead in the workflow
+      target = [...remaining].reverse().find(c => c.position < column.position) || remaining[0];
+    }
+
+    const movedTasks = await rehomeColumnTasks(board, column._id, target._id);
+    board.columns.pull(column._id);
+    normalizeColumnPositions(board);
+    await board.save();
+
+    await syncSprintProgressForBoard(board._id);
+    await refreshBlockedTasks(board._id);
+    await generateCompletedRecurrences(board._id);
+
+    logger.info(`Column ${column._id} deleted from board ${board._id} by ${req.user.email}; ${movedTasks} task(s) moved to ${target._id}`);
+
+    await emitColumnsUpdated(req, board, { movedTasks, fromColumnId: column._id, targetColumnId: target._id });
+    res.json({
+      success: true,
+      message: 'Column deleted',
+      data: {
+        columns: board.columns,
+        movedTasks,
+        targetColumnId: target._id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/boards/:boardId/repair-ranks
+ * @desc    Re-rank every column's tasks evenly, keeping their current order
+ * @access  Private (Admin, board permission canManageColumns)
+ */
+router.post('/:boardId/repair-ranks', authenticateAdmin, authorize('boards.manage'), authorizeBoard('canManageColumns'), async (req, res, next) => {
+  try {
+    const result = await repairTaskRanks(req.board._id);
+
+    logger.info(`Task ranks repaired on board ${req.board._id} by ${req.user.email}; ${result.tasksUpdated} task(s) updated`);
+
+    if (result.tasksUpdated > 0) {
+      await publishBoardEvent(req.board._id, 'board_tasks_reranked', {
+        data: { tasksUpdated: result.tasksUpdated },
+        actor: requestActor(req)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task ranks repaired',
+      data: {
+        columns: result.columns,
+        tasksUpdated: result.tasksUpdated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/boards/:boardId/task-templates
+ * @desc    Stamp task templates onto a board in bulk
+ * @access  Private (Admin, board permission canCreateTasks)
+ */
+router.post('/:boardId/task-templates', authenticateAdmin, authorize('tasks.edit'), authorizeBoard('canCreateTasks'), validate(Joi.object({
+  templateIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(50).unique().required(),
+  columnId: Joi.string().hex().length(24).optional()
+})), async (req, res, next) => {
+  try {
+    const templates = await getActiveTemplates(req.body.templateIds);
+    const tasks = await applyTaskTemplates(req.board, templates, {
+      columnId: req.body.columnId,
+      actor: requestActor(req)
+    });
+
+    await syncSprintProgressForBoard(req.board._id);
+    await generateCompletedRecurrences(req.board._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${tasks.length} task(s) created from templates`,
+      data: { tasks }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/boards/:boardId/events?since=<seq>
+ * @desc    Board events after a sequence number, for clients catching up after a reconnect
+ * @access  Private (Admin or Startup with access to the board)
+ */
+router.get('/:boardId/events', authenticate, authorizeBoard('view'), async (req, res, next) => {
+  try {
+    const { board } = req;
+
+    const result = await getBoardEventsSince(board._id, req.query.since);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ... (rest of the file unchanged) ...
 
 module.exports = router;
@@ -3,7 +3,7 @@ const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const Admin = require('../models/Admin');
 const Startup = require('../models/Startup');
-const { authenticateAdmin, authenticateStartup } = require('../middleware/auth');
+const { authenticateAdmin, authenticateStartup, authorize, authorizeMember } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
@@ -36,7 +36,7 @@ const router = express.Router();
  * @access  Private (Admin)
  * @body    { startupId }
  */
-router.post('/start', authenticateAdmin, async (req, res, next) => {
+router.post('/start', authenticateAdmin, authorize('chat.start'), async (req, res, next) => {
   try {
     const { startupId } = req.body;
     if (!startupId) {
@@ -60,7 +60,7 @@ router.post('/start', authenticateAdmin, async (req, res, next) => {
  * @access  Private (Startup)
  * @body    { adminEmail, message }
  */
-router.post('/create', authenticateStartup, async (req, res, next) => {
+router.post('/create', authenticateStartup, authorizeMember('chat.send'), async (req, res, next) => {
   try {
     const { adminEmail = 'admin@leansprintr.com', message } = req.body;
     
@@ -176,7 +176,7 @@ router.get('/:chatId/messages', authenticateAnyUser, async (req, res, next) => {
  * @access  Private
  * @body    { content, file, voice }
  */
-router.post('/:chatId/message', authenticateAnyUser, upload.single('file'), async (req, res, next) => {
+router.post('/:chatId/message', authenticateAnyUser, authorizeMember('chat.send'), upload.single('file'), async (req, res, next) => {
   try {
     const { chatId } = req.params;
     const { content, voiceDuration } = req.body;
@@ -236,6 +236,7 @@ router.post('/:chatId/message', authenticateAnyUser, upload.single('file'), asyn
     const messageObj = {
       senderType,
       senderId,
+      senderMemberId: req.member ? req.member._id : undefined,
       messageType,
       content,
       fileUrl,
@@ -264,6 +265,7 @@ router.post('/:chatId/message', authenticateAnyUser, upload.single('file'), asyn
           chatId: chatId, // Add both for compatibility
           senderId: senderId,
           senderType: senderType,
+          senderMemberId: messageObj.senderMemberId,
           content: content,
           messageType: messageType,
           fileUrl: fileUrl,
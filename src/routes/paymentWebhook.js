@@ -0,0 +1,209 @@
+const express = require('express');
+const Sprint = require('../models/Sprint');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { getPaymentProvider, isFakeProviderEnabled } = require('../utils/paymentProvider');
+const { recordSprintPayment } = require('../utils/sprintPayments');
+
+const router = express.Router();
+
+// Middleware to verify the provider webhook signature against the raw body
+// (req.rawBody is captured by the express.json verify hook in server.js)
+const verifyPaymentSignature = (req, res, next) => {
+  try {
+    const provider = getPaymentProvider();
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    req.paymentEvent = provider.constructEvent(rawBody, req.headers);
+    req.paymentProvider = provider;
+    next();
+  } catch (error) {
+    logger.logSecurity('PAYMENT_WEBHOOK_REJECTED', error.message, req.ip);
+    res.status(error.statusCode || 401).json({ error: error.message, code: error.code });
+  }
+};
+
+// @route   POST /api/payments/webhook
+// @desc    Handle payment provider webhook events
+// @access  Public (but verified)
+router.post('/webhook', verifyPaymentSignature, async (req, res) => {
+  try {
+    const event = req.paymentEvent;
+    logger.info(`Payment webhook received: ${event.type} (${event.id}) via ${req.paymentProvider.name}`);
+
+    await handlePaymentEvent(event, req.paymentProvider.name);
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    logger.logError(error, 'Payment webhook processing failed');
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+// ==================== FAKE PROVIDER (offline testing) ====================
+
+// Only served when PAYMENT_PROVIDER=fake is set explicitly, so it can never
+// mark sprints paid in a Stripe-backed or unconfigured environment.
+const requireFakeProvider = (req, res, next) => {
+  if (!isFakeProviderEnabled()) {
+    return next(new AppError('Fake payment provider is not enabled', 404, 'FAKE_PROVIDER_DISABLED'));
+  }
+  next();
+};
+
+// @route   GET /api/payments/fake/checkout/:sessionId
+// @desc    Show a fake checkout session (stands in for the hosted checkout page)
+// @access  Public (fake provider only)
+router.get('/fake/checkout/:sessionId', requireFakeProvider, async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findOne({ 'paymentCheckout.sessionId': req.params.sessionId });
+    if (!sprint) {
+      return next(new AppError('Checkout session not found', 404, 'CHECKOUT_SESSION_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session: {
+          sessionId: sprint.paymentCheckout.sessionId,
+          sprintId: sprint._id,
+          sprintName: sprint.name,
+          packageName: sprint.selectedPackage ? sprint.selectedPackage.name : null,
+          amount: sprint.paymentCheckout.amount,
+          currency: sprint.paymentCheckout.currency,
+          status: sprint.paymentCheckout.status
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/fake/checkout/:sessionId/complete
+// @desc    Simulate the customer finishing (or abandoning) a fake checkout.
+//          Sends a signed webhook through the same verification path as a real provider.
+// @access  Public (fake provider only)
+router.post('/fake/checkout/:sessionId/complete', requireFakeProvider, async (req, res, next) => {
+  try {
+    const { outcome = 'completed' } = req.body;
+    if (!['completed', 'failed', 'expired'].includes(outcome)) {
+      return next(new AppError('Outcome must be completed, failed or expired', 400, 'INVALID_CHECKOUT_OUTCOME'));
+    }
+
+    const sprint = await Sprint.findOne({ 'paymentCheckout.sessionId': req.params.sessionId });
+    if (!sprint) {
+      return next(new AppError('Checkout session not found', 404, 'CHECKOUT_SESSION_NOT_FOUND'));
+    }
+
+    const provider = getPaymentProvider();
+    const webhook = provider.buildWebhook({
+      type: `checkout.${outcome}`,
+      sessionId: sprint.paymentCheckout.sessionId,
+      sprintId: sprint._id.toString(),
+      amount: sprint.paymentCheckout.amount,
+      currency: sprint.paymentCheckout.currency
+    });
+    const event = provider.constructEvent(webhook.rawBody, webhook.headers);
+    await handlePaymentEvent(event, provider.name);
+
+    const updated = await Sprint.findById(sprint._id);
+    res.json({
+      success: true,
+      message: `Fake checkout ${outcome}`,
+      data: {
+        sprintId: updated._id,
+        selectedPackagePaymentStatus: updated.selectedPackagePaymentStatus,
+        paymentCheckout: updated.paymentCheckout
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Apply a normalized provider event to the matching sprint.
+ * Idempotent: replayed events, completed checkouts and already-paid sprints are ignored.
+ */
+async function handlePaymentEvent(event, providerName) {
+  const sprint = await Sprint.findOne({ 'paymentCheckout.sessionId': event.sessionId }) ||
+    (event.sprintId ? await Sprint.findById(event.sprintId) : null);
+
+  if (!sprint) {
+    logger.warn(`Payment event ${event.id} for unknown checkout session ${event.sessionId}`);
+    return;
+  }
+
+  if (!sprint.paymentCheckout || sprint.paymentCheckout.sessionId !== event.sessionId) {
+    logger.warn(`Payment event ${event.id} does not match the current checkout session of sprint ${sprint._id}`);
+    return;
+  }
+
+  if (sprint.paymentCheckout.lastEventId === event.id) {
+    logger.info(`Payment event ${event.id} already processed`);
+    return;
+  }
+
+  switch (event.type) {
+    case 'checkout.completed':
+      await handleCheckoutCompleted(sprint, event, providerName);
+      break;
+    case 'checkout.expired':
+    case 'checkout.failed':
+      sprint.paymentCheckout.status = event.type === 'checkout.expired' ? 'expired' : 'failed';
+      sprint.paymentCheckout.lastEventId = event.id;
+      await sprint.save();
+      logger.info(`Checkout ${sprint.paymentCheckout.status} for sprint ${sprint._id}`);
+      break;
+    default:
+      logger.info(`Unhandled payment event type ${event.type}`);
+  }
+}
+
+async function handleCheckoutCompleted(sprint, event, providerName) {
+  // Providers may send a completion more than once, each time with a new event id
+  if (sprint.paymentCheckout.status === 'completed') {
+    logger.info(`Checkout ${event.sessionId} already completed, ignoring event ${event.id}`);
+    return;
+  }
+
+  const reference = event.paymentReference || event.sessionId;
+  if ((sprint.paymentLedger || []).some(entry => entry.type === 'payment' && entry.reference === reference)) {
+    logger.info(`Payment ${reference} already recorded for sprint ${sprint._id}, ignoring event ${event.id}`);
+    return;
+  }
+
+  if (sprint.selectedPackagePaymentStatus === 'paid') {
+    logger.info(`Sprint ${sprint._id} already paid, ignoring event ${event.id}`);
+    return;
+  }
+
+  if (event.amount != null && sprint.paymentCheckout.amount != null &&
+      Math.abs(event.amount - sprint.paymentCheckout.amount) > 0.01) {
+    logger.logSecurity('PAYMENT_AMOUNT_MISMATCH', `Sprint ${sprint._id}: expected ${sprint.paymentCheckout.amount}, got ${event.amount}`, providerName);
+    return;
+  }
+
+  const expectedCurrency = sprint.paymentCheckout.currency;
+  if (expectedCurrency && (!event.currency || event.currency.toUpperCase() !== expectedCurrency.toUpperCase())) {
+    logger.logSecurity('PAYMENT_CURRENCY_MISMATCH', `Sprint ${sprint._id}: expected ${expectedCurrency}, got ${event.currency || 'none'}`, providerName);
+    return;
+  }
+
+  sprint.paymentCheckout.status = 'completed';
+  sprint.paymentCheckout.completedAt = new Date();
+  sprint.paymentCheckout.paymentReference = event.paymentReference;
+  sprint.paymentCheckout.lastEventId = event.id;
+
+  // The checkout may cover one instalment, so record what was actually charged
+  await recordSprintPayment(sprint, {
+    amount: event.amount != null ? event.amount : sprint.paymentCheckout.amount,
+    method: 'provider',
+    reference,
+    note: `${providerName} checkout ${event.sessionId}`
+  });
+
+  logger.info(`Payment recorded for sprint ${sprint._id} via ${providerName} (${reference}); status ${sprint.selectedPackagePaymentStatus}`);
+}
+
+module.exports = router;
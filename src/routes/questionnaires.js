@@ -2,7 +2,7 @@ const express = require('express');
 const Questionnaire = require('../models/Questionnaire');
 const Startup = require('../models/Startup');
 const { AppError } = require('../middleware/errorHandler');
-const { authenticateStartup, authenticateAdmin } = require('../middleware/auth');
+const { authenticateStartup, authenticateAdmin, authorize, authorizeMember } = require('../middleware/auth');
 const { validate, questionnaireSchemas } = require('../utils/validation');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../utils/communications');
@@ -182,7 +182,7 @@ router.get('/:id', authenticateStartup, async (req, res, next) => {
 // @route   PUT /api/questionnaires/:id
 // @desc    Update questionnaire (only if status is draft or needs_clarification)
 // @access  Private (Startup)
-router.put('/:id', authenticateStartup, validate(questionnaireSchemas.create), async (req, res, next) => {
+router.put('/:id', authenticateStartup, authorizeMember('questionnaires.edit'), validate(questionnaireSchemas.create), async (req, res, next) => {
   try {
     const questionnaire = await Questionnaire.findOne({
       _id: req.params.id,
@@ -231,7 +231,7 @@ router.put('/:id', authenticateStartup, validate(questionnaireSchemas.create), a
  * @desc    Get all questionnaires for admin (with search, filter, pagination)
  * @access  Private (Admin)
  */
-router.get('/admin/all', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/all', authenticateAdmin, authorize('questionnaires.view'), async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -381,7 +381,7 @@ router.get('/admin/all', authenticateAdmin, async (req, res, next) => {
  * @desc    Get questionnaire detail for admin by id
  * @access  Private (Admin)
  */
-router.get('/admin/:id', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/:id', authenticateAdmin, authorize('questionnaires.view'), async (req, res, next) => {
   try {
     const questionnaire = await Questionnaire.findById(req.params.id)
       .populate('startupId', 'profile.founderFirstName profile.founderLastName profile.companyName email');
@@ -405,7 +405,9 @@ router.get('/admin/:id', authenticateAdmin, async (req, res, next) => {
  * @access  Private (Admin)
  */
 const Sprint = require('../models/Sprint');
-router.post('/admin/:id/create-sprint', authenticateAdmin, async (req, res, next) => {
+const SprintTemplate = require('../models/SprintTemplate');
+const { publishProposal } = require('../utils/proposals');
+router.post('/admin/:id/create-sprint', authenticateAdmin, authorize('sprints.create'), async (req, res, next) => {
   try {
     const questionnaireId = req.params.id;
     const { sprints } = req.body; // Array of sprints, each with packageOptions (credit tiers)
@@ -424,7 +426,16 @@ router.post('/admin/:id/create-sprint', authenticateAdmin, async (req, res, next
 
     // Create sprints
     const createdSprints = [];
-    for (const sprintData of sprints) {
+    for (let sprintData of sprints) {
+      // Start from a catalogue template when given; provided fields override it
+      if (sprintData.templateId) {
+        const template = await SprintTemplate.findOne({ _id: sprintData.templateId, isActive: true });
+        if (!template) {
+          return res.status(404).json({ success: false, message: 'Sprint template not found.' });
+        }
+        sprintData = { ...sprintData, ...template.toSprintFields(sprintData) };
+      }
+
       // Validate required fields
       const requiredFields = ['name', 'description', 'type', 'estimatedDuration', 'packageOptions'];
       for (const field of requiredFields) {
@@ -445,9 +456,12 @@ router.post('/admin/:id/create-sprint', authenticateAdmin, async (req, res, next
         estimatedDuration: sprintData.estimatedDuration,
         packageOptions: sprintData.packageOptions,
         deliverables: sprintData.deliverables || [],
+        milestones: sprintData.milestones || [],
+        templateId: sprintData.templateId,
         createdBy: req.user._id,
         priority: sprintData.priority || 'medium'
       });
+      publishProposal(sprint, { publishedBy: req.user._id, expiresAt: sprintData.expiresAt });
       await sprint.save();
       createdSprints.push(sprint);
     }
@@ -490,7 +504,7 @@ router.post('/admin/:id/create-sprint', authenticateAdmin, async (req, res, next
 // @route   GET /api/questionnaires/admin/pending
 // @desc    Get pending questionnaires for review (Admin)
 // @access  Private (Admin)
-router.get('/admin/pending', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/pending', authenticateAdmin, authorize('questionnaires.view'), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, status, taskType, sortBy = 'submittedAt', sortOrder = 'desc' } = req.query;
     
@@ -570,7 +584,7 @@ router.get('/admin/pending', authenticateAdmin, async (req, res, next) => {
 // @route   POST /api/questionnaires/:id/review
 // @desc    Review questionnaire (Admin)
 // @access  Private (Admin)
-router.post('/:id/review', authenticateAdmin, validate(questionnaireSchemas.review), async (req, res, next) => {
+router.post('/:id/review', authenticateAdmin, authorize('questionnaires.review'), validate(questionnaireSchemas.review), async (req, res, next) => {
   try {
     const { status, adminNotes, rejectionReason } = req.body;
     
@@ -681,7 +695,7 @@ router.post('/:id/review', authenticateAdmin, validate(questionnaireSchemas.revi
 // @desc    Get questionnaire analytics (Admin)
 // @access  Private (Admin)
 /*
-router.get('/admin/analytics', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/analytics', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
   try {
     const { dateRange = '30d' } = req.query;
     
@@ -793,7 +807,7 @@ router.get('/admin/analytics', authenticateAdmin, async (req, res, next) => {
 // @route   POST /api/questionnaires/link
 // @desc    Link anonymous questionnaire to startup after registration
 // @access  Private (Startup)
-router.post('/link', authenticateStartup, async (req, res, next) => {
+router.post('/link', authenticateStartup, authorizeMember('questionnaires.edit'), async (req, res, next) => {
   try {
     const { temporaryId } = req.body;
     if (!temporaryId) {
@@ -887,7 +901,7 @@ function calculatePriorityScore(questionnaire) {
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' }); // For now, store locally
 
-router.post('/:id/upload-file', authenticateStartup, upload.single('file'), async (req, res, next) => {
+router.post('/:id/upload-file', authenticateStartup, authorizeMember('questionnaires.edit'), upload.single('file'), async (req, res, next) => {
   try {
     const questionnaire = await Questionnaire.findOne({
       _id: req.params.id,
@@ -935,7 +949,7 @@ router.post('/:id/upload-file', authenticateStartup, upload.single('file'), asyn
  * @desc    Mark questionnaire as meeting scheduled (Startup)
  * @access  Private (Startup)
  */
-router.post('/:id/schedule-meeting', authenticateStartup, async (req, res, next) => {
+router.post('/:id/schedule-meeting', authenticateStartup, authorizeMember('questionnaires.edit'), async (req, res, next) => {
   try {
     const questionnaire = await Questionnaire.findOne({
       _id: req.params.id,
@@ -972,7 +986,7 @@ router.post('/:id/schedule-meeting', authenticateStartup, async (req, res, next)
  * @desc    Get questionnaire with associated sprint (Admin)
  * @access  Private (Admin)
  */
-router.get('/admin/:id/with-sprint', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/:id/with-sprint', authenticateAdmin, authorize('questionnaires.view'), async (req, res, next) => {
   try {
     const questionnaire = await Questionnaire.findById(req.params.id)
       .populate('startupId', 'profile.founderFirstName profile.founderLastName profile.companyName email');
@@ -999,7 +1013,7 @@ module.exports = router;
  * @desc    Get all questionnaires for admin (with search, filter, pagination)
  * @access  Private (Admin)
  */
-router.get('/admin/all', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/all', authenticateAdmin, authorize('questionnaires.view'), async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -1093,7 +1107,7 @@ router.get('/admin/all', authenticateAdmin, async (req, res, next) => {
 // @route   GET /api/questionnaires/admin/pending
 // @desc    Get pending questionnaires for review (Admin)
 // @access  Private (Admin)
-router.get('/admin/pending', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/pending', authenticateAdmin, authorize('questionnaires.view'), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, status, taskType, sortBy = 'submittedAt', sortOrder = 'desc' } = req.query;
     
@@ -1174,7 +1188,7 @@ router.get('/admin/pending', authenticateAdmin, async (req, res, next) => {
 // @route   POST /api/questionnaires/:id/review
 // @desc    Review questionnaire (Admin)
 // @access  Private (Admin)
-router.post('/:id/review', authenticateAdmin, validate(questionnaireSchemas.review), async (req, res, next) => {
+router.post('/:id/review', authenticateAdmin, authorize('questionnaires.review'), validate(questionnaireSchemas.review), async (req, res, next) => {
   try {
     const { status, adminNotes, rejectionReason } = req.body;
     
@@ -1284,7 +1298,7 @@ router.post('/:id/review', authenticateAdmin, validate(questionnaireSchemas.revi
 // @route   GET /api/questionnaires/admin/analytics
 // @desc    Get questionnaire analytics (Admin)
 // @access  Private (Admin)
-router.get('/admin/analytics', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/analytics', authenticateAdmin, authorize('analytics.view'), async (req, res, next) => {
   try {
     const { dateRange = '30d' } = req.query;
     
@@ -1395,7 +1409,7 @@ router.get('/admin/analytics', authenticateAdmin, async (req, res, next) => {
 // @route   POST /api/questionnaires/link
 // @desc    Link anonymous questionnaire to startup after registration
 // @access  Private (Startup)
-router.post('/link', authenticateStartup, async (req, res, next) => {
+router.post('/link', authenticateStartup, authorizeMember('questionnaires.edit'), async (req, res, next) => {
   try {
     const { temporaryId } = req.body;
     if (!temporaryId) {
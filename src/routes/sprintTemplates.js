@@ -0,0 +1,192 @@
+const express = require('express');
+const Joi = require('joi');
+const SprintTemplate = require('../models/SprintTemplate');
+const Sprint = require('../models/Sprint');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticateAdmin, authorize } = require('../middleware/auth');
+const { validate } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SPRINT_TYPES = ['mvp', 'validation', 'branding', 'marketing', 'fundraising', 'custom'];
+
+const packageSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  description: Joi.string().max(1000).required(),
+  currency: Joi.string().valid('USD', 'EUR', 'GBP', 'QAR').default('QAR'),
+  engagementHours: Joi.number().min(0).optional(),
+  duration: Joi.number().min(0).optional(),
+  hourlyRate: Joi.number().min(0).optional(),
+  amount: Joi.number().min(0).optional(),
+  QTY: Joi.number().min(0).optional(),
+  discount: Joi.number().min(0).optional(),
+  tier: Joi.string().optional(),
+  paymentLink: Joi.string().trim().required()
+}).custom((pkg, helpers) => {
+  // Same mutually exclusive pricing rule as Sprint packageOptionSchema
+  const hasHourly = pkg.hourlyRate > 0 && pkg.QTY > 0;
+  const hasFixed = pkg.amount > 0;
+  if (hasHourly === hasFixed) {
+    return helpers.message('Each package must use either hourly pricing (hourlyRate + QTY) or fixed pricing (amount)');
+  }
+  return pkg;
+});
+
+const templateFields = {
+  name: Joi.string().min(3).max(100),
+  description: Joi.string().min(10).max(2000),
+  type: Joi.string().valid(...SPRINT_TYPES),
+  estimatedDuration: Joi.number().min(1).max(365),
+  deliverables: Joi.array().items(Joi.string()),
+  packageOptions: Joi.array().items(packageSchema).min(1),
+  milestones: Joi.array().items(Joi.object({
+    name: Joi.string().max(200).required(),
+    description: Joi.string().max(1000).allow('').optional()
+  })),
+  isActive: Joi.boolean()
+};
+
+const createTemplateSchema = Joi.object({
+  ...templateFields,
+  name: templateFields.name.required(),
+  description: templateFields.description.required(),
+  type: templateFields.type.required(),
+  estimatedDuration: templateFields.estimatedDuration.required(),
+  packageOptions: templateFields.packageOptions.required()
+});
+
+const updateTemplateSchema = Joi.object(templateFields).min(1);
+
+// @route   GET /api/sprint-templates
+// @desc    List sprint templates, optionally filtered by type
+// @access  Private (Admin)
+router.get('/', authenticateAdmin, authorize('templates.view'), async (req, res, next) => {
+  try {
+    const { type, includeInactive } = req.query;
+
+    const query = {};
+    if (type) {
+      query.type = type;
+    }
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const templates = await SprintTemplate.find(query)
+      .populate('createdBy', 'profile.firstName profile.lastName')
+      .sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sprint-templates/:id
+// @desc    Get a sprint template
+// @access  Private (Admin)
+router.get('/:id', authenticateAdmin, authorize('templates.view'), async (req, res, next) => {
+  try {
+    const template = await SprintTemplate.findById(req.params.id)
+      .populate('createdBy', 'profile.firstName profile.lastName')
+      .populate('updatedBy', 'profile.firstName profile.lastName');
+
+    if (!template) {
+      return next(new AppError('Sprint template not found', 404, 'TEMPLATE_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sprint-templates
+// @desc    Create a sprint template
+// @access  Private (Admin)
+router.post('/', authenticateAdmin, authorize('templates.manage'), validate(createTemplateSchema), async (req, res, next) => {
+  try {
+    const template = new SprintTemplate({
+      ...req.body,
+      createdBy: req.user._id
+    });
+    await template.save();
+
+    logger.info(`Sprint template ${template._id} (${template.type}) created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sprint template created',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/sprint-templates/:id
+// @desc    Update a sprint template
+// @access  Private (Admin)
+router.put('/:id', authenticateAdmin, authorize('templates.manage'), validate(updateTemplateSchema), async (req, res, next) => {
+  try {
+    const template = await SprintTemplate.findById(req.params.id);
+    if (!template) {
+      return next(new AppError('Sprint template not found', 404, 'TEMPLATE_NOT_FOUND'));
+    }
+
+    Object.assign(template, req.body);
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Sprint template updated',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/sprint-templates/:id
+// @desc    Delete a sprint template (deactivated instead if sprints were created from it)
+// @access  Private (Admin)
+router.delete('/:id', authenticateAdmin, authorize('templates.manage'), async (req, res, next) => {
+  try {
+    const template = await SprintTemplate.findById(req.params.id);
+    if (!template) {
+      return next(new AppError('Sprint template not found', 404, 'TEMPLATE_NOT_FOUND'));
+    }
+
+    // Keep used templates so conversion analytics still resolve
+    const usage = await Sprint.countDocuments({ templateId: template._id });
+    if (usage > 0) {
+      template.isActive = false;
+      template.updatedBy = req.user._id;
+      await template.save();
+      return res.json({
+        success: true,
+        message: 'Sprint template deactivated (it has been used by existing sprints)',
+        data: { template }
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Sprint template deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,14 +3,72 @@ const multer = require('multer');
 const Sprint = require('../models/Sprint');
 const Questionnaire = require('../models/Questionnaire');
 const Startup = require('../models/Startup');
+const SprintTemplate = require('../models/SprintTemplate');
+const Admin = require('../models/Admin');
 const { AppError } = require('../middleware/errorHandler');
-const { authenticateStartup, authenticateAdmin } = require('../middleware/auth');
-const { validate } = require('../utils/validation');
+const { authenticateStartup, authenticateAdmin, authorize, authorizeMember } = require('../middleware/auth');
+const { validate, taskSchemas } = require('../utils/validation');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../utils/communications');
 const azureStorage = require('../utils/azureStorage');
-    const Task = require('../models/Task');
-const Board = require('../models/Board')
+const { getPaymentProvider } = require('../utils/paymentProvider');
+const {
+  recalculatePaymentState,
+  getNextAmountDue,
+  setPaymentSchedule,
+  serializePaymentState
+} = require('../utils/paymentLedger');
+const {
+  recordSprintPayment,
+  refundSprintPayment,
+  voidSprintLedgerEntry,
+  markSprintPaid,
+  markSprintUnpaid
+} = require('../utils/sprintPayments');
+const { issueSprintInvoice, serializeInvoice } = require('../utils/invoices');
+const { snapshotExchangeRates } = require('../utils/exchangeRates');
+const {
+  addProposalEvent,
+  publishProposal,
+  expireProposalIfDue,
+  requestProposalChanges,
+  reviseProposal,
+  serializeProposal
+} = require('../utils/proposals');
+const {
+  SPRINT_TRANSITIONS,
+  canTransition,
+  getSprintTaskCompletion,
+  transitionSprint,
+  runTransitionEffects,
+  applySprintTransition
+} = require('../utils/sprintStateMachine');
+const {
+  rollUpSprintProgress,
+  serializeMilestones
+} = require('../utils/sprintProgress');
+const { getSprintDependencyGraph } = require('../utils/taskDependencies');
+const { getSprintActivity } = require('../utils/taskActivity');
+const { getSprintBurnReport } = require('../utils/timeTracking');
+const {
+  ensureDeliverableItems,
+  getDeliverableItem,
+  submitDeliverable,
+  reviewDeliverable,
+  getAcceptanceSummary,
+  ensureCertificateNumber,
+  recordSignOff,
+  renderAcceptanceCertificatePdf
+} = require('../utils/deliverables');
+const {
+  FEEDBACK_CATEGORIES,
+  submitSprintFeedback,
+  summarizeFeedback
+} = require('../utils/sprintFeedback');
+const socketManager = require('../utils/socketManager');
+const Invoice = require('../models/Invoice');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -32,6 +90,15 @@ const upload = multer({
   }
 });
 
+// Deliverable evidence can be any file type (designs, exports, archives)
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB limit
+    files: 10
+  }
+});
+
 const router = express.Router();
 
 // ... (validation schemas and other endpoints) ...
@@ -115,7 +182,7 @@ router.get('/my-sprints', authenticateStartup, async (req, res, next) => {
  * @desc    Create a temporary sprint for a startup after questionnaire submission
  * @access  Private (Startup)
  */
-router.post('/startup/create-temp', authenticateStartup, async (req, res, next) => {
+router.post('/startup/create-temp', authenticateStartup, authorizeMember('sprints.manage'), async (req, res, next) => {
   try {
     const { questionnaireId, name, description, type, estimatedDuration } = req.body;
     // Validate questionnaire exists and belongs to startup
@@ -185,8 +252,13 @@ router.get('/questionnaire/:questionnaireId/proposals', authenticateStartup, asy
     if (!questionnaire || questionnaire.startupId.toString() !== req.user._id.toString()) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
-    // Find admin-created sprints for this questionnaire with status 'available'
-    const proposals = await Sprint.find({ questionnaireId, status: 'available' }).select('_id name packageOptions');
+    // Find admin-created sprints for this questionnaire with status 'available' that haven't expired
+    const proposals = await Sprint.find({
+      questionnaireId,
+      status: 'available',
+      'proposal.status': { $nin: ['expired', 'closed'] },
+      $or: [{ 'proposal.expiresAt': { $exists: false } }, { 'proposal.expiresAt': null }, { 'proposal.expiresAt': { $gt: new Date() } }]
+    }).select('_id name packageOptions proposal.version proposal.status proposal.expiresAt');
     res.json({ success: true, data: { proposals } });
   } catch (error) {
     next(error);
@@ -208,7 +280,7 @@ router.get('/by-questionnaire/:questionnaireId', authenticateStartup, async (req
  * @desc    Delete a sprint (Startup can only delete their own draft sprint)
  * @access  Private (Startup)
  */
-router.delete('/:id', authenticateStartup, async (req, res, next) => {
+router.delete('/:id', authenticateStartup, authorizeMember('sprints.manage'), async (req, res, next) => {
   try {
     const sprint = await Sprint.findById(req.params.id);
     if (!sprint) {
@@ -372,6 +444,93 @@ router.get('/my-sprints', authenticateStartup, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/sprints/feedback/pending
+// @desc    Completed sprints awaiting the startup's feedback (in-app prompt)
+// @access  Private (Startup)
+router.get('/feedback/pending', authenticateStartup, async (req, res, next) => {
+  try {
+    const questionnaires = await Questionnaire.find({
+      startupId: req.user._id
+    }).select('_id');
+
+    const sprints = await Sprint.find({
+      questionnaireId: { $in: questionnaires.map(q => q._id) },
+      status: 'completed',
+      'feedbackRequest.requestedAt': { $exists: true },
+      'feedbackRequest.dismissedAt': { $exists: false },
+      'clientFeedback.submittedBy': { $ne: req.user._id }
+    })
+      .select('name type actualEndDate endDate feedbackRequest')
+      .sort({ 'feedbackRequest.requestedAt': -1 });
+
+    res.json({
+      success: true,
+      data: {
+        prompts: sprints.map(sprint => ({
+          sprintId: sprint._id,
+          sprintName: sprint.name,
+          type: sprint.type,
+          completedAt: sprint.actualEndDate || sprint.endDate,
+          requestedAt: sprint.feedbackRequest.requestedAt
+        })),
+        categories: FEEDBACK_CATEGORIES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/feedback
+ * @desc    List client feedback across sprints with rating and NPS summary (Admin)
+ * @access  Private (Admin)
+ *          Declared before /:id/feedback, which would otherwise match it
+ */
+router.get('/admin/feedback', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
+  try {
+    const { type, teamLead, sprintId, page = 1, limit = 20 } = req.query;
+
+    const query = { 'clientFeedback.0': { $exists: true } };
+    if (type) query.type = type;
+    if (teamLead) query['assignedTeam.teamLead'] = teamLead;
+    if (sprintId) query._id = sprintId;
+
+    const sprints = await Sprint.find(query)
+      .select('name type assignedTeam.teamLead clientFeedback')
+      .populate('assignedTeam.teamLead', 'profile.firstName profile.lastName')
+      .populate('clientFeedback.submittedBy', 'email profile.companyName profile.founderFirstName profile.founderLastName');
+
+    const entries = sprints
+      .flatMap(sprint => sprint.clientFeedback.map(entry => ({
+        ...entry.toObject(),
+        sprint: {
+          id: sprint._id,
+          name: sprint.name,
+          type: sprint.type,
+          teamLead: sprint.assignedTeam ? sprint.assignedTeam.teamLead : null
+        }
+      })))
+      .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+
+    const start = (page - 1) * limit;
+    res.json({
+      success: true,
+      data: {
+        feedback: entries.slice(start, start + Number(limit)),
+        summary: summarizeFeedback(entries),
+        pagination: {
+          current: Number(page),
+          pages: Math.ceil(entries.length / limit),
+          total: entries.length
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/sprints/:id
 // @desc    Get sprint details
 // @access  Private (Startup)
@@ -444,7 +603,7 @@ router.get('/:id', authenticateStartup, async (req, res, next) => {
 // @route   POST /api/sprints/:id/select-package
 // @desc    Select package for sprint
 // @access  Private (Startup)
-router.post('/:id/select-package', authenticateStartup, validate(require('joi').object({ packageId: require('joi').string().required() })), async (req, res, next) => {
+router.post('/:id/select-package', authenticateStartup, authorizeMember('sprints.manage'), validate(require('joi').object({ packageId: require('joi').string().required() })), async (req, res, next) => {
   try {
     const { packageId } = req.body;
     
@@ -465,35 +624,72 @@ router.post('/:id/select-package', authenticateStartup, validate(require('joi').
       return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
     }
     
+    if (expireProposalIfDue(sprint)) {
+      await sprint.save();
+      return next(new AppError('This proposal has expired', 400, 'PROPOSAL_EXPIRED'));
+    }
+
     // Find the selected package
     const selectedPackage = sprint.packageOptions.find(pkg => pkg._id.toString() === packageId);
     if (!selectedPackage) {
       return next(new AppError('Package not found', 404, 'PACKAGE_NOT_FOUND'));
     }
     
-    // Update sprint with selected package
+    // Re-selecting on a package_selected sprint only swaps the package
+    let transition = null;
+    if (sprint.status !== 'package_selected') {
+      transition = await transitionSprint(sprint, 'package_selected', {
+        actorId: req.user._id,
+        actorType: 'startup',
+        memberId: req.member?._id,
+        note: `Selected package: ${selectedPackage.name}`
+      });
+    }
+
+    // Update sprint with selected package; any instalment schedule was for the previous package
     sprint.selectedPackage = selectedPackage;
-    sprint.status = 'package_selected';
-    
-    // Add to status history
-    sprint.statusHistory.push({
-      status: 'package_selected',
-      changedAt: new Date(),
-      changedBy: req.user._id,
-      userType: 'startup',
-      note: `Selected package: ${selectedPackage.name}`
+    sprint.paymentSchedule = [];
+    recalculatePaymentState(sprint);
+    await snapshotExchangeRates(sprint, 'packageSelected');
+    sprint.proposal.status = 'accepted';
+    addProposalEvent(sprint, {
+      action: 'accepted',
+      packageId: selectedPackage._id,
+      actorId: req.user._id,
+      actorModel: 'Startup',
+      actorMemberId: req.member?._id
     });
     
     await sprint.save();
+    if (transition) {
+      await runTransitionEffects(sprint, transition, { actorId: req.user._id, actorType: 'startup' });
+    }
 
-    // Set all other sprints for this questionnaire to inactive
-    await Sprint.updateMany(
-      {
-        questionnaireId: sprint.questionnaireId,
-        _id: { $ne: sprint._id }
-      },
-      { $set: { status: 'inactive' } }
-    );
+    // Set all other open proposals for this questionnaire to inactive and close their negotiation
+    const siblings = await Sprint.find({
+      questionnaireId: sprint.questionnaireId,
+      _id: { $ne: sprint._id }
+    });
+    for (const sibling of siblings) {
+      if (!canTransition(sibling.status, 'inactive')) continue;
+      await transitionSprint(sibling, 'inactive', {
+        actorId: req.user._id,
+        actorType: 'startup',
+        memberId: req.member?._id,
+        note: `Startup selected another proposal: ${sprint.name}`
+      });
+      if (sibling.proposal) {
+        sibling.proposal.status = 'closed';
+        addProposalEvent(sibling, {
+          action: 'closed',
+          comment: `Startup selected another proposal: ${sprint.name}`,
+          actorId: req.user._id,
+          actorModel: 'Startup',
+          actorMemberId: req.member?._id
+        });
+      }
+      await sibling.save();
+    }
     
     // Update startup onboarding
     await Startup.findByIdAndUpdate(req.user._id, {
@@ -506,6 +702,15 @@ router.post('/:id/select-package', authenticateStartup, validate(require('joi').
     setImmediate(async () => {
       try {
         const fullName = `${req.user.profile.founderFirstName || ''} ${req.user.profile.founderLastName || ''}`.trim() || req.user.email;
+
+        // Issue the invoice for the selected package and attach it to the email
+        const attachments = [];
+        try {
+          const { invoice, pdf } = await issueSprintInvoice(sprint, req.user);
+          attachments.push({ name: `${invoice.number}.pdf`, contentType: 'application/pdf', content: pdf });
+        } catch (invoiceError) {
+          logger.logError(invoiceError, `Invoice generation failed for sprint ${sprint._id}`);
+        }
         
         await sendEmail({
           to: req.user.email,
@@ -519,7 +724,8 @@ router.post('/:id/select-package', authenticateStartup, validate(require('joi').
             packageCurrency: selectedPackage.currency || 'QAR',
             estimatedDuration: selectedPackage.duration || selectedPackage.engagementHours,
             dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/startup/dashboard`
-          }
+          },
+          attachments
         });
       } catch (emailError) {
         logger.logError('Package selection confirmation email failed', emailError);
@@ -544,265 +750,111 @@ router.post('/:id/select-package', authenticateStartup, validate(require('joi').
   }
 });
 
-// @route   POST /api/sprints/:id/upload-documents
-// @desc    Upload required documents for sprint
+// @route   GET /api/sprints/:id/proposal
+// @desc    Get proposal versions and negotiation history
 // @access  Private (Startup)
-router.post('/:id/upload-documents', authenticateStartup, upload.single('brandGuidelines'), async (req, res, next) => {
+router.get('/:id/proposal', authenticateStartup, async (req, res, next) => {
   try {
-    const { contactLists, appDemo } = req.body;
-    const file = req.file;
-    
-    const sprint = await Sprint.findById(req.params.id)
-      .populate('questionnaireId');
-    
+    const sprint = await Sprint.findById(req.params.id);
+
     if (!sprint) {
       return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
     }
-    
-    // Check access
+
+    // Check if startup has access to this sprint
     const questionnaire = await Questionnaire.findOne({
-      _id: sprint.questionnaireId._id,
+      _id: sprint.questionnaireId,
       startupId: req.user._id
     });
-    
+
     if (!questionnaire) {
       return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
     }
-    
-    const uploadedDocuments = [];
-    
-    // Upload file to Azure if provided
-    if (file) {
-      try {
-        const uploadResult = await azureStorage.uploadFile(
-          file,
-          req.user._id,
-          req.params.id,
-          'brandGuidelines'
-        );
-        if (uploadResult.success) {
-          const documentData = {
-            fileName: uploadResult.fileName,
-            originalName: file.originalname,
-            fileUrl: uploadResult.fileUrl,
-            fileType: file.mimetype,
-            documentType: 'brandGuidelines',
-            uploadedAt: new Date()
-          };
-          
-          // Store uploaded file in sprint.sprintDocuments.uploadedFiles
-          if (!sprint.sprintDocuments) sprint.sprintDocuments = {};
-          if (!sprint.sprintDocuments.uploadedFiles) sprint.sprintDocuments.uploadedFiles = [];
-          sprint.sprintDocuments.uploadedFiles.push(documentData);
-          uploadedDocuments.push(documentData);
-        }
-      } catch (uploadError) {
-        logger.logError('File upload error', uploadError);
-        return next(new AppError('Failed to upload file', 500, 'FILE_UPLOAD_ERROR'));
-      }
+
+    if (expireProposalIfDue(sprint)) {
+      await sprint.save();
     }
 
-    // sprintDocuments removed from Sprint model. Text fields not stored.
-    const documentSubmission = {
-      sprintId: req.params.id,
-      contactLists: contactLists || '',
-      appDemo: appDemo || '',
-      documentsUploaded: uploadedDocuments,
-      submittedAt: new Date()
-    };
-    
-    // Mark documents as submitted
-    sprint.documentsSubmitted = true;
-    if (!sprint.sprintDocuments) sprint.sprintDocuments = {};
-    sprint.sprintDocuments.contactLists = contactLists || '';
-    sprint.sprintDocuments.appDemo = appDemo || '';
-    sprint.sprintDocuments.submittedAt = new Date();
-    sprint.status = 'documents_submitted';
-    
-    // Add to status history
-    sprint.statusHistory.push({
-      status: 'documents_submitted',
-      changedAt: new Date(),
-      changedBy: req.user._id,
-      userType: 'startup',
-      note: `Documents submitted${file ? ' with file upload' : ''}`
-    });
-    
-    await sprint.save();
-    
-    // Update startup onboarding
-    await Startup.findByIdAndUpdate(req.user._id, {
-      'onboarding.currentStep': 'meeting_scheduling',
-      'onboarding.documentsSubmitted': true,
-      'onboarding.lastUpdated': new Date()
-    });
-    
     res.json({
       success: true,
-      message: 'Documents uploaded successfully',
       data: {
-        sprint: {
-          id: sprint._id,
-          status: sprint.status,
-          documentsSubmitted: sprint.documentsSubmitted,
-          submittedAt: sprint.sprintDocuments?.submittedAt || null
-        },
-        uploadedDocuments,
-        submission: documentSubmission
+        proposal: serializeProposal(sprint)
       }
     });
-    
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/sprints/:id/schedule-meeting
-// @desc    Schedule meeting for sprint
+// @route   POST /api/sprints/:id/request-changes
+// @desc    Request changes to a proposal
 // @access  Private (Startup)
-router.post('/:id/schedule-meeting', authenticateStartup, async (req, res, next) => {
+router.post('/:id/request-changes', authenticateStartup, authorizeMember('sprints.manage'), validate(require('joi').object({
+  comment: require('joi').string().min(3).max(2000).required(),
+  packageId: require('joi').string().optional()
+})), async (req, res, next) => {
   try {
-    const { meetingUrl, scheduledAt, meetingType = 'kickoff' } = req.body;
-    
+    const { comment, packageId } = req.body;
     const sprint = await Sprint.findById(req.params.id)
-      .populate('questionnaireId');
-    
+      .populate('createdBy', 'email profile.firstName profile.lastName');
+
     if (!sprint) {
       return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
     }
-    
-    // Check access
+
+    // Check if startup has access to this sprint
     const questionnaire = await Questionnaire.findOne({
-      _id: sprint.questionnaireId._id,
+      _id: sprint.questionnaireId,
       startupId: req.user._id
     });
-    
+
     if (!questionnaire) {
       return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
     }
-    
-    // Update sprint with meeting information
-    sprint.meetingScheduled = {
-      isScheduled: true,
-      meetingUrl: meetingUrl,
-      scheduledAt: new Date(scheduledAt),
-      meetingType: meetingType,
-      scheduledBy: req.user._id
-    };
-    
-    sprint.status = 'meeting_scheduled';
-    
-    // Add to status history
-    sprint.statusHistory.push({
-      status: 'meeting_scheduled',
-      changedAt: new Date(),
-      changedBy: req.user._id,
-      userType: 'startup',
-      note: `${meetingType} meeting scheduled for ${new Date(scheduledAt).toLocaleDateString()}`
-    });
-    
-    await sprint.save();
-    
-    // Update startup onboarding
-    await Startup.findByIdAndUpdate(req.user._id, {
-      'onboarding.currentStep': 'meeting_scheduled',
-      'onboarding.meetingScheduled': true,
-      'onboarding.lastUpdated': new Date()
-    });
-    
-    res.json({
-      success: true,
-      message: 'Meeting scheduled successfully',
-      data: {
-        sprint: {
-          id: sprint._id,
-          status: sprint.status,
-          meetingScheduled: sprint.meetingScheduled,
-          timeline: sprint.timeline
-        }
-      }
-    });
-    
-  } catch (error) {
-    next(error);
-  }
-});
 
-/**
- * @route   PUT /api/sprints/admin/:sprintId/payment-status
- * @desc    Update payment status for the selected package (Admin)
- * @access  Private (Admin)
- */
-router.put('/admin/:sprintId/payment-status', authenticateAdmin, async (req, res, next) => {
-  try {
-    const { paymentStatus } = req.body;
-    if (!['paid', 'unpaid'].includes(paymentStatus)) {
-      return res.status(400).json({ success: false, message: 'Invalid payment status' });
-    }
-    const sprint = await Sprint.findById(req.params.sprintId);
-    if (!sprint) {
-      return res.status(404).json({ success: false, message: 'Sprint not found' });
-    }
-    sprint.selectedPackagePaymentStatus = paymentStatus;
-    if (paymentStatus === 'paid') {
-      sprint.selectedPackagePaymentVerifiedAt = new Date();
-      sprint.selectedPackagePaymentVerifiedBy = req.user._id;
-    } else {
-      sprint.selectedPackagePaymentVerifiedAt = undefined;
-      sprint.selectedPackagePaymentVerifiedBy = undefined;
+    if (expireProposalIfDue(sprint)) {
+      await sprint.save();
+      return next(new AppError('This proposal has expired', 400, 'PROPOSAL_EXPIRED'));
     }
-    await sprint.save();
 
-    // Fetch questionnaire and startup info for email and onboarding update
-    let questionnaire = null;
-    let startup = null;
-    try {
-      questionnaire = await Questionnaire.findById(sprint.questionnaireId).populate('startupId');
-      startup = questionnaire && questionnaire.startupId ? questionnaire.startupId : null;
-    } catch (e) {
-      logger.logError('Failed to fetch questionnaire/startup for payment status update', e);
+    if (sprint.status !== 'available' || !['open', 'changes_requested'].includes(sprint.proposal.status)) {
+      return next(new AppError('This proposal is no longer open for negotiation', 400, 'PROPOSAL_NOT_OPEN'));
     }
 
-    // Update startup onboarding step if paid
-    if (paymentStatus === 'paid' && startup) {
-      try {
-        // Set status to verified if currently pending
-        const update = {
-          'onboarding.currentStep': 'active_sprint',
-          'onboarding.lastUpdated': new Date()
-        };
-        if (startup.status === 'pending') {
-          update.status = 'verified';
-        }
-        await Startup.findByIdAndUpdate(startup._id, update);
-      } catch (e) {
-        logger.logError('Failed to update startup onboarding to active_sprint after payment', e, { startupId: startup._id });
-      }
+    if (packageId && !sprint.packageOptions.id(packageId)) {
+      return next(new AppError('Package not found', 404, 'PACKAGE_NOT_FOUND'));
     }
 
-    // Send payment confirmation email if paid
-    if (paymentStatus === 'paid' && startup) {
+    requestProposalChanges(sprint, { comment, packageId, startupId: req.user._id, memberId: req.member?._id });
+    await sprint.save();
+
+    // Notify the admin who published the proposal (don't wait for it)
+    setImmediate(async () => {
+      if (!sprint.createdBy || !sprint.createdBy.email) return;
       try {
         await sendEmail({
-          to: startup.email,
-          template: 'paymentConfirmed',
+          to: sprint.createdBy.email,
+          template: 'proposalChangesRequested',
+          escapeData: true,
           data: {
-            name: `${startup.profile.founderFirstName} ${startup.profile.founderLastName}`,
+            name: sprint.createdBy.profile.firstName,
+            companyName: req.user.profile.companyName || req.user.email,
             sprintName: sprint.name,
-            dashboardUrl: process.env.FRONTEND_URL + '/dashboard'
+            version: sprint.proposal.version,
+            comment,
+            dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/sprints/${sprint._id}`
           }
         });
       } catch (emailError) {
-        logger.logError('Payment confirmation email failed', emailError, { sprintId: sprint._id });
+        logger.logError(emailError, `Proposal change request email failed for sprint ${sprint._id}`);
       }
-    }
+    });
 
     res.json({
       success: true,
-      message: 'Selected package payment status updated',
+      message: 'Change request sent',
       data: {
-        sprintId: sprint._id,
-        selectedPackagePaymentStatus: sprint.selectedPackagePaymentStatus
+        proposal: serializeProposal(sprint)
       }
     });
   } catch (error) {
@@ -810,147 +862,1717 @@ router.put('/admin/:sprintId/payment-status', authenticateAdmin, async (req, res
   }
 });
 
-// ==================== ADMIN ROUTES ====================
-
-// @route   POST /api/sprints/admin/create
-// @desc    Create custom sprint for questionnaire (Admin)
-// @access  Private (Admin)
-router.post('/admin/create', authenticateAdmin, validate(require('joi').object({
-  questionnaireId: require('joi').string().required(),
-  name: require('joi').string().min(3).max(100).required(),
-  description: require('joi').string().min(10).max(2000).required(),
-  type: require('joi').string().valid('mvp', 'validation', 'branding', 'marketing', 'fundraising', 'custom').required(),
-  estimatedDuration: require('joi').number().min(1).max(365).required(),
-  packageOptions: require('joi').array().min(1).required(),
-  requiredDocuments: require('joi').array().optional()
-})), async (req, res, next) => {
+// @route   POST /api/sprints/:id/checkout
+// @desc    Start a payment provider checkout for the selected package
+// @access  Private (Startup)
+router.post('/:id/checkout', authenticateStartup, authorizeMember('payments.manage'), async (req, res, next) => {
   try {
-    const {
-      questionnaireId,
-      name,
-      description,
-      type,
-      estimatedDuration,
-      packageOptions,
+    const sprint = await Sprint.findById(req.params.id);
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    if (!sprint.selectedPackage) {
+      return next(new AppError('Select a package before checking out', 400, 'PACKAGE_NOT_SELECTED'));
+    }
+
+    if (sprint.selectedPackagePaymentStatus === 'paid') {
+      return next(new AppError('Sprint package is already paid', 400, 'ALREADY_PAID'));
+    }
+
+    const provider = getPaymentProvider();
+    // Next instalment (or the whole outstanding balance when there is no schedule)
+    const amount = getNextAmountDue(sprint);
+    const currency = sprint.selectedPackage.currency || 'QAR';
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    // Reuse an open session for the same package and amount
+    const existing = sprint.paymentCheckout;
+    const canReuse = existing && existing.status === 'open' &&
+      existing.provider === provider.name &&
+      existing.packageId && existing.packageId.toString() === sprint.selectedPackage._id.toString() &&
+      existing.amount === amount && existing.currency === currency &&
+      (!existing.expiresAt || existing.expiresAt > new Date());
+
+    if (!canReuse) {
+      const session = await provider.createCheckoutSession({
+        sprintId: sprint._id.toString(),
+        packageId: sprint.selectedPackage._id.toString(),
+        packageName: `${sprint.name} - ${sprint.selectedPackage.name}`,
+        amount,
+        currency,
+        customerEmail: req.user.email,
+        successUrl: `${frontendUrl}/startup/dashboard?payment=success&sprintId=${sprint._id}`,
+        cancelUrl: `${frontendUrl}/startup/dashboard?payment=cancelled&sprintId=${sprint._id}`
+      });
+
+      sprint.paymentCheckout = {
+        provider: provider.name,
+        sessionId: session.sessionId,
+        checkoutUrl: session.checkoutUrl,
+        packageId: sprint.selectedPackage._id,
+        amount,
+        currency,
+        status: 'open',
+        createdAt: new Date(),
+        expiresAt: session.expiresAt
+      };
+      await sprint.save();
+
+      logger.info(`Checkout session ${session.sessionId} created for sprint ${sprint._id} via ${provider.name}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Checkout session ready',
+      data: {
+        checkout: {
+          provider: sprint.paymentCheckout.provider,
+          sessionId: sprint.paymentCheckout.sessionId,
+          checkoutUrl: sprint.paymentCheckout.checkoutUrl,
+          amount: sprint.paymentCheckout.amount,
+          currency: sprint.paymentCheckout.currency,
+          expiresAt: sprint.paymentCheckout.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sprints/:id/payments
+// @desc    Get payment schedule and outstanding balance for a sprint
+// @access  Private (Startup)
+router.get('/:id/payments', authenticateStartup, async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sprintId: sprint._id,
+        payments: serializePaymentState(sprint)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sprints/:id/invoices
+// @desc    List invoices and receipts issued for a sprint
+// @access  Private (Startup)
+router.get('/:id/invoices', authenticateStartup, async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id).select('questionnaireId');
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    const invoices = await Invoice.find({ sprintId: sprint._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invoices: invoices.map(serializeInvoice)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sprints/:id/milestones
+// @desc    Sprint milestones with linked task progress
+// @access  Private (Startup)
+router.get('/:id/milestones', authenticateStartup, async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        progress: sprint.progress,
+        milestones: await serializeMilestones(sprint)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a completed sprint's acceptance certificate as a PDF download,
+ * numbering it on first download when the sprint was completed by an admin.
+ */
+async function sendAcceptanceCertificate(res, sprint, startup) {
+  if (sprint.status !== 'completed') {
+    throw new AppError('The acceptance certificate is available once the sprint is completed', 400, 'SPRINT_NOT_COMPLETED');
+  }
+  if (!sprint.signOff.certificateNumber) {
+    await ensureCertificateNumber(sprint);
+    await sprint.save();
+  }
+
+  const pdf = await renderAcceptanceCertificatePdf(sprint, {
+    companyName: startup && startup.profile ? startup.profile.companyName : undefined
+  });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${sprint.signOff.certificateNumber}.pdf"`);
+  res.send(pdf);
+}
+
+// @route   GET /api/sprints/:id/deliverables
+// @desc    Deliverables with submitted evidence and review history
+// @access  Private (Startup)
+router.get('/:id/deliverables', authenticateStartup, async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    if (ensureDeliverableItems(sprint)) {
+      await sprint.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deliverables: sprint.deliverableItems,
+        acceptance: getAcceptanceSummary(sprint),
+        signOff: sprint.signOff
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sprints/:id/deliverables/:deliverableId/review
+// @desc    Accept a submitted deliverable, or reject it with comments
+// @access  Private (Startup)
+router.post('/:id/deliverables/:deliverableId/review', authenticateStartup, authorizeMember('sprints.manage'), validate(require('joi').object({
+  decision: require('joi').string().valid('accepted', 'rejected').required(),
+  comment: require('joi').string().max(2000).when('decision', {
+    is: 'rejected',
+    then: require('joi').required(),
+    otherwise: require('joi').allow('').optional()
+  })
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    const item = getDeliverableItem(sprint, req.params.deliverableId);
+    reviewDeliverable(item, {
+      decision: req.body.decision,
+      comment: req.body.comment,
+      reviewedBy: req.user._id,
+      reviewedByMember: req.member?._id
+    });
+    await sprint.save();
+
+    try {
+      socketManager.sendToAdmins('deliverable_reviewed', {
+        sprintId: sprint._id,
+        sprintName: sprint.name,
+        deliverableId: item._id,
+        deliverableName: item.name,
+        decision: req.body.decision,
+        comment: req.body.comment
+      });
+    } catch (socketError) {
+      logger.logError(socketError, `Deliverable review socket event failed for sprint ${sprint._id}`);
+    }
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'accepted' ? 'Deliverable accepted' : 'Deliverable rejected',
+      data: {
+        deliverable: item,
+        acceptance: getAcceptanceSummary(sprint)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sprints/:id/acceptance-certificate
+// @desc    Download the acceptance certificate of a completed sprint (PDF)
+// @access  Private (Startup)
+router.get('/:id/acceptance-certificate', authenticateStartup, async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    await sendAcceptanceCertificate(res, sprint, req.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sprints/:id/feedback
+// @desc    Feedback the startup submitted for a sprint
+// @access  Private (Startup)
+router.get('/:id/feedback', authenticateStartup, async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id).select('questionnaireId status clientFeedback feedbackRequest');
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        feedback: sprint.clientFeedback.filter(entry =>
+          entry.submittedBy && entry.submittedBy.toString() === req.user._id.toString()
+        ),
+        feedbackRequest: sprint.feedbackRequest,
+        categories: FEEDBACK_CATEGORIES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sprints/:id/feedback
+// @desc    Submit a rating, NPS score and category feedback for a completed sprint
+// @access  Private (Startup)
+router.post('/:id/feedback', authenticateStartup, authorizeMember('sprints.manage'), validate(require('joi').object({
+  rating: require('joi').number().integer().min(1).max(5).required(),
+  npsScore: require('joi').number().integer().min(0).max(10).required(),
+  feedback: require('joi').string().max(2000).allow('').optional(),
+  categoryRatings: require('joi').array().items(require('joi').object({
+    category: require('joi').string().valid(...FEEDBACK_CATEGORIES).required(),
+    rating: require('joi').number().integer().min(1).max(5).required(),
+    comment: require('joi').string().max(1000).allow('').optional()
+  })).unique('category').optional()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    const feedback = await submitSprintFeedback(sprint, req.user._id, req.body);
+
+    try {
+      socketManager.sendToAdmins('sprint_feedback_submitted', {
+        sprintId: sprint._id,
+        sprintName: sprint.name,
+        rating: feedback.rating,
+        npsScore: feedback.npsScore
+      });
+    } catch (socketError) {
+      logger.logError(socketError, `Feedback socket event failed for sprint ${sprint._id}`);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for your feedback',
+      data: {
+        feedback
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sprints/:id/feedback/dismiss
+// @desc    Dismiss the in-app feedback prompt without submitting feedback
+// @access  Private (Startup)
+router.post('/:id/feedback/dismiss', authenticateStartup, authorizeMember('sprints.manage'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id).select('questionnaireId');
+
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    // Check if startup has access to this sprint
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId,
+      startupId: req.user._id
+    });
+
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+
+    await Sprint.updateOne({ _id: sprint._id }, { $set: { 'feedbackRequest.dismissedAt': new Date() } });
+
+    res.json({
+      success: true,
+      message: 'Feedback prompt dismissed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sprints/:id/upload-documents
+// @desc    Upload required documents for sprint
+// @access  Private (Startup)
+router.post('/:id/upload-documents', authenticateStartup, authorizeMember('sprints.manage'), upload.single('brandGuidelines'), async (req, res, next) => {
+  try {
+    const { contactLists, appDemo } = req.body;
+    const file = req.file;
+    
+    const sprint = await Sprint.findById(req.params.id)
+      .populate('questionnaireId');
+    
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+    
+    // Check access
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId._id,
+      startupId: req.user._id
+    });
+    
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+    
+    const uploadedDocuments = [];
+    
+    // Upload file to Azure if provided
+    if (file) {
+      try {
+        const uploadResult = await azureStorage.uploadFile(
+          file,
+          req.user._id,
+          req.params.id,
+          'brandGuidelines'
+        );
+        if (uploadResult.success) {
+          const documentData = {
+            fileName: uploadResult.fileName,
+            originalName: file.originalname,
+            fileUrl: uploadResult.fileUrl,
+            fileType: file.mimetype,
+            documentType: 'brandGuidelines',
+            uploadedAt: new Date()
+          };
+          
+          // Store uploaded file in sprint.sprintDocuments.uploadedFiles
+          if (!sprint.sprintDocuments) sprint.sprintDocuments = {};
+          if (!sprint.sprintDocuments.uploadedFiles) sprint.sprintDocuments.uploadedFiles = [];
+          sprint.sprintDocuments.uploadedFiles.push(documentData);
+          uploadedDocuments.push(documentData);
+        }
+      } catch (uploadError) {
+        logger.logError('File upload error', uploadError);
+        return next(new AppError('Failed to upload file', 500, 'FILE_UPLOAD_ERROR'));
+      }
+    }
+
+    // sprintDocuments removed from Sprint model. Text fields not stored.
+    const documentSubmission = {
+      sprintId: req.params.id,
+      contactLists: contactLists || '',
+      appDemo: appDemo || '',
+      documentsUploaded: uploadedDocuments,
+      submittedAt: new Date()
+    };
+    
+    // Mark documents as submitted
+    sprint.documentsSubmitted = true;
+    if (!sprint.sprintDocuments) sprint.sprintDocuments = {};
+    sprint.sprintDocuments.contactLists = contactLists || '';
+    sprint.sprintDocuments.appDemo = appDemo || '';
+    sprint.sprintDocuments.submittedAt = new Date();
+
+    // Re-submissions later in the sprint only update the documents
+    let transition = null;
+    if (canTransition(sprint.status, 'documents_submitted')) {
+      transition = await transitionSprint(sprint, 'documents_submitted', {
+        actorId: req.user._id,
+        actorType: 'startup',
+        memberId: req.member?._id,
+        note: `Documents submitted${file ? ' with file upload' : ''}`
+      });
+    }
+    
+    await sprint.save();
+    if (transition) {
+      await runTransitionEffects(sprint, transition, { actorId: req.user._id, actorType: 'startup' });
+    }
+    
+    // Update startup onboarding
+    await Startup.findByIdAndUpdate(req.user._id, {
+      'onboarding.currentStep': 'meeting_scheduling',
+      'onboarding.documentsSubmitted': true,
+      'onboarding.lastUpdated': new Date()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Documents uploaded successfully',
+      data: {
+        sprint: {
+          id: sprint._id,
+          status: sprint.status,
+          documentsSubmitted: sprint.documentsSubmitted,
+          submittedAt: sprint.sprintDocuments?.submittedAt || null
+        },
+        uploadedDocuments,
+        submission: documentSubmission
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sprints/:id/schedule-meeting
+// @desc    Schedule meeting for sprint
+// @access  Private (Startup)
+router.post('/:id/schedule-meeting', authenticateStartup, authorizeMember('sprints.manage'), async (req, res, next) => {
+  try {
+    const { meetingUrl, scheduledAt, meetingType = 'kickoff' } = req.body;
+    
+    const sprint = await Sprint.findById(req.params.id)
+      .populate('questionnaireId');
+    
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+    
+    // Check access
+    const questionnaire = await Questionnaire.findOne({
+      _id: sprint.questionnaireId._id,
+      startupId: req.user._id
+    });
+    
+    if (!questionnaire) {
+      return next(new AppError('You do not have access to this sprint', 403, 'SPRINT_ACCESS_DENIED'));
+    }
+    
+    // Update sprint with meeting information
+    sprint.meetingScheduled = {
+      isScheduled: true,
+      meetingUrl: meetingUrl,
+      scheduledAt: new Date(scheduledAt),
+      meetingType: meetingType,
+      scheduledBy: req.user._id
+    };
+    
+    // Rescheduling later in the sprint only updates the meeting details
+    let transition = null;
+    if (canTransition(sprint.status, 'meeting_scheduled')) {
+      transition = await transitionSprint(sprint, 'meeting_scheduled', {
+        actorId: req.user._id,
+        actorType: 'startup',
+        memberId: req.member?._id,
+        note: `${meetingType} meeting scheduled for ${new Date(scheduledAt).toLocaleDateString()}`
+      });
+    }
+    
+    await sprint.save();
+    if (transition) {
+      await runTransitionEffects(sprint, transition, { actorId: req.user._id, actorType: 'startup' });
+    }
+    
+    // Update startup onboarding
+    await Startup.findByIdAndUpdate(req.user._id, {
+      'onboarding.currentStep': 'meeting_scheduled',
+      'onboarding.meetingScheduled': true,
+      'onboarding.lastUpdated': new Date()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Meeting scheduled successfully',
+      data: {
+        sprint: {
+          id: sprint._id,
+          status: sprint.status,
+          meetingScheduled: sprint.meetingScheduled,
+          timeline: sprint.timeline
+        }
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/sprints/admin/:sprintId/payment-status
+ * @desc    Update payment status for the selected package (Admin)
+ * @access  Private (Admin)
+ */
+router.put('/admin/:sprintId/payment-status', authenticateAdmin, authorize('payments.verify'), async (req, res, next) => {
+  try {
+    const { paymentStatus } = req.body;
+    if (!['paid', 'unpaid'].includes(paymentStatus)) {
+      return res.status(400).json({ success: false, message: 'Invalid payment status' });
+    }
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return res.status(404).json({ success: false, message: 'Sprint not found' });
+    }
+    // Onboarding update and confirmation email are shared with the payment webhook
+    if (paymentStatus === 'paid') {
+      await markSprintPaid(sprint, { verifiedBy: req.user._id, source: 'manual' });
+    } else {
+      await markSprintUnpaid(sprint, { voidedBy: req.user._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Selected package payment status updated',
+      data: {
+        sprintId: sprint._id,
+        selectedPackagePaymentStatus: sprint.selectedPackagePaymentStatus
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/payments
+ * @desc    Get payment schedule, ledger and outstanding balance (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/payments', authenticateAdmin, authorize('payments.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId)
+      .populate('paymentLedger.recordedBy', 'profile.firstName profile.lastName')
+      .populate('paymentLedger.voidedBy', 'profile.firstName profile.lastName');
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sprintId: sprint._id,
+        payments: serializePaymentState(sprint, { includeInternal: true })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/sprints/admin/:sprintId/payment-schedule
+ * @desc    Set the instalment schedule and board access policy (Admin)
+ * @access  Private (Admin)
+ */
+router.put('/admin/:sprintId/payment-schedule', authenticateAdmin, authorize('payments.verify'), validate(require('joi').object({
+  instalments: require('joi').array().items(require('joi').object({
+    label: require('joi').string().max(100).required(),
+    amount: require('joi').number().min(0).required(),
+    dueDate: require('joi').date().optional()
+  })).required(),
+  accessPolicy: require('joi').string().valid('full_payment', 'first_instalment', 'any_payment').optional()
+})), async (req, res, next) => {
+  try {
+    const { instalments, accessPolicy } = req.body;
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    setPaymentSchedule(sprint, instalments);
+    if (accessPolicy) {
+      sprint.paymentAccessPolicy = accessPolicy;
+    }
+    await sprint.save();
+
+    logger.info(`Payment schedule updated for sprint ${sprint._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Payment schedule updated',
+      data: {
+        sprintId: sprint._id,
+        payments: serializePaymentState(sprint, { includeInternal: true })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/payments
+ * @desc    Record a payment against the selected package (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/payments', authenticateAdmin, authorize('payments.verify'), validate(require('joi').object({
+  amount: require('joi').number().min(0.01).required(),
+  method: require('joi').string().valid('manual', 'bank_transfer', 'card', 'cash', 'other').default('manual'),
+  reference: require('joi').string().max(200).optional(),
+  note: require('joi').string().max(500).optional(),
+  instalmentId: require('joi').string().optional(),
+  paidAt: require('joi').date().optional()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    const { entry } = await recordSprintPayment(sprint, { ...req.body, recordedBy: req.user._id });
+
+    logger.info(`Payment of ${entry.amount} ${entry.currency} recorded for sprint ${sprint._id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      data: {
+        entryId: entry._id,
+        payments: serializePaymentState(sprint, { includeInternal: true })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/payments/:entryId/void
+ * @desc    Void a ledger entry recorded in error (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/payments/:entryId/void', authenticateAdmin, authorize('payments.verify'), validate(require('joi').object({
+  reason: require('joi').string().max(500).required()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    const { entry } = await voidSprintLedgerEntry(sprint, req.params.entryId, {
+      reason: req.body.reason,
+      voidedBy: req.user._id
+    });
+
+    logger.info(`Ledger entry ${entry._id} voided for sprint ${sprint._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Ledger entry voided',
+      data: {
+        entryId: entry._id,
+        payments: serializePaymentState(sprint, { includeInternal: true })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/payments/:entryId/refund
+ * @desc    Refund all or part of a recorded payment (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/payments/:entryId/refund', authenticateAdmin, authorize('payments.verify'), validate(require('joi').object({
+  amount: require('joi').number().min(0.01).optional(),
+  reference: require('joi').string().max(200).optional(),
+  note: require('joi').string().max(500).optional()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    const { entry } = await refundSprintPayment(sprint, req.params.entryId, { ...req.body, recordedBy: req.user._id });
+
+    logger.info(`Refund of ${entry.amount} ${entry.currency} recorded for sprint ${sprint._id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund recorded',
+      data: {
+        entryId: entry._id,
+        payments: serializePaymentState(sprint, { includeInternal: true })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/invoices
+ * @desc    List invoices and receipts issued for a sprint (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/invoices', authenticateAdmin, authorize('payments.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId).select('_id');
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    const invoices = await Invoice.find({ sprintId: sprint._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invoices: invoices.map(serializeInvoice)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// @route   POST /api/sprints/admin/create
+// @desc    Create custom sprint for questionnaire (Admin)
+// @access  Private (Admin)
+// Fields are optional when templateId is given: provided values override the template
+router.post('/admin/create', authenticateAdmin, authorize('sprints.create'), validate(require('joi').object({
+  questionnaireId: require('joi').string().required(),
+  templateId: require('joi').string().optional(),
+  name: require('joi').string().min(3).max(100).when('templateId', { is: require('joi').exist(), otherwise: require('joi').required() }),
+  description: require('joi').string().min(10).max(2000).when('templateId', { is: require('joi').exist(), otherwise: require('joi').required() }),
+  type: require('joi').string().valid('mvp', 'validation', 'branding', 'marketing', 'fundraising', 'custom').when('templateId', { is: require('joi').exist(), otherwise: require('joi').required() }),
+  estimatedDuration: require('joi').number().min(1).max(365).when('templateId', { is: require('joi').exist(), otherwise: require('joi').required() }),
+  packageOptions: require('joi').array().min(1).when('templateId', { is: require('joi').exist(), otherwise: require('joi').required() }),
+  deliverables: require('joi').array().items(require('joi').string()).optional(),
+  milestones: require('joi').array().optional(),
+  requiredDocuments: require('joi').array().optional(),
+  expiresAt: require('joi').date().greater('now').optional()
+})), async (req, res, next) => {
+  try {
+    const {
+      questionnaireId,
+      templateId,
       requiredDocuments = [],
-      deliverables = []
+      expiresAt
     } = req.body;
+
+    let fields = {
+      name: req.body.name,
+      description: req.body.description,
+      type: req.body.type,
+      estimatedDuration: req.body.estimatedDuration,
+      packageOptions: req.body.packageOptions,
+      deliverables: req.body.deliverables || [],
+      milestones: req.body.milestones || []
+    };
+    if (templateId) {
+      const template = await SprintTemplate.findOne({ _id: templateId, isActive: true });
+      if (!template) {
+        return next(new AppError('Sprint template not found', 404, 'TEMPLATE_NOT_FOUND'));
+      }
+      fields = template.toSprintFields(req.body);
+    }
+    const { name, description, type, estimatedDuration, packageOptions, deliverables, milestones } = fields;
     // Validate questionnaire exists and is approved
     const questionnaire = await Questionnaire.findById(questionnaireId)
       .populate('startupId', 'email profile.founderFirstName profile.founderLastName profile.companyName');
     
-    if (!questionnaire) {
-      return next(new AppError('Questionnaire not found', 404, 'QUESTIONNAIRE_NOT_FOUND'));
+    if (!questionnaire) {
+      return next(new AppError('Questionnaire not found', 404, 'QUESTIONNAIRE_NOT_FOUND'));
+    }
+    
+    if (questionnaire.status !== 'approved') {
+      return next(new AppError('Questionnaire must be approved before creating sprint', 400, 'QUESTIONNAIRE_NOT_APPROVED'));
+    }
+    
+    // Check if sprint already exists for this questionnaire
+    const existingSprint = await Sprint.findOne({ questionnaireId });
+    if (existingSprint) {
+      return next(new AppError('Sprint already exists for this questionnaire', 400, 'SPRINT_ALREADY_EXISTS'));
+    }
+    
+    // Validate package options
+    for (let pkg of packageOptions) {
+      if (!pkg.name || !pkg.description || !pkg.price || !pkg.currency) {
+        return next(new AppError('Each package must have name, description, price, and currency', 400, 'INVALID_PACKAGE_OPTIONS'));
+      }
+      if (!pkg.paymentLink || typeof pkg.paymentLink !== 'string' || pkg.paymentLink.trim() === "") {
+        return next(new AppError('Each package must have a valid payment link', 400, 'MISSING_PAYMENT_LINK'));
+      }
+    }
+    
+    // Create sprint
+    const sprint = new Sprint({
+      questionnaireId,
+      name,
+      description,
+      type,
+      status: 'available',
+      estimatedDuration,
+      packageOptions: packageOptions.map((pkg, index) => ({
+        ...pkg,
+        _id: undefined, // Let MongoDB generate new IDs
+        isRecommended: pkg.isRecommended || false,
+        paymentLink: pkg.paymentLink || ""
+      })),
+      requiredDocuments,
+      deliverables,
+      milestones,
+      templateId: fields.templateId,
+      createdBy: req.user._id,
+      timeline: {
+        createdAt: new Date()
+      },
+      statusHistory: [{
+        status: 'available',
+        changedAt: new Date(),
+        changedBy: req.user._id,
+        userType: 'admin',
+        note: 'Sprint created and made available'
+      }]
+    });
+    publishProposal(sprint, { publishedBy: req.user._id, expiresAt });
+    
+    await sprint.save();
+    
+    // Update questionnaire status
+    questionnaire.status = 'proposal_created';
+    await questionnaire.save();
+    
+    // Update startup onboarding
+    await Startup.findByIdAndUpdate(questionnaire.startupId._id, {
+      'onboarding.currentStep': 'sprint_selection',
+      'onboarding.sprintCreated': true,
+      'onboarding.lastUpdated': new Date()
+    });
+    
+    // Send notification email to startup
+    try {
+      await sendEmail({
+        to: questionnaire.startupId.email,
+        subject: `Custom Sprint Ready - ${name}`,
+        template: 'sprint-available',
+        data: {
+          startupName: questionnaire.startupId.profile.founderFirstName,
+          sprintName: name,
+          sprintDescription: description,
+          packageCount: packageOptions.length,
+          createdBy: req.user.profile.firstName + ' ' + req.user.profile.lastName
+        }
+      });
+    } catch (emailError) {
+      logger.logError('Sprint creation notification email failed', emailError);
+    }
+    
+    logger.logInfo(`Sprint created for questionnaire ${questionnaireId}`, {
+      sprintId: sprint._id,
+      questionnaireId,
+      startupId: questionnaire.startupId._id,
+      adminId: req.user._id,
+      sprintName: name
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Sprint created successfully',
+      data: {
+        sprint: {
+          id: sprint._id,
+          name: sprint.name,
+          description: sprint.description,
+          type: sprint.type,
+          status: sprint.status,
+          estimatedDuration: sprint.estimatedDuration,
+          packageOptions: sprint.packageOptions,
+          deliverables: sprint.deliverables,
+          milestones: sprint.milestones,
+          templateId: sprint.templateId,
+          requiredDocuments: sprint.requiredDocuments,
+          createdAt: sprint.createdAt
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.logError('Sprint creation failed', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/proposal
+ * @desc    Get proposal versions and negotiation history (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/proposal', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId)
+      .populate('proposal.history.actorId', 'email profile.firstName profile.lastName profile.companyName');
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
     }
-    
-    if (questionnaire.status !== 'approved') {
-      return next(new AppError('Questionnaire must be approved before creating sprint', 400, 'QUESTIONNAIRE_NOT_APPROVED'));
+
+    if (expireProposalIfDue(sprint)) {
+      await sprint.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        proposal: serializeProposal(sprint)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/revise
+ * @desc    Publish a revised proposal version (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/revise', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  name: require('joi').string().min(3).max(100).optional(),
+  description: require('joi').string().min(10).max(2000).optional(),
+  estimatedDuration: require('joi').number().min(1).max(365).optional(),
+  deliverables: require('joi').array().items(require('joi').string()).optional(),
+  packageOptions: require('joi').array().min(1).optional(),
+  changeSummary: require('joi').string().max(2000).required(),
+  expiresAt: require('joi').date().greater('now').allow(null).optional()
+})), async (req, res, next) => {
+  try {
+    const { changeSummary, expiresAt, ...changes } = req.body;
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    if (sprint.status !== 'available' || ['accepted', 'closed'].includes(sprint.proposal.status)) {
+      return next(new AppError('Only proposals awaiting a decision can be revised', 400, 'PROPOSAL_NOT_OPEN'));
+    }
+
+    if (changes.packageOptions) {
+      for (const pkg of changes.packageOptions) {
+        if (!pkg.name || !pkg.description || !pkg.currency) {
+          return next(new AppError('Each package must have name, description and currency', 400, 'INVALID_PACKAGE_OPTIONS'));
+        }
+        if (!pkg.paymentLink || typeof pkg.paymentLink !== 'string' || pkg.paymentLink.trim() === '') {
+          return next(new AppError('Each package must have a valid payment link', 400, 'MISSING_PAYMENT_LINK'));
+        }
+      }
+    }
+
+    reviseProposal(sprint, changes, { changeSummary, expiresAt, revisedBy: req.user._id });
+    await sprint.save();
+
+    // Notify the startup (don't wait for it)
+    setImmediate(async () => {
+      try {
+        const questionnaire = await Questionnaire.findById(sprint.questionnaireId).populate('startupId', 'email profile');
+        const startup = questionnaire && questionnaire.startupId;
+        if (!startup) return;
+        await sendEmail({
+          to: startup.email,
+          template: 'proposalRevised',
+          data: {
+            name: startup.profile.founderFirstName,
+            sprintName: sprint.name,
+            version: sprint.proposal.version,
+            changeSummary,
+            expiresAt: sprint.proposal.expiresAt ? sprint.proposal.expiresAt.toDateString() : '',
+            dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/startup/dashboard`
+          }
+        });
+      } catch (emailError) {
+        logger.logError(emailError, `Proposal revision email failed for sprint ${sprint._id}`);
+      }
+    });
+
+    logger.info(`Proposal ${sprint._id} revised to version ${sprint.proposal.version} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Proposal version ${sprint.proposal.version} published`,
+      data: {
+        proposal: serializeProposal(sprint)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/sprints/admin/:sprintId/proposal-expiry
+ * @desc    Set or clear a proposal's expiry date; extending reopens an expired proposal (Admin)
+ * @access  Private (Admin)
+ */
+router.put('/admin/:sprintId/proposal-expiry', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  expiresAt: require('joi').date().greater('now').allow(null).required()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    if (sprint.status !== 'available' || ['accepted', 'closed'].includes(sprint.proposal.status)) {
+      return next(new AppError('Only proposals awaiting a decision can be extended', 400, 'PROPOSAL_NOT_OPEN'));
+    }
+
+    sprint.proposal.expiresAt = req.body.expiresAt || undefined;
+    if (sprint.proposal.status === 'expired') {
+      sprint.proposal.status = 'open';
+    }
+    addProposalEvent(sprint, {
+      action: 'expiry_updated',
+      comment: req.body.expiresAt ? `Expires ${new Date(req.body.expiresAt).toISOString()}` : 'Expiry removed',
+      actorId: req.user._id,
+      actorModel: 'Admin'
+    });
+    await sprint.save();
+
+    res.json({
+      success: true,
+      message: 'Proposal expiry updated',
+      data: {
+        proposal: serializeProposal(sprint)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const milestoneFields = {
+  name: require('joi').string().max(200),
+  description: require('joi').string().max(1000).allow(''),
+  dueDate: require('joi').date().allow(null),
+  deliverables: require('joi').array().items(require('joi').object({
+    name: require('joi').string().required(),
+    description: require('joi').string().allow('').optional(),
+    fileUrl: require('joi').string().uri().optional()
+  }))
+};
+
+/**
+ * Find a milestone on the sprint or fail with MILESTONE_NOT_FOUND.
+ */
+function getSprintMilestone(sprint, milestoneId) {
+  const milestone = sprint.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new AppError('Milestone not found', 404, 'MILESTONE_NOT_FOUND');
+  }
+  return milestone;
+}
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/dependency-graph
+ * @desc    Task dependency graph of a sprint with its critical path (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/dependency-graph', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: await getSprintDependencyGraph(sprint)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/activity
+ * @desc    Activity feed of every task on the sprint's boards, newest first (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/activity', authenticateAdmin, authorize('sprints.view'), validate(taskSchemas.activityQuery, 'query'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: await getSprintActivity(sprint, req.query)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/burn-report
+ * @desc    Billable hours against the hours sold in the selected package, with overrun alerts (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/burn-report', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: await getSprintBurnReport(sprint)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/milestones
+ * @desc    Sprint milestones with linked task progress (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/milestones', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        progress: sprint.progress,
+        milestones: await serializeMilestones(sprint)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/milestones
+ * @desc    Add a milestone to a sprint (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/milestones', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  ...milestoneFields,
+  name: milestoneFields.name.required()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    sprint.milestones.push({
+      ...req.body,
+      dueDate: req.body.dueDate || undefined
+    });
+    const milestone = sprint.milestones[sprint.milestones.length - 1];
+    await rollUpSprintProgress(sprint);
+    await sprint.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone added',
+      data: {
+        milestone,
+        progress: sprint.progress
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/sprints/admin/:sprintId/milestones/:milestoneId
+ * @desc    Update a milestone; status can only be set on milestones without linked tasks (Admin)
+ * @access  Private (Admin)
+ */
+router.put('/admin/:sprintId/milestones/:milestoneId', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  ...milestoneFields,
+  status: require('joi').string().valid('pending', 'in_progress', 'completed')
+}).min(1)), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+    const milestone = getSprintMilestone(sprint, req.params.milestoneId);
+
+    const { status, ...fields } = req.body;
+    if (status !== undefined) {
+      const linkedTasks = await Task.countDocuments({ milestoneId: milestone._id });
+      if (linkedTasks > 0) {
+        return next(new AppError('Milestone status is derived from its linked tasks', 400, 'MILESTONE_STATUS_DERIVED'));
+      }
+      milestone.status = status;
+      milestone.completedAt = status === 'completed' ? new Date() : undefined;
+      milestone.progress = status === 'completed' ? 100 : 0;
+    }
+    Object.entries(fields).forEach(([field, value]) => {
+      milestone[field] = value === null ? undefined : value;
+    });
+
+    await rollUpSprintProgress(sprint);
+    await sprint.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone updated',
+      data: {
+        milestone,
+        progress: sprint.progress
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/sprints/admin/:sprintId/milestones/:milestoneId
+ * @desc    Remove a milestone and unlink its tasks (Admin)
+ * @access  Private (Admin)
+ */
+router.delete('/admin/:sprintId/milestones/:milestoneId', authenticateAdmin, authorize('sprints.manage'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+    const milestone = getSprintMilestone(sprint, req.params.milestoneId);
+
+    await Task.updateMany({ milestoneId: milestone._id }, { $unset: { milestoneId: 1 } });
+    sprint.milestones.pull(milestone._id);
+    await rollUpSprintProgress(sprint);
+    await sprint.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone removed',
+      data: {
+        progress: sprint.progress
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/milestones/:milestoneId/tasks
+ * @desc    Link board tasks of this sprint to a milestone (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/milestones/:milestoneId/tasks', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  taskIds: require('joi').array().items(require('joi').string().hex().length(24)).min(1).required()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
     }
-    
-    // Check if sprint already exists for this questionnaire
-    const existingSprint = await Sprint.findOne({ questionnaireId });
-    if (existingSprint) {
-      return next(new AppError('Sprint already exists for this questionnaire', 400, 'SPRINT_ALREADY_EXISTS'));
+    const milestone = getSprintMilestone(sprint, req.params.milestoneId);
+
+    const boards = await Board.find({ sprintId: sprint._id }).select('_id');
+    const taskIds = [...new Set(req.body.taskIds)];
+    const tasks = await Task.find({
+      _id: { $in: taskIds },
+      boardId: { $in: boards.map(board => board._id) }
+    }).select('_id');
+    if (tasks.length !== taskIds.length) {
+      return next(new AppError('All tasks must belong to this sprint\'s boards', 400, 'TASK_NOT_IN_SPRINT'));
     }
-    
-    // Validate package options
-    for (let pkg of packageOptions) {
-      if (!pkg.name || !pkg.description || !pkg.price || !pkg.currency) {
-        return next(new AppError('Each package must have name, description, price, and currency', 400, 'INVALID_PACKAGE_OPTIONS'));
+
+    await Task.updateMany({ _id: { $in: taskIds } }, { $set: { milestoneId: milestone._id } });
+    await rollUpSprintProgress(sprint);
+    await sprint.save();
+
+    res.json({
+      success: true,
+      message: 'Tasks linked to milestone',
+      data: {
+        milestones: await serializeMilestones(sprint),
+        progress: sprint.progress
       }
-      if (!pkg.paymentLink || typeof pkg.paymentLink !== 'string' || pkg.paymentLink.trim() === "") {
-        return next(new AppError('Each package must have a valid payment link', 400, 'MISSING_PAYMENT_LINK'));
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/sprints/admin/:sprintId/milestones/:milestoneId/tasks/:taskId
+ * @desc    Unlink a task from a milestone (Admin)
+ * @access  Private (Admin)
+ */
+router.delete('/admin/:sprintId/milestones/:milestoneId/tasks/:taskId', authenticateAdmin, authorize('sprints.manage'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+    const milestone = getSprintMilestone(sprint, req.params.milestoneId);
+
+    const result = await Task.updateOne(
+      { _id: req.params.taskId, milestoneId: milestone._id },
+      { $unset: { milestoneId: 1 } }
+    );
+    if (result.matchedCount === 0) {
+      return next(new AppError('Task is not linked to this milestone', 404, 'TASK_NOT_LINKED'));
+    }
+
+    await rollUpSprintProgress(sprint);
+    await sprint.save();
+
+    res.json({
+      success: true,
+      message: 'Task unlinked from milestone',
+      data: {
+        milestones: await serializeMilestones(sprint),
+        progress: sprint.progress
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/deliverables
+ * @desc    Deliverables with evidence, reviews and sign-off (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/deliverables', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
     }
-    
-    // Create sprint
-    const sprint = new Sprint({
-      questionnaireId,
-      name,
-      description,
-      type,
-      status: 'available',
-      estimatedDuration,
-      packageOptions: packageOptions.map((pkg, index) => ({
-        ...pkg,
-        _id: undefined, // Let MongoDB generate new IDs
-        isRecommended: pkg.isRecommended || false,
-        paymentLink: pkg.paymentLink || ""
-      })),
-      requiredDocuments,
-      deliverables,
-      createdBy: req.user._id,
-      timeline: {
-        createdAt: new Date()
-      },
-      statusHistory: [{
-        status: 'available',
-        changedAt: new Date(),
-        changedBy: req.user._id,
-        userType: 'admin',
-        note: 'Sprint created and made available'
-      }]
+
+    if (ensureDeliverableItems(sprint)) {
+      await sprint.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deliverables: sprint.deliverableItems,
+        acceptance: getAcceptanceSummary(sprint),
+        signOff: sprint.signOff
+      }
     });
-    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/deliverables
+ * @desc    Add a deliverable to the sprint's acceptance list (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/deliverables', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  name: require('joi').string().max(200).required(),
+  description: require('joi').string().max(2000).allow('').optional()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+    if (['completed', 'cancelled'].includes(sprint.status)) {
+      return next(new AppError('Deliverables cannot be added to a closed sprint', 400, 'SPRINT_CLOSED'));
+    }
+
+    ensureDeliverableItems(sprint);
+    sprint.deliverableItems.push(req.body);
+    const item = sprint.deliverableItems[sprint.deliverableItems.length - 1];
     await sprint.save();
-    
-    // Update questionnaire status
-    questionnaire.status = 'proposal_created';
-    await questionnaire.save();
-    
-    // Update startup onboarding
-    await Startup.findByIdAndUpdate(questionnaire.startupId._id, {
-      'onboarding.currentStep': 'sprint_selection',
-      'onboarding.sprintCreated': true,
-      'onboarding.lastUpdated': new Date()
+
+    res.status(201).json({
+      success: true,
+      message: 'Deliverable added',
+      data: {
+        deliverable: item
+      }
     });
-    
-    // Send notification email to startup
-    try {
-      await sendEmail({
-        to: questionnaire.startupId.email,
-        subject: `Custom Sprint Ready - ${name}`,
-        template: 'sprint-available',
-        data: {
-          startupName: questionnaire.startupId.profile.founderFirstName,
-          sprintName: name,
-          sprintDescription: description,
-          packageCount: packageOptions.length,
-          createdBy: req.user.profile.firstName + ' ' + req.user.profile.lastName
-        }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/sprints/admin/:sprintId/deliverables/:deliverableId/submit
+ * @desc    Submit evidence (files and/or links) and request startup acceptance (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/admin/:sprintId/deliverables/:deliverableId/submit', authenticateAdmin, authorize('sprints.manage'), evidenceUpload.array('evidence'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    ensureDeliverableItems(sprint);
+    const item = getDeliverableItem(sprint, req.params.deliverableId);
+
+    // Links arrive as a JSON string or repeated form fields in multipart requests
+    let links = req.body.links || [];
+    if (typeof links === 'string') {
+      try {
+        links = JSON.parse(links);
+      } catch {
+        links = [links];
+      }
+    }
+    const { error: linksError, value: validLinks } = require('joi')
+      .array()
+      .items(require('joi').alternatives().try(
+        require('joi').string().uri(),
+        require('joi').object({ url: require('joi').string().uri().required(), name: require('joi').string().max(200).optional() })
+      ))
+      .validate(Array.isArray(links) ? links : [links]);
+    if (linksError) {
+      return next(new AppError('Evidence links must be valid URLs', 400, 'INVALID_EVIDENCE_LINK'));
+    }
+
+    const evidence = validLinks.map(link => (typeof link === 'string'
+      ? { type: 'link', url: link }
+      : { type: 'link', url: link.url, name: link.name }));
+
+    for (const file of req.files || []) {
+      const uploadResult = await azureStorage.uploadFile(file, req.user._id, req.params.sprintId, 'deliverables');
+      if (!uploadResult.success) {
+        return next(new AppError(`Failed to upload ${file.originalname}`, 502, 'EVIDENCE_UPLOAD_FAILED'));
+      }
+      evidence.push({
+        type: 'file',
+        url: uploadResult.fileUrl,
+        name: file.originalname,
+        fileName: uploadResult.fileName,
+        mimeType: file.mimetype,
+        size: file.size
       });
-    } catch (emailError) {
-      logger.logError('Sprint creation notification email failed', emailError);
     }
-    
-    logger.logInfo(`Sprint created for questionnaire ${questionnaireId}`, {
-      sprintId: sprint._id,
-      questionnaireId,
-      startupId: questionnaire.startupId._id,
-      adminId: req.user._id,
-      sprintName: name
+
+    submitDeliverable(item, { evidence, note: req.body.note, submittedBy: req.user._id });
+    await sprint.save();
+
+    // Ask the startup to review (async, non-blocking)
+    setImmediate(async () => {
+      try {
+        const questionnaire = await Questionnaire.findById(sprint.questionnaireId).select('startupId');
+        const startup = questionnaire && await Startup.findById(questionnaire.startupId);
+        if (!startup) return;
+        await sendEmail({
+          to: startup.email,
+          template: 'deliverableSubmitted',
+          data: {
+            name: startup.profile?.founderFirstName || 'Founder',
+            sprintName: sprint.name,
+            deliverableName: item.name,
+            note: item.submissionNote,
+            dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/startup/dashboard`
+          }
+        });
+        socketManager.sendToUser(startup._id.toString(), 'deliverable_submitted', {
+          sprintId: sprint._id,
+          deliverableId: item._id,
+          deliverableName: item.name
+        });
+      } catch (notifyError) {
+        logger.logError(notifyError, `Deliverable submission notification failed for sprint ${sprint._id}`);
+      }
     });
-    
-    res.status(201).json({
+
+    res.json({
       success: true,
-      message: 'Sprint created successfully',
+      message: 'Deliverable submitted for acceptance',
       data: {
-        sprint: {
-          id: sprint._id,
-          name: sprint.name,
-          description: sprint.description,
-          type: sprint.type,
-          status: sprint.status,
-          estimatedDuration: sprint.estimatedDuration,
-          packageOptions: sprint.packageOptions,
-          requiredDocuments: sprint.requiredDocuments,
-          createdAt: sprint.createdAt
-        }
+        deliverable: item
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/sprints/admin/:sprintId/acceptance-certificate
+ * @desc    Download the acceptance certificate of a completed sprint (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/admin/:sprintId/acceptance-certificate', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    const questionnaire = await Questionnaire.findById(sprint.questionnaireId).select('startupId');
+    const startup = questionnaire ? await Startup.findById(questionnaire.startupId) : null;
+    await sendAcceptanceCertificate(res, sprint, startup);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/sprints/admin/:sprintId/team-lead
+ * @desc    Assign the lead admin credited for the sprint (Admin)
+ * @access  Private (Admin)
+ */
+router.put('/admin/:sprintId/team-lead', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  teamLead: require('joi').string().hex().length(24).required()
+})), async (req, res, next) => {
+  try {
+    const sprint = await Sprint.findById(req.params.sprintId);
+    if (!sprint) {
+      return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
+    }
+
+    const lead = await Admin.findById(req.body.teamLead).select('profile.firstName profile.lastName');
+    if (!lead) {
+      return next(new AppError('Admin not found', 404, 'ADMIN_NOT_FOUND'));
+    }
+
+    sprint.assignedTeam.teamLead = lead._id;
+    await sprint.save();
+
+    res.json({
+      success: true,
+      message: 'Team lead assigned',
+      data: {
+        sprintId: sprint._id,
+        teamLead: lead
       }
     });
-    
   } catch (error) {
-    logger.logError('Sprint creation failed', error);
     next(error);
   }
 });
@@ -958,7 +2580,7 @@ router.post('/admin/create', authenticateAdmin, validate(require('joi').object({
 // @route   GET /api/sprints/admin/all
 // @desc    Get all sprints (Admin)
 // @access  Private (Admin)
-router.get('/admin/all', authenticateAdmin, async (req, res, next) => {
+router.get('/admin/all', authenticateAdmin, authorize('sprints.view'), async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -1081,8 +2703,8 @@ router.get('/admin/all', authenticateAdmin, async (req, res, next) => {
 // @route   PUT /api/sprints/admin/:id/status
 // @desc    Update sprint status (Admin)
 // @access  Private (Admin)
-router.put('/admin/:id/status', authenticateAdmin, validate(require('joi').object({
-  status: require('joi').string().valid('draft', 'available', 'in_progress', 'on_hold', 'completed', 'cancelled').required(),
+router.put('/admin/:id/status', authenticateAdmin, authorize('sprints.manage'), validate(require('joi').object({
+  status: require('joi').string().valid(...Object.keys(SPRINT_TRANSITIONS)).required(),
   statusNote: require('joi').string().max(500).optional()
 })), async (req, res, next) => {
   try {
@@ -1095,39 +2717,13 @@ router.put('/admin/:id/status', authenticateAdmin, validate(require('joi').objec
       return next(new AppError('Sprint not found', 404, 'SPRINT_NOT_FOUND'));
     }
     
-    const oldStatus = sprint.status;
-    sprint.status = status;
-    
-    // Update timeline based on status
-    if (status === 'in_progress' && !sprint.startDate) {
-      sprint.startDate = new Date();
-    } else if (status === 'completed' && !sprint.endDate) {
-      sprint.endDate = new Date();
-      sprint.progress.percentage = 100;
-    }
-    
-    // Add to status history
-    sprint.statusHistory.push({
-      status: status,
-      changedAt: new Date(),
-      changedBy: req.user._id,
-      userType: 'admin',
-      note: statusNote || `Status changed from ${oldStatus} to ${status}`
+    // Transition table, guards, statusHistory and side effects live in the state machine
+    const { from: oldStatus } = await applySprintTransition(sprint, status, {
+      actorId: req.user._id,
+      actorType: 'admin',
+      note: statusNote
     });
     
-    await sprint.save();
-
-    // If sprint is now in_progress, set startup onboarding.currentStep to 'active_sprint'
-    if (status === 'in_progress' && sprint.questionnaireId && sprint.questionnaireId.startupId) {
-      await Startup.findByIdAndUpdate(
-        sprint.questionnaireId.startupId,
-        {
-          'onboarding.currentStep': 'active_sprint',
-          'onboarding.lastUpdated': new Date()
-        }
-      );
-    }
-    
     logger.logInfo(`Sprint status updated by admin ${req.user._id}`, {
       sprintId: sprint._id,
       oldStatus,
@@ -1159,7 +2755,7 @@ router.put('/admin/:id/status', authenticateAdmin, validate(require('joi').objec
  * @desc    Mark sprint as completed (Startup)
  * @access  Private (Startup)
  */
-router.put('/startup/:id/finish', authenticateStartup, async (req, res, next) => {
+router.put('/startup/:id/finish', authenticateStartup, authorizeMember('sprints.manage'), async (req, res, next) => {
   try {
     const sprint = await Sprint.findById(req.params.id).populate('questionnaireId');
     if (!sprint) {
@@ -1176,40 +2772,37 @@ router.put('/startup/:id/finish', authenticateStartup, async (req, res, next) =>
     if (sprint.status === 'completed') {
       return res.json({ success: true, message: 'Sprint already completed' });
     }
-console.log(sprint.id)
-    // Check all tasks for this sprint are completed
-const boards = await Board.find({ sprintId: sprint.id });
-const boardIds = boards.map(b => b._id);
-const tasks = await Task.find({ boardId: { $in: boardIds } });
 
-    const allTasksDone = tasks.length > 0 && tasks.every(task => task.status === 'done');
+    // Startups may only finish once progress reaches 100%; the task check is the state machine's completed guard
+    const completion = await getSprintTaskCompletion(sprint);
     const isSprintComplete = sprint.progress && sprint.progress.percentage === 100;
-    // console.log(isSprintComplete)
-    if (!allTasksDone || !isSprintComplete) {
+    if (!completion.allTasksDone || !isSprintComplete) {
       return res.status(400).json({
         success: false,
         message: 'Cannot complete sprint: All tasks must be completed and sprint progress must be 100%.',
         data: {
-          allTasksDone,
+          allTasksDone: completion.allTasksDone,
           isSprintComplete,
-          totalTasks: tasks.length,
-          doneTasks: tasks.filter(t => t.status === 'done').length,
+          totalTasks: completion.totalTasks,
+          doneTasks: completion.doneTasks,
           progress: sprint.progress ? sprint.progress.percentage : 0
         }
       });
     }
 
-    sprint.status = 'completed';
-    sprint.endDate = new Date();
-    sprint.progress.percentage = 100;
-    sprint.statusHistory.push({
-      status: 'completed',
-      changedAt: new Date(),
-      changedBy: req.user._id,
-      userType: 'startup',
+    // The completed guard also requires every deliverable to be accepted
+    const transition = await transitionSprint(sprint, 'completed', {
+      actorId: req.user._id,
+      actorType: 'startup',
+      memberId: req.member?._id,
       note: 'Sprint marked as completed by startup'
     });
+    await recordSignOff(sprint, req.user, {
+      signatoryName: req.body && req.body.signatoryName,
+      ipAddress: req.ip
+    });
     await sprint.save();
+    await runTransitionEffects(sprint, transition, { actorId: req.user._id, actorType: 'startup' });
     res.json({
       success: true,
       message: 'Sprint marked as completed',
@@ -1218,7 +2811,8 @@ const tasks = await Task.find({ boardId: { $in: boardIds } });
           id: sprint._id,
           status: sprint.status,
           endDate: sprint.endDate,
-          progress: sprint.progress
+          progress: sprint.progress,
+          signOff: sprint.signOff
         }
       }
     });
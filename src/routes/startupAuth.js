@@ -2,16 +2,38 @@ const express = require('express');
 const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
 const Startup = require('../models/Startup');
+const StartupMember = require('../models/StartupMember');
 const { AppError } = require('../middleware/errorHandler');
 const { 
   generateStartupTokens, 
   authenticateStartup, 
   validateRefreshToken,
-  loginRateLimit 
+  loginRateLimit,
+  userRateLimit
 } = require('../middleware/auth');
-const { validate } = require('../utils/validation'); // <-- FIXED: use 'validate'
+const { validate, twoFactorSchemas } = require('../utils/validation'); // <-- FIXED: use 'validate'
 const logger = require('../utils/logger');
 const { sendEmail, sendSMS } = require('../utils/communications');
+const {
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+  twoFactorStatus,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/twoFactor');
+const {
+  SESSION_TTL_MS,
+  newSessionId,
+  sessionMetadata,
+  rotateRefreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { serializeMember } = require('../utils/startupWorkspace');
 
 const router = express.Router();
 
@@ -33,9 +55,106 @@ const registerSchema = Joi.object({
 
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().required()
+  password: Joi.string().required(),
+  deviceInfo: Joi.string().max(500).optional()
 });
 
+const acceptInviteSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8).required(),
+  firstName: Joi.string().trim().min(2).max(50).optional(),
+  lastName: Joi.string().trim().min(2).max(50).optional(),
+  deviceInfo: Joi.string().max(500).optional()
+});
+
+// Issue session tokens once every login step has passed; `member` for a
+// workspace member signing in to the startup account
+async function startStartupSession(startup, req, deviceInfo, member = null) {
+  const signedIn = member || startup;
+  signedIn.authentication.lastLoginAt = new Date();
+  await signedIn.save();
+
+  const sessionId = newSessionId();
+  const { accessToken, refreshToken } = generateStartupTokens(startup, sessionId, member);
+  await startup.addRefreshToken({
+    _id: sessionId,
+    token: refreshToken,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    memberId: member ? member._id : undefined,
+    ...sessionMetadata(req, deviceInfo)
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  };
+}
+
+function loginSummary(startup) {
+  return {
+    id: startup._id,
+    email: startup.email,
+    profile: startup.profile,
+    onboarding: startup.onboarding,
+    status: startup.status,
+    verification: {
+      email: {
+        isVerified: startup.verification.email.isVerified
+      },
+      phone: {
+        isVerified: startup.verification.phone.isVerified
+      }
+    }
+  };
+}
+
+// Password login of a workspace member (emails without a startup account)
+async function loginMember(member, { password, deviceInfo }, req, res) {
+  if (member.isLocked) {
+    const lockTime = Math.ceil((member.authentication.lockedUntil - Date.now()) / (1000 * 60));
+    throw new AppError(`Account locked for ${lockTime} minutes`, 401, 'ACCOUNT_LOCKED');
+  }
+  
+  if (!(await member.comparePassword(password))) {
+    await member.incLoginAttempts();
+    await new Promise(resolve => setTimeout(resolve, 1000)); // Prevent timing attacks
+    
+    logger.logSecurity('STARTUP_MEMBER_LOGIN_FAILED', `Invalid password for ${member.email}`, req.ip);
+    throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+  }
+  
+  const startup = await Startup.findById(member.startupId);
+  if (!startup || ['suspended', 'inactive'].includes(startup.status)) {
+    throw new AppError('This startup account is not active', 401, 'ACCOUNT_INACTIVE');
+  }
+  
+  if (member.authentication.loginAttempts > 0) {
+    await member.resetLoginAttempts();
+  }
+  const tokens = await startStartupSession(startup, req, deviceInfo, member);
+  
+  logger.logAuth('STARTUP_MEMBER_LOGIN_SUCCESS', `${member.email} (${startup.email})`, req.ip);
+  
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      startup: loginSummary(startup),
+      member: serializeMember(member),
+      tokens
+    }
+  });
+}
+
+// The startup account's own login; its 2FA settings are not shared with members
+const requireAccountHolder = (req, res, next) => {
+  if (req.member) {
+    return next(new AppError('Only the account holder can change these settings', 403, 'ACCOUNT_HOLDER_REQUIRED'));
+  }
+  next();
+};
+
 // @route   POST /api/startup/auth/register
 // @desc    Register a new startup
 // @access  Public
@@ -48,7 +167,12 @@ router.post('/register', validate(registerSchema), async (req, res, next) => {
     if (existingStartup) {
       return next(new AppError('Startup already exists with this email', 400, 'STARTUP_EXISTS'));
     }
-    
+
+    // Workspace members sign in with their email, so it cannot also be an account
+    if (await StartupMember.exists({ email, status: { $ne: 'removed' } })) {
+      return next(new AppError('This email belongs to a startup workspace member', 400, 'EMAIL_IN_WORKSPACE'));
+    }
+
     // Check if phone number is already used
     if (phone) {
       const existingPhone = await Startup.findOne({ phone });
@@ -74,15 +198,8 @@ router.post('/register', validate(registerSchema), async (req, res, next) => {
     
     await startup.save();
     
-    // Generate tokens
-    const { accessToken, refreshToken } = generateStartupTokens(startup);
-    
-    // Store refresh token
-    await startup.addRefreshToken({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      deviceInfo: req.headers['user-agent'] || 'Unknown'
-    });
+    // Start a session
+    const { accessToken, refreshToken } = await startStartupSession(startup, req);
     
     // Send welcome email (Azure Communication Services)
     try {
@@ -163,6 +280,11 @@ router.post('/login', loginRateLimit, validate(loginSchema), async (req, res, ne
     const startup = await Startup.findOne({ email }).select('+password');
     
     if (!startup) {
+      const member = await StartupMember.findOne({ email, status: 'active' }).select('+password');
+      if (member) {
+        return await loginMember(member, { password, deviceInfo }, req, res);
+      }
+      
       await new Promise(resolve => setTimeout(resolve, 1000)); // Prevent timing attacks
       return next(new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS'));
     }
@@ -184,24 +306,28 @@ router.post('/login', loginRateLimit, validate(loginSchema), async (req, res, ne
       return next(new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS'));
     }
     
+    // With 2FA the password only earns a challenge, exchanged at /2fa/verify.
+    // Failed attempts are kept until the code is verified, so a known
+    // password cannot be used to keep guessing codes.
+    if (startup.authentication.twoFactorEnabled) {
+      logger.logAuth('STARTUP_LOGIN_2FA_CHALLENGE', email, req.ip);
+      
+      return res.json({
+        success: true,
+        message: 'Enter your two-factor authentication code',
+        data: {
+          twoFactorRequired: true,
+          ...createTwoFactorChallenge(startup, 'startup')
+        }
+      });
+    }
+    
     // Reset login attempts on successful login
     if (startup.authentication.loginAttempts > 0) {
       await startup.resetLoginAttempts();
     }
     
-    // Update last login
-    startup.authentication.lastLoginAt = new Date();
-    await startup.save();
-    
-    // Generate tokens
-    const { accessToken, refreshToken } = generateStartupTokens(startup);
-    
-    // Store refresh token
-    await startup.addRefreshToken({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      deviceInfo: deviceInfo || req.headers['user-agent'] || 'Unknown'
-    });
+    const tokens = await startStartupSession(startup, req, deviceInfo);
     
     // Log successful login
     logger.logAuth('STARTUP_LOGIN_SUCCESS', email, req.ip);
@@ -210,21 +336,189 @@ router.post('/login', loginRateLimit, validate(loginSchema), async (req, res, ne
       success: true,
       message: 'Login successful',
       data: {
-        startup: {
-          id: startup._id,
-          email: startup.email,
-          profile: startup.profile,
-          onboarding: startup.onboarding,
-          status: startup.status,
-          verification: {
-            email: {
-              isVerified: startup.verification.email.isVerified
-            },
-            phone: {
-              isVerified: startup.verification.phone.isVerified
-            }
-          }
-        },
+        startup: loginSummary(startup),
+        tokens
+      }
+    });
+    
+  } catch (error) {
+    logger.logError('Startup login failed', error, { email: req.body.email });
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/2fa/verify
+// @desc    Second login step: exchange the challenge and a TOTP or recovery code for tokens
+// @access  Public (challenge token)
+router.post('/2fa/verify', userRateLimit(10, 15 * 60 * 1000), validate(twoFactorSchemas.verify), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode, deviceInfo } = req.body;
+    const { id } = verifyTwoFactorChallenge(challengeToken, 'startup', 'login');
+
+    const startup = await Startup.findById(id);
+    if (!startup || ['suspended', 'inactive'].includes(startup.status)) {
+      return next(new AppError('Invalid two-factor challenge', 401, 'INVALID_CHALLENGE'));
+    }
+    if (startup.isLocked) {
+      const lockTime = Math.ceil((startup.authentication.lockedUntil - Date.now()) / (1000 * 60));
+      return next(new AppError(`Account locked for ${lockTime} minutes`, 401, 'ACCOUNT_LOCKED'));
+    }
+
+    let result;
+    try {
+      result = verifySecondFactor(startup, { code, recoveryCode });
+    } catch (error) {
+      await startup.incLoginAttempts();
+      logger.logSecurity('STARTUP_2FA_FAILED', `Invalid two-factor code for ${startup.email}`, req.ip);
+      throw error;
+    }
+
+    if (startup.authentication.loginAttempts > 0) {
+      await startup.resetLoginAttempts();
+    }
+    const tokens = await startStartupSession(startup, req, deviceInfo);
+
+    logger.logAuth(result.method === 'recovery_code' ? 'STARTUP_LOGIN_SUCCESS_RECOVERY_CODE' : 'STARTUP_LOGIN_SUCCESS', startup.email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        startup: loginSummary(startup),
+        tokens,
+        recoveryCodesRemaining: result.recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/startup/auth/2fa
+// @desc    Two-factor status of the current startup
+// @access  Private
+router.get('/2fa', authenticateStartup, requireAccountHolder, (req, res) => {
+  res.json({
+    success: true,
+    data: { twoFactor: twoFactorStatus(req.user) }
+  });
+});
+
+// @route   POST /api/startup/auth/2fa/setup
+// @desc    Opt in: new secret as otpauth URI and QR code, confirmed with /2fa/enable
+// @access  Private
+router.post('/2fa/setup', userRateLimit(10, 15 * 60 * 1000), authenticateStartup, requireAccountHolder, async (req, res, next) => {
+  try {
+    const setup = await beginTwoFactorSetup(req.user, req.user.email);
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/2fa/enable
+// @desc    Confirm enrolment with a code; returns recovery codes
+// @access  Private
+router.post('/2fa/enable', userRateLimit(10, 15 * 60 * 1000), authenticateStartup, requireAccountHolder, validate(twoFactorSchemas.enable), async (req, res, next) => {
+  try {
+    const recoveryCodes = confirmTwoFactorSetup(req.user, req.body.code);
+    await req.user.save();
+
+    logger.logAuth('STARTUP_2FA_ENABLED', req.user.email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once',
+      data: { recoveryCodes, twoFactor: twoFactorStatus(req.user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/2fa/disable
+// @desc    Turn two-factor authentication off
+// @access  Private
+router.post('/2fa/disable', authenticateStartup, requireAccountHolder, validate(twoFactorSchemas.disable), async (req, res, next) => {
+  try {
+    const startup = req.user;
+    if (startup.password && !(await startup.comparePassword(req.body.password || ''))) {
+      return next(new AppError('Password is incorrect', 400, 'INVALID_CURRENT_PASSWORD'));
+    }
+
+    verifySecondFactor(startup, req.body);
+    resetTwoFactor(startup);
+    await startup.save();
+
+    logger.logAuth('STARTUP_2FA_DISABLED', startup.email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: { twoFactor: twoFactorStatus(startup) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/2fa/recovery-codes
+// @desc    Replace recovery codes; the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateStartup, requireAccountHolder, validate(twoFactorSchemas.regenerateRecoveryCodes), async (req, res, next) => {
+  try {
+    verifySecondFactor(req.user, req.body);
+    const recoveryCodes = regenerateRecoveryCodes(req.user);
+    await req.user.save();
+
+    logger.logAuth('STARTUP_2FA_RECOVERY_CODES_REGENERATED', req.user.email, req.ip);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; they are shown only once',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/refresh
+// @desc    Rotate the refresh token and issue a new access token
+// @access  Public (refresh token)
+router.post('/refresh', validateRefreshToken, async (req, res, next) => {
+  try {
+    const { user: startup, refreshSession } = req;
+    
+    if (req.userType !== 'startup') {
+      return next(new AppError('Invalid token type', 400, 'INVALID_TOKEN_TYPE'));
+    }
+    
+    // A member's session ends with their membership
+    let member = null;
+    if (refreshSession.memberId) {
+      member = await StartupMember.findOne({ _id: refreshSession.memberId, startupId: startup._id, status: 'active' });
+      if (!member) {
+        await revokeSession(startup, refreshSession._id, refreshSession.memberId);
+        return next(new AppError('You are no longer a member of this workspace', 401, 'MEMBER_REMOVED'));
+      }
+    }
+    
+    const { accessToken, refreshToken } = generateStartupTokens(startup, refreshSession._id, member);
+    await rotateRefreshSession(startup, refreshSession, refreshToken, req);
+    
+    logger.logAuth('STARTUP_TOKEN_REFRESH', startup.email, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
         tokens: {
           accessToken,
           refreshToken,
@@ -234,7 +528,155 @@ router.post('/login', loginRateLimit, validate(loginSchema), async (req, res, ne
     });
     
   } catch (error) {
-    logger.logError('Startup login failed', error, { email: req.body.email });
+    logger.logError('Startup token refresh failed', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', authenticateStartup, async (req, res, next) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.user, req.sessionId, req.member?._id);
+    } else if (req.body.refreshToken) {
+      await req.user.removeRefreshToken(req.body.refreshToken);
+    }
+    
+    logger.logAuth('STARTUP_LOGOUT', req.user.email, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+    
+  } catch (error) {
+    logger.logError('Startup logout failed', error);
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/logout-all
+// @desc    End every session of the caller, on all devices (members' sessions are their own)
+// @access  Private
+router.post('/logout-all', authenticateStartup, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user, req.member?._id);
+    
+    logger.logAuth('STARTUP_LOGOUT_ALL', req.user.email, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+    
+  } catch (error) {
+    logger.logError('Startup logout from all devices failed', error);
+    next(error);
+  }
+});
+
+// @route   GET /api/startup/auth/sessions
+// @desc    Active sessions with device, user agent, IP and last use
+// @access  Private
+router.get('/sessions', authenticateStartup, (req, res) => {
+  res.json({
+    success: true,
+    data: { sessions: listSessions(req.user, req.sessionId, req.member?._id) }
+  });
+});
+
+// @route   DELETE /api/startup/auth/sessions/:sessionId
+// @desc    Revoke one session; its tokens stop working immediately
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateStartup, async (req, res, next) => {
+  try {
+    await revokeSession(req.user, req.params.sessionId, req.member?._id);
+    
+    logger.logAuth('STARTUP_SESSION_REVOKED', `${req.user.email} session ${req.params.sessionId}`, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/startup/auth/validate-invite/:token
+// @desc    Validate a workspace invitation
+// @access  Public
+router.get('/validate-invite/:token', async (req, res, next) => {
+  try {
+    const member = await StartupMember.findByInviteToken(req.params.token)
+      .populate('startupId', 'profile.companyName');
+    
+    if (!member) {
+      return next(new AppError('Invalid or expired invitation token', 400, 'INVALID_INVITE_TOKEN'));
+    }
+    
+    res.json({
+      success: true,
+      message: 'Invitation token is valid',
+      data: {
+        member: {
+          email: member.email,
+          profile: member.profile,
+          role: member.role
+        },
+        companyName: member.startupId?.profile?.companyName || null
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/auth/accept-invite
+// @desc    Join a startup workspace: set a password and sign in
+// @access  Public
+router.post('/accept-invite', validate(acceptInviteSchema), async (req, res, next) => {
+  try {
+    const { token, password, firstName, lastName, deviceInfo } = req.body;
+    
+    const member = await StartupMember.findByInviteToken(token);
+    if (!member) {
+      return next(new AppError('Invalid or expired invitation token', 400, 'INVALID_INVITE_TOKEN'));
+    }
+    
+    const startup = await Startup.findById(member.startupId);
+    if (!startup || ['suspended', 'inactive'].includes(startup.status)) {
+      return next(new AppError('This startup account is not active', 400, 'ACCOUNT_INACTIVE'));
+    }
+    
+    member.password = password;
+    if (firstName) member.profile.firstName = firstName;
+    if (lastName) member.profile.lastName = lastName;
+    member.status = 'active';
+    member.joinedAt = new Date();
+    member.inviteToken = undefined;
+    member.inviteExpiresAt = undefined;
+    
+    const tokens = await startStartupSession(startup, req, deviceInfo, member);
+    
+    logger.logAuth('STARTUP_MEMBER_JOINED', `${member.email} (${startup.email})`, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Welcome to the team',
+      data: {
+        startup: loginSummary(startup),
+        member: serializeMember(member),
+        tokens
+      }
+    });
+    
+  } catch (error) {
+    logger.logError('Workspace invite acceptance failed', error);
     next(error);
   }
 });
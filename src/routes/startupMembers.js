@@ -0,0 +1,202 @@
+const express = require('express');
+const Joi = require('joi');
+const StartupMember = require('../models/StartupMember');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticateStartup, authorizeMember } = require('../middleware/auth');
+const { validate } = require('../utils/validation');
+const logger = require('../utils/logger');
+const { sendEmail } = require('../utils/communications');
+const { revokeAllSessions } = require('../utils/sessions');
+const { WORKSPACE_ROLES, workspaceRole, describeRoles } = require('../utils/workspacePermissions');
+const {
+  memberName,
+  serializeMember,
+  serializeAccountHolder,
+  findWorkspaceMember,
+  checkInvitableEmail,
+  getWorkspaceActivity
+} = require('../utils/startupWorkspace');
+
+const router = express.Router();
+
+const inviteMemberSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required(),
+  firstName: Joi.string().trim().min(2).max(50).optional(),
+  lastName: Joi.string().trim().min(2).max(50).optional(),
+  title: Joi.string().trim().max(100).optional(),
+  role: Joi.string().valid(...WORKSPACE_ROLES).default('member')
+});
+
+const updateRoleSchema = Joi.object({
+  role: Joi.string().valid(...WORKSPACE_ROLES).required()
+});
+
+const activityQuerySchema = Joi.object({
+  memberId: Joi.alternatives().try(Joi.string().valid('owner'), Joi.string().hex().length(24)).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Members cannot change their own role or membership
+function ensureNotSelf(req, member) {
+  if (req.member && req.member._id.toString() === member._id.toString()) {
+    throw new AppError('You cannot change your own membership', 400, 'CANNOT_MODIFY_SELF');
+  }
+}
+
+// Name of whoever is acting for the startup, for emails
+function actorName(req) {
+  return req.member ? memberName(req.member) : serializeAccountHolder(req.user).name;
+}
+
+// @route   GET /api/startup/members/roles
+// @desc    Workspace roles and the permissions each holds
+// @access  Private (Startup)
+router.get('/roles', authenticateStartup, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: describeRoles(),
+      currentRole: workspaceRole(req)
+    }
+  });
+});
+
+// @route   GET /api/startup/members
+// @desc    People sharing the startup account: the account holder and invited members
+// @access  Private (Startup)
+router.get('/', authenticateStartup, async (req, res, next) => {
+  try {
+    const members = await StartupMember.find({ startupId: req.user._id, status: { $ne: 'removed' } })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        members: [serializeAccountHolder(req.user), ...members.map(serializeMember)],
+        currentMemberId: req.member ? req.member._id : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/startup/members/invite
+// @desc    Invite someone to the workspace by email
+// @access  Private (Startup, members.manage)
+router.post('/invite', authenticateStartup, authorizeMember('members.manage'), validate(inviteMemberSchema), async (req, res, next) => {
+  try {
+    const { email, firstName, lastName, title, role } = req.body;
+
+    const removed = await checkInvitableEmail(req.user._id, email);
+    const member = removed || new StartupMember({ startupId: req.user._id, email });
+
+    member.set({
+      profile: { firstName, lastName, title },
+      role,
+      status: 'invited',
+      invitedBy: req.member ? req.member._id : null,
+      password: undefined,
+      joinedAt: undefined,
+      removedAt: undefined,
+      removedBy: null
+    });
+    const inviteToken = member.createInviteToken();
+    await member.save();
+
+    const inviteUrl = `${process.env.FRONTEND_URL}/startup/accept-invite?token=${inviteToken}`;
+    sendEmail({
+      to: email,
+      template: 'workspaceInvite',
+      escapeData: true,
+      data: {
+        name: member.fullName || email,
+        inviterName: actorName(req),
+        companyName: req.user.profile?.companyName || 'your startup',
+        role,
+        inviteUrl
+      }
+    }).catch(err => logger.logError(err, 'Async Email Send'));
+
+    logger.logAuth('STARTUP_MEMBER_INVITED', `${email} to ${req.user.email} as ${role}`, req.ip);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: { member: serializeMember(member) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/startup/members/activity
+// @desc    Write actions taken in the workspace, by member
+// @access  Private (Startup, members.manage)
+router.get('/activity', authenticateStartup, authorizeMember('members.manage'), validate(activityQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { memberId, page, limit } = req.query;
+
+    res.json({
+      success: true,
+      data: await getWorkspaceActivity(req.user._id, { memberId, page, limit })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/startup/members/:memberId/role
+// @desc    Change a member's role; applies on their next request
+// @access  Private (Startup, members.manage)
+router.put('/:memberId/role', authenticateStartup, authorizeMember('members.manage'), validate(updateRoleSchema), async (req, res, next) => {
+  try {
+    const member = await findWorkspaceMember(req.user._id, req.params.memberId);
+    ensureNotSelf(req, member);
+
+    const previousRole = member.role;
+    member.role = req.body.role;
+    await member.save();
+
+    logger.logAuth('STARTUP_MEMBER_ROLE_CHANGED', `${member.email} ${previousRole} -> ${member.role} (${req.user.email})`, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { member: serializeMember(member) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/startup/members/:memberId
+// @desc    Remove a member or cancel an invitation; their sessions end immediately
+// @access  Private (Startup, members.manage)
+router.delete('/:memberId', authenticateStartup, authorizeMember('members.manage'), async (req, res, next) => {
+  try {
+    const member = await findWorkspaceMember(req.user._id, req.params.memberId);
+    ensureNotSelf(req, member);
+
+    member.status = 'removed';
+    member.removedAt = new Date();
+    member.removedBy = req.member ? req.member._id : null;
+    member.inviteToken = undefined;
+    member.inviteExpiresAt = undefined;
+    await member.save();
+
+    await revokeAllSessions(req.user, member._id);
+
+    logger.logAuth('STARTUP_MEMBER_REMOVED', `${member.email} from ${req.user.email}`, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,54 +1,33 @@
 const express = require('express');
+const Joi = require('joi');
 const Task = require('../models/Task');
+const TimeLog = require('../models/TimeLog');
 const { AppError } = require('../middleware/errorHandler');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticate, authenticateAdmin, authenticateStartup, authorize, authorizeMember } = require('../middleware/auth');
+const { authorizeTask } = require('../middleware/resourcePolicy');
 const { validate } = require('../utils/validation');
 const logger = require('../utils/logger');
+const { publishBoardEvent, requestActor } = require('../utils/boardEvents');
+const { recordTaskActivity } = require('../utils/taskActivity');
+const { logTaskTime } = require('../utils/timeTracking');
+const {
+  commentViewer,
+  getCommentThreads,
+  addTaskComment,
+  notifyMentions,
+  serializeComment
+} = require('../utils/taskComments');
 
 const router = express.Router();
 
 // Validation schemas
-const addCommentSchema = {
-  content: {
-    required: true,
-    type: 'string',
-    minLength: 1,
-    maxLength: 2000,
-    message: 'Comment content is required (1-2000 characters)'
-  },
-  isInternal: {
-    required: false,
-    type: 'boolean',
-    message: 'isInternal must be a boolean'
-  },
-  mentions: {
-    required: false,
-    type: 'array',
-    message: 'Mentions must be an array of user IDs'
-  }
-};
-
-const logTimeSchema = {
-  hours: {
-    required: true,
-    type: 'number',
-    min: 0.1,
-    max: 24,
-    message: 'Hours must be between 0.1 and 24'
-  },
-  description: {
-    required: true,
-    type: 'string',
-    minLength: 3,
-    maxLength: 500,
-    message: 'Time log description is required (3-500 characters)'
-  },
-  logDate: {
-    required: false,
-    type: 'string',
-    message: 'Log date must be a valid date string'
-  }
-};
+const logTimeSchema = Joi.object({
+  hours: Joi.number().min(0.1).max(24).required()
+    .messages({ 'number.min': 'Hours must be between 0.1 and 24', 'number.max': 'Hours must be between 0.1 and 24' }),
+  description: Joi.string().trim().min(3).max(500).required(),
+  logDate: Joi.date().iso().max('now').optional(),
+  billable: Joi.boolean().optional()
+});
 
 const addSubtaskSchema = {
   title: {
@@ -76,99 +55,112 @@ const addSubtaskSchema = {
   }
 };
 
-// Helper function to check task access
-async function checkTaskAccess(taskId, userId, accessType = 'read') {
-  const task = await Task.findById(taskId).populate('boardId');
-  
-  if (!task) {
-    throw new AppError('Task not found', 404, 'TASK_NOT_FOUND');
+// Board rooms can include the startup, so internal comments go out without their content
+function commentEventData(comment) {
+  if (comment.isInternal) {
+    return { commentId: comment._id, isInternal: true };
   }
-  
-  const board = task.boardId;
-  
-  // Check board access
-  const hasAccess = board.visibility === 'public' ||
-                   board.createdBy.toString() === userId.toString() ||
-                   board.permissions.users.some(u => u.userId.toString() === userId.toString());
-  
-  if (!hasAccess) {
-    throw new AppError('You do not have access to this task', 403, 'TASK_ACCESS_DENIED');
-  }
-  
-  // For write access, check additional permissions
-  if (accessType === 'write') {
-    const hasEditAccess = board.createdBy.toString() === userId.toString() ||
-                         board.permissions.users.some(u => 
-                           u.userId.toString() === userId.toString() && 
-                           ['admin', 'editor'].includes(u.role)
-                         ) ||
-                         task.assigneeId?.toString() === userId.toString();
-    
-    if (!hasEditAccess) {
-      throw new AppError('You do not have permission to edit this task', 403, 'TASK_EDIT_DENIED');
-    }
-  }
-  
-  return task;
+  return {
+    commentId: comment._id,
+    isInternal: false,
+    content: comment.content,
+    authorId: comment.authorId && comment.authorId._id ? comment.authorId._id : comment.authorId,
+    authorModel: comment.authorModel,
+    parentCommentId: comment.parentCommentId || null,
+    createdAt: comment.createdAt,
+    isEdited: comment.isEdited
+  };
 }
 
 // ==================== COMMENTS ====================
 
-// @route   POST /api/tasks/:id/comments
-// @desc    Add comment to task
-// @access  Private (Admin)
-router.post('/:id/comments', authenticateAdmin, validate(require('joi').object({
-  content: require('joi').string().min(1).max(2000).required(),
-  isInternal: require('joi').boolean().optional()
-})), async (req, res, next) => {
+const commentFields = {
+  content: Joi.string().trim().min(1).max(2000).required(),
+  parentCommentId: Joi.string().hex().length(24).optional(),
+  mentions: Joi.array().items(Joi.object({
+    userId: Joi.string().hex().length(24).required(),
+    userModel: Joi.string().valid('Admin', 'Startup').required()
+  })).max(20).default([])
+};
+
+const commentAuthorFields = 'profile.firstName profile.lastName profile.avatar profile.founderFirstName profile.founderLastName';
+const commentAuthors = [
+  { path: 'comments.authorId', select: commentAuthorFields },
+  { path: 'comments.authorMemberId', select: 'email profile.firstName profile.lastName' }
+];
+
+// Post a comment or reply and fan out its event and mention notifications
+async function postComment(req, res) {
+  const viewer = commentViewer(req);
+  const { task, board } = req;
+
+  const { comment, mentioned } = await addTaskComment(task, board, viewer, req.body);
+
+  logger.logInfo(`Comment added to task ${task._id} by ${viewer.model.toLowerCase()} ${req.user._id}`, {
+    taskId: task._id,
+    commentId: comment._id,
+    isInternal: comment.isInternal,
+    parentCommentId: comment.parentCommentId
+  });
+
+  await publishBoardEvent(task.boardId, 'task_comment_added', {
+    taskId: task._id,
+    data: commentEventData(comment),
+    actor: requestActor(req)
+  });
+
+  notifyMentions(task, comment, mentioned, viewer);
+
+  await task.populate(commentAuthors);
+  res.status(201).json({
+    success: true,
+    message: comment.parentCommentId ? 'Reply added successfully' : 'Comment added successfully',
+    data: {
+      comment: serializeComment(task.comments.id(comment._id))
+    }
+  });
+}
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Comment threads of a task (startups see non-internal comments only)
+// @access  Private (Admin, Startup)
+router.get('/:id/comments', authenticate, authorizeTask('view'), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'read');
-    const { content, isInternal = false, mentions = [] } = req.body;
-    
-    // Create comment
-    const comment = {
-      content,
-      authorId: req.user._id,
-      isInternal,
-      mentions: mentions.filter(id => id !== req.user._id.toString()), // Don't mention yourself
-      createdAt: new Date()
-    };
-    
-    task.comments.push(comment);
-    
-    // Activity log removed (field does not exist)
-    
-    // Watchers feature removed (field does not exist)
-    
-    await task.save();
-    
-    // Populate comment for response
-    const populatedTask = await Task.findById(task._id)
-      .populate('comments.authorId', 'profile.firstName profile.lastName profile.avatar');
-    
-    const addedComment = populatedTask.comments[populatedTask.comments.length - 1];
-    
-    logger.logInfo(`Comment added to task ${task._id} by admin ${req.user._id}`, {
-      taskId: task._id,
-      commentId: addedComment._id,
-      isInternal
-    });
-    
-    res.status(201).json({
+    const viewer = commentViewer(req);
+    const { task } = req;
+    await task.populate(commentAuthors);
+
+    res.json({
       success: true,
-      message: 'Comment added successfully',
       data: {
-        comment: {
-          id: addedComment._id,
-          content: addedComment.content,
-          author: addedComment.authorId,
-          isInternal: addedComment.isInternal,
-          mentions: addedComment.mentions,
-          createdAt: addedComment.createdAt
-        }
+        comments: getCommentThreads(task, viewer)
       }
     });
-    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/startup/:id/comments
+// @desc    Add a comment or reply to a task on the startup's board
+// @access  Private (Startup)
+router.post('/startup/:id/comments', authenticateStartup, authorizeMember('tasks.comment'), authorizeTask('view'), validate(Joi.object(commentFields)), async (req, res, next) => {
+  try {
+    await postComment(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Add comment or reply to task
+// @access  Private (Admin)
+router.post('/:id/comments', authenticateAdmin, authorize('tasks.edit'), authorizeTask('view'), validate(Joi.object({
+  ...commentFields,
+  isInternal: Joi.boolean().optional()
+})), async (req, res, next) => {
+  try {
+    await postComment(req, res);
   } catch (error) {
     next(error);
   }
@@ -177,9 +169,9 @@ router.post('/:id/comments', authenticateAdmin, validate(require('joi').object({
 // @route   PUT /api/tasks/:id/comments/:commentId
 // @desc    Update comment
 // @access  Private (Admin)
-router.put('/:id/comments/:commentId', authenticateAdmin, async (req, res, next) => {
+router.put('/:id/comments/:commentId', authenticateAdmin, authorize('tasks.edit'), authorizeTask('view'), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'read');
+    const { task, board } = req;
     const { content } = req.body;
     
     if (!content || content.trim().length === 0) {
@@ -192,22 +184,34 @@ router.put('/:id/comments/:commentId', authenticateAdmin, async (req, res, next)
     }
     
     // Check if user can edit comment (author or admin)
-    const canEdit = comment.authorId.toString() === req.user._id.toString() ||
+    const canEdit = (comment.authorId.toString() === req.user._id.toString() && comment.authorModel === 'Admin') ||
                    req.user.role === 'super_admin' ||
-                   task.boardId.createdBy.toString() === req.user._id.toString();
+                   board.createdBy.toString() === req.user._id.toString();
     
     if (!canEdit) {
       return next(new AppError('You can only edit your own comments', 403, 'COMMENT_EDIT_DENIED'));
     }
     
+    const previousContent = comment.content;
     comment.content = content.trim();
-    comment.editedAt = new Date();
-    comment.editedBy = req.user._id;
-    
-    // Activity log removed (field does not exist)
+    comment.isEdited = true;
+    comment.updatedAt = new Date();
+    
+    recordTaskActivity(task, requestActor(req), 'comment_edited', {
+      field: 'comments',
+      oldValue: comment.isInternal ? null : previousContent,
+      newValue: comment.isInternal ? null : comment.content,
+      description: comment.isInternal ? 'Internal comment' : undefined
+    });
     
     await task.save();
     
+    await publishBoardEvent(task.boardId, 'task_comment_updated', {
+      taskId: task._id,
+      data: commentEventData(comment),
+      actor: requestActor(req)
+    });
+    
     res.json({
       success: true,
       message: 'Comment updated successfully',
@@ -215,8 +219,8 @@ router.put('/:id/comments/:commentId', authenticateAdmin, async (req, res, next)
         comment: {
           id: comment._id,
           content: comment.content,
-          editedAt: comment.editedAt,
-          editedBy: comment.editedBy
+          isEdited: comment.isEdited,
+          updatedAt: comment.updatedAt
         }
       }
     });
@@ -227,11 +231,11 @@ router.put('/:id/comments/:commentId', authenticateAdmin, async (req, res, next)
 });
 
 // @route   DELETE /api/tasks/:id/comments/:commentId
-// @desc    Delete comment
+// @desc    Delete comment (with its replies)
 // @access  Private (Admin)
-router.delete('/:id/comments/:commentId', authenticateAdmin, async (req, res, next) => {
+router.delete('/:id/comments/:commentId', authenticateAdmin, authorize('tasks.edit'), authorizeTask('view'), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'read');
+    const { task, board } = req;
     
     const comment = task.comments.id(req.params.commentId);
     if (!comment) {
@@ -239,20 +243,33 @@ router.delete('/:id/comments/:commentId', authenticateAdmin, async (req, res, ne
     }
     
     // Check if user can delete comment
-    const canDelete = comment.authorId.toString() === req.user._id.toString() ||
+    const canDelete = (comment.authorId.toString() === req.user._id.toString() && comment.authorModel === 'Admin') ||
                      req.user.role === 'super_admin' ||
-                     task.boardId.createdBy.toString() === req.user._id.toString();
+                     board.createdBy.toString() === req.user._id.toString();
     
     if (!canDelete) {
       return next(new AppError('You can only delete your own comments', 403, 'COMMENT_DELETE_DENIED'));
     }
     
-    task.comments.pull(req.params.commentId);
+    const replyIds = task.comments
+      .filter(reply => reply.parentCommentId && reply.parentCommentId.toString() === comment._id.toString())
+      .map(reply => reply._id);
+    task.comments.pull(comment._id, ...replyIds);
     
-    // Activity log removed (field does not exist)
+    recordTaskActivity(task, requestActor(req), 'comment_deleted', {
+      field: 'comments',
+      oldValue: comment.isInternal ? null : comment.content,
+      description: comment.isInternal ? 'Internal comment' : undefined
+    });
     
     await task.save();
     
+    await publishBoardEvent(task.boardId, 'task_comment_deleted', {
+      taskId: task._id,
+      data: { commentId: comment._id, replyIds },
+      actor: requestActor(req)
+    });
+    
     res.json({
       success: true,
       message: 'Comment deleted successfully'
@@ -268,15 +285,22 @@ router.delete('/:id/comments/:commentId', authenticateAdmin, async (req, res, ne
 // @route   POST /api/tasks/:id/time-logs
 // @desc    Log time for task
 // @access  Private (Admin)
-router.post('/:id/time-logs', authenticateAdmin, validate(logTimeSchema), async (req, res, next) => {
+router.post('/:id/time-logs', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), validate(logTimeSchema), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'write');
-    const { hours, description, logDate } = req.body;
+    const { task, board } = req;
+    
+    const timeLog = await logTaskTime(task, board, req.user._id, req.body);
+    
+    logger.logInfo(`${timeLog.hours}h logged on task ${task._id} by admin ${req.user._id}`, {
+      taskId: task._id,
+      timeLogId: timeLog._id,
+      sprintId: timeLog.sprintId
+    });
     
-    // Time tracking removed (field does not exist)
-    res.status(501).json({
-      success: false,
-      message: 'Time tracking is not supported on this system.'
+    res.status(201).json({
+      success: true,
+      message: 'Time logged successfully',
+      data: { timeLog }
     });
     
   } catch (error) {
@@ -287,14 +311,22 @@ router.post('/:id/time-logs', authenticateAdmin, validate(logTimeSchema), async
 // @route   GET /api/tasks/:id/time-logs
 // @desc    Get time logs for task
 // @access  Private (Admin)
-router.get('/:id/time-logs', authenticateAdmin, async (req, res, next) => {
+router.get('/:id/time-logs', authenticateAdmin, authorize('boards.view'), authorizeTask('view'), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'read');
+    const { task } = req;
     
-    // Time tracking removed (field does not exist)
-    res.status(501).json({
-      success: false,
-      message: 'Time tracking is not supported on this system.'
+    const timeLogs = await TimeLog.find({ taskId: task._id })
+      .populate('adminId', 'profile.firstName profile.lastName profile.avatar')
+      .sort({ logDate: -1, createdAt: -1 });
+    const totalHours = timeLogs.reduce((sum, log) => sum + log.hours, 0);
+    
+    res.json({
+      success: true,
+      data: {
+        timeLogs,
+        totalHours: Math.round(totalHours * 100) / 100,
+        estimatedHours: task.estimatedHours || null
+      }
     });
     
   } catch (error) {
@@ -303,16 +335,25 @@ router.get('/:id/time-logs', authenticateAdmin, async (req, res, next) => {
 });
 
 // @route   DELETE /api/tasks/:id/time-logs/:logId
-// @desc    Delete time log
+// @desc    Delete time log (own logs; super admins any)
 // @access  Private (Admin)
-router.delete('/:id/time-logs/:logId', authenticateAdmin, async (req, res, next) => {
+router.delete('/:id/time-logs/:logId', authenticateAdmin, authorize('tasks.edit'), authorizeTask('view'), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'write');
+    const { task } = req;
     
-    // Time tracking removed (field does not exist)
-    res.status(501).json({
-      success: false,
-      message: 'Time tracking is not supported on this system.'
+    const timeLog = await TimeLog.findOne({ _id: req.params.logId, taskId: task._id });
+    if (!timeLog) {
+      return next(new AppError('Time log not found', 404, 'TIME_LOG_NOT_FOUND'));
+    }
+    if (timeLog.adminId.toString() !== req.user._id.toString() && req.user.role !== 'super_admin') {
+      return next(new AppError('You can only delete your own time logs', 403, 'TIME_LOG_DELETE_DENIED'));
+    }
+    
+    await timeLog.deleteOne();
+    
+    res.json({
+      success: true,
+      message: 'Time log deleted successfully'
     });
     
   } catch (error) {
@@ -325,9 +366,9 @@ router.delete('/:id/time-logs/:logId', authenticateAdmin, async (req, res, next)
 // @route   POST /api/tasks/:id/subtasks
 // @desc    Add subtask
 // @access  Private (Admin)
-router.post('/:id/subtasks', authenticateAdmin, validate(addSubtaskSchema), async (req, res, next) => {
+router.post('/:id/subtasks', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), validate(addSubtaskSchema), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'write');
+    const { task } = req;
     const { title, description, assigneeId, dueDate } = req.body;
     
     // Validate assignee if provided
@@ -350,7 +391,7 @@ router.post('/:id/subtasks', authenticateAdmin, validate(addSubtaskSchema), asyn
     
     task.subtasks.push(subtask);
     
-    // Activity log removed (field does not exist)
+    recordTaskActivity(task, requestActor(req), 'subtask_added', { field: 'subtasks', newValue: title });
     
     await task.save();
     
@@ -367,6 +408,12 @@ router.post('/:id/subtasks', authenticateAdmin, validate(addSubtaskSchema), asyn
       subtaskTitle: title
     });
     
+    await publishBoardEvent(task.boardId, 'task_subtask_added', {
+      taskId: task._id,
+      data: { subtask: addedSubtask.toJSON() },
+      actor: requestActor(req)
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Subtask added successfully',
@@ -392,9 +439,9 @@ router.post('/:id/subtasks', authenticateAdmin, validate(addSubtaskSchema), asyn
 // @route   PUT /api/tasks/:id/subtasks/:subtaskId
 // @desc    Update subtask
 // @access  Private (Admin)
-router.put('/:id/subtasks/:subtaskId', authenticateAdmin, async (req, res, next) => {
+router.put('/:id/subtasks/:subtaskId', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'write');
+    const { task } = req;
     const { title, description, status, assigneeId, dueDate } = req.body;
     
     const subtask = task.subtasks.id(req.params.subtaskId);
@@ -403,6 +450,8 @@ router.put('/:id/subtasks/:subtaskId', authenticateAdmin, async (req, res, next)
     }
     
     const oldStatus = subtask.status;
+    const oldTitle = subtask.title;
+    const oldAssigneeId = subtask.assigneeId;
     
     // Update fields
     if (title !== undefined) subtask.title = title;
@@ -426,10 +475,26 @@ router.put('/:id/subtasks/:subtaskId', authenticateAdmin, async (req, res, next)
     if (title !== undefined) changes.push('title');
     if (assigneeId !== undefined) changes.push('assignee');
     
-    // Activity log removed (field does not exist)
+    const actor = requestActor(req);
+    const subtaskLabel = `Subtask "${subtask.title}"`;
+    if (status !== undefined && status !== oldStatus) {
+      recordTaskActivity(task, actor, 'subtask_updated', { field: 'subtasks.status', oldValue: oldStatus, newValue: status, description: subtaskLabel });
+    }
+    if (title !== undefined && title !== oldTitle) {
+      recordTaskActivity(task, actor, 'subtask_updated', { field: 'subtasks.title', oldValue: oldTitle, newValue: subtask.title, description: subtaskLabel });
+    }
+    if (assigneeId !== undefined && String(oldAssigneeId || '') !== String(subtask.assigneeId || '')) {
+      recordTaskActivity(task, actor, 'subtask_updated', { field: 'subtasks.assigneeId', oldValue: oldAssigneeId, newValue: subtask.assigneeId, description: subtaskLabel });
+    }
     
     await task.save();
     
+    await publishBoardEvent(task.boardId, 'task_subtask_updated', {
+      taskId: task._id,
+      data: { subtask: subtask.toJSON(), changes },
+      actor: requestActor(req)
+    });
+    
     res.json({
       success: true,
       message: 'Subtask updated successfully',
@@ -454,9 +519,9 @@ router.put('/:id/subtasks/:subtaskId', authenticateAdmin, async (req, res, next)
 // @route   DELETE /api/tasks/:id/subtasks/:subtaskId
 // @desc    Delete subtask
 // @access  Private (Admin)
-router.delete('/:id/subtasks/:subtaskId', authenticateAdmin, async (req, res, next) => {
+router.delete('/:id/subtasks/:subtaskId', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
   try {
-    const task = await checkTaskAccess(req.params.id, req.user._id, 'write');
+    const { task } = req;
     
     const subtask = task.subtasks.id(req.params.subtaskId);
     if (!subtask) {
@@ -466,10 +531,16 @@ router.delete('/:id/subtasks/:subtaskId', authenticateAdmin, async (req, res, ne
     const subtaskTitle = subtask.title;
     task.subtasks.pull(req.params.subtaskId);
     
-    // Activity log removed (field does not exist)
+    recordTaskActivity(task, requestActor(req), 'subtask_deleted', { field: 'subtasks', oldValue: subtaskTitle });
     
     await task.save();
     
+    await publishBoardEvent(task.boardId, 'task_subtask_deleted', {
+      taskId: task._id,
+      data: { subtaskId: subtask._id, title: subtaskTitle },
+      actor: requestActor(req)
+    });
+    
     res.json({
       success: true,
       message: 'Subtask deleted successfully'
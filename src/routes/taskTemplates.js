@@ -0,0 +1,174 @@
+const express = require('express');
+const Joi = require('joi');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticateAdmin, authorize } = require('../middleware/auth');
+const { validate } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SPRINT_TYPES = ['mvp', 'validation', 'branding', 'marketing', 'fundraising', 'custom'];
+
+const templateFields = {
+  name: Joi.string().min(3).max(100),
+  title: Joi.string().min(1).max(200),
+  description: Joi.string().max(5000).allow(''),
+  taskType: Joi.string().valid(...Task.schema.path('taskType').enumValues),
+  priority: Joi.string().valid(...Task.schema.path('priority').enumValues),
+  estimatedHours: Joi.number().min(0).max(1000),
+  dueInDays: Joi.number().integer().min(0).max(365),
+  subtasks: Joi.array().items(Joi.object({
+    title: Joi.string().max(200).required(),
+    description: Joi.string().max(1000).allow('').optional()
+  })).max(50),
+  checklist: Joi.array().items(Joi.string().max(300)).max(50),
+  recurrence: Joi.object({
+    frequency: Joi.string().valid(...Task.schema.path('recurrence.frequency').enumValues).required(),
+    trigger: Joi.string().valid(...Task.schema.path('recurrence.trigger').enumValues).default('on_completion')
+  }).allow(null),
+  sprintTypes: Joi.array().items(Joi.string().valid(...SPRINT_TYPES)).unique(),
+  isActive: Joi.boolean()
+};
+
+const createTemplateSchema = Joi.object({
+  ...templateFields,
+  name: templateFields.name.required(),
+  title: templateFields.title.required(),
+  taskType: templateFields.taskType.required()
+});
+
+const updateTemplateSchema = Joi.object(templateFields).min(1);
+
+// @route   GET /api/task-templates
+// @desc    List task templates, optionally filtered by sprint type
+// @access  Private (Admin)
+router.get('/', authenticateAdmin, authorize('templates.view'), async (req, res, next) => {
+  try {
+    const { sprintType, includeInactive } = req.query;
+
+    const query = {};
+    if (sprintType) {
+      query.sprintTypes = sprintType;
+    }
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const templates = await TaskTemplate.find(query)
+      .populate('createdBy', 'profile.firstName profile.lastName')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/task-templates/:id
+// @desc    Get a task template
+// @access  Private (Admin)
+router.get('/:id', authenticateAdmin, authorize('templates.view'), async (req, res, next) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id)
+      .populate('createdBy', 'profile.firstName profile.lastName')
+      .populate('updatedBy', 'profile.firstName profile.lastName');
+
+    if (!template) {
+      return next(new AppError('Task template not found', 404, 'TASK_TEMPLATE_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/task-templates
+// @desc    Create a task template
+// @access  Private (Admin)
+router.post('/', authenticateAdmin, authorize('templates.manage'), validate(createTemplateSchema), async (req, res, next) => {
+  try {
+    const template = new TaskTemplate({
+      ...req.body,
+      createdBy: req.user._id
+    });
+    await template.save();
+
+    logger.info(`Task template ${template._id} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Task template created',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/task-templates/:id
+// @desc    Update a task template (tasks already stamped from it are unchanged)
+// @access  Private (Admin)
+router.put('/:id', authenticateAdmin, authorize('templates.manage'), validate(updateTemplateSchema), async (req, res, next) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return next(new AppError('Task template not found', 404, 'TASK_TEMPLATE_NOT_FOUND'));
+    }
+
+    Object.assign(template, req.body);
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Task template updated',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/task-templates/:id
+// @desc    Delete a task template (deactivated instead if tasks were created from it)
+// @access  Private (Admin)
+router.delete('/:id', authenticateAdmin, authorize('templates.manage'), async (req, res, next) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return next(new AppError('Task template not found', 404, 'TASK_TEMPLATE_NOT_FOUND'));
+    }
+
+    const usage = await Task.countDocuments({ templateId: template._id });
+    if (usage > 0) {
+      template.isActive = false;
+      template.updatedBy = req.user._id;
+      await template.save();
+      return res.json({
+        success: true,
+        message: 'Task template deactivated (it has been used by existing tasks)',
+        data: { template }
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Task template deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,41 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Task = require('../models/Task');
-const Board = require('../models/Board');
 const { AppError } = require('../middleware/errorHandler');
-const { authenticateAdmin } = require('../middleware/auth');
-const { validate } = require('../utils/validation');
+const { authenticateAdmin, authenticateStartup, authorize, authorizeMember } = require('../middleware/auth');
+const { authorizeTask, authorizeBoard } = require('../middleware/resourcePolicy');
+const { validate, taskSchemas } = require('../utils/validation');
 const logger = require('../utils/logger');
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage() });
 const { uploadFile } = require('../utils/azureStorage');
+const { syncSprintProgressForBoard } = require('../utils/sprintProgress');
+const { getAppendRank } = require('../utils/taskRanking');
+const { moveTask, assertTaskVersion, notifyTaskReadyForReview } = require('../utils/taskMoves');
+const { publishBoardEvent, requestActor, clientTaskSnapshot } = require('../utils/boardEvents');
+const {
+  addTaskDependency,
+  removeTaskDependency,
+  refreshBlockedTasks,
+  getTaskDependencies
+} = require('../utils/taskDependencies');
+const { setTaskRecurrence, generateCompletedRecurrences } = require('../utils/taskRecurrence');
+const { applyBulkTaskChanges } = require('../utils/taskBulk');
+const { requestPrincipal } = require('../utils/resourcePolicy');
+const {
+  getTrashRetentionDays,
+  getPurgeDate,
+  trashTask,
+  restoreTask,
+  purgeTask,
+  setTaskArchived
+} = require('../utils/taskTrash');
+const {
+  recordTaskActivity,
+  snapshotTrackedFields,
+  recordFieldChanges,
+  getTaskActivity
+} = require('../utils/taskActivity');
 
 const router = express.Router();
 
@@ -19,7 +46,7 @@ const Joi = require('joi');
 // @route   POST /api/tasks
 // @desc    Create new task (Admin)
 // @access  Private (Admin)
-router.post('/', authenticateAdmin, upload.array('attachments'), async (req, res, next) => {
+router.post('/', authenticateAdmin, authorize('tasks.edit'), upload.array('attachments'), authorizeBoard('canCreateTasks', req => req.body.boardId), async (req, res, next) => {
   try {
     const { boardId, title, description, columnId, dueDate, taskType, priority, assigneeId, watchers } = req.body;
 
@@ -27,9 +54,10 @@ router.post('/', authenticateAdmin, upload.array('attachments'), async (req, res
       return res.status(400).json({ success: false, message: 'Missing required fields.' });
     }
 
-    // Get position for new task (end of column)
+    // Get position and rank for new task (end of column)
     const tasksInColumn = await Task.find({ boardId, columnId }).sort({ position: -1 }).limit(1);
     const position = tasksInColumn.length > 0 ? tasksInColumn[0].position + 1 : 0;
+    const rank = await getAppendRank(boardId, columnId);
 
     // Handle file uploads
     let attachments = [];
@@ -62,6 +90,7 @@ router.post('/', authenticateAdmin, upload.array('attachments'), async (req, res
       description,
       columnId,
       position,
+      rank,
       dueDate: dueDate ? new Date(dueDate) : null,
       taskType: taskType || 'feature',
       priority: priority || 'medium',
@@ -71,30 +100,15 @@ router.post('/', authenticateAdmin, upload.array('attachments'), async (req, res
       status: req.body.status || 'todo',
       attachments
     });
+    recordTaskActivity(task, requestActor(req), 'created');
 
     await task.save();
 
-    // Update sprint task counts and progress
-    try {
-      const board = await Board.findById(boardId);
-      if (board && board.sprintId) {
-        const Sprint = require('../models/Sprint');
-        const TaskModel = require('../models/Task');
-        const sprint = await Sprint.findById(board.sprintId);
-        if (sprint) {
-          const allTasks = await TaskModel.find({ boardId });
-          const totalTasks = allTasks.length;
-          const doneTasks = allTasks.filter(t => t.status === "done").length;
-          sprint.totalTasks = totalTasks;
-          sprint.doneTasks = doneTasks;
-          sprint.progress = sprint.progress || {};
-          sprint.progress.percentage = totalTasks > 0 ? Math.round((doneTasks / totalTasks) * 100) : 100;
-          await sprint.save();
-        }
-      }
-    } catch (progressErr) {
-      logger.logError("Failed to update sprint task counts after task creation", progressErr);
-    }
+    // Update sprint milestone and progress roll-up
+    await syncSprintProgressForBoard(task.boardId);
+    await generateCompletedRecurrences(task.boardId);
+
+    await publishBoardEvent(task.boardId, 'task_created', { taskId: task._id, data: { task: task.toJSON() }, actor: requestActor(req) });
 
     res.status(201).json({ success: true, data: { task } });
   } catch (err) {
@@ -102,149 +116,219 @@ router.post('/', authenticateAdmin, upload.array('attachments'), async (req, res
   }
 });
 
-// @route   POST /api/tasks/:id/move
-// @desc    Move task to different column/position (Admin)
+// @route   POST /api/tasks/bulk
+// @desc    Apply the same changes to many tasks of a board, with a result per task (Admin)
 // @access  Private (Admin)
-router.post('/:id/move', authenticateAdmin, async (req, res, next) => {
+router.post('/bulk', authenticateAdmin, authorize('tasks.edit'), validate(Joi.object({
+  boardId: Joi.string().hex().length(24).required(),
+  taskIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(200).unique().required(),
+  changes: Joi.object({
+    assigneeId: Joi.string().hex().length(24).allow(null),
+    priority: Joi.string().valid(...Task.schema.path('priority').enumValues),
+    status: Joi.string().valid(...Task.schema.path('status').enumValues),
+    columnId: Joi.string().hex().length(24),
+    overrideWipLimit: Joi.boolean(),
+    dueDateShiftDays: Joi.number().integer().min(-365).max(365).invalid(0),
+    archive: Joi.boolean(),
+    delete: Joi.boolean().valid(true)
+  }).min(1)
+    .oxor('status', 'columnId')
+    .when(Joi.object({ delete: Joi.exist() }).unknown(), {
+      then: Joi.object({ delete: Joi.exist() }).length(1).messages({ 'object.length': 'delete cannot be combined with other changes' })
+    })
+    .required()
+})), authorizeBoard('view', req => req.body.boardId), async (req, res, next) => {
   try {
-    const { columnId, position } = req.body;
-    const task = await Task.findById(req.params.id);
+    const { boardId, taskIds, changes } = req.body;
+    const result = await applyBulkTaskChanges(boardId, taskIds, changes, requestActor(req), requestPrincipal(req));
 
-    if (!task) {
-      return res.status(404).json({ success: false, message: 'Task not found.' });
-    }
+    logger.info(`Bulk task update by ${req.user.email}: ${result.summary.succeeded}/${result.summary.requested} succeeded (${Object.keys(changes).join(', ')})`);
+
+    res.json({
+      success: true,
+      message: `${result.summary.succeeded} of ${result.summary.requested} task(s) updated`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== TRASH & ARCHIVE ====================
 
-    const oldColumnId = task.columnId.toString();
-    const oldPosition = task.position;
-    const oldStatus = task.status;
-
-    // Optimized: Use bulkWrite for batch updates
-    const bulkOps = [];
-    if (columnId === oldColumnId) {
-      if (position > oldPosition) {
-        bulkOps.push({
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: columnId,
-              position: { $gt: oldPosition, $lte: position }
-            },
-            update: { $inc: { position: -1 } }
-          }
-        });
-      } else if (position < oldPosition) {
-        bulkOps.push({
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: columnId,
-              position: { $gte: position, $lt: oldPosition }
-            },
-            update: { $inc: { position: 1 } }
-          }
-        });
+// @route   GET /api/tasks/trash?boardId=
+// @desc    Trashed tasks of a board with their purge dates (Admin)
+// @access  Private (Admin)
+router.get('/trash', authenticateAdmin, authorize('boards.view'), validate(Joi.object({
+  boardId: Joi.string().hex().length(24).required()
+}), 'query'), authorizeBoard('view', req => req.query.boardId), async (req, res, next) => {
+  try {
+    const tasks = await Task.find({ boardId: req.query.boardId, deletedAt: { $ne: null } })
+      .select('title taskType priority status columnId deletedAt deletedBy deletedByModel')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays: getTrashRetentionDays(),
+        tasks: tasks.map(task => ({ ...task.toJSON(), purgeAt: getPurgeDate(task) }))
       }
-    } else {
-      bulkOps.push(
-        {
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: oldColumnId,
-              position: { $gt: oldPosition }
-            },
-            update: { $inc: { position: -1 } }
-          }
-        },
-        {
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: columnId,
-              position: { $gte: position }
-            },
-            update: { $inc: { position: 1 } }
-          }
-        }
-      );
-    }
-    if (bulkOps.length > 0) {
-      await Task.bulkWrite(bulkOps);
-    }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a trashed task to its former column and position (Admin)
+// @access  Private (Admin)
+router.post('/:id/restore', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canDeleteTasks', { trashed: true }), async (req, res, next) => {
+  try {
+    const { task, warnings } = await restoreTask(req.task, { overrideWipLimit: Boolean(req.body.overrideWipLimit), actor: requestActor(req) });
+
+    await syncSprintProgressForBoard(task.boardId);
+    await refreshBlockedTasks(task.boardId);
+    await generateCompletedRecurrences(task.boardId);
+
+    await publishBoardEvent(task.boardId, 'task_created', {
+      taskId: task._id,
+      data: { task: task.toJSON(), reason: 'restored' },
+      actor: requestActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Task restored',
+      data: { task, warnings }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/:id/permanent
+// @desc    Permanently delete a trashed task and its files (Admin)
+// @access  Private (Admin)
+router.delete('/:id/permanent', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canDeleteTasks', { trashed: true }), async (req, res, next) => {
+  try {
+    const task = req.task;
+    await purgeTask(task);
 
-    // Actually move the task
-    task.columnId = columnId;
-    task.position = position;
-
-    // Update status based on target column name
-    const board = await Board.findById(task.boardId);
-    const targetColumn = board.columns.id(columnId);
-    if (targetColumn && targetColumn.name) {
-      const name = targetColumn.name.toLowerCase().replace(/\s/g, "");
-      if (name.includes("progress")) task.status = "in_progress";
-      else if (name.includes("review")) task.status = "review";
-      else if (name.includes("done") || name.includes("complete")) task.status = "done";
-      else task.status = "todo";
+    logger.info(`Task ${task._id} purged from trash by ${req.user.email}`);
+
+    res.json({ success: true, message: 'Task permanently deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tasks/archived?boardId=
+// @desc    Archived tasks of a board (Admin)
+// @access  Private (Admin)
+router.get('/archived', authenticateAdmin, authorize('boards.view'), validate(Joi.object({
+  boardId: Joi.string().hex().length(24).required()
+}), 'query'), authorizeBoard('view', req => req.query.boardId), async (req, res, next) => {
+  try {
+    const tasks = await Task.find({ boardId: req.query.boardId, isArchived: true })
+      .populate('archivedBy', 'profile.firstName profile.lastName')
+      .sort({ archivedAt: -1 });
+
+    res.json({ success: true, data: { tasks } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/archive
+// @desc    Archive a task: hidden from the board, kept out of progress and WIP counts (Admin)
+// @access  Private (Admin)
+router.post('/:id/archive', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
+  try {
+    const task = req.task;
+    if (task.isArchived) {
+      return next(new AppError('Task is already archived', 409, 'TASK_ALREADY_ARCHIVED'));
     }
 
-    // Save and send email if moved to review
-    const newStatus = task.status;
+    setTaskArchived(task, true, requestActor(req));
     await task.save();
 
-    // Update sprint task counts and progress after task move
-    try {
-      const allTasks = await Task.find({ boardId: task.boardId });
-      const totalTasks = allTasks.length;
-      const doneTasks = allTasks.filter(t => t.status === "done").length;
-      if (board.sprintId) {
-        const Sprint = require('../models/Sprint');
-        const sprint = await Sprint.findById(board.sprintId);
-        if (sprint) {
-          sprint.totalTasks = totalTasks;
-          sprint.doneTasks = doneTasks;
-          sprint.progress = sprint.progress || {};
-          sprint.progress.percentage = totalTasks > 0 ? Math.round((doneTasks / totalTasks) * 100) : 100;
-          await sprint.save();
-        }
-      }
-    } catch (progressErr) {
-      logger.logError("Failed to update sprint task counts after task move", progressErr);
+    await syncSprintProgressForBoard(task.boardId);
+    await refreshBlockedTasks(task.boardId);
+
+    await publishBoardEvent(task.boardId, 'task_updated', {
+      taskId: task._id,
+      data: { task: task.toJSON(), changedFields: ['isArchived'] },
+      actor: requestActor(req)
+    });
+
+    res.json({ success: true, message: 'Task archived', data: { task } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/unarchive
+// @desc    Return an archived task to the board (Admin)
+// @access  Private (Admin)
+router.post('/:id/unarchive', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
+  try {
+    const task = req.task;
+    if (!task.isArchived) {
+      return next(new AppError('Task is not archived', 409, 'TASK_NOT_ARCHIVED'));
     }
 
-    // Only send email if status changed to "review" (async, non-blocking)
-    if (oldStatus !== "review" && newStatus === "review") {
-      setImmediate(async () => {
-        try {
-          // Find related sprint, questionnaire, and startup
-          const sprintId = board.sprintId;
-          if (sprintId) {
-            const Sprint = require('../models/Sprint');
-            const Questionnaire = require('../models/Questionnaire');
-            const Startup = require('../models/Startup');
-            const sprint = await Sprint.findById(sprintId);
-            if (sprint && sprint.questionnaireId) {
-              const questionnaire = await Questionnaire.findById(sprint.questionnaireId);
-              if (questionnaire && questionnaire.startupId) {
-                const startup = await Startup.findById(questionnaire.startupId);
-                if (startup && startup.email) {
-                  const { sendEmail } = require('../utils/communications');
-                  await sendEmail({
-                    to: startup.email,
-                    template: "tasksForReview",
-                    data: {
-                      name: startup.profile?.founderFirstName || "Founder",
-                      boardName: board.name || "Board",
-                      dashboardUrl: process.env.CLIENT_DASHBOARD_URL || "http://20.57.132.51:3000//startup/dashboard"
-                    }
-                  });
-                }
-              }
-            }
-          }
-        } catch (emailErr) {
-          logger.logError("Failed to send review notification email to startup", emailErr);
-        }
-      });
+    setTaskArchived(task, false, requestActor(req));
+    await task.save();
+
+    await syncSprintProgressForBoard(task.boardId);
+    await refreshBlockedTasks(task.boardId);
+    await generateCompletedRecurrences(task.boardId);
+
+    await publishBoardEvent(task.boardId, 'task_updated', {
+      taskId: task._id,
+      data: { task: task.toJSON(), changedFields: ['isArchived'] },
+      actor: requestActor(req)
+    });
+
+    res.json({ success: true, message: 'Task unarchived', data: { task } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/move
+// @desc    Move task to different column/position (Admin)
+// @access  Private (Admin)
+router.post('/:id/move', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
+  try {
+    const { columnId, position, beforeTaskId, afterTaskId, version, overrideWipLimit } = req.body;
+    const { task, board } = req;
+
+    // Single versioned write; a concurrent move of this task returns 409
+    const moved = await moveTask(task, board, { columnId, position, beforeTaskId, afterTaskId, version, overrideWipLimit, actor: requestActor(req) });
+
+    // Update sprint milestone and progress roll-up
+    await syncSprintProgressForBoard(moved.task.boardId);
+
+    // Moving into or out of a completed column blocks or releases dependent tasks
+    await refreshBlockedTasks(moved.task.boardId);
+    await generateCompletedRecurrences(moved.task.boardId);
+
+    await publishBoardEvent(moved.task.boardId, 'task_moved', {
+      taskId: moved.task._id,
+      data: {
+        fromColumnId: task.columnId,
+        columnId: moved.task.columnId,
+        rank: moved.task.rank,
+        status: moved.task.status,
+        version: moved.task.__v
+      },
+      actor: requestActor(req)
+    });
+
+    // Only send email if status changed to "review"
+    if (moved.previousStatus !== 'review' && moved.task.status === 'review') {
+      notifyTaskReadyForReview(board);
     }
 
     res.json({
@@ -252,11 +336,13 @@ router.post('/:id/move', authenticateAdmin, async (req, res, next) => {
       message: 'Task moved successfully',
       data: {
         task: {
-          id: task._id,
-          columnId: task.columnId,
-          position: task.position,
-          status: task.status
-        }
+          id: moved.task._id,
+          columnId: moved.task.columnId,
+          rank: moved.task.rank,
+          status: moved.task.status,
+          version: moved.task.__v
+        },
+        warnings: moved.warnings
       }
     });
   } catch (error) {
@@ -267,26 +353,18 @@ router.post('/:id/move', authenticateAdmin, async (req, res, next) => {
 // @route   POST /api/tasks/startup
 // @desc    Create new task (Startup)
 // @access  Private (Startup)
-router.post('/startup', upload.array('attachments'), async (req, res, next) => {
+router.post('/startup', authenticateStartup, authorizeMember('tasks.edit'), upload.array('attachments'), authorizeBoard('canCreateTasks', req => req.body.boardId), async (req, res, next) => {
   try {
-    const { authenticateStartup } = require('../middleware/auth');
-    await authenticateStartup(req, res, () => {});
-
     const { boardId, title, description, columnId, dueDate, taskType, priority } = req.body;
 
     if (!boardId || !title || !columnId) {
       return res.status(400).json({ success: false, message: 'Missing required fields.' });
     }
 
-    // Ensure the board belongs to the startup
-    const board = await Board.findById(boardId);
-
-    // Debug logging
-    // (Authorization logic for relatedStartupId removed)
-
-    // Get position for new task (end of column)
+    // Get position and rank for new task (end of column)
     const tasksInColumn = await Task.find({ boardId, columnId }).sort({ position: -1 }).limit(1);
     const position = tasksInColumn.length > 0 ? tasksInColumn[0].position + 1 : 0;
+    const rank = await getAppendRank(boardId, columnId);
 
     // Handle file uploads
     let attachments = [];
@@ -318,6 +396,7 @@ router.post('/startup', upload.array('attachments'), async (req, res, next) => {
       description,
       columnId,
       position,
+      rank,
       dueDate: dueDate ? new Date(dueDate) : null,
       taskType: taskType || 'feature',
       priority: priority || 'medium',
@@ -326,30 +405,15 @@ router.post('/startup', upload.array('attachments'), async (req, res, next) => {
       status: 'todo',
       attachments
     });
+    recordTaskActivity(task, requestActor(req), 'created');
 
     await task.save();
 
-    // Update sprint task counts and progress
-    try {
-      const board = await Board.findById(boardId);
-      if (board && board.sprintId) {
-        const Sprint = require('../models/Sprint');
-        const TaskModel = require('../models/Task');
-        const sprint = await Sprint.findById(board.sprintId);
-        if (sprint) {
-          const allTasks = await TaskModel.find({ boardId });
-          const totalTasks = allTasks.length;
-          const doneTasks = allTasks.filter(t => t.status === "done").length;
-          sprint.totalTasks = totalTasks;
-          sprint.doneTasks = doneTasks;
-          sprint.progress = sprint.progress || {};
-          sprint.progress.percentage = totalTasks > 0 ? Math.round((doneTasks / totalTasks) * 100) : 100;
-          await sprint.save();
-        }
-      }
-    } catch (progressErr) {
-      logger.logError("Failed to update sprint task counts after task creation", progressErr);
-    }
+    // Update sprint milestone and progress roll-up
+    await syncSprintProgressForBoard(task.boardId);
+    await generateCompletedRecurrences(task.boardId);
+
+    await publishBoardEvent(task.boardId, 'task_created', { taskId: task._id, data: { task: task.toJSON() }, actor: requestActor(req) });
 
     res.status(201).json({ success: true, data: { task } });
   } catch (err) {
@@ -360,166 +424,229 @@ router.post('/startup', upload.array('attachments'), async (req, res, next) => {
 // @route   POST /api/tasks/startup/:id/move
 // @desc    Move task to different column/position (Startup)
 // @access  Private (Startup)
-router.post('/startup/:id/move', async (req, res, next) => {
+router.post('/startup/:id/move', authenticateStartup, authorizeMember('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
   try {
-    const { authenticateStartup } = require('../middleware/auth');
-    await authenticateStartup(req, res, () => {});
+    const { columnId, position, beforeTaskId, afterTaskId, version, overrideWipLimit } = req.body;
+    const { task, board } = req;
+
+    // Single versioned write; a concurrent move of this task returns 409
+    const moved = await moveTask(task, board, { columnId, position, beforeTaskId, afterTaskId, version, overrideWipLimit, actor: requestActor(req) });
 
-    const { columnId, position } = req.body;
-    const task = await Task.findById(req.params.id);
+    // Update sprint milestone and progress roll-up
+    await syncSprintProgressForBoard(moved.task.boardId);
+
+    // Moving into or out of a completed column blocks or releases dependent tasks
+    await refreshBlockedTasks(moved.task.boardId);
+    await generateCompletedRecurrences(moved.task.boardId);
+
+    await publishBoardEvent(moved.task.boardId, 'task_moved', {
+      taskId: moved.task._id,
+      data: {
+        fromColumnId: task.columnId,
+        columnId: moved.task.columnId,
+        rank: moved.task.rank,
+        status: moved.task.status,
+        version: moved.task.__v
+      },
+      actor: requestActor(req)
+    });
 
-    if (!task) {
-      return res.status(404).json({ success: false, message: 'Task not found.' });
+    // Only send email if status changed to "review"
+    if (moved.previousStatus !== 'review' && moved.task.status === 'review') {
+      notifyTaskReadyForReview(board);
     }
 
-    // Ensure the board belongs to the startup
-    const board = await Board.findById(task.boardId);
-
-    // Debug logging
-    // (Authorization logic for relatedStartupId removed)
-
-    const oldColumnId = task.columnId.toString();
-    const oldPosition = task.position;
-    const oldStatus = task.status;
-
-    // Optimized: Use bulkWrite for batch updates
-    const bulkOps = [];
-    if (columnId === oldColumnId) {
-      if (position > oldPosition) {
-        bulkOps.push({
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: columnId,
-              position: { $gt: oldPosition, $lte: position }
-            },
-            update: { $inc: { position: -1 } }
-          }
-        });
-      } else if (position < oldPosition) {
-        bulkOps.push({
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: columnId,
-              position: { $gte: position, $lt: oldPosition }
-            },
-            update: { $inc: { position: 1 } }
-          }
-        });
-      }
-    } else {
-      bulkOps.push(
-        {
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: oldColumnId,
-              position: { $gt: oldPosition }
-            },
-            update: { $inc: { position: -1 } }
-          }
+    res.json({
+      success: true,
+      message: 'Task moved successfully',
+      data: {
+        task: {
+          id: moved.task._id,
+          columnId: moved.task.columnId,
+          rank: moved.task.rank,
+          status: moved.task.status,
+          version: moved.task.__v
         },
-        {
-          updateMany: {
-            filter: {
-              boardId: task.boardId,
-              columnId: columnId,
-              position: { $gte: position }
-            },
-            update: { $inc: { position: 1 } }
-          }
-        }
-      );
-    }
-    if (bulkOps.length > 0) {
-      await Task.bulkWrite(bulkOps);
-    }
+        warnings: moved.warnings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Actually move the task
-    task.columnId = columnId;
-    task.position = position;
-
-    // Update status based on target column name
-    const targetColumn = board.columns.id(columnId);
-    if (targetColumn && targetColumn.name) {
-      const name = targetColumn.name.toLowerCase().replace(/\s/g, "");
-      if (name.includes("progress")) task.status = "in_progress";
-      else if (name.includes("review")) task.status = "review";
-      else if (name.includes("done") || name.includes("complete")) task.status = "done";
-      else task.status = "todo";
-    }
+// ==================== ACTIVITY ====================
 
-    // Save and send email if moved to review
-    const newStatus = task.status;
-    await task.save();
+/**
+ * @route   GET /api/tasks/:id/activity
+ * @desc    Activity history of a task, newest first (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/:id/activity', authenticateAdmin, authorize('boards.view'), authorizeTask('view'), validate(taskSchemas.activityQuery, 'query'), async (req, res, next) => {
+  try {
+    const task = req.task;
 
-    // Update sprint task counts and progress after task move
-    try {
-      const allTasks = await Task.find({ boardId: task.boardId });
-      const totalTasks = allTasks.length;
-      const doneTasks = allTasks.filter(t => t.status === "done").length;
-      if (board.sprintId) {
-        const Sprint = require('../models/Sprint');
-        const sprint = await Sprint.findById(board.sprintId);
-        if (sprint) {
-          sprint.totalTasks = totalTasks;
-          sprint.doneTasks = doneTasks;
-          sprint.progress = sprint.progress || {};
-          sprint.progress.percentage = totalTasks > 0 ? Math.round((doneTasks / totalTasks) * 100) : 100;
-          await sprint.save();
-        }
+    res.json({
+      success: true,
+      data: {
+        taskId: task._id,
+        ...await getTaskActivity(task, req.query)
       }
-    } catch (progressErr) {
-      logger.logError("Failed to update sprint task counts after task move", progressErr);
-    }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Only send email if status changed to "review" (async, non-blocking)
-    if (oldStatus !== "review" && newStatus === "review") {
-      setImmediate(async () => {
-        try {
-          // Find related sprint, questionnaire, and startup
-          const sprintId = board.sprintId;
-          if (sprintId) {
-            const Sprint = require('../models/Sprint');
-            const Questionnaire = require('../models/Questionnaire');
-            const Startup = require('../models/Startup');
-            const sprint = await Sprint.findById(sprintId);
-            if (sprint && sprint.questionnaireId) {
-              const questionnaire = await Questionnaire.findById(sprint.questionnaireId);
-              if (questionnaire && questionnaire.startupId) {
-                const startup = await Startup.findById(questionnaire.startupId);
-                if (startup && startup.email) {
-                  const { sendEmail } = require('../utils/communications');
-                  await sendEmail({
-                    to: startup.email,
-                    template: "tasksForReview",
-                    data: {
-                      name: startup.profile?.founderFirstName || "Founder",
-                      boardName: board.name || "Board"
-                    }
-                  });
-                }
-              }
-            }
-          }
-        } catch (emailErr) {
-          logger.logError("Failed to send review notification email to startup", emailErr);
-        }
-      });
+// ==================== DEPENDENCIES ====================
+
+/**
+ * @route   GET /api/tasks/:id/dependencies
+ * @desc    Prerequisites of a task and the tasks waiting on it (Admin)
+ * @access  Private (Admin)
+ */
+router.get('/:id/dependencies', authenticateAdmin, authorize('boards.view'), authorizeTask('view'), async (req, res, next) => {
+  try {
+    const task = req.task;
+
+    res.json({ success: true, data: await getTaskDependencies(task) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/tasks/:id/dependencies
+ * @desc    Make a task wait on another task of the same board (Admin)
+ * @access  Private (Admin)
+ */
+router.post('/:id/dependencies', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), validate(Joi.object({
+  prerequisiteId: Joi.string().hex().length(24).required()
+})), async (req, res, next) => {
+  try {
+    const task = req.task;
+
+    const updated = await addTaskDependency(task, req.body.prerequisiteId, requestActor(req));
+
+    await publishBoardEvent(task.boardId, 'task_dependencies_updated', {
+      taskId: task._id,
+      data: { blockedBy: updated.blockedBy, status: updated.status },
+      actor: requestActor(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added',
+      data: { task: updated, dependencies: await getTaskDependencies(updated) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/dependencies/:prerequisiteId
+ * @desc    Remove a prerequisite from a task (Admin)
+ * @access  Private (Admin)
+ */
+router.delete('/:id/dependencies/:prerequisiteId', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
+  try {
+    const task = req.task;
+
+    const updated = await removeTaskDependency(task, req.params.prerequisiteId, requestActor(req));
+
+    await publishBoardEvent(task.boardId, 'task_dependencies_updated', {
+      taskId: task._id,
+      data: { blockedBy: updated.blockedBy, status: updated.status },
+      actor: requestActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Dependency removed',
+      data: { task: updated, dependencies: await getTaskDependencies(updated) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== RECURRENCE ====================
+
+/**
+ * @route   PUT /api/tasks/:id/recurrence
+ * @desc    Make a task recur, on completion or on a schedule (Admin)
+ * @access  Private (Admin)
+ */
+router.put('/:id/recurrence', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), validate(Joi.object({
+  frequency: Joi.string().valid(...Task.schema.path('recurrence.frequency').enumValues).required(),
+  trigger: Joi.string().valid(...Task.schema.path('recurrence.trigger').enumValues).default('on_completion'),
+  startAt: Joi.date().optional(),
+  endsAt: Joi.date().optional()
+})), async (req, res, next) => {
+  try {
+    const task = req.task;
+
+    const previousFrequency = task.recurrence && task.recurrence.active ? task.recurrence.frequency : null;
+    setTaskRecurrence(task, req.body);
+    recordTaskActivity(task, requestActor(req), 'recurrence_changed', {
+      field: 'recurrence',
+      oldValue: previousFrequency,
+      newValue: task.recurrence.frequency,
+      description: `Repeats ${task.recurrence.frequency} (${task.recurrence.trigger})`
+    });
+    await task.save();
+
+    await publishBoardEvent(task.boardId, 'task_updated', {
+      taskId: task._id,
+      data: { task: task.toJSON(), changedFields: ['recurrence'] },
+      actor: requestActor(req)
+    });
+
+    // An on-completion rule added to an already completed task fires straight away
+    await generateCompletedRecurrences(task.boardId);
+
+    res.json({
+      success: true,
+      message: 'Task recurrence set',
+      data: { recurrence: task.recurrence }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/recurrence
+ * @desc    Stop a task from recurring (Admin)
+ * @access  Private (Admin)
+ */
+router.delete('/:id/recurrence', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), async (req, res, next) => {
+  try {
+    const task = req.task;
+    if (!task.recurrence || !task.recurrence.active) {
+      return next(new AppError('Task does not recur', 404, 'RECURRENCE_NOT_FOUND'));
     }
 
+    task.recurrence.active = false;
+    recordTaskActivity(task, requestActor(req), 'recurrence_changed', {
+      field: 'recurrence',
+      oldValue: task.recurrence.frequency,
+      newValue: null,
+      description: 'Recurrence stopped'
+    });
+    await task.save();
+
+    await publishBoardEvent(task.boardId, 'task_updated', {
+      taskId: task._id,
+      data: { task: task.toJSON(), changedFields: ['recurrence'] },
+      actor: requestActor(req)
+    });
+
     res.json({
       success: true,
-      message: 'Task moved successfully',
-      data: {
-        task: {
-          id: task._id,
-          columnId: task.columnId,
-          position: task.position,
-          status: task.status
-        }
-      }
+      message: 'Task recurrence stopped',
+      data: { recurrence: task.recurrence }
     });
   } catch (error) {
     next(error);
@@ -531,7 +658,7 @@ router.post('/startup/:id/move', async (req, res, next) => {
  * @desc    Edit a task (Admin)
  * @access  Private (Admin)
  */
-router.put('/:id', authenticateAdmin, upload.array('attachments'), async (req, res, next) => {
+router.put('/:id', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canEditTasks'), upload.array('attachments'), async (req, res, next) => {
   try {
     const allowedFields = [
       'title', 'description', 'taskType', 'status', 'priority',
@@ -542,10 +669,10 @@ router.put('/:id', authenticateAdmin, upload.array('attachments'), async (req, r
       if (req.body[field] !== undefined) updates[field] = req.body[field];
     });
 
-    const task = await Task.findById(req.params.id);
-    if (!task) {
-      return res.status(404).json({ success: false, message: 'Task not found.' });
-    }
+    const task = req.task;
+    assertTaskVersion(task, req.body.version);
+    const actor = requestActor(req);
+    const before = snapshotTrackedFields(task);
 
     // Remove attachments if requested
     let attachmentIdsToRemove = [];
@@ -565,6 +692,7 @@ router.put('/:id', authenticateAdmin, upload.array('attachments'), async (req, r
         if (att) {
           await deleteFile(att.url);
           task.attachments.pull(att._id);
+          recordTaskActivity(task, actor, 'attachment_removed', { field: 'attachments', oldValue: att.originalName || att.filename });
         }
       }
     }
@@ -588,15 +716,35 @@ router.put('/:id', authenticateAdmin, upload.array('attachments'), async (req, r
             uploadedBy: req.user._id,
             uploadedByModel: 'Admin'
           });
+          recordTaskActivity(task, actor, 'attachment_added', { field: 'attachments', newValue: file.originalname });
         }
       }
     }
 
+    // A task edited into another column goes to the bottom of it
+    if (updates.columnId !== undefined && updates.columnId.toString() !== task.columnId.toString()) {
+      updates.rank = await getAppendRank(task.boardId, updates.columnId);
+    }
+
     // Update other fields
     Object.assign(task, updates);
+    recordFieldChanges(task, actor, before);
 
     await task.save();
 
+    // Column or status edits can complete or reopen milestones
+    if (updates.columnId !== undefined || updates.status !== undefined) {
+      await syncSprintProgressForBoard(task.boardId);
+      await refreshBlockedTasks(task.boardId);
+      await generateCompletedRecurrences(task.boardId);
+    }
+
+    await publishBoardEvent(task.boardId, 'task_updated', {
+      taskId: task._id,
+      data: { task: task.toJSON(), changedFields: Object.keys(updates) },
+      actor
+    });
+
     res.json({ success: true, data: { task } });
   } catch (err) {
     next(err);
@@ -608,36 +756,26 @@ router.put('/:id', authenticateAdmin, upload.array('attachments'), async (req, r
  * @desc    Delete a task (Admin)
  * @access  Private (Admin)
  */
-router.delete('/:id', authenticateAdmin, async (req, res, next) => {
+router.delete('/:id', authenticateAdmin, authorize('tasks.edit'), authorizeTask('canDeleteTasks'), async (req, res, next) => {
   try {
-    const task = await Task.findByIdAndDelete(req.params.id);
-    if (!task) {
-      return res.status(404).json({ success: false, message: 'Task not found.' });
-    }
+    const task = req.task;
 
-    // Update sprint task counts and progress
-    try {
-      const board = await Board.findById(task.boardId);
-      if (board && board.sprintId) {
-        const Sprint = require('../models/Sprint');
-        const TaskModel = require('../models/Task');
-        const sprint = await Sprint.findById(board.sprintId);
-        if (sprint) {
-          const allTasks = await TaskModel.find({ boardId: task.boardId });
-          const totalTasks = allTasks.length;
-          const doneTasks = allTasks.filter(t => t.status === "done").length;
-          sprint.totalTasks = totalTasks;
-          sprint.doneTasks = doneTasks;
-          sprint.progress = sprint.progress || {};
-          sprint.progress.percentage = totalTasks > 0 ? Math.round((doneTasks / totalTasks) * 100) : 100;
-          await sprint.save();
-        }
-      }
-    } catch (progressErr) {
-      logger.logError("Failed to update sprint task counts after task deletion", progressErr);
-    }
+    // Soft delete: the task can be restored until the trash retention sweep purges it
+    await trashTask(task, requestActor(req));
+
+    // Update sprint milestone and progress roll-up
+    await syncSprintProgressForBoard(task.boardId);
 
-    res.json({ success: true, message: 'Task deleted successfully.' });
+    // Tasks waiting only on the deleted task are released
+    await refreshBlockedTasks(task.boardId);
+
+    await publishBoardEvent(task.boardId, 'task_deleted', { taskId: task._id, data: { columnId: task.columnId, trashed: true }, actor: requestActor(req) });
+
+    res.json({
+      success: true,
+      message: 'Task moved to trash.',
+      data: { taskId: task._id, purgeAt: getPurgeDate(task) }
+    });
   } catch (err) {
     next(err);
   }
@@ -648,11 +786,8 @@ router.delete('/:id', authenticateAdmin, async (req, res, next) => {
  * @desc    Edit a task (Startup)
  * @access  Private (Startup)
  */
-router.put('/startup/:id', upload.array('attachments'), async (req, res, next) => {
+router.put('/startup/:id', authenticateStartup, authorizeMember('tasks.edit'), upload.array('attachments'), authorizeTask('canEditTasks'), async (req, res, next) => {
   try {
-    const { authenticateStartup } = require('../middleware/auth');
-    await authenticateStartup(req, res, () => {});
-
     const allowedFields = [
       'title', 'description', 'taskType', 'status', 'priority',
       'dueDate', 'columnId', 'position'
@@ -662,10 +797,10 @@ router.put('/startup/:id', upload.array('attachments'), async (req, res, next) =
       if (req.body[field] !== undefined) updates[field] = req.body[field];
     });
 
-    const task = await Task.findById(req.params.id);
-    if (!task) {
-      return res.status(404).json({ success: false, message: 'Task not found.' });
-    }
+    const task = req.task;
+    assertTaskVersion(task, req.body.version);
+    const actor = requestActor(req);
+    const before = snapshotTrackedFields(task);
 
     // Remove attachments if requested
     let attachmentIdsToRemove = [];
@@ -685,6 +820,7 @@ router.put('/startup/:id', upload.array('attachments'), async (req, res, next) =
         if (att) {
           await deleteFile(att.url);
           task.attachments.pull(att._id);
+          recordTaskActivity(task, actor, 'attachment_removed', { field: 'attachments', oldValue: att.originalName || att.filename });
         }
       }
     }
@@ -708,16 +844,37 @@ router.put('/startup/:id', upload.array('attachments'), async (req, res, next) =
             uploadedBy: req.user._id,
             uploadedByModel: 'Startup'
           });
+          recordTaskActivity(task, actor, 'attachment_added', { field: 'attachments', newValue: file.originalname });
         }
       }
     }
 
+    // A task edited into another column goes to the bottom of it
+    if (updates.columnId !== undefined && updates.columnId.toString() !== task.columnId.toString()) {
+      updates.rank = await getAppendRank(task.boardId, updates.columnId);
+    }
+
     // Update other fields
     Object.assign(task, updates);
+    recordFieldChanges(task, actor, before);
 
     await task.save();
 
-    res.json({ success: true, data: { task } });
+    // Column or status edits can complete or reopen milestones
+    if (updates.columnId !== undefined || updates.status !== undefined) {
+      await syncSprintProgressForBoard(task.boardId);
+      await refreshBlockedTasks(task.boardId);
+      await generateCompletedRecurrences(task.boardId);
+    }
+
+    await publishBoardEvent(task.boardId, 'task_updated', {
+      taskId: task._id,
+      data: { task: task.toJSON(), changedFields: Object.keys(updates) },
+      actor
+    });
+
+    // Internal comments are for admins only
+    res.json({ success: true, data: { task: clientTaskSnapshot(task.toJSON()) } });
   } catch (err) {
     next(err);
   }
@@ -728,39 +885,26 @@ router.put('/startup/:id', upload.array('attachments'), async (req, res, next) =
  * @desc    Delete a task (Startup)
  * @access  Private (Startup)
  */
-router.delete('/startup/:id', async (req, res, next) => {
+router.delete('/startup/:id', authenticateStartup, authorizeMember('tasks.edit'), authorizeTask('canDeleteTasks'), async (req, res, next) => {
   try {
-    const { authenticateStartup } = require('../middleware/auth');
-    await authenticateStartup(req, res, () => {});
+    const task = req.task;
 
-    const task = await Task.findByIdAndDelete(req.params.id);
-    if (!task) {
-      return res.status(404).json({ success: false, message: 'Task not found.' });
-    }
+    // Soft delete: the task can be restored until the trash retention sweep purges it
+    await trashTask(task, requestActor(req));
 
-    // Update sprint task counts and progress
-    try {
-      const board = await Board.findById(task.boardId);
-      if (board && board.sprintId) {
-        const Sprint = require('../models/Sprint');
-        const TaskModel = require('../models/Task');
-        const sprint = await Sprint.findById(board.sprintId);
-        if (sprint) {
-          const allTasks = await TaskModel.find({ boardId: task.boardId });
-          const totalTasks = allTasks.length;
-          const doneTasks = allTasks.filter(t => t.status === "done").length;
-          sprint.totalTasks = totalTasks;
-          sprint.doneTasks = doneTasks;
-          sprint.progress = sprint.progress || {};
-          sprint.progress.percentage = totalTasks > 0 ? Math.round((doneTasks / totalTasks) * 100) : 100;
-          await sprint.save();
-        }
-      }
-    } catch (progressErr) {
-      logger.logError("Failed to update sprint task counts after task deletion", progressErr);
-    }
+    // Update sprint milestone and progress roll-up
+    await syncSprintProgressForBoard(task.boardId);
+
+    // Tasks waiting only on the deleted task are released
+    await refreshBlockedTasks(task.boardId);
+
+    await publishBoardEvent(task.boardId, 'task_deleted', { taskId: task._id, data: { columnId: task.columnId, trashed: true }, actor: requestActor(req) });
 
-    res.json({ success: true, message: 'Task deleted successfully.' });
+    res.json({
+      success: true,
+      message: 'Task moved to trash.',
+      data: { taskId: task._id, purgeAt: getPurgeDate(task) }
+    });
   } catch (err) {
     next(err);
   }
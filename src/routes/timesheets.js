@@ -0,0 +1,61 @@
+const express = require('express');
+const Joi = require('joi');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticateAdmin } = require('../middleware/auth');
+const { validate } = require('../utils/validation');
+const { getTimesheet, timesheetToCsv, timesheetToXlsx } = require('../utils/timeTracking');
+
+const router = express.Router();
+
+const timesheetQuerySchema = Joi.object({
+  adminId: Joi.string().hex().length(24).optional(),
+  sprintId: Joi.string().hex().length(24).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  format: Joi.string().valid('json', 'csv', 'xlsx').default('json')
+});
+
+// @route   GET /api/timesheets?adminId=&sprintId=&from=&to=&format=json|csv|xlsx
+// @desc    Logged hours per admin, sprint and period; CSV and XLSX for billing.
+//          Admins see their own hours; `timesheets.viewAll` holders anyone's.
+//          Without any filter the current month is returned.
+// @access  Private (Admin)
+router.get('/', authenticateAdmin, validate(timesheetQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { sprintId, format } = req.query;
+    let { adminId, from, to } = req.query;
+
+    if (!req.user.hasPermission('timesheets.viewAll')) {
+      if (adminId && adminId !== req.user._id.toString()) {
+        return next(new AppError('You can only view your own timesheet', 403, 'TIMESHEET_ACCESS_DENIED'));
+      }
+      adminId = req.user._id.toString();
+    }
+    if (!sprintId && !from && !to) {
+      const now = new Date();
+      from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      to = now;
+    }
+
+    const timesheet = await getTimesheet({ adminId, sprintId, from, to });
+
+    if (format === 'json') {
+      return res.json({ success: true, data: timesheet });
+    }
+
+    const fileName = `timesheet-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(timesheetToCsv(timesheet));
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    res.send(Buffer.from(await timesheetToXlsx(timesheet)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Generate due instances of scheduled recurring tasks. Meant to run hourly
+ * from cron.
+ * Usage: npm run tasks:recurring
+ */
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const logger = require('../utils/logger');
+const { generateScheduledRecurrences } = require('../utils/taskRecurrence');
+
+(async () => {
+  await connectDB();
+  try {
+    const result = await generateScheduledRecurrences();
+    logger.info(`Recurring tasks: ${result.created} of ${result.due} due instance(s) generated`);
+  } finally {
+    await disconnectDB();
+  }
+})().catch(error => {
+  logger.logError(error, 'Recurring task generation');
+  process.exitCode = 1;
+});
@@ -0,0 +1,22 @@
+/**
+ * Retention sweep: permanently delete tasks that have been in the trash longer
+ * than TASK_TRASH_RETENTION_DAYS. Meant to run daily from cron.
+ * Usage: npm run tasks:purge-trash
+ */
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const logger = require('../utils/logger');
+const { purgeExpiredTrash } = require('../utils/taskTrash');
+
+(async () => {
+  await connectDB();
+  try {
+    const result = await purgeExpiredTrash();
+    logger.info(`Task trash sweep: ${result.purged} task(s) purged, ${result.failed} failed (retention ${result.retentionDays} days)`);
+  } finally {
+    await disconnectDB();
+  }
+})().catch(error => {
+  logger.logError(error, 'Task trash sweep');
+  process.exitCode = 1;
+});
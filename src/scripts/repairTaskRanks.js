@@ -0,0 +1,21 @@
+/**
+ * Re-rank task columns, e.g. after importing legacy boards.
+ * Usage: npm run tasks:repair-ranks [-- <boardId>]
+ */
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const logger = require('../utils/logger');
+const { repairTaskRanks } = require('../utils/taskRanking');
+
+(async () => {
+  await connectDB();
+  try {
+    const result = await repairTaskRanks(process.argv[2]);
+    logger.info(`Task rank repair: ${result.tasksUpdated} task(s) re-ranked across ${result.columns} column(s) on ${result.boards} board(s)`);
+  } finally {
+    await disconnectDB();
+  }
+})().catch(error => {
+  logger.logError(error, 'Task rank repair');
+  process.exitCode = 1;
+});
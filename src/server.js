@@ -13,22 +13,36 @@ const { connectDB } = require('./config/database'); // FIXED: use destructuring
 // const connectRedis = require('./config/redis');
 const logger = require('./utils/logger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { getPaymentProvider } = require('./utils/paymentProvider');
 const socketManager = require('./utils/socketManager');
 const { Server } = require('socket.io');
 
 // Import routes
 const startupAuthRoutes = require('./routes/startupAuth');
+const startupMembersRoutes = require('./routes/startupMembers');
 const adminAuthRoutes = require('./routes/adminAuth');
 const adminRoutes = require('./routes/admin');
+const adminRolesRoutes = require('./routes/adminRoles');
 const authRoutes = require('./routes/auth');
 const questionnairesRoutes = require('./routes/questionnaires');
 const sprintsRoutes = require('./routes/sprints');
+const sprintTemplatesRoutes = require('./routes/sprintTemplates');
+const taskTemplatesRoutes = require('./routes/taskTemplates');
 const boardsRoutes = require('./routes/boards');
 const tasksRoutes = require('./routes/tasks');
 const taskCollaborationRoutes = require('./routes/task-collaboration');
+const timesheetsRoutes = require('./routes/timesheets');
 const chatRoutes = require('./routes/chat');
 const analyticsRoutes = require('./routes/analytics');
 const calendlyWebhookRoutes = require('./routes/calendlyWebhook');
+const paymentWebhookRoutes = require('./routes/paymentWebhook');
+
+// Checkouts and payment webhooks fail until PAYMENT_PROVIDER is configured
+try {
+  logger.info(`Payment provider: ${getPaymentProvider().name}`);
+} catch (error) {
+  logger.warn(`Payments are disabled: ${error.message}`);
+}
 
 const app = express();
 
@@ -192,17 +206,23 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/startup/auth', startupAuthRoutes);
+app.use('/api/startup/members', startupMembersRoutes);
 app.use('/api/admin/auth', adminAuthRoutes);
+app.use('/api/admin/roles', adminRolesRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/questionnaires', questionnairesRoutes);
 app.use('/api/sprints', sprintsRoutes);
+app.use('/api/sprint-templates', sprintTemplatesRoutes);
+app.use('/api/task-templates', taskTemplatesRoutes);
 app.use('/api/boards', boardsRoutes);
 app.use('/api/tasks', tasksRoutes);
 app.use('/api/task-collaboration', taskCollaborationRoutes);
+app.use('/api/timesheets', timesheetsRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/calendly', calendlyWebhookRoutes);
+app.use('/api/payments', paymentWebhookRoutes);
 
 // API base route
 app.get('/api', (req, res) => {
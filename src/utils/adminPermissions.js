@@ -0,0 +1,65 @@
+/**
+ * Named admin permissions. Super admins hold all of them; other admins hold
+ * the permissions of their custom role (AdminRole), or the defaults below
+ * when no role is assigned. Routes check them with authorize() from
+ * middleware/auth.
+ */
+const ADMIN_PERMISSIONS = {
+  'dashboard.view': 'See the admin dashboard',
+  'admins.view': 'List admin users',
+  'admins.invite': 'Invite and create admins',
+  'startups.view': 'View startups and their sprints',
+  'questionnaires.view': 'View questionnaires',
+  'questionnaires.review': 'Approve or reject questionnaires',
+  'sprints.view': 'View sprints, proposals, milestones, deliverables and reports',
+  'sprints.create': 'Create sprints',
+  'sprints.manage': 'Change sprint status, team, proposals, milestones and deliverables',
+  'boards.view': 'View task boards, tasks, their activity and time logs',
+  'boards.manage': 'Add, edit, reorder and remove board columns',
+  'tasks.edit': 'Create, edit, move, archive and delete tasks; comment, log time and manage subtasks',
+  'payments.view': 'View sprint payments, invoices and exchange rates',
+  'payments.verify': 'Change payment status, record, void and refund payments',
+  'analytics.view': 'View platform analytics and revenue',
+  'templates.view': 'View sprint and task templates',
+  'templates.manage': 'Create, edit and delete sprint and task templates',
+  'exchangeRates.manage': 'Set exchange rates',
+  'timesheets.viewAll': "View other admins' timesheets",
+  'chat.start': 'Start chats with startups'
+};
+
+const PERMISSION_NAMES = Object.keys(ADMIN_PERMISSIONS);
+
+// Admins without a custom role: day-to-day delivery work, no money, analytics or admin management
+const DEFAULT_ADMIN_PERMISSIONS = [
+  'dashboard.view',
+  'admins.view',
+  'startups.view',
+  'questionnaires.view',
+  'questionnaires.review',
+  'sprints.view',
+  'sprints.manage',
+  'boards.view',
+  'boards.manage',
+  'tasks.edit',
+  'payments.view',
+  'templates.view',
+  'chat.start'
+];
+
+/**
+ * Permission catalog for clients: [{ name, description, isDefault }]
+ */
+function describePermissions() {
+  return PERMISSION_NAMES.map(name => ({
+    name,
+    description: ADMIN_PERMISSIONS[name],
+    isDefault: DEFAULT_ADMIN_PERMISSIONS.includes(name)
+  }));
+}
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  PERMISSION_NAMES,
+  DEFAULT_ADMIN_PERMISSIONS,
+  describePermissions
+};
@@ -0,0 +1,62 @@
+const AdminRole = require('../models/AdminRole');
+const { AppError } = require('../middleware/errorHandler');
+const { DEFAULT_ADMIN_PERMISSIONS } = require('./adminPermissions');
+
+/**
+ * Throw unless `grantor` holds every permission in `permissions`.
+ * @param {String[]} permissions
+ * @param {Object} grantor - Admin document with customRole populated
+ */
+function assertCanGrant(permissions, grantor) {
+  const missing = permissions.filter(permission => !grantor.hasPermission(permission));
+  if (missing.length > 0) {
+    throw new AppError(
+      `You cannot grant permissions you do not hold: ${missing.join(', ')}`,
+      403,
+      'ROLE_ESCALATION_DENIED'
+    );
+  }
+}
+
+/**
+ * Load the custom role `grantor` is handing out, or null when no role is given
+ * (the admin then holds DEFAULT_ADMIN_PERMISSIONS). Either way the permissions
+ * granted are checked against the grantor's own, so an invite cannot grant
+ * more than the inviter has. Super admins hold every permission.
+ * @param {String|null} roleId
+ * @param {Object} grantor - Admin document with customRole populated
+ * @returns {Promise<Object|null>} AdminRole document
+ */
+async function getAssignableRole(roleId, grantor) {
+  if (!roleId) {
+    assertCanGrant(DEFAULT_ADMIN_PERMISSIONS, grantor);
+    return null;
+  }
+
+  const role = await AdminRole.findById(roleId);
+  if (!role) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+  assertCanGrant(role.permissions, grantor);
+  return role;
+}
+
+/**
+ * Role fields sent to clients.
+ */
+function serializeRole(role, assignedAdmins) {
+  return {
+    id: role._id,
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions,
+    assignedAdmins,
+    createdAt: role.createdAt,
+    updatedAt: role.updatedAt
+  };
+}
+
+module.exports = {
+  getAssignableRole,
+  serializeRole
+};
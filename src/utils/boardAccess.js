@@ -0,0 +1,53 @@
+const Sprint = require('../models/Sprint');
+const Questionnaire = require('../models/Questionnaire');
+
+/**
+ * Whether a startup is the one a board was created for: either linked directly
+ * or through the board's sprint questionnaire.
+ */
+async function isBoardStartup(board, startupId) {
+  if (board.relatedStartupId && board.relatedStartupId.toString() === startupId.toString()) {
+    return true;
+  }
+  if (!board.sprintId) return false;
+
+  const sprint = await Sprint.findById(board.sprintId).select('questionnaireId');
+  if (!sprint || !sprint.questionnaireId) return false;
+  return Boolean(await Questionnaire.exists({ _id: sprint.questionnaireId, startupId }));
+}
+
+/**
+ * Read access to a board (e.g. joining its real-time room).
+ *  - super admins, the owner and members: always
+ *  - public: any signed-in user
+ *  - admin-only: any admin
+ *  - startup-only: the board's startup
+ *  - private: members only
+ * The board's startup can also read admin-only sprint boards, matching
+ * GET /api/boards/startup/by-sprint/:sprintId.
+ * @param {Object} viewer - { userId, userType: 'admin'|'startup', role }
+ * @returns {Promise<Boolean>}
+ */
+async function canViewBoard(board, { userId, userType, role }) {
+  const userModel = userType === 'admin' ? 'Admin' : 'Startup';
+
+  if (userType === 'admin' && role === 'super_admin') return true;
+  if (board.ownerId && board.ownerId.toString() === userId.toString() && board.ownerModel === userModel) return true;
+  if (board.getMember(userId, userModel)) return true;
+
+  switch (board.visibility) {
+    case 'public':
+      return true;
+    case 'admin-only':
+      return userType === 'admin' || isBoardStartup(board, userId);
+    case 'startup-only':
+      return userType === 'startup' && isBoardStartup(board, userId);
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  isBoardStartup,
+  canViewBoard
+};
@@ -0,0 +1,111 @@
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+const { rankBetween, getAppendRank } = require('./taskRanking');
+
+/**
+ * Task status implied by a column, based on the column name (e.g. "In Progress",
+ * "Review", "Done"). Columns flagged isCompleted always mean done.
+ */
+function getColumnTaskStatus(column) {
+  if (column.isCompleted) return 'done';
+  const name = (column.name || '').toLowerCase().replace(/\s/g, '');
+  if (name.includes('progress')) return 'in_progress';
+  if (name.includes('review')) return 'review';
+  if (name.includes('done') || name.includes('complete')) return 'done';
+  return 'todo';
+}
+
+/**
+ * Sort board.columns by position and renumber them 0..n-1 (caller saves).
+ */
+function normalizeColumnPositions(board) {
+  const sorted = [...board.columns].sort((a, b) => a.position - b.position);
+  sorted.forEach((column, index) => {
+    column.position = index;
+  });
+  board.columns = sorted;
+}
+
+function getBoardColumn(board, columnId) {
+  const column = board.columns.id(columnId);
+  if (!column) {
+    throw new AppError('Column not found', 404, 'COLUMN_NOT_FOUND');
+  }
+  return column;
+}
+
+/**
+ * WIP usage of a column if one more task were added to it.
+ * @param {String} excludeTaskId - task being moved (not counted if already there)
+ * @returns {Promise<Object>} { limit, count, exceeded }
+ */
+async function getWipStatus(board, columnId, excludeTaskId) {
+  const column = getBoardColumn(board, columnId);
+  const query = { boardId: board._id, columnId: column._id, isArchived: { $ne: true } };
+  if (excludeTaskId) query._id = { $ne: excludeTaskId };
+  const count = await Task.countDocuments(query);
+  const limit = column.wipLimit || 0;
+  return {
+    limit,
+    count,
+    exceeded: limit > 0 && count + 1 > limit
+  };
+}
+
+/**
+ * Enforce the target column's WIP limit for a move. With `override` the move is
+ * allowed and a warning is returned instead.
+ * @returns {Promise<String[]>} warnings for the response
+ */
+async function enforceWipLimit(board, columnId, taskId, { override = false } = {}) {
+  const wip = await getWipStatus(board, columnId, taskId);
+  if (!wip.exceeded) return [];
+
+  const column = board.columns.id(columnId);
+  const message = `Column "${column.name}" has a WIP limit of ${wip.limit} and already holds ${wip.count} task(s)`;
+  if (!override) {
+    const error = new AppError(`${message}. Resend with overrideWipLimit to move anyway.`, 409, 'WIP_LIMIT_EXCEEDED');
+    error.details = wip;
+    throw error;
+  }
+  return [message];
+}
+
+/**
+ * Move every task of a column to the end of another column, keeping their order
+ * and updating their status to match the new column.
+ * @returns {Promise<Number>} number of tasks moved
+ */
+async function rehomeColumnTasks(board, fromColumnId, toColumnId) {
+  const target = getBoardColumn(board, toColumnId);
+  const tasks = await Task.find({ boardId: board._id, columnId: fromColumnId }).sort({ rank: 1, position: 1 }).select('_id');
+  if (tasks.length === 0) return 0;
+
+  const last = await Task.find({ boardId: board._id, columnId: target._id }).sort({ position: -1 }).limit(1);
+  const start = last.length > 0 ? last[0].position + 1 : 0;
+  const status = getColumnTaskStatus(target);
+  let rank = await getAppendRank(board._id, target._id);
+
+  const ops = tasks.map((task, index) => {
+    const op = {
+      updateOne: {
+        filter: { _id: task._id },
+        // bulkWrite skips the Task update hooks, so bump the version here
+        update: { $set: { columnId: target._id, position: start + index, rank, status }, $inc: { __v: 1 } }
+      }
+    };
+    rank = rankBetween(rank, null);
+    return op;
+  });
+  await Task.bulkWrite(ops);
+  return tasks.length;
+}
+
+module.exports = {
+  getColumnTaskStatus,
+  normalizeColumnPositions,
+  getBoardColumn,
+  getWipStatus,
+  enforceWipLimit,
+  rehomeColumnTasks
+};
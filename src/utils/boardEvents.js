@@ -0,0 +1,112 @@
+const BoardEvent = require('../models/BoardEvent');
+const Counter = require('../models/Counter');
+const logger = require('./logger');
+const socketManager = require('./socketManager');
+
+const MAX_EVENTS_PER_FETCH = 500;
+
+const boardSequence = (boardId) => `board-events:${boardId}`;
+
+// Board rooms can include the startup: task snapshots go out without internal
+// comments (and without the activity log, which has its own endpoint)
+function clientTaskSnapshot(task) {
+  if (!task || typeof task !== 'object') return task;
+  const { activityLog, ...snapshot } = task;
+  if (Array.isArray(snapshot.comments)) {
+    snapshot.comments = snapshot.comments.filter(comment => !comment.isInternal);
+  }
+  return snapshot;
+}
+
+function clientEventData(data) {
+  const clientData = { ...data };
+  if (clientData.task) clientData.task = clientTaskSnapshot(clientData.task);
+  if (Array.isArray(clientData.tasks)) clientData.tasks = clientData.tasks.map(clientTaskSnapshot);
+  return clientData;
+}
+
+/**
+ * Record a board change and push it to the board room. Called after the write
+ * has succeeded; the socket event name is the event type and the payload
+ * carries the board's sequence number. Failures are logged, never thrown.
+ * @param {String} boardId
+ * @param {String} type - BoardEvent type, e.g. 'task_moved'
+ * @param {Object} options - { taskId, data, actor: { id, model, memberId } }
+ * @returns {Promise<Object|null>} the client payload, null if it could not be recorded
+ */
+async function publishBoardEvent(boardId, type, { taskId, data = {}, actor } = {}) {
+  try {
+    const seq = await Counter.next(boardSequence(boardId));
+    const event = await BoardEvent.create({
+      boardId,
+      seq,
+      type,
+      taskId,
+      data: clientEventData(data),
+      actorId: actor ? actor.id : undefined,
+      actorModel: actor ? actor.model : undefined,
+      actorMemberId: actor ? actor.memberId : undefined
+    });
+
+    const payload = event.toClient();
+    socketManager.sendToBoard(boardId.toString(), type, payload);
+    return payload;
+  } catch (error) {
+    logger.logError(error, `Board event ${type} failed for board ${boardId}`);
+    return null;
+  }
+}
+
+/**
+ * Actor of a request, for event attribution. `memberId` names the workspace
+ * member acting for a startup.
+ */
+function requestActor(req) {
+  return {
+    id: req.user._id,
+    model: req.userType === 'startup' ? 'Startup' : 'Admin',
+    memberId: req.member ? req.member._id : undefined
+  };
+}
+
+/**
+ * Latest sequence number issued for a board (0 before its first event).
+ */
+async function getLatestSeq(boardId) {
+  const counter = await Counter.findById(boardSequence(boardId));
+  return counter ? counter.seq : 0;
+}
+
+/**
+ * Events after `since`, oldest first. `resync` is set when events the client
+ * needs have already expired (or there are more than one fetch returns); the
+ * client should then reload the board and continue from `latestSeq`.
+ * @returns {Promise<Object>} { events, latestSeq, resync }
+ */
+async function getBoardEventsSince(boardId, since) {
+  const after = Math.max(Number(since) || 0, 0);
+  const [latestSeq, events] = await Promise.all([
+    getLatestSeq(boardId),
+    BoardEvent.find({ boardId, seq: { $gt: after } }).sort({ seq: 1 }).limit(MAX_EVENTS_PER_FETCH)
+  ]);
+
+  const expected = Math.min(latestSeq - after, MAX_EVENTS_PER_FETCH);
+  const firstSeq = events.length > 0 ? events[0].seq : null;
+  const resync = (latestSeq > after && (firstSeq === null || firstSeq !== after + 1)) ||
+    latestSeq - after > MAX_EVENTS_PER_FETCH ||
+    events.length < expected;
+
+  return {
+    events: events.map(event => event.toClient()),
+    latestSeq,
+    resync
+  };
+}
+
+module.exports = {
+  clientTaskSnapshot,
+  publishBoardEvent,
+  requestActor,
+  getLatestSeq,
+  getBoardEventsSince
+};
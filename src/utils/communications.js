@@ -132,15 +132,152 @@ const emailTemplates = {
         <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The LeanSprintr team</p>
       </div>
     `
+  },
+  proposalChangesRequested: {
+    subject: 'Changes Requested on {{sprintName}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">Changes Requested on {{sprintName}}</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;">{{companyName}} has requested changes to version {{version}} of the proposal:</p>
+        <blockquote style="font-size: 16px; color: #444; margin: 0 0 24px; padding: 16px; background: #f8f9fa; border-left: 4px solid #EB5E28; border-radius: 4px;">{{comment}}</blockquote>
+        <a href="{{dashboardUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">Review Proposal</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
+  },
+  proposalRevised: {
+    subject: 'Your Proposal Has Been Updated - {{sprintName}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">Your Proposal Has Been Updated</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;">We've published version {{version}} of <strong>{{sprintName}}</strong> based on your feedback.</p>
+        {{#changeSummary}}<p style="font-size: 16px; color: #444; margin-bottom: 24px;">What changed: {{changeSummary}}</p>{{/changeSummary}}
+        {{#expiresAt}}<p style="font-size: 14px; color: #6b7280; margin-bottom: 24px;">This proposal is available until {{expiresAt}}.</p>{{/expiresAt}}
+        <a href="{{dashboardUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">View Proposal</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
+  },
+  sprintStarted: {
+    subject: 'Your Sprint Has Started - {{sprintName}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">Your Sprint Has Started 🚀</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;">Work on <strong>{{sprintName}}</strong> is now underway. You can follow progress and collaborate with the team from your dashboard.</p>
+        <a href="{{dashboardUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">View Sprint</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
+  },
+  sprintFeedbackRequest: {
+    subject: 'How Did {{sprintName}} Go?',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">How Did Your Sprint Go?</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;">Now that <strong>{{sprintName}}</strong> is complete, we'd love to hear about your experience. It takes less than two minutes and helps us improve every sprint.</p>
+        <a href="{{feedbackUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">Share Feedback</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
+  },
+  deliverableSubmitted: {
+    subject: 'Deliverable Ready for Acceptance - {{deliverableName}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">A Deliverable Is Ready for Acceptance</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;"><strong>{{deliverableName}}</strong> for <strong>{{sprintName}}</strong> has been submitted. Please review the evidence and accept it, or reject it with comments so the team can follow up.</p>
+        {{#note}}<blockquote style="font-size: 16px; color: #444; margin: 0 0 24px; padding: 16px; background: #f8f9fa; border-left: 4px solid #EB5E28; border-radius: 4px;">{{note}}</blockquote>{{/note}}
+        <a href="{{dashboardUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">Review Deliverable</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
+  },
+  taskMention: {
+    subject: '{{authorName}} mentioned you on "{{taskTitle}}"',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">You Were Mentioned on a Task</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;"><strong>{{authorName}}</strong> mentioned you in a comment on <strong>{{taskTitle}}</strong>:</p>
+        <blockquote style="font-size: 16px; color: #444; margin: 0 0 24px; padding: 16px; background: #f8f9fa; border-left: 4px solid #EB5E28; border-radius: 4px;">{{comment}}</blockquote>
+        <a href="{{taskUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">View Task</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
+  },
+  workspaceInvite: {
+    subject: '{{inviterName}} invited you to {{companyName}} on Leansprintr',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">You're Invited to Join Your Team</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;"><strong>{{inviterName}}</strong> invited you to join <strong>{{companyName}}</strong> as a <strong>{{role}}</strong>. Set your password to get started. The invitation expires in 7 days.</p>
+        <a href="{{inviteUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">Accept Invitation</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
+  },
+  sprintCompleted: {
+    subject: 'Sprint Completed - {{sprintName}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.04); padding: 32px;">
+        <h1 style="color: #EB5E28; font-size: 26px; margin-bottom: 16px;">Sprint Completed 🎉</h1>
+        <p style="font-size: 17px; color: #222; margin-bottom: 18px;">Hi {{name}},</p>
+        <p style="font-size: 16px; color: #444; margin-bottom: 24px;"><strong>{{sprintName}}</strong> has been completed. Thank you for working with us! You can review every deliverable from your dashboard.</p>
+        <a href="{{dashboardUrl}}" style="background-color: #EB5E28; color: #fff; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 600; display: inline-block; margin-bottom: 32px;">View Sprint</a>
+        <div style="margin-top: 40px; text-align: center;">
+          <img src="https://taotterimgs.blob.core.windows.net/taotterimgs/leansprintr.png" alt="Leansprintr Logo" style="width: 120px; margin-top: 24px;" />
+        </div>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 15px;">Best regards,<br>The Leansprintr Team</p>
+      </div>
+    `
   }
 };
 
 
+// Escape user-supplied text before it is placed in email HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeTemplateData = (data) => Object.fromEntries(
+  Object.entries(data).map(([key, value]) => [key, typeof value === 'string' ? escapeHtml(value) : value])
+);
+
 const replaceTemplateVariables = (template, data) => {
   let result = template;
   Object.keys(data).forEach(key => {
     const regex = new RegExp(`{{${key}}}`, 'g');
-    result = result.replace(regex, data[key] || '');
+    result = result.replace(regex, () => data[key] || '');
   });
   Object.keys(data).forEach(key => {
     const regex = new RegExp(`{{#${key}}}([\\s\\S]*?){{/${key}}}`, 'g');
@@ -160,12 +297,14 @@ const sendEmail = async (options) => {
     logger.warn('Azure Communication Services not configured, skipping email send');
     return { success: false, reason: 'ACS not configured' };
   }
-  const { to, subject, template, data = {}, html } = options;
+  // escapeData: data holds user-supplied text; it is escaped in the HTML body
+  // only, the subject is plain text
+  const { to, subject, template, data = {}, escapeData = false, html, attachments = [] } = options;
   let emailHtml = html;
   let emailSubject = subject;
 
   if (template && emailTemplates[template]) {
-    emailHtml = replaceTemplateVariables(emailTemplates[template].html, data);
+    emailHtml = replaceTemplateVariables(emailTemplates[template].html, escapeData ? escapeTemplateData(data) : data);
     emailSubject = replaceTemplateVariables(emailTemplates[template].subject, data);
   }
 
@@ -180,6 +319,15 @@ const sendEmail = async (options) => {
     }
   };
 
+  // Attachments: [{ name, contentType, content (Buffer) }]
+  if (attachments.length > 0) {
+    message.attachments = attachments.map(attachment => ({
+      name: attachment.name,
+      contentType: attachment.contentType,
+      contentInBase64: Buffer.from(attachment.content).toString('base64')
+    }));
+  }
+
   try {
     const poller = await acsEmailClient.beginSend(message);
     const result = await poller.pollUntilDone();
@@ -194,6 +342,7 @@ const sendEmail = async (options) => {
 
 module.exports = {
   sendEmail,
+  escapeHtml,
   emailTemplates,
   replaceTemplateVariables
 };
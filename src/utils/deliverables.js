@@ -0,0 +1,187 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Deliverable acceptance helpers. sprint.deliverableItems tracks each
+ * deliverable from admin submission (with evidence) to startup acceptance or
+ * rejection. These helpers only mutate the sprint - callers save it.
+ */
+
+/**
+ * Seed deliverableItems from the sprint's plain `deliverables` list the first time
+ * they are needed, so sprints created before acceptance tracking keep their scope.
+ * @returns {Boolean} whether items were added
+ */
+function ensureDeliverableItems(sprint) {
+  if (sprint.deliverableItems.length > 0 || !sprint.deliverables || sprint.deliverables.length === 0) {
+    return false;
+  }
+  sprint.deliverables.forEach(name => sprint.deliverableItems.push({ name }));
+  return true;
+}
+
+function getDeliverableItem(sprint, deliverableId) {
+  const item = sprint.deliverableItems.id(deliverableId);
+  if (!item) {
+    throw new AppError('Deliverable not found', 404, 'DELIVERABLE_NOT_FOUND');
+  }
+  return item;
+}
+
+/**
+ * Attach evidence and put the deliverable up for review. Resubmitting a
+ * rejected deliverable keeps earlier evidence and reviews for the record.
+ * @param {Object} submission - { evidence: [{ type, url, name, fileName, mimeType, size }], note, submittedBy }
+ */
+function submitDeliverable(item, { evidence = [], note, submittedBy }) {
+  if (item.status === 'accepted') {
+    throw new AppError('Deliverable has already been accepted', 400, 'DELIVERABLE_ALREADY_ACCEPTED');
+  }
+  if (evidence.length === 0 && item.evidence.length === 0) {
+    throw new AppError('Submit at least one file or link as evidence', 400, 'DELIVERABLE_EVIDENCE_REQUIRED');
+  }
+
+  evidence.forEach(entry => item.evidence.push({ ...entry, submittedBy, submittedAt: new Date() }));
+  item.status = 'submitted';
+  item.submissionNote = note;
+  item.submittedAt = new Date();
+  item.submittedBy = submittedBy;
+}
+
+/**
+ * Record the startup's accept or reject decision on a submitted deliverable.
+ * @param {Object} review - { decision: 'accepted'|'rejected', comment, reviewedBy, reviewedByMember }
+ */
+function reviewDeliverable(item, { decision, comment, reviewedBy, reviewedByMember }) {
+  if (item.status !== 'submitted') {
+    throw new AppError('Only submitted deliverables can be reviewed', 400, 'DELIVERABLE_NOT_SUBMITTED');
+  }
+
+  item.reviews.push({ decision, comment, reviewedBy, reviewedByMember, reviewedAt: new Date() });
+  item.status = decision;
+  if (decision === 'accepted') {
+    item.acceptedAt = new Date();
+    item.acceptedBy = reviewedBy;
+  }
+}
+
+/**
+ * @returns {Object} { total, accepted, submitted, rejected, pending, allAccepted }
+ */
+function getAcceptanceSummary(sprint) {
+  const count = status => sprint.deliverableItems.filter(item => item.status === status).length;
+  const total = sprint.deliverableItems.length;
+  const accepted = count('accepted');
+  return {
+    total,
+    accepted,
+    submitted: count('submitted'),
+    rejected: count('rejected'),
+    pending: count('pending'),
+    allAccepted: accepted === total
+  };
+}
+
+/**
+ * Number the sprint's acceptance certificate (ACC-2025-00001) if it has none yet.
+ */
+async function ensureCertificateNumber(sprint) {
+  if (!sprint.signOff.certificateNumber) {
+    const year = new Date().getFullYear();
+    const seq = await Counter.next(`acceptance-${year}`);
+    sprint.signOff.certificateNumber = `ACC-${year}-${String(seq).padStart(5, '0')}`;
+  }
+  return sprint.signOff.certificateNumber;
+}
+
+/**
+ * Record the startup's sign-off on the sprint as a whole.
+ * @param {Object} startup - Startup document signing off
+ * @param {Object} options - { signatoryName, ipAddress }
+ */
+async function recordSignOff(sprint, startup, { signatoryName, ipAddress } = {}) {
+  sprint.signOff.signedOffAt = new Date();
+  sprint.signOff.signedOffBy = startup._id;
+  sprint.signOff.signatoryName = signatoryName ||
+    `${startup.profile?.founderFirstName || ''} ${startup.profile?.founderLastName || ''}`.trim() ||
+    startup.email;
+  sprint.signOff.signatoryEmail = startup.email;
+  sprint.signOff.ipAddress = ipAddress;
+  await ensureCertificateNumber(sprint);
+}
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+/**
+ * Render the acceptance certificate for a completed sprint.
+ * @param {Object} sprint - Sprint document with a certificate number
+ * @param {Object} options - { companyName } of the startup
+ * @returns {Promise<Buffer>}
+ */
+function renderAcceptanceCertificatePdf(sprint, { companyName } = {}) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const providerName = process.env.INVOICE_COMPANY_NAME || 'Leansprintr';
+    const signOff = sprint.signOff || {};
+
+    // Header
+    pdf.fillColor('#EB5E28').fontSize(22).text(providerName, 50, 50);
+    pdf.fillColor('#222').fontSize(18).text('ACCEPTANCE CERTIFICATE', 250, 50, { width: 295, align: 'right' });
+    pdf.fontSize(10).text(signOff.certificateNumber || '', 250, 75, { width: 295, align: 'right' });
+
+    pdf.fillColor('#222').fontSize(12).text(
+      `This certifies that ${companyName || 'the client'} has reviewed and accepted the deliverables of the sprint "${sprint.name}".`,
+      50, 130, { width: 495 }
+    );
+
+    // Deliverables table
+    let y = pdf.y + 30;
+    pdf.fillColor('#6b7280').fontSize(9);
+    pdf.text('DELIVERABLE', 50, y);
+    pdf.text('ACCEPTED', 400, y, { width: 145, align: 'right' });
+    pdf.moveTo(50, y + 14).lineTo(545, y + 14).strokeColor('#e5e7eb').stroke();
+
+    y += 24;
+    pdf.fillColor('#222').fontSize(10);
+    sprint.deliverableItems.forEach(item => {
+      pdf.text(item.name, 50, y, { width: 340 });
+      pdf.text(item.acceptedAt ? formatDate(item.acceptedAt) : '-', 400, y, { width: 145, align: 'right' });
+      y = Math.max(pdf.y, y + 14) + 8;
+    });
+
+    // Sign-off block
+    y += 30;
+    pdf.fillColor('#6b7280').fontSize(9).text('SIGNED OFF BY', 50, y);
+    pdf.fillColor('#222').fontSize(11);
+    if (signOff.signedOffAt) {
+      pdf.text(signOff.signatoryName || '', 50, y + 14);
+      if (signOff.signatoryEmail) pdf.text(signOff.signatoryEmail);
+      pdf.text(`Signed off: ${formatDate(signOff.signedOffAt)}`);
+    } else {
+      pdf.text(`Completed: ${formatDate(sprint.actualEndDate || sprint.endDate || new Date())}`, 50, y + 14);
+    }
+
+    pdf.fillColor('#6b7280').fontSize(9)
+      .text(`Thank you for working with ${providerName}.`, 50, 760, { width: 495, align: 'center' });
+
+    pdf.end();
+  });
+}
+
+module.exports = {
+  ensureDeliverableItems,
+  getDeliverableItem,
+  submitDeliverable,
+  reviewDeliverable,
+  getAcceptanceSummary,
+  ensureCertificateNumber,
+  recordSignOff,
+  renderAcceptanceCertificatePdf
+};
@@ -0,0 +1,55 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const logger = require('./logger');
+
+const REFERENCE_CURRENCY = 'USD';
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'QAR'];
+
+/**
+ * Current admin-managed rate table.
+ * @returns {Promise<Object>} { referenceCurrency, rates: { USD: 1, EUR: 0.92, ... }, capturedAt }
+ */
+async function getCurrentRates() {
+  const docs = await ExchangeRate.find({ currency: { $in: SUPPORTED_CURRENCIES } });
+  const rates = { [REFERENCE_CURRENCY]: 1 };
+  docs.forEach(doc => {
+    rates[doc.currency] = doc.rate;
+  });
+  return { referenceCurrency: REFERENCE_CURRENCY, rates, capturedAt: new Date() };
+}
+
+/**
+ * Convert an amount between currencies using a rate table.
+ * @param {Object} table - { rates } as returned by getCurrentRates or a sprint snapshot
+ * @returns {Number|null} converted amount, or null if either rate is missing
+ */
+function convertAmount(amount, fromCurrency, toCurrency, table) {
+  if (fromCurrency === toCurrency) return amount;
+  const rates = (table && table.rates) || {};
+  const fromRate = rates[fromCurrency];
+  const toRate = rates[toCurrency];
+  if (!fromRate || !toRate) return null;
+  return (amount / fromRate) * toRate;
+}
+
+/**
+ * Snapshot the current rate table onto the sprint (caller saves).
+ * Failures are logged and leave the snapshot unset so the sprint flow isn't blocked.
+ * @param {Object} sprint - Sprint document
+ * @param {String} stage - 'packageSelected' | 'paid'
+ */
+async function snapshotExchangeRates(sprint, stage) {
+  try {
+    const table = await getCurrentRates();
+    sprint.set(`exchangeRateSnapshots.${stage}`, table);
+  } catch (e) {
+    logger.logError(e, `Failed to snapshot exchange rates for sprint ${sprint._id}`);
+  }
+}
+
+module.exports = {
+  REFERENCE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  getCurrentRates,
+  convertAmount,
+  snapshotExchangeRates
+};
@@ -0,0 +1,296 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const azureStorage = require('./azureStorage');
+const logger = require('./logger');
+const {
+  getPricingModel,
+  getPackageSubtotal,
+  getPackageAmountDue,
+  getPackageLineItems
+} = require('./packagePricing');
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  receipt: 'RCT'
+};
+
+/**
+ * Next sequential document number, e.g. INV-2025-00042 (sequence resets yearly).
+ * @param {String} documentType - 'invoice' | 'receipt'
+ */
+async function nextDocumentNumber(documentType) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`${documentType}-${year}`);
+  return `${NUMBER_PREFIXES[documentType]}-${year}-${String(seq).padStart(5, '0')}`;
+}
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+/**
+ * Render an invoice or receipt document to a PDF buffer.
+ * @param {Object} doc - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const isReceipt = doc.documentType === 'receipt';
+    const companyName = process.env.INVOICE_COMPANY_NAME || 'Leansprintr';
+    const companyAddress = process.env.INVOICE_COMPANY_ADDRESS || '';
+
+    // Header
+    pdf.fillColor('#EB5E28').fontSize(22).text(companyName, 50, 50);
+    if (companyAddress) {
+      pdf.fillColor('#6b7280').fontSize(9).text(companyAddress, 50, 78, { width: 250 });
+    }
+    pdf.fillColor('#222').fontSize(18).text(isReceipt ? 'RECEIPT' : 'INVOICE', 350, 50, { width: 195, align: 'right' });
+    pdf.fontSize(10)
+      .text(doc.number, 350, 75, { width: 195, align: 'right' })
+      .text(`Issued: ${formatDate(doc.issuedAt)}`, 350, 90, { width: 195, align: 'right' });
+    if (isReceipt && doc.paidAt) {
+      pdf.text(`Paid: ${formatDate(doc.paidAt)}`, 350, 105, { width: 195, align: 'right' });
+    }
+
+    // Bill to
+    pdf.fillColor('#6b7280').fontSize(9).text(isReceipt ? 'RECEIVED FROM' : 'BILL TO', 50, 140);
+    pdf.fillColor('#222').fontSize(11).text(doc.billTo.name || '', 50, 154);
+    if (doc.billTo.companyName) pdf.text(doc.billTo.companyName);
+    if (doc.billTo.email) pdf.text(doc.billTo.email);
+
+    pdf.fillColor('#6b7280').fontSize(9).text('SPRINT', 350, 140, { width: 195, align: 'right' });
+    pdf.fillColor('#222').fontSize(11).text(doc.sprintName || '', 350, 154, { width: 195, align: 'right' });
+    pdf.text(doc.packageName || '', { width: 195, align: 'right' });
+
+    // Line items table
+    let y = 240;
+    pdf.fillColor('#6b7280').fontSize(9);
+    pdf.text('DESCRIPTION', 50, y);
+    pdf.text('QTY', 300, y, { width: 50, align: 'right' });
+    pdf.text('UNIT PRICE', 355, y, { width: 90, align: 'right' });
+    pdf.text('AMOUNT', 450, y, { width: 95, align: 'right' });
+    pdf.moveTo(50, y + 14).lineTo(545, y + 14).strokeColor('#e5e7eb').stroke();
+
+    y += 24;
+    pdf.fillColor('#222').fontSize(10);
+    doc.lineItems.forEach(item => {
+      pdf.text(item.description, 50, y, { width: 240 });
+      pdf.text(String(item.quantity), 300, y, { width: 50, align: 'right' });
+      pdf.text(formatMoney(item.unitPrice, doc.currency), 355, y, { width: 90, align: 'right' });
+      pdf.text(formatMoney(item.amount, doc.currency), 450, y, { width: 95, align: 'right' });
+      y = Math.max(pdf.y, y + 14) + 8;
+    });
+
+    // Totals
+    pdf.moveTo(300, y).lineTo(545, y).strokeColor('#e5e7eb').stroke();
+    y += 10;
+    const totalRow = (label, value, bold = false) => {
+      pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      pdf.text(label, 300, y, { width: 145, align: 'right' });
+      pdf.text(value, 450, y, { width: 95, align: 'right' });
+      y += 18;
+    };
+    totalRow('Subtotal', formatMoney(doc.subtotal, doc.currency));
+    if (doc.discount > 0) {
+      totalRow('Discount', `- ${formatMoney(doc.discount, doc.currency)}`);
+    }
+    totalRow(isReceipt ? 'Amount paid' : 'Total due', formatMoney(doc.total, doc.currency), true);
+    pdf.font('Helvetica');
+
+    if (isReceipt && doc.paymentReference) {
+      pdf.fillColor('#6b7280').fontSize(9).text(`Payment reference: ${doc.paymentReference}`, 50, y + 20);
+    }
+
+    pdf.fillColor('#6b7280').fontSize(9)
+      .text(`Thank you for working with ${companyName}.`, 50, 760, { width: 495, align: 'center' });
+
+    pdf.end();
+  });
+}
+
+/**
+ * Render a document and store it via Azure Blob Storage. Storage failures are
+ * logged and leave the document without a file so the flow isn't blocked.
+ * @returns {Promise<Buffer>} rendered PDF
+ */
+async function renderAndStore(doc) {
+  const pdf = await renderInvoicePdf(doc);
+  const uploadResult = await azureStorage.uploadFile(
+    { buffer: pdf, originalname: `${doc.number}.pdf`, mimetype: 'application/pdf' },
+    doc.startupId ? doc.startupId.toString() : 'unassigned',
+    doc.sprintId.toString(),
+    doc.documentType === 'receipt' ? 'receipts' : 'invoices'
+  );
+
+  if (uploadResult.success) {
+    doc.fileUrl = uploadResult.fileUrl;
+    doc.fileName = uploadResult.fileName;
+    await doc.save();
+  } else {
+    logger.logError(uploadResult.error, `Failed to upload ${doc.number}`);
+  }
+
+  return pdf;
+}
+
+const billToFromStartup = (startup) => (startup ? {
+  name: `${startup.profile?.founderFirstName || ''} ${startup.profile?.founderLastName || ''}`.trim(),
+  companyName: startup.profile?.companyName,
+  email: startup.email
+} : {});
+
+/**
+ * Issue a numbered invoice for the sprint's selected package. Any earlier
+ * unpaid invoice for the sprint (e.g. a previously selected package) is voided.
+ * @param {Object} sprint - Sprint document with selectedPackage
+ * @param {Object} startup - Startup document
+ * @returns {Promise<Object>} { invoice, pdf }
+ */
+async function issueSprintInvoice(sprint, startup) {
+  const pkg = sprint.selectedPackage;
+  if (!pkg) {
+    throw new Error(`Sprint ${sprint._id} has no selected package to invoice`);
+  }
+
+  await Invoice.updateMany(
+    { sprintId: sprint._id, documentType: 'invoice', status: 'issued' },
+    { $set: { status: 'void', voidedAt: new Date() } }
+  );
+
+  const invoice = new Invoice({
+    number: await nextDocumentNumber('invoice'),
+    documentType: 'invoice',
+    status: 'issued',
+    sprintId: sprint._id,
+    startupId: startup ? startup._id : undefined,
+    packageId: pkg._id,
+    billTo: billToFromStartup(startup),
+    sprintName: sprint.name,
+    packageName: pkg.name,
+    pricingModel: getPricingModel(pkg),
+    lineItems: getPackageLineItems(pkg, sprint.name),
+    subtotal: getPackageSubtotal(pkg),
+    discount: pkg.discount || 0,
+    total: getPackageAmountDue(pkg),
+    currency: pkg.currency || 'QAR',
+    issuedAt: new Date()
+  });
+  await invoice.save();
+
+  const pdf = await renderAndStore(invoice);
+  logger.info(`Invoice ${invoice.number} issued for sprint ${sprint._id}`);
+
+  return { invoice, pdf };
+}
+
+/**
+ * Issue a receipt settling the sprint's current invoice (issuing the invoice
+ * first if none exists). Returns the existing receipt if one was already issued.
+ * @param {Object} sprint - Sprint document with selectedPackage
+ * @param {Object} startup - Startup document
+ * @param {Object} options - { paymentReference }
+ * @returns {Promise<Object>} { receipt, pdf }
+ */
+async function issueSprintReceipt(sprint, startup, { paymentReference } = {}) {
+  let invoice = await Invoice.findCurrentInvoice(sprint._id);
+  if (!invoice) {
+    ({ invoice } = await issueSprintInvoice(sprint, startup));
+  }
+
+  const existing = await Invoice.findOne({ invoiceId: invoice._id, documentType: 'receipt', status: { $ne: 'void' } });
+  if (existing) {
+    return { receipt: existing, pdf: await renderInvoicePdf(existing) };
+  }
+
+  const paidAt = sprint.selectedPackagePaymentVerifiedAt || new Date();
+  invoice.status = 'paid';
+  invoice.paidAt = paidAt;
+  await invoice.save();
+
+  const receipt = new Invoice({
+    number: await nextDocumentNumber('receipt'),
+    documentType: 'receipt',
+    status: 'paid',
+    sprintId: sprint._id,
+    startupId: invoice.startupId,
+    packageId: invoice.packageId,
+    invoiceId: invoice._id,
+    billTo: invoice.billTo,
+    sprintName: invoice.sprintName,
+    packageName: invoice.packageName,
+    pricingModel: invoice.pricingModel,
+    lineItems: invoice.lineItems,
+    subtotal: invoice.subtotal,
+    discount: invoice.discount,
+    total: invoice.total,
+    currency: invoice.currency,
+    issuedAt: new Date(),
+    paidAt,
+    paymentReference: paymentReference || 'manual'
+  });
+  await receipt.save();
+
+  const pdf = await renderAndStore(receipt);
+  logger.info(`Receipt ${receipt.number} issued for sprint ${sprint._id} (invoice ${invoice.number})`);
+
+  return { receipt, pdf };
+}
+
+/**
+ * Void the sprint's receipts and reopen the invoices they settled, e.g. when an
+ * admin reverts a payment to unpaid.
+ * @param {ObjectId} sprintId
+ */
+async function voidSprintReceipts(sprintId) {
+  const receipts = await Invoice.find({ sprintId, documentType: 'receipt', status: { $ne: 'void' } });
+  if (receipts.length === 0) return;
+
+  await Invoice.updateMany(
+    { _id: { $in: receipts.map(r => r._id) } },
+    { $set: { status: 'void', voidedAt: new Date() } }
+  );
+  await Invoice.updateMany(
+    { _id: { $in: receipts.map(r => r.invoiceId) }, status: 'paid' },
+    { $set: { status: 'issued' }, $unset: { paidAt: 1 } }
+  );
+}
+
+/**
+ * Shape an invoice/receipt for API responses.
+ */
+const serializeInvoice = (doc) => ({
+  id: doc._id,
+  number: doc.number,
+  documentType: doc.documentType,
+  status: doc.status,
+  invoiceId: doc.invoiceId,
+  packageName: doc.packageName,
+  pricingModel: doc.pricingModel,
+  lineItems: doc.lineItems,
+  subtotal: doc.subtotal,
+  discount: doc.discount,
+  total: doc.total,
+  currency: doc.currency,
+  issuedAt: doc.issuedAt,
+  paidAt: doc.paidAt,
+  voidedAt: doc.voidedAt,
+  paymentReference: doc.paymentReference,
+  fileUrl: doc.fileUrl || null
+});
+
+module.exports = {
+  renderInvoicePdf,
+  issueSprintInvoice,
+  issueSprintReceipt,
+  voidSprintReceipts,
+  serializeInvoice
+};
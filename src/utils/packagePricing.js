@@ -0,0 +1,71 @@
+/**
+ * Pricing helpers for sprint package options (packageOptionSchema).
+ * A package is priced either hourly (hourlyRate × QTY) or as a fixed amount;
+ * `discount` is a flat amount in the package currency.
+ */
+
+/**
+ * @param {Object} pkg - packageOptionSchema document
+ * @returns {String|undefined} 'hourly' | 'fixed'
+ */
+function getPricingModel(pkg) {
+  if (!pkg) return undefined;
+  if (pkg.hourlyRate && pkg.QTY) return 'hourly';
+  if (pkg.amount) return 'fixed';
+  return undefined;
+}
+
+/**
+ * Gross package price before discount.
+ * @param {Object} pkg - packageOptionSchema document
+ * @returns {Number}
+ */
+function getPackageSubtotal(pkg) {
+  if (!pkg) return 0;
+  if (typeof pkg.price === 'number') return pkg.price;
+  if (getPricingModel(pkg) === 'hourly') return pkg.hourlyRate * pkg.QTY;
+  return pkg.amount || 0;
+}
+
+/**
+ * Amount due for a package after discount.
+ * @param {Object} pkg - packageOptionSchema document
+ * @returns {Number}
+ */
+function getPackageAmountDue(pkg) {
+  return Math.max(getPackageSubtotal(pkg) - ((pkg && pkg.discount) || 0), 0);
+}
+
+/**
+ * Invoice line items for a package.
+ * @param {Object} pkg - packageOptionSchema document
+ * @param {String} sprintName
+ * @returns {Array} [{ description, quantity, unitPrice, amount }]
+ */
+function getPackageLineItems(pkg, sprintName) {
+  const description = sprintName ? `${sprintName} - ${pkg.name}` : pkg.name;
+
+  if (getPricingModel(pkg) === 'hourly') {
+    return [{
+      description: `${description} (hourly)`,
+      quantity: pkg.QTY,
+      unitPrice: pkg.hourlyRate,
+      amount: pkg.hourlyRate * pkg.QTY
+    }];
+  }
+
+  const subtotal = getPackageSubtotal(pkg);
+  return [{
+    description,
+    quantity: 1,
+    unitPrice: subtotal,
+    amount: subtotal
+  }];
+}
+
+module.exports = {
+  getPricingModel,
+  getPackageSubtotal,
+  getPackageAmountDue,
+  getPackageLineItems
+};
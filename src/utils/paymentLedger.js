@@ -0,0 +1,306 @@
+const { AppError } = require('../middleware/errorHandler');
+const { getPackageAmountDue } = require('./packagePricing');
+
+/**
+ * Payment ledger helpers for sprints. The ledger (sprint.paymentLedger) is the
+ * source of truth; instalment statuses, sprint.paymentSummary and
+ * selectedPackagePaymentStatus are derived from it by recalculatePaymentState.
+ * These helpers only mutate the sprint document - callers save it.
+ */
+
+const AMOUNT_EPSILON = 0.01;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Board access policies, keyed by sprint.paymentAccessPolicy.
+ * Each receives the sprint (with derived payment state) and returns a boolean.
+ */
+const PAYMENT_ACCESS_POLICIES = {
+  full_payment: (sprint) => sprint.selectedPackagePaymentStatus === 'paid',
+  first_instalment: (sprint) => {
+    if (sprint.selectedPackagePaymentStatus === 'paid') return true;
+    const [first] = sprint.paymentSchedule || [];
+    return Boolean(first && first.status === 'paid');
+  },
+  any_payment: (sprint) => sprint.selectedPackagePaymentStatus !== 'unpaid'
+};
+
+/**
+ * Whether the sprint's payment state satisfies its access policy.
+ */
+function hasPaymentAccess(sprint) {
+  const policy = PAYMENT_ACCESS_POLICIES[sprint.paymentAccessPolicy] || PAYMENT_ACCESS_POLICIES.full_payment;
+  return policy(sprint);
+}
+
+const activeEntries = (sprint, type) =>
+  (sprint.paymentLedger || []).filter(entry => entry.status !== 'void' && (!type || entry.type === type));
+
+/**
+ * Sprints paid before the ledger existed only carry selectedPackagePaymentStatus.
+ * Seed a payment entry for them so ledger maths keep them paid.
+ */
+function seedLegacyPayment(sprint) {
+  if (sprint.selectedPackagePaymentStatus !== 'paid' || (sprint.paymentLedger || []).length > 0 || !sprint.selectedPackage) {
+    return;
+  }
+  sprint.paymentLedger.push({
+    type: 'payment',
+    amount: getPackageAmountDue(sprint.selectedPackage),
+    currency: sprint.selectedPackage.currency,
+    method: sprint.selectedPackagePaymentSource === 'provider' ? 'provider' : 'manual',
+    reference: sprint.paymentCheckout?.paymentReference || 'legacy',
+    note: 'Recorded before the payment ledger was introduced',
+    paidAt: sprint.selectedPackagePaymentVerifiedAt || new Date(),
+    recordedBy: sprint.selectedPackagePaymentVerifiedBy
+  });
+}
+
+/**
+ * Recompute instalment statuses, paymentSummary and selectedPackagePaymentStatus
+ * from the ledger. Net payments are allocated to instalments in schedule order.
+ * @returns {String} the new selectedPackagePaymentStatus
+ */
+function recalculatePaymentState(sprint) {
+  const amountDue = sprint.selectedPackage ? getPackageAmountDue(sprint.selectedPackage) : 0;
+  const payments = activeEntries(sprint, 'payment');
+  const amountPaid = round(payments.reduce((sum, entry) => sum + entry.amount, 0));
+  const amountRefunded = round(activeEntries(sprint, 'refund').reduce((sum, entry) => sum + entry.amount, 0));
+  const netPaid = round(amountPaid - amountRefunded);
+  const lastPayment = payments.reduce((latest, entry) => (!latest || entry.paidAt > latest ? entry.paidAt : latest), null);
+
+  const now = new Date();
+  let remaining = netPaid;
+  (sprint.paymentSchedule || []).forEach(instalment => {
+    const allocated = round(Math.min(Math.max(remaining, 0), instalment.amount));
+    remaining = round(remaining - allocated);
+    instalment.amountPaid = allocated;
+
+    if (allocated >= instalment.amount - AMOUNT_EPSILON) {
+      instalment.status = 'paid';
+      instalment.paidAt = instalment.paidAt || lastPayment || now;
+    } else {
+      instalment.paidAt = undefined;
+      if (instalment.dueDate && instalment.dueDate < now) {
+        instalment.status = 'overdue';
+      } else {
+        instalment.status = allocated > 0 ? 'partially_paid' : 'pending';
+      }
+    }
+  });
+
+  sprint.paymentSummary = {
+    amountDue,
+    amountPaid,
+    amountRefunded,
+    outstandingBalance: round(Math.max(amountDue - netPaid, 0)),
+    currency: sprint.selectedPackage?.currency,
+    lastPaymentAt: lastPayment || undefined
+  };
+
+  if (amountDue > 0 && netPaid >= amountDue - AMOUNT_EPSILON) {
+    sprint.selectedPackagePaymentStatus = 'paid';
+  } else if (netPaid > 0) {
+    sprint.selectedPackagePaymentStatus = 'partially_paid';
+  } else {
+    sprint.selectedPackagePaymentStatus = 'unpaid';
+  }
+
+  return sprint.selectedPackagePaymentStatus;
+}
+
+/**
+ * Amount the next checkout should charge: the remainder of the first unpaid
+ * instalment, or the whole outstanding balance when there is no schedule.
+ */
+function getNextAmountDue(sprint) {
+  seedLegacyPayment(sprint);
+  recalculatePaymentState(sprint);
+  const next = (sprint.paymentSchedule || []).find(instalment => instalment.status !== 'paid');
+  if (next) {
+    return round(next.amount - next.amountPaid);
+  }
+  return sprint.paymentSummary.outstandingBalance;
+}
+
+/**
+ * Replace the instalment schedule. Instalment amounts must add up to the
+ * selected package's amount due.
+ * @param {Array} instalments - [{ label, amount, dueDate }]
+ */
+function setPaymentSchedule(sprint, instalments) {
+  if (!sprint.selectedPackage) {
+    throw new AppError('Select a package before scheduling instalments', 400, 'PACKAGE_NOT_SELECTED');
+  }
+  const amountDue = getPackageAmountDue(sprint.selectedPackage);
+  const total = round(instalments.reduce((sum, instalment) => sum + instalment.amount, 0));
+  if (instalments.length > 0 && Math.abs(total - amountDue) > AMOUNT_EPSILON) {
+    throw new AppError(`Instalments total ${total} but the package amount due is ${amountDue}`, 400, 'SCHEDULE_TOTAL_MISMATCH');
+  }
+
+  sprint.paymentSchedule = instalments.map(({ label, amount, dueDate }) => ({ label, amount, dueDate }));
+  seedLegacyPayment(sprint);
+  return recalculatePaymentState(sprint);
+}
+
+/**
+ * Append a payment entry.
+ * @param {Object} entry - { amount, method, reference, note, instalmentId, paidAt, recordedBy }
+ * @returns {Object} the ledger entry
+ */
+function addPayment(sprint, { amount, method = 'manual', reference, note, instalmentId, paidAt, recordedBy }) {
+  if (!sprint.selectedPackage) {
+    throw new AppError('Select a package before recording payments', 400, 'PACKAGE_NOT_SELECTED');
+  }
+  if (instalmentId && !sprint.paymentSchedule.id(instalmentId)) {
+    throw new AppError('Instalment not found', 404, 'INSTALMENT_NOT_FOUND');
+  }
+
+  seedLegacyPayment(sprint);
+  sprint.paymentLedger.push({
+    type: 'payment',
+    amount: round(amount),
+    currency: sprint.selectedPackage.currency,
+    method,
+    reference,
+    note,
+    instalmentId,
+    paidAt: paidAt || new Date(),
+    recordedBy
+  });
+  recalculatePaymentState(sprint);
+  return sprint.paymentLedger[sprint.paymentLedger.length - 1];
+}
+
+/**
+ * Amount of a payment entry not yet refunded.
+ */
+function getRefundableAmount(sprint, payment) {
+  const refunded = activeEntries(sprint, 'refund')
+    .filter(entry => entry.refundOf && entry.refundOf.toString() === payment._id.toString())
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  return round(payment.amount - refunded);
+}
+
+/**
+ * Append a refund against a recorded payment (defaults to the full refundable amount).
+ * @returns {Object} the refund entry
+ */
+function addRefund(sprint, paymentId, { amount, reference, note, recordedBy }) {
+  seedLegacyPayment(sprint);
+  const payment = sprint.paymentLedger.id(paymentId);
+  if (!payment) {
+    throw new AppError('Ledger entry not found', 404, 'LEDGER_ENTRY_NOT_FOUND');
+  }
+  if (payment.type !== 'payment' || payment.status === 'void') {
+    throw new AppError('Only recorded payments can be refunded', 400, 'LEDGER_ENTRY_NOT_REFUNDABLE');
+  }
+
+  const refundable = getRefundableAmount(sprint, payment);
+  const refundAmount = round(amount != null ? amount : refundable);
+  if (refundAmount <= 0 || refundAmount > refundable + AMOUNT_EPSILON) {
+    throw new AppError(`Refund amount must be between 0 and ${refundable}`, 400, 'REFUND_AMOUNT_INVALID');
+  }
+
+  sprint.paymentLedger.push({
+    type: 'refund',
+    amount: refundAmount,
+    currency: payment.currency,
+    method: payment.method,
+    reference,
+    note,
+    refundOf: payment._id,
+    paidAt: new Date(),
+    recordedBy
+  });
+  recalculatePaymentState(sprint);
+  return sprint.paymentLedger[sprint.paymentLedger.length - 1];
+}
+
+/**
+ * Void a ledger entry recorded in error. Voiding a payment also voids its refunds.
+ * @returns {Object} the voided entry
+ */
+function voidEntry(sprint, entryId, { reason, voidedBy }) {
+  seedLegacyPayment(sprint);
+  const entry = sprint.paymentLedger.id(entryId);
+  if (!entry) {
+    throw new AppError('Ledger entry not found', 404, 'LEDGER_ENTRY_NOT_FOUND');
+  }
+  if (entry.status === 'void') {
+    throw new AppError('Ledger entry is already void', 400, 'LEDGER_ENTRY_ALREADY_VOID');
+  }
+
+  const now = new Date();
+  const toVoid = [entry];
+  if (entry.type === 'payment') {
+    toVoid.push(...activeEntries(sprint, 'refund')
+      .filter(refund => refund.refundOf && refund.refundOf.toString() === entry._id.toString()));
+  }
+  toVoid.forEach(item => {
+    item.status = 'void';
+    item.voidedAt = now;
+    item.voidedBy = voidedBy;
+    item.voidReason = reason;
+  });
+
+  recalculatePaymentState(sprint);
+  return entry;
+}
+
+/**
+ * Payment state for API responses. Startups don't see who recorded entries or internal notes.
+ * Derived state is refreshed first so overdue instalments show up without a write.
+ */
+function serializePaymentState(sprint, { includeInternal = false } = {}) {
+  seedLegacyPayment(sprint);
+  recalculatePaymentState(sprint);
+
+  const ledger = (sprint.paymentLedger || []).map(entry => {
+    const item = {
+      id: entry._id,
+      type: entry.type,
+      amount: entry.amount,
+      currency: entry.currency,
+      method: entry.method,
+      reference: entry.reference,
+      instalmentId: entry.instalmentId,
+      refundOf: entry.refundOf,
+      status: entry.status,
+      paidAt: entry.paidAt
+    };
+    if (includeInternal) {
+      Object.assign(item, {
+        note: entry.note,
+        recordedBy: entry.recordedBy,
+        voidedAt: entry.voidedAt,
+        voidedBy: entry.voidedBy,
+        voidReason: entry.voidReason
+      });
+    }
+    return item;
+  });
+
+  return {
+    paymentStatus: sprint.selectedPackagePaymentStatus,
+    accessPolicy: sprint.paymentAccessPolicy,
+    hasAccess: hasPaymentAccess(sprint),
+    summary: sprint.paymentSummary,
+    schedule: sprint.paymentSchedule,
+    ledger: includeInternal ? ledger : ledger.filter(entry => entry.status !== 'void')
+  };
+}
+
+module.exports = {
+  PAYMENT_ACCESS_POLICIES,
+  hasPaymentAccess,
+  seedLegacyPayment,
+  recalculatePaymentState,
+  getNextAmountDue,
+  setPaymentSchedule,
+  addPayment,
+  addRefund,
+  voidEntry,
+  serializePaymentState
+};
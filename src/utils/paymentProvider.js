@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+
+// Webhook timestamp tolerance (seconds), same window as the Calendly webhook
+const SIGNATURE_TOLERANCE = 300;
+
+/**
+ * Sign a raw webhook payload using the `t=<timestamp>,v1=<hmac>` scheme
+ * shared by Stripe and the local fake provider.
+ * @param {String} secret
+ * @param {String} payload - Raw request body
+ * @param {Number} timestamp - Unix seconds
+ * @returns {String} signature header value
+ */
+function signPayload(secret, payload, timestamp = Math.floor(Date.now() / 1000)) {
+  const hmac = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`, 'utf8')
+    .digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Verify a `t=<timestamp>,v1=<hmac>` signature header against the raw body.
+ * Throws an AppError when the signature is missing, stale or invalid.
+ */
+function verifySignedPayload(secret, payload, header) {
+  if (!secret) {
+    throw new AppError('Payment webhook secret is not configured', 500, 'PAYMENT_WEBHOOK_NOT_CONFIGURED');
+  }
+  if (!header) {
+    throw new AppError('Missing webhook signature', 401, 'MISSING_WEBHOOK_SIGNATURE');
+  }
+
+  const parts = header.split(',').reduce((acc, part) => {
+    const [key, value] = part.split('=');
+    if (key && value) {
+      (acc[key.trim()] = acc[key.trim()] || []).push(value.trim());
+    }
+    return acc;
+  }, {});
+  const timestamp = parseInt(parts.t && parts.t[0], 10);
+  const signatures = parts.v1 || [];
+
+  if (!timestamp || signatures.length === 0) {
+    throw new AppError('Malformed webhook signature', 401, 'INVALID_WEBHOOK_SIGNATURE');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE) {
+    throw new AppError('Request timestamp too old', 401, 'WEBHOOK_TIMESTAMP_EXPIRED');
+  }
+
+  const expected = signPayload(secret, payload, timestamp).split('v1=')[1];
+  const isValid = signatures.some(sig =>
+    sig.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))
+  );
+  if (!isValid) {
+    throw new AppError('Invalid webhook signature', 401, 'INVALID_WEBHOOK_SIGNATURE');
+  }
+}
+
+// Amounts are sent to providers in minor units; all supported currencies use 2 decimals
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+const fromMinorUnits = (amount) => Number(amount) / 100;
+
+// ==================== STRIPE ====================
+
+const stripeProvider = {
+  name: 'stripe',
+
+  /**
+   * Create a Stripe Checkout Session for a sprint package.
+   * @param {Object} params - { sprintId, packageId, packageName, amount, currency, customerEmail, successUrl, cancelUrl }
+   * @returns {Object} { sessionId, checkoutUrl, expiresAt }
+   */
+  async createCheckoutSession(params) {
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+    if (!secretKey) {
+      throw new AppError('Stripe is not configured', 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+    }
+
+    const form = new URLSearchParams({
+      mode: 'payment',
+      success_url: params.successUrl,
+      cancel_url: params.cancelUrl,
+      client_reference_id: params.sprintId,
+      'metadata[sprintId]': params.sprintId,
+      'metadata[packageId]': params.packageId,
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': params.currency.toLowerCase(),
+      'line_items[0][price_data][unit_amount]': String(toMinorUnits(params.amount)),
+      'line_items[0][price_data][product_data][name]': params.packageName
+    });
+    if (params.customerEmail) {
+      form.append('customer_email', params.customerEmail);
+    }
+
+    const response = await fetch('https://api.stripe.com/v1/checkout/sessions', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form.toString()
+    });
+    const session = await response.json();
+
+    if (!response.ok) {
+      const message = session.error && session.error.message ? session.error.message : 'Checkout session creation failed';
+      throw new AppError(message, 502, 'PAYMENT_PROVIDER_ERROR');
+    }
+
+    return {
+      sessionId: session.id,
+      checkoutUrl: session.url,
+      expiresAt: session.expires_at ? new Date(session.expires_at * 1000) : undefined
+    };
+  },
+
+  /**
+   * Verify and normalize a Stripe webhook event.
+   * @returns {Object} { id, type, sessionId, sprintId, amount, currency, paymentReference }
+   */
+  constructEvent(rawBody, headers) {
+    const payload = rawBody.toString('utf8');
+    verifySignedPayload(process.env.STRIPE_WEBHOOK_SECRET, payload, headers['stripe-signature']);
+
+    const event = JSON.parse(payload);
+    const session = (event.data && event.data.object) || {};
+    const typeMap = {
+      'checkout.session.completed': session.payment_status === 'paid' ? 'checkout.completed' : 'checkout.pending',
+      'checkout.session.async_payment_succeeded': 'checkout.completed',
+      'checkout.session.async_payment_failed': 'checkout.failed',
+      'checkout.session.expired': 'checkout.expired'
+    };
+
+    return {
+      id: event.id,
+      type: typeMap[event.type] || event.type,
+      sessionId: session.id,
+      sprintId: (session.metadata && session.metadata.sprintId) || session.client_reference_id,
+      amount: session.amount_total != null ? fromMinorUnits(session.amount_total) : undefined,
+      currency: session.currency ? session.currency.toUpperCase() : undefined,
+      paymentReference: session.payment_intent
+    };
+  }
+};
+
+// ==================== FAKE (local/offline) ====================
+
+const FAKE_WEBHOOK_SECRET = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'fake_whsec_local';
+
+const fakeProvider = {
+  name: 'fake',
+
+  async createCheckoutSession(params) {
+    const sessionId = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return {
+      sessionId,
+      checkoutUrl: `${apiUrl}/api/payments/fake/checkout/${sessionId}`,
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    };
+  },
+
+  constructEvent(rawBody, headers) {
+    const payload = rawBody.toString('utf8');
+    verifySignedPayload(FAKE_WEBHOOK_SECRET(), payload, headers['x-fake-payment-signature']);
+
+    const event = JSON.parse(payload);
+    return {
+      id: event.id,
+      type: event.type,
+      sessionId: event.sessionId,
+      sprintId: event.sprintId,
+      amount: event.amount,
+      currency: event.currency,
+      paymentReference: event.paymentReference
+    };
+  },
+
+  /**
+   * Build a signed webhook request exactly as the fake provider would send it.
+   * Used by the offline checkout simulator and by tests.
+   * @returns {Object} { rawBody, headers }
+   */
+  buildWebhook({ type = 'checkout.completed', sessionId, sprintId, amount, currency }) {
+    const payload = JSON.stringify({
+      id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      sessionId,
+      sprintId,
+      amount,
+      currency,
+      paymentReference: `fake_pi_${crypto.randomBytes(8).toString('hex')}`
+    });
+    return {
+      rawBody: Buffer.from(payload),
+      headers: { 'x-fake-payment-signature': signPayload(FAKE_WEBHOOK_SECRET(), payload) }
+    };
+  }
+};
+
+const providers = {
+  stripe: stripeProvider,
+  fake: fakeProvider
+};
+
+/**
+ * Get the configured payment provider (PAYMENT_PROVIDER env). There is no
+ * default: the fake provider settles checkouts without payment, so it is only
+ * used when named explicitly, and never in production. Throws
+ * PAYMENT_PROVIDER_NOT_CONFIGURED, so payments fail until one is set up.
+ */
+function getPaymentProvider(name) {
+  const providerName = name || process.env.PAYMENT_PROVIDER;
+  if (!providerName) {
+    throw new AppError('Payment provider is not configured', 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+  }
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new AppError(`Unknown payment provider: ${providerName}`, 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+  }
+  if (provider.name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new AppError('The fake payment provider cannot be used in production', 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+  }
+  if (provider.name === 'stripe' && (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_WEBHOOK_SECRET)) {
+    throw new AppError('STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET are required for the Stripe provider', 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+  }
+  return provider;
+}
+
+// Whether the offline fake checkout routes may run
+function isFakeProviderEnabled() {
+  return process.env.PAYMENT_PROVIDER === 'fake' && process.env.NODE_ENV !== 'production';
+}
+
+module.exports = {
+  getPaymentProvider,
+  isFakeProviderEnabled,
+  signPayload,
+  verifySignedPayload
+};
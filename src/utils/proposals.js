@@ -0,0 +1,192 @@
+/**
+ * Proposal negotiation helpers. A proposal is a sprint offered to a startup
+ * (status `available`); sprint.proposal tracks its version, expiry and the
+ * negotiation history. These helpers only mutate the sprint - callers save it.
+ */
+
+const PACKAGE_DIFF_FIELDS = ['description', 'price', 'currency', 'hourlyRate', 'QTY', 'amount', 'discount', 'engagementHours', 'duration', 'tier'];
+
+/**
+ * Default expiry for newly published proposals (PROPOSAL_EXPIRY_DAYS, unset = never).
+ * @returns {Date|undefined}
+ */
+function getDefaultProposalExpiry() {
+  const days = parseInt(process.env.PROPOSAL_EXPIRY_DAYS, 10);
+  if (!days || days <= 0) return undefined;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Append an entry to the proposal's negotiation history.
+ * @param {Object} event - { action, comment, packageId, actorId, actorModel }
+ */
+function addProposalEvent(sprint, event) {
+  sprint.proposal.history.push({
+    version: sprint.proposal.version,
+    createdAt: new Date(),
+    ...event
+  });
+}
+
+/**
+ * Initialise the proposal block when an admin publishes a sprint.
+ * @param {Object} options - { publishedBy, expiresAt }
+ */
+function publishProposal(sprint, { publishedBy, expiresAt }) {
+  sprint.proposal = {
+    version: 1,
+    status: 'open',
+    publishedAt: new Date(),
+    publishedBy,
+    expiresAt: expiresAt || getDefaultProposalExpiry(),
+    previousVersions: [],
+    history: []
+  };
+  addProposalEvent(sprint, { action: 'published', actorId: publishedBy, actorModel: 'Admin' });
+}
+
+/**
+ * Mark an open proposal expired once its expiry date has passed.
+ * @returns {Boolean} whether the proposal is expired
+ */
+function expireProposalIfDue(sprint) {
+  const proposal = sprint.proposal;
+  if (!proposal || proposal.status === 'expired') {
+    return Boolean(proposal && proposal.status === 'expired');
+  }
+  if (['open', 'changes_requested'].includes(proposal.status) && proposal.expiresAt && proposal.expiresAt <= new Date()) {
+    proposal.status = 'expired';
+    addProposalEvent(sprint, { action: 'expired' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Startup requests changes to the current version.
+ * @param {Object} request - { comment, packageId, startupId, memberId }
+ */
+function requestProposalChanges(sprint, { comment, packageId, startupId, memberId }) {
+  sprint.proposal.status = 'changes_requested';
+  addProposalEvent(sprint, {
+    action: 'changes_requested',
+    comment,
+    packageId,
+    actorId: startupId,
+    actorModel: 'Startup',
+    actorMemberId: memberId
+  });
+}
+
+/**
+ * Publish a revised version: the current terms are archived in previousVersions
+ * and the proposal reopens for the startup.
+ * @param {Object} changes - { name, description, estimatedDuration, deliverables, packageOptions }
+ * @param {Object} options - { changeSummary, expiresAt, revisedBy }
+ */
+function reviseProposal(sprint, changes, { changeSummary, expiresAt, revisedBy }) {
+  const proposal = sprint.proposal;
+  proposal.previousVersions.push({
+    version: proposal.version,
+    name: sprint.name,
+    description: sprint.description,
+    estimatedDuration: sprint.estimatedDuration,
+    deliverables: sprint.deliverables,
+    packageOptions: sprint.packageOptions.map(pkg => pkg.toObject()),
+    changeSummary,
+    publishedAt: proposal.publishedAt,
+    publishedBy: proposal.publishedBy
+  });
+
+  ['name', 'description', 'estimatedDuration', 'deliverables'].forEach(field => {
+    if (changes[field] !== undefined) sprint[field] = changes[field];
+  });
+  if (changes.packageOptions) {
+    sprint.packageOptions = changes.packageOptions;
+  }
+
+  proposal.version += 1;
+  proposal.status = 'open';
+  proposal.publishedAt = new Date();
+  proposal.publishedBy = revisedBy;
+  if (expiresAt !== undefined) {
+    proposal.expiresAt = expiresAt || undefined;
+  } else if (proposal.expiresAt && proposal.expiresAt <= new Date()) {
+    proposal.expiresAt = getDefaultProposalExpiry();
+  }
+  addProposalEvent(sprint, { action: 'revised', comment: changeSummary, actorId: revisedBy, actorModel: 'Admin' });
+}
+
+/**
+ * Compare two versions' package options by name.
+ * @returns {Object} { added: [name], removed: [name], changed: [{ name, fields: { field: { from, to } } }] }
+ */
+function diffPackageOptions(previous = [], current = []) {
+  const byName = (list) => new Map(list.map(pkg => [pkg.name, pkg]));
+  const prev = byName(previous);
+  const curr = byName(current);
+
+  const added = [...curr.keys()].filter(name => !prev.has(name));
+  const removed = [...prev.keys()].filter(name => !curr.has(name));
+  const changed = [];
+
+  curr.forEach((pkg, name) => {
+    const before = prev.get(name);
+    if (!before) return;
+    const fields = {};
+    PACKAGE_DIFF_FIELDS.forEach(field => {
+      if ((before[field] ?? null) !== (pkg[field] ?? null)) {
+        fields[field] = { from: before[field] ?? null, to: pkg[field] ?? null };
+      }
+    });
+    if (Object.keys(fields).length > 0) {
+      changed.push({ name, fields });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Proposal state for API responses, with each version diffed against the next.
+ */
+function serializeProposal(sprint) {
+  const proposal = sprint.proposal;
+  const versions = [
+    ...proposal.previousVersions.map(version => version.toObject ? version.toObject() : version),
+    {
+      version: proposal.version,
+      name: sprint.name,
+      description: sprint.description,
+      estimatedDuration: sprint.estimatedDuration,
+      deliverables: sprint.deliverables,
+      packageOptions: sprint.packageOptions,
+      publishedAt: proposal.publishedAt,
+      publishedBy: proposal.publishedBy,
+      isCurrent: true
+    }
+  ];
+
+  return {
+    sprintId: sprint._id,
+    version: proposal.version,
+    status: proposal.status,
+    expiresAt: proposal.expiresAt || null,
+    versions: versions.map((version, index) => ({
+      ...version,
+      packageChanges: index > 0 ? diffPackageOptions(versions[index - 1].packageOptions, version.packageOptions) : null
+    })),
+    history: proposal.history
+  };
+}
+
+module.exports = {
+  getDefaultProposalExpiry,
+  addProposalEvent,
+  publishProposal,
+  expireProposalIfDue,
+  requestProposalChanges,
+  reviseProposal,
+  diffPackageOptions,
+  serializeProposal
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const Sprint = require('../models/Sprint');
+const Questionnaire = require('../models/Questionnaire');
+const { AppError } = require('../middleware/errorHandler');
+const { canViewBoard } = require('./boardAccess');
+const { workspaceRole, roleHasPermission } = require('./workspacePermissions');
+
+/**
+ * Resource-level authorization for tasks and boards. A request is checked
+ * against the task → board → sprint chain it touches:
+ *  - super admins: always
+ *  - admins: read per canViewBoard(); changes need the board owner role or a
+ *    member entry holding the permission. The sprint's assigned team counts
+ *    as members with the default member permissions.
+ *  - startups: the startup owning the sprint's questionnaire (or, for boards
+ *    without a sprint, the board's related startup) may read and create, edit
+ *    and delete tasks. Startups added as board members use their member
+ *    permissions instead. Either way, workspace members whose role lacks
+ *    'tasks.edit' may only read.
+ * `permission` is 'view' or a key of Board.members[].permissions.
+ */
+
+// Board.members[].permissions a board's own startup holds
+const STARTUP_PERMISSIONS = ['canCreateTasks', 'canEditTasks', 'canDeleteTasks'];
+
+// The defaults of a Board 'member', held by the sprint's assigned team
+const SPRINT_TEAM_PERMISSIONS = ['canCreateTasks', 'canEditTasks', 'canViewAnalytics'];
+
+/**
+ * Who is making a request, from an authenticated request.
+ * @returns {Object} { userId, userType: 'admin'|'startup', role, model, workspaceRole }
+ */
+function requestPrincipal(req) {
+  return {
+    userId: req.user._id,
+    userType: req.userType,
+    role: req.user.role,
+    model: req.userType === 'admin' ? 'Admin' : 'Startup',
+    workspaceRole: req.userType === 'startup' ? workspaceRole(req) : undefined
+  };
+}
+
+/**
+ * A board with the sprint it belongs to (null for boards without a sprint).
+ * @returns {Promise<Object>} { board, sprint }
+ */
+async function loadBoardChain(boardId) {
+  if (!boardId) {
+    throw new AppError('Board ID is required', 400, 'BOARD_ID_REQUIRED');
+  }
+  const board = mongoose.isValidObjectId(boardId) ? await Board.findById(boardId) : null;
+  if (!board) {
+    throw new AppError('Board not found', 404, 'BOARD_NOT_FOUND');
+  }
+  return { board, sprint: await loadBoardSprint(board) };
+}
+
+async function loadBoardSprint(board) {
+  if (!board.sprintId) return null;
+  return Sprint.findById(board.sprintId).select('questionnaireId assignedTeam');
+}
+
+/**
+ * A task with its board and sprint.
+ * @param {Object} [options] - { trashed: load the task from the trash instead }
+ * @returns {Promise<Object>} { task, board, sprint }
+ */
+async function loadTaskChain(taskId, { trashed = false } = {}) {
+  let task = null;
+  if (mongoose.isValidObjectId(taskId)) {
+    task = trashed
+      ? await Task.findOne({ _id: taskId, deletedAt: { $ne: null } })
+      : await Task.findById(taskId);
+  }
+  if (!task) {
+    throw trashed
+      ? new AppError('Task not found in trash', 404, 'TASK_NOT_IN_TRASH')
+      : new AppError('Task not found', 404, 'TASK_NOT_FOUND');
+  }
+
+  const board = await Board.findById(task.boardId);
+  if (!board) {
+    throw new AppError('Board not found', 404, 'BOARD_NOT_FOUND');
+  }
+  return { task, board, sprint: await loadBoardSprint(board) };
+}
+
+/**
+ * Whether a startup owns a sprint's questionnaire.
+ */
+async function ownsSprint(sprint, startupId) {
+  if (!sprint || !sprint.questionnaireId) return false;
+  const questionnaireId = sprint.questionnaireId._id || sprint.questionnaireId;
+  return Boolean(await Questionnaire.exists({ _id: questionnaireId, startupId }));
+}
+
+/**
+ * Whether a startup is the tenant of a board: it owns the questionnaire of the
+ * board's sprint, or is the related startup of a board without a sprint.
+ */
+async function isResourceTenant({ board, sprint }, startupId) {
+  if (board.sprintId) {
+    return ownsSprint(sprint, startupId);
+  }
+  return Boolean(board.relatedStartupId) && board.relatedStartupId.toString() === startupId.toString();
+}
+
+function isSprintTeamMember(sprint, adminId) {
+  if (!sprint || !sprint.assignedTeam) return false;
+  const id = adminId.toString();
+  return (sprint.assignedTeam.teamLead && sprint.assignedTeam.teamLead.toString() === id) ||
+    (sprint.assignedTeam.members || []).some(member => member.userId && member.userId.toString() === id);
+}
+
+/**
+ * Whether a principal may act on a board chain.
+ * @param {Object} chain - { board, sprint }
+ * @param {Object} principal - from requestPrincipal()
+ * @param {String} permission - 'view' or a Board.members[].permissions key
+ * @returns {Promise<Boolean>}
+ */
+async function canAccessResource(chain, principal, permission) {
+  const { board, sprint } = chain;
+  const { userId, userType, role, model } = principal;
+
+  if (userType === 'admin' && role === 'super_admin') return true;
+
+  if (userType === 'startup') {
+    if (permission !== 'view' && !roleHasPermission(principal.workspaceRole || 'owner', 'tasks.edit')) return false;
+    if (board.getMember(userId, 'Startup')) {
+      return permission === 'view' || board.hasMemberPermission(userId, 'Startup', permission);
+    }
+    if (permission !== 'view' && !STARTUP_PERMISSIONS.includes(permission)) return false;
+    return isResourceTenant(chain, userId);
+  }
+
+  if (permission === 'view') {
+    return canViewBoard(board, { userId, userType, role });
+  }
+  if (board.ownerId && board.ownerId.toString() === userId.toString() && board.ownerModel === model) return true;
+  if (board.getMember(userId, 'Admin')) {
+    return board.hasMemberPermission(userId, 'Admin', permission);
+  }
+  return SPRINT_TEAM_PERMISSIONS.includes(permission) && isSprintTeamMember(sprint, userId);
+}
+
+/**
+ * Throw unless the principal may act on the chain. Startups get 404 for
+ * resources of other tenants so task and board ids cannot be probed.
+ * @param {Object} chain - { board, sprint, task? }
+ */
+async function authorizeResource(chain, principal, permission) {
+  if (await canAccessResource(chain, principal, permission)) return;
+
+  const hidden = principal.userType === 'startup' &&
+    (permission === 'view' || !(await canAccessResource(chain, principal, 'view')));
+  if (hidden) {
+    throw chain.task
+      ? new AppError('Task not found', 404, 'TASK_NOT_FOUND')
+      : new AppError('Board not found', 404, 'BOARD_NOT_FOUND');
+  }
+  if (permission === 'view') {
+    throw new AppError('You do not have access to this board', 403, 'BOARD_ACCESS_DENIED');
+  }
+  throw new AppError('You do not have permission to perform this action on this board', 403, 'BOARD_PERMISSION_DENIED');
+}
+
+module.exports = {
+  STARTUP_PERMISSIONS,
+  requestPrincipal,
+  loadBoardChain,
+  loadTaskChain,
+  ownsSprint,
+  isResourceTenant,
+  canAccessResource,
+  authorizeResource
+};
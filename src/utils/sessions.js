@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+
+/**
+ * Login sessions of admins and startups. Each entry of
+ * `authentication.refreshTokens` is one session (one login on one device);
+ * its `_id` is the session id carried as `sid` in that session's tokens.
+ *
+ * On a startup, sessions of workspace members carry their `memberId`; each
+ * person only sees and revokes their own.
+ *
+ * Refreshing rotates the session's token in place. A refresh token whose
+ * session holds a newer token has been used before, so it was copied: the
+ * whole session (token family) is revoked.
+ */
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days, matches JWT_REFRESH_EXPIRE
+
+// Id for a session about to be created, so its tokens can carry it
+function newSessionId() {
+  return new mongoose.Types.ObjectId();
+}
+
+/**
+ * Device metadata stored on a session.
+ * @param {String} [deviceInfo] - client-supplied device name
+ */
+function sessionMetadata(req, deviceInfo) {
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+  return {
+    deviceInfo: deviceInfo || userAgent,
+    userAgent,
+    ipAddress: req.ip,
+    lastUsedAt: new Date()
+  };
+}
+
+/**
+ * The session a verified refresh token belongs to. Tokens issued before
+ * sessions carried ids are matched by value.
+ * @param {Object} decoded - verified refresh token payload
+ * @returns {Promise<Object>} the refreshTokens entry
+ */
+async function findRefreshSession(user, refreshToken, decoded, ip) {
+  const sessions = user.authentication.refreshTokens;
+  const session = decoded.sid
+    ? sessions.id(decoded.sid)
+    : sessions.find(entry => entry.token === refreshToken);
+
+  if (!session || session.expiresAt <= new Date()) {
+    throw new AppError('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (session.token !== refreshToken) {
+    sessions.pull(session._id);
+    await user.save();
+    logger.logSecurity(
+      'REFRESH_TOKEN_REUSE',
+      `Rotated refresh token replayed for ${user.email}; session ${session._id} revoked`,
+      ip
+    );
+    throw new AppError('Refresh token has already been used; sign in again', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  return session;
+}
+
+/**
+ * End all sessions of one person and save.
+ * @param {String} [memberId] - workspace member (none: the account's own login)
+ */
+async function revokeAllSessions(user, memberId) {
+  user.authentication.refreshTokens = user.authentication.refreshTokens.filter(session => !isSessionOf(session, memberId));
+  return user.save();
+}
+
+/**
+ * Replace a session's refresh token after a refresh and save.
+ */
+async function rotateRefreshSession(user, session, refreshToken, req) {
+  session.token = refreshToken;
+  session.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  session.userAgent = req.headers['user-agent'] || session.userAgent;
+  session.ipAddress = req.ip;
+  session.lastUsedAt = new Date();
+  return user.save();
+}
+
+// Whether a session belongs to the workspace member (none: the account's own login)
+function isSessionOf(session, memberId) {
+  return (session.memberId ? session.memberId.toString() : null) === (memberId ? memberId.toString() : null);
+}
+
+/**
+ * Active sessions, most recently used first, without their tokens.
+ * @param {String} [currentSessionId] - session of the request, flagged `current`
+ * @param {String} [memberId] - workspace member whose sessions to list
+ */
+function listSessions(user, currentSessionId, memberId) {
+  const now = new Date();
+  return user.authentication.refreshTokens
+    .filter(session => session.expiresAt > now && isSessionOf(session, memberId))
+    .map(session => ({
+      id: session._id,
+      deviceInfo: session.deviceInfo,
+      userAgent: session.userAgent || null,
+      ipAddress: session.ipAddress || null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt || session.createdAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+    }))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * Revoke one session and save; its access tokens stop working too.
+ * @param {String} [memberId] - workspace member the session must belong to
+ */
+async function revokeSession(user, sessionId, memberId) {
+  const session = mongoose.isValidObjectId(sessionId) ? user.authentication.refreshTokens.id(sessionId) : null;
+  if (!session || !isSessionOf(session, memberId)) {
+    throw new AppError('Session not found', 404, 'SESSION_NOT_FOUND');
+  }
+  user.authentication.refreshTokens.pull(session._id);
+  return user.save();
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  newSessionId,
+  sessionMetadata,
+  findRefreshSession,
+  rotateRefreshSession,
+  isSessionOf,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
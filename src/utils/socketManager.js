@@ -2,8 +2,10 @@ const jwt = require('jsonwebtoken');
 const logger = require('./logger');
 const Admin = require('../models/Admin');
 const Startup = require('../models/Startup');
+const StartupMember = require('../models/StartupMember');
 const Message = require('../models/Message');
 const Chat = require('../models/Chat');
+const { roleHasPermission } = require('./workspacePermissions');
 
 let io = null;
 const connectedUsers = new Map(); // userId -> socketId mapping
@@ -34,16 +36,31 @@ const initializeSocketIO = (socketIO) => {
       if (!user) {
         return next(new Error('Authentication error: User not found'));
       }
+      if (decoded.sid && !user.authentication.refreshTokens.id(decoded.sid)) {
+        return next(new Error('Authentication error: Session has been revoked'));
+      }
+
+      // Workspace members connect as their startup
+      let member = null;
+      if (userType === 'startup' && decoded.memberId) {
+        member = await StartupMember.findOne({ _id: decoded.memberId, startupId: user._id, status: 'active' });
+        if (!member) {
+          return next(new Error('Authentication error: No longer a member of this workspace'));
+        }
+      }
 
       // Attach user to socket
       socket.userId = user._id.toString();
       socket.userRole = userType === 'admin' ? (user.role || 'admin') : 'startup';
+      socket.member = member;
+      const profile = member ? member.profile : user.profile;
       socket.userData = {
         id: user._id,
-        email: user.email,
+        email: member ? member.email : user.email,
         role: socket.userRole,
-        firstName: user.profile?.firstName || user.profile?.founderFirstName,
-        lastName: user.profile?.lastName || user.profile?.founderLastName
+        memberId: member ? member._id : undefined,
+        firstName: profile?.firstName || profile?.founderFirstName,
+        lastName: profile?.lastName || profile?.founderLastName
       };
 
       next();
@@ -99,6 +116,11 @@ const initializeSocketIO = (socketIO) => {
 
         console.log('Socket send_message received:', { conversationId, content, userId });
 
+        if (socket.member && !roleHasPermission(socket.member.role, 'chat.send')) {
+          socket.emit('error', { message: 'Your workspace role cannot send messages', code: 'WORKSPACE_PERMISSION_DENIED' });
+          return;
+        }
+
         // Validate conversation
         const chat = await Chat.findById(conversationId);
         if (!chat) {
@@ -110,6 +132,7 @@ const initializeSocketIO = (socketIO) => {
         const messageObj = {
           senderType: socket.userRole === 'admin' || socket.userRole === 'super_admin' ? 'admin' : 'startup',
           senderId: userId,
+          senderMemberId: socket.member ? socket.member._id : undefined,
           content,
           messageType,
           createdAt: new Date()
@@ -126,6 +149,7 @@ const initializeSocketIO = (socketIO) => {
           chatId: conversationId, // Add both for compatibility
           senderId: userId,
           senderType: messageObj.senderType,
+          senderMemberId: messageObj.senderMemberId,
           senderName: `${socket.userData.firstName} ${socket.userData.lastName}`,
           content,
           messageType,
@@ -160,24 +184,45 @@ const initializeSocketIO = (socketIO) => {
       logger.logSocket('JOINED_SPRINT', userId, sprintId);
     });
 
-    // Handle task board subscriptions
-    socket.on('join_board', ({ boardId }) => {
-      socket.join(`board:${boardId}`);
-      logger.logSocket('JOINED_BOARD', userId, boardId);
+    // Handle task board subscriptions. Joins are checked with the same resource
+    // policy as the board routes; the ack carries the board's latest event sequence
+    // and, when `lastSeq` is given, the events missed since then.
+    socket.on('join_board', async ({ boardId, lastSeq } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : (payload) => socket.emit('board_joined', payload);
+      try {
+        const { loadBoardChain, authorizeResource } = require('./resourcePolicy');
+        const { getLatestSeq, getBoardEventsSince } = require('./boardEvents');
+        const userType = socket.userRole === 'startup' ? 'startup' : 'admin';
+        await authorizeResource(await loadBoardChain(boardId), {
+          userId,
+          userType,
+          role: socket.userRole,
+          model: userType === 'admin' ? 'Admin' : 'Startup',
+          workspaceRole: socket.member ? socket.member.role : 'owner'
+        }, 'view');
+
+        socket.join(`board:${boardId}`);
+        logger.logSocket('JOINED_BOARD', userId, boardId);
+
+        if (lastSeq !== undefined && lastSeq !== null) {
+          reply({ success: true, boardId, ...(await getBoardEventsSince(boardId, lastSeq)) });
+        } else {
+          reply({ success: true, boardId, latestSeq: await getLatestSeq(boardId) });
+        }
+      } catch (error) {
+        logger.logSocket('JOIN_BOARD_DENIED', userId, `${boardId} - ${error.message}`);
+        reply({
+          success: false,
+          boardId,
+          code: error.isOperational ? error.code : undefined,
+          message: error.isOperational ? error.message : 'Failed to join board'
+        });
+      }
     });
 
-    // Handle task updates (for real-time kanban updates)
-    socket.on('task_update', (data) => {
-      const { boardId, taskId, update } = data;
-      
-      // Broadcast task update to board subscribers
-      socket.to(`board:${boardId}`).emit('task_updated', {
-        taskId,
-        update,
-        updatedBy: socket.userData
-      });
-      
-      logger.logSocket('TASK_UPDATED', userId, taskId);
+    socket.on('leave_board', ({ boardId } = {}) => {
+      socket.leave(`board:${boardId}`);
+      logger.logSocket('LEFT_BOARD', userId, boardId);
     });
 
     // Handle disconnection
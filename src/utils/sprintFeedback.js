@@ -0,0 +1,103 @@
+const Sprint = require('../models/Sprint');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { sendEmail } = require('./communications');
+const socketManager = require('./socketManager');
+
+const FEEDBACK_CATEGORIES = Sprint.schema.path('clientFeedback').schema.path('category').enumValues;
+
+/**
+ * Invite the startup to rate a completed sprint: marks the in-app prompt as
+ * pending, emails the founder and pushes a notification to connected clients.
+ * @param {Object} sprint - completed Sprint document
+ * @param {Object} startup - Startup document
+ */
+async function requestSprintFeedback(sprint, startup) {
+  if (sprint.clientFeedback.length > 0) return;
+
+  await Sprint.updateOne(
+    { _id: sprint._id },
+    { $set: { 'feedbackRequest.requestedAt': new Date() }, $unset: { 'feedbackRequest.dismissedAt': 1 } }
+  );
+
+  const feedbackUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/startup/sprints/${sprint._id}/feedback`;
+  await sendEmail({
+    to: startup.email,
+    template: 'sprintFeedbackRequest',
+    data: {
+      name: startup.profile?.founderFirstName || 'Founder',
+      sprintName: sprint.name,
+      feedbackUrl
+    }
+  });
+
+  try {
+    socketManager.sendToUser(startup._id.toString(), 'notification', {
+      type: 'sprint_feedback_request',
+      sprintId: sprint._id,
+      sprintName: sprint.name,
+      message: `How did ${sprint.name} go? Share your feedback.`,
+      createdAt: new Date()
+    });
+  } catch (error) {
+    logger.logError(error, `Feedback prompt notification failed for sprint ${sprint._id}`);
+  }
+}
+
+/**
+ * Record the startup's feedback on a completed sprint (one submission per sprint).
+ * @param {Object} input - { rating, npsScore, feedback, categoryRatings }
+ * @returns {Promise<Object>} the saved feedback entry
+ */
+async function submitSprintFeedback(sprint, startupId, { rating, npsScore, feedback, categoryRatings = [] }) {
+  if (sprint.status !== 'completed') {
+    throw new AppError('Feedback can be submitted once the sprint is completed', 400, 'SPRINT_NOT_COMPLETED');
+  }
+  if (sprint.clientFeedback.some(entry => entry.submittedBy && entry.submittedBy.toString() === startupId.toString())) {
+    throw new AppError('Feedback has already been submitted for this sprint', 409, 'FEEDBACK_ALREADY_SUBMITTED');
+  }
+
+  await sprint.addFeedback(rating, feedback, 'overall', {
+    npsScore,
+    categoryRatings,
+    submittedBy: startupId,
+    submittedAt: new Date()
+  });
+  return sprint.clientFeedback[sprint.clientFeedback.length - 1];
+}
+
+/**
+ * Net Promoter Score: % promoters (9-10) minus % detractors (0-6).
+ * @param {Number[]} scores
+ * @returns {Number|null} -100..100, null without responses
+ */
+function calculateNps(scores) {
+  const answered = scores.filter(score => typeof score === 'number');
+  if (answered.length === 0) return null;
+  const promoters = answered.filter(score => score >= 9).length;
+  const detractors = answered.filter(score => score <= 6).length;
+  return Math.round(((promoters - detractors) / answered.length) * 100);
+}
+
+/**
+ * Summarise feedback entries: response count, average rating and NPS.
+ * @param {Object[]} entries - [{ rating, npsScore }]
+ */
+function summarizeFeedback(entries) {
+  const ratings = entries.map(entry => entry.rating).filter(rating => typeof rating === 'number');
+  return {
+    responses: entries.length,
+    avgRating: ratings.length > 0
+      ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10
+      : null,
+    nps: calculateNps(entries.map(entry => entry.npsScore))
+  };
+}
+
+module.exports = {
+  FEEDBACK_CATEGORIES,
+  requestSprintFeedback,
+  submitSprintFeedback,
+  calculateNps,
+  summarizeFeedback
+};
@@ -0,0 +1,229 @@
+const Questionnaire = require('../models/Questionnaire');
+const Startup = require('../models/Startup');
+const logger = require('./logger');
+const { sendEmail } = require('./communications');
+const { issueSprintReceipt, voidSprintReceipts } = require('./invoices');
+const { snapshotExchangeRates } = require('./exchangeRates');
+const {
+  hasPaymentAccess,
+  seedLegacyPayment,
+  recalculatePaymentState,
+  addPayment,
+  addRefund,
+  voidEntry
+} = require('./paymentLedger');
+
+/**
+ * Resolve the startup that owns a sprint (via its questionnaire).
+ * @returns {Object|null} Startup document
+ */
+async function getSprintStartup(sprint) {
+  try {
+    const questionnaire = await Questionnaire.findById(sprint.questionnaireId).populate('startupId');
+    return questionnaire && questionnaire.startupId ? questionnaire.startupId : null;
+  } catch (e) {
+    logger.logError(e, `Failed to fetch questionnaire/startup for sprint ${sprint._id}`);
+    return null;
+  }
+}
+
+/**
+ * Move the startup's onboarding to `active_sprint` (and verify pending startups)
+ * once the sprint's payment grants board access.
+ */
+async function activateStartupOnboarding(startup) {
+  try {
+    // Set status to verified if currently pending
+    const update = {
+      'onboarding.currentStep': 'active_sprint',
+      'onboarding.lastUpdated': new Date()
+    };
+    if (startup.status === 'pending') {
+      update.status = 'verified';
+    }
+    await Startup.findByIdAndUpdate(startup._id, update);
+  } catch (e) {
+    logger.logError(e, `Failed to update startup ${startup._id} onboarding to active_sprint after payment`);
+  }
+}
+
+/**
+ * Save the sprint after a ledger change and run the side effects of the
+ * resulting payment status transition:
+ * - becoming fully paid: receipt, onboarding update and `paymentConfirmed` email
+ * - leaving paid (void/refund): receipts are voided
+ * - access policy newly satisfied by a partial payment: onboarding update
+ * @param {Object} sprint - Sprint document with recalculated payment state
+ * @param {Object} context - { previousStatus, hadAccess, verifiedBy, source, paymentReference }
+ * @returns {Object} { sprint, startup, receipt }
+ */
+async function applyPaymentStateChange(sprint, { previousStatus, hadAccess, verifiedBy, source = 'manual', paymentReference }) {
+  const status = sprint.selectedPackagePaymentStatus;
+  const becamePaid = status === 'paid' && previousStatus !== 'paid';
+  const leftPaid = status !== 'paid' && previousStatus === 'paid';
+
+  if (becamePaid) {
+    await snapshotExchangeRates(sprint, 'paid');
+    sprint.selectedPackagePaymentVerifiedAt = new Date();
+    sprint.selectedPackagePaymentVerifiedBy = verifiedBy || undefined;
+    sprint.selectedPackagePaymentSource = source;
+  } else if (leftPaid) {
+    sprint.selectedPackagePaymentVerifiedAt = undefined;
+    sprint.selectedPackagePaymentVerifiedBy = undefined;
+    sprint.selectedPackagePaymentSource = undefined;
+  }
+  await sprint.save();
+
+  const result = { sprint, startup: null, receipt: null };
+
+  if (leftPaid) {
+    try {
+      await voidSprintReceipts(sprint._id);
+    } catch (e) {
+      logger.logError(e, `Failed to void receipts for sprint ${sprint._id}`);
+    }
+    return result;
+  }
+
+  const gainedAccess = !hadAccess && hasPaymentAccess(sprint);
+  if (!becamePaid && !gainedAccess) {
+    return result;
+  }
+
+  const startup = await getSprintStartup(sprint);
+  result.startup = startup;
+
+  if (!becamePaid) {
+    if (startup) await activateStartupOnboarding(startup);
+    return result;
+  }
+
+  const attachments = [];
+  try {
+    const { receipt, pdf } = await issueSprintReceipt(sprint, startup, { paymentReference });
+    result.receipt = receipt;
+    attachments.push({ name: `${receipt.number}.pdf`, contentType: 'application/pdf', content: pdf });
+  } catch (e) {
+    logger.logError(e, `Receipt generation failed for sprint ${sprint._id}`);
+  }
+
+  if (startup) {
+    await activateStartupOnboarding(startup);
+
+    try {
+      await sendEmail({
+        to: startup.email,
+        template: 'paymentConfirmed',
+        data: {
+          name: `${startup.profile.founderFirstName} ${startup.profile.founderLastName}`,
+          sprintName: sprint.name,
+          dashboardUrl: process.env.FRONTEND_URL + '/dashboard'
+        },
+        attachments
+      });
+    } catch (emailError) {
+      logger.logError(emailError, `Payment confirmation email failed for sprint ${sprint._id}`);
+    }
+  }
+
+  return result;
+}
+
+const snapshotPaymentState = (sprint) => ({
+  previousStatus: sprint.selectedPackagePaymentStatus,
+  hadAccess: hasPaymentAccess(sprint)
+});
+
+/**
+ * Record a payment (full, instalment or partial) in the sprint's ledger.
+ * @param {Object} sprint - Sprint document
+ * @param {Object} payment - { amount, method, reference, note, instalmentId, paidAt, recordedBy }
+ * @returns {Object} { sprint, entry, startup, receipt }
+ */
+async function recordSprintPayment(sprint, payment) {
+  const snapshot = snapshotPaymentState(sprint);
+  const entry = addPayment(sprint, payment);
+  const result = await applyPaymentStateChange(sprint, {
+    ...snapshot,
+    verifiedBy: payment.recordedBy,
+    source: payment.method === 'provider' ? 'provider' : 'manual',
+    paymentReference: payment.reference
+  });
+  return { ...result, entry };
+}
+
+/**
+ * Refund (part of) a recorded payment.
+ * @param {Object} refund - { amount, reference, note, recordedBy }
+ * @returns {Object} { sprint, entry }
+ */
+async function refundSprintPayment(sprint, paymentId, refund) {
+  const snapshot = snapshotPaymentState(sprint);
+  const entry = addRefund(sprint, paymentId, refund);
+  const result = await applyPaymentStateChange(sprint, snapshot);
+  return { ...result, entry };
+}
+
+/**
+ * Void a ledger entry recorded in error.
+ * @param {Object} options - { reason, voidedBy }
+ * @returns {Object} { sprint, entry }
+ */
+async function voidSprintLedgerEntry(sprint, entryId, options) {
+  const snapshot = snapshotPaymentState(sprint);
+  const entry = voidEntry(sprint, entryId, options);
+  const result = await applyPaymentStateChange(sprint, snapshot);
+  return { ...result, entry };
+}
+
+/**
+ * Settle a sprint's outstanding balance in one payment. Shared by the admin
+ * payment-status route and the payment provider webhook.
+ * @param {Object} sprint - Sprint document
+ * @param {Object} options - { verifiedBy, source: 'manual'|'provider', paymentReference }
+ * @returns {Object} { sprint, startup, receipt }
+ */
+async function markSprintPaid(sprint, { verifiedBy, source = 'manual', paymentReference } = {}) {
+  const snapshot = snapshotPaymentState(sprint);
+  seedLegacyPayment(sprint);
+  recalculatePaymentState(sprint);
+
+  const outstanding = sprint.paymentSummary.outstandingBalance;
+  if (outstanding > 0) {
+    addPayment(sprint, {
+      amount: outstanding,
+      method: source === 'provider' ? 'provider' : 'manual',
+      reference: paymentReference,
+      recordedBy: verifiedBy
+    });
+  }
+
+  return applyPaymentStateChange(sprint, { ...snapshot, verifiedBy, source, paymentReference });
+}
+
+/**
+ * Revert a sprint's selected package payment to unpaid by voiding every
+ * recorded payment; receipts are voided with them.
+ * @param {Object} sprint - Sprint document
+ * @param {Object} options - { voidedBy }
+ */
+async function markSprintUnpaid(sprint, { voidedBy } = {}) {
+  const snapshot = snapshotPaymentState(sprint);
+  seedLegacyPayment(sprint);
+
+  sprint.paymentLedger
+    .filter(entry => entry.type === 'payment' && entry.status !== 'void')
+    .forEach(entry => voidEntry(sprint, entry._id, { reason: 'Payment status reverted to unpaid', voidedBy }));
+  recalculatePaymentState(sprint);
+
+  return applyPaymentStateChange(sprint, snapshot);
+}
+
+module.exports = {
+  getSprintStartup,
+  recordSprintPayment,
+  refundSprintPayment,
+  voidSprintLedgerEntry,
+  markSprintPaid,
+  markSprintUnpaid
+};
@@ -0,0 +1,139 @@
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const logger = require('./logger');
+
+/**
+ * Sprint progress roll-up. A task counts as done when it sits in a board
+ * column flagged `isCompleted`. Milestones with linked tasks take their
+ * progress and status from those tasks; milestones without tasks keep the
+ * status set by an admin. Sprint progress is then derived by the Sprint
+ * pre-save hook from the milestones, or from the tasks when the sprint has
+ * no milestones.
+ */
+
+function getCompletedColumnIds(boards) {
+  const ids = new Set();
+  boards.forEach(board => {
+    board.columns.forEach(column => {
+      if (column.isCompleted) ids.add(column._id.toString());
+    });
+  });
+  return ids;
+}
+
+/**
+ * Recompute milestone and task counts on the sprint document (caller saves).
+ * @param {Object} sprint - Sprint document
+ * @returns {Promise<Object>} { totalTasks, completedTasks, completedMilestoneIds } -
+ *   completedMilestoneIds lists milestones auto-completed by this roll-up
+ */
+async function rollUpSprintProgress(sprint) {
+  const boards = await Board.find({ sprintId: sprint._id }).select('columns');
+  const tasks = await Task.find({ boardId: { $in: boards.map(board => board._id) }, isArchived: { $ne: true } })
+    .select('columnId milestoneId');
+  const completedColumnIds = getCompletedColumnIds(boards);
+  const isDone = task => completedColumnIds.has(task.columnId.toString());
+
+  const completedMilestoneIds = [];
+  sprint.milestones.forEach(milestone => {
+    const linked = tasks.filter(task => task.milestoneId && task.milestoneId.toString() === milestone._id.toString());
+
+    if (linked.length > 0) {
+      const done = linked.filter(isDone).length;
+      milestone.progress = Math.round((done / linked.length) * 100);
+      if (done === linked.length) {
+        if (milestone.status !== 'completed') {
+          milestone.status = 'completed';
+          milestone.completedAt = new Date();
+          completedMilestoneIds.push(milestone._id);
+        }
+      } else {
+        // Reopen milestones whose tasks moved back out of a completed column
+        if (milestone.status === 'completed') {
+          milestone.completedAt = undefined;
+        }
+        milestone.status = done > 0 ? 'in_progress' : 'pending';
+      }
+    } else if (milestone.status === 'completed') {
+      milestone.progress = 100;
+    }
+
+    if (milestone.status !== 'completed' && milestone.dueDate && milestone.dueDate < new Date()) {
+      milestone.status = 'overdue';
+    }
+  });
+
+  const completedTasks = tasks.filter(isDone).length;
+  if (sprint.milestones.length === 0) {
+    sprint.progress.percentage = tasks.length > 0 ? Math.round((completedTasks / tasks.length) * 100) : 0;
+  }
+
+  return { totalTasks: tasks.length, completedTasks, completedMilestoneIds };
+}
+
+/**
+ * Roll up and save progress for the sprint a board belongs to. Failures are
+ * logged, never thrown, so task routes are not blocked by progress updates.
+ * @param {String|ObjectId} boardId
+ */
+async function syncSprintProgressForBoard(boardId) {
+  try {
+    const board = await Board.findById(boardId).select('sprintId');
+    if (!board || !board.sprintId) return null;
+
+    const Sprint = require('../models/Sprint');
+    const sprint = await Sprint.findById(board.sprintId);
+    if (!sprint) return null;
+
+    const result = await rollUpSprintProgress(sprint);
+    await sprint.save();
+
+    if (result.completedMilestoneIds.length > 0) {
+      const socketManager = require('./socketManager');
+      socketManager.sendToSprint(sprint._id.toString(), 'milestones_completed', {
+        sprintId: sprint._id,
+        milestoneIds: result.completedMilestoneIds,
+        progress: sprint.progress
+      });
+    }
+    return sprint;
+  } catch (error) {
+    logger.logError(error, `Failed to update sprint progress for board ${boardId}`);
+    return null;
+  }
+}
+
+/**
+ * Milestones for API responses with their linked task counts.
+ */
+async function serializeMilestones(sprint) {
+  const boards = await Board.find({ sprintId: sprint._id }).select('columns');
+  const tasks = await Task.find({
+    boardId: { $in: boards.map(board => board._id) },
+    milestoneId: { $ne: null },
+    isArchived: { $ne: true }
+  }).select('title columnId milestoneId status');
+  const completedColumnIds = getCompletedColumnIds(boards);
+
+  return sprint.milestones.map(milestone => {
+    const linked = tasks.filter(task => task.milestoneId.toString() === milestone._id.toString());
+    return {
+      ...milestone.toObject(),
+      totalTasks: linked.length,
+      completedTasks: linked.filter(task => completedColumnIds.has(task.columnId.toString())).length,
+      tasks: linked.map(task => ({
+        id: task._id,
+        title: task.title,
+        status: task.status,
+        columnId: task.columnId
+      }))
+    };
+  });
+}
+
+module.exports = {
+  getCompletedColumnIds,
+  rollUpSprintProgress,
+  syncSprintProgressForBoard,
+  serializeMilestones
+};
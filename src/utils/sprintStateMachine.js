@@ -0,0 +1,230 @@
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const Startup = require('../models/Startup');
+const Questionnaire = require('../models/Questionnaire');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { sendEmail } = require('./communications');
+const socketManager = require('./socketManager');
+const { hasPaymentAccess } = require('./paymentLedger');
+const { ensureDeliverableItems, getAcceptanceSummary } = require('./deliverables');
+const { requestSprintFeedback } = require('./sprintFeedback');
+
+/**
+ * Allowed sprint status transitions: from -> [to].
+ * Sprint's pre-save hook rejects any status change not listed here.
+ */
+const SPRINT_TRANSITIONS = {
+  draft: ['available', 'inactive', 'cancelled'],
+  available: ['package_selected', 'inactive', 'cancelled', 'draft'],
+  package_selected: ['documents_submitted', 'meeting_scheduled', 'in_progress', 'on_hold', 'inactive', 'cancelled'],
+  documents_submitted: ['meeting_scheduled', 'in_progress', 'on_hold', 'cancelled'],
+  meeting_scheduled: ['in_progress', 'on_hold', 'cancelled'],
+  in_progress: ['on_hold', 'completed', 'cancelled'],
+  on_hold: ['in_progress', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  inactive: ['available', 'package_selected']
+};
+
+/**
+ * @returns {Boolean} whether `from` -> `to` is in the transition table
+ */
+function canTransition(from, to) {
+  return (SPRINT_TRANSITIONS[from] || []).includes(to);
+}
+
+function illegalTransitionError(from, to) {
+  const allowed = SPRINT_TRANSITIONS[from] || [];
+  return new AppError(
+    `Sprint cannot move from ${from} to ${to}${allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (final status)'}`,
+    409,
+    'ILLEGAL_STATUS_TRANSITION'
+  );
+}
+
+/**
+ * Task completion for the sprint's boards.
+ * @returns {Object} { totalTasks, doneTasks, allTasksDone }
+ */
+async function getSprintTaskCompletion(sprint) {
+  const boards = await Board.find({ sprintId: sprint._id }).select('_id');
+  const tasks = await Task.find({ boardId: { $in: boards.map(b => b._id) }, isArchived: { $ne: true } }).select('status');
+  const doneTasks = tasks.filter(task => task.status === 'done').length;
+  return {
+    totalTasks: tasks.length,
+    doneTasks,
+    allTasksDone: tasks.length > 0 && doneTasks === tasks.length
+  };
+}
+
+// Guards run before a transition into the keyed status; they throw to block it
+const GUARDS = {
+  in_progress: async (sprint) => {
+    if (!hasPaymentAccess(sprint)) {
+      throw new AppError('Sprint cannot start until payment is confirmed', 400, 'PAYMENT_REQUIRED');
+    }
+  },
+  completed: async (sprint) => {
+    const completion = await getSprintTaskCompletion(sprint);
+    if (!completion.allTasksDone) {
+      const error = new AppError('Cannot complete sprint: all tasks must be done', 400, 'SPRINT_TASKS_INCOMPLETE');
+      error.details = completion;
+      throw error;
+    }
+    ensureDeliverableItems(sprint);
+    const acceptance = getAcceptanceSummary(sprint);
+    if (!acceptance.allAccepted) {
+      const error = new AppError('Cannot complete sprint: all deliverables must be accepted', 400, 'DELIVERABLES_NOT_ACCEPTED');
+      error.details = acceptance;
+      throw error;
+    }
+  }
+};
+
+// Field updates applied with the transition (saved together with it)
+const PREPARE = {
+  in_progress: (sprint) => {
+    if (!sprint.startDate) sprint.startDate = new Date();
+  },
+  completed: (sprint) => {
+    sprint.endDate = sprint.endDate || new Date();
+    sprint.actualEndDate = new Date();
+    sprint.progress.percentage = 100;
+  }
+};
+
+/**
+ * Validate and apply a status change on the sprint document (caller saves):
+ * checks the transition table, runs guards, applies field updates and
+ * records statusHistory.
+ * @param {Object} sprint - Sprint document
+ * @param {String} to - target status
+ * @param {Object} context - { actorId, actorType: 'admin'|'startup', memberId, note }
+ * @returns {Promise<Object>} { from, to } to pass to runTransitionEffects after saving
+ */
+async function transitionSprint(sprint, to, { actorId, actorType, memberId, note } = {}) {
+  const from = sprint.status;
+  if (from === to) {
+    throw new AppError(`Sprint is already ${to}`, 400, 'SPRINT_STATUS_UNCHANGED');
+  }
+  if (!canTransition(from, to)) {
+    throw illegalTransitionError(from, to);
+  }
+  if (GUARDS[to]) {
+    await GUARDS[to](sprint);
+  }
+
+  sprint.status = to;
+  if (PREPARE[to]) {
+    PREPARE[to](sprint);
+  }
+  sprint.statusHistory.push({
+    status: to,
+    changedAt: new Date(),
+    changedBy: actorId,
+    userType: actorType,
+    memberId,
+    note: note || `Status changed from ${from} to ${to}`
+  });
+  // Tell the pre-save hook this change is already recorded
+  sprint.$locals.statusTransitionRecorded = true;
+
+  return { from, to };
+}
+
+async function getStartupForSprint(sprint) {
+  const questionnaireId = sprint.questionnaireId && sprint.questionnaireId._id
+    ? sprint.questionnaireId._id
+    : sprint.questionnaireId;
+  const questionnaire = await Questionnaire.findById(questionnaireId).select('startupId');
+  return questionnaire && questionnaire.startupId ? Startup.findById(questionnaire.startupId) : null;
+}
+
+// Side effects after a transition into the keyed status has been saved
+const EFFECTS = {
+  in_progress: async (sprint) => {
+    const startup = await getStartupForSprint(sprint);
+    if (!startup) return;
+    await Startup.findByIdAndUpdate(startup._id, {
+      'onboarding.currentStep': 'active_sprint',
+      'onboarding.lastUpdated': new Date()
+    });
+    await sendEmail({
+      to: startup.email,
+      template: 'sprintStarted',
+      data: {
+        name: startup.profile.founderFirstName,
+        sprintName: sprint.name,
+        dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/startup/dashboard`
+      }
+    });
+  },
+  completed: async (sprint) => {
+    const startup = await getStartupForSprint(sprint);
+    if (!startup) return;
+    await sendEmail({
+      to: startup.email,
+      template: 'sprintCompleted',
+      data: {
+        name: startup.profile.founderFirstName,
+        sprintName: sprint.name,
+        dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/startup/dashboard`
+      }
+    });
+    await requestSprintFeedback(sprint, startup);
+  }
+};
+
+/**
+ * Run side effects of a saved transition: socket events for everyone and the
+ * per-status effects (onboarding, emails). Failures are logged, never thrown.
+ * @param {Object} sprint - saved Sprint document
+ * @param {Object} transition - { from, to } from transitionSprint
+ * @param {Object} context - { actorId, actorType }
+ */
+async function runTransitionEffects(sprint, { from, to }, { actorId, actorType } = {}) {
+  const payload = {
+    sprintId: sprint._id,
+    from,
+    to,
+    changedBy: actorId,
+    userType: actorType,
+    changedAt: new Date()
+  };
+  try {
+    socketManager.sendToSprint(sprint._id.toString(), 'sprint_status_changed', payload);
+    socketManager.sendToAdmins('sprint_status_changed', payload);
+  } catch (e) {
+    logger.logError(e, `Sprint status socket event failed for ${sprint._id}`);
+  }
+
+  if (EFFECTS[to]) {
+    try {
+      await EFFECTS[to](sprint);
+    } catch (e) {
+      logger.logError(e, `Sprint ${to} side effects failed for ${sprint._id}`);
+    }
+  }
+}
+
+/**
+ * Transition, save and run side effects in one call.
+ * @returns {Promise<Object>} { from, to }
+ */
+async function applySprintTransition(sprint, to, context = {}) {
+  const transition = await transitionSprint(sprint, to, context);
+  await sprint.save();
+  await runTransitionEffects(sprint, transition, context);
+  return transition;
+}
+
+module.exports = {
+  SPRINT_TRANSITIONS,
+  canTransition,
+  illegalTransitionError,
+  getSprintTaskCompletion,
+  transitionSprint,
+  runTransitionEffects,
+  applySprintTransition
+};
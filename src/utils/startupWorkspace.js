@@ -0,0 +1,165 @@
+const Startup = require('../models/Startup');
+const StartupMember = require('../models/StartupMember');
+const WorkspaceActivity = require('../models/WorkspaceActivity');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { workspaceRole } = require('./workspacePermissions');
+
+/**
+ * Startup workspaces: the people sharing a startup account. The account's own
+ * login is the primary owner (memberId null); everyone else is a
+ * StartupMember. Requests by members carry `req.member`.
+ */
+
+function memberName(member) {
+  return member.fullName || member.email;
+}
+
+function serializeMember(member) {
+  return {
+    id: member._id,
+    email: member.email,
+    name: memberName(member),
+    profile: member.profile,
+    role: member.role,
+    status: member.status,
+    isAccountHolder: false,
+    invitedBy: member.invitedBy,
+    inviteExpiresAt: member.status === 'invited' ? member.inviteExpiresAt : undefined,
+    joinedAt: member.joinedAt || null,
+    removedAt: member.removedAt || null,
+    lastLoginAt: member.authentication?.lastLoginAt || null
+  };
+}
+
+// The startup account's own login, listed with the members
+function serializeAccountHolder(startup) {
+  return {
+    id: null,
+    email: startup.email,
+    name: `${startup.profile?.founderFirstName || ''} ${startup.profile?.founderLastName || ''}`.trim() || startup.email,
+    role: 'owner',
+    status: 'active',
+    isAccountHolder: true,
+    joinedAt: startup.createdAt,
+    lastLoginAt: startup.authentication?.lastLoginAt || null
+  };
+}
+
+/**
+ * Member of a workspace by id.
+ * @param {Object} [options] - { includeRemoved }
+ */
+async function findWorkspaceMember(startupId, memberId, { includeRemoved = false } = {}) {
+  const filter = { _id: memberId, startupId };
+  if (!includeRemoved) {
+    filter.status = { $ne: 'removed' };
+  }
+  const member = await StartupMember.findOne(filter).catch(() => null);
+  if (!member) {
+    throw new AppError('Member not found', 404, 'MEMBER_NOT_FOUND');
+  }
+  return member;
+}
+
+/**
+ * Check an email can be invited to a workspace. Emails sign in to exactly one
+ * account, so it may not belong to a startup account or to a current member
+ * of another workspace.
+ * @returns {Promise<Object|null>} a removed member of this workspace to re-invite
+ */
+async function checkInvitableEmail(startupId, email) {
+  if (await Startup.exists({ email })) {
+    throw new AppError('This email already has its own startup account', 409, 'EMAIL_HAS_ACCOUNT');
+  }
+
+  const existing = await StartupMember.find({ email, status: { $ne: 'removed' } }).select('startupId status');
+  const here = existing.find(member => member.startupId.toString() === startupId.toString());
+  if (here) {
+    throw new AppError(
+      here.status === 'invited' ? 'This email has already been invited' : 'This email is already a member',
+      409,
+      'MEMBER_EXISTS'
+    );
+  }
+  if (existing.length > 0) {
+    throw new AppError('This email belongs to another startup workspace', 409, 'EMAIL_IN_OTHER_WORKSPACE');
+  }
+
+  return StartupMember.findOne({ startupId, email, status: 'removed' });
+}
+
+/**
+ * Record a successful write action in the workspace activity log. Failures
+ * are logged, never thrown.
+ * @param {Object} action - { permission, route, params, statusCode }
+ */
+async function recordWorkspaceAction(req, { permission, route, params, statusCode }) {
+  try {
+    await WorkspaceActivity.create({
+      startupId: req.user._id,
+      memberId: req.member ? req.member._id : null,
+      role: workspaceRole(req),
+      permission,
+      method: req.method,
+      route,
+      params,
+      statusCode,
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    logger.logError(error, `Workspace activity for ${req.method} ${route} could not be recorded`);
+  }
+}
+
+/**
+ * Workspace activity, newest first, with the acting member.
+ * @param {Object} filters - { memberId ('owner' for the account's own login), page, limit }
+ */
+async function getWorkspaceActivity(startupId, { memberId, page = 1, limit = 50 } = {}) {
+  const query = { startupId };
+  if (memberId) {
+    query.memberId = memberId === 'owner' ? null : memberId;
+  }
+
+  const [entries, total] = await Promise.all([
+    WorkspaceActivity.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('memberId', 'email profile.firstName profile.lastName role status'),
+    WorkspaceActivity.countDocuments(query)
+  ]);
+
+  return {
+    activity: entries.map(entry => ({
+      id: entry._id,
+      member: entry.memberId
+        ? { id: entry.memberId._id, email: entry.memberId.email, name: memberName(entry.memberId), status: entry.memberId.status }
+        : null,
+      role: entry.role,
+      permission: entry.permission,
+      method: entry.method,
+      route: entry.route,
+      params: entry.params,
+      statusCode: entry.statusCode,
+      createdAt: entry.createdAt
+    })),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      limit
+    }
+  };
+}
+
+module.exports = {
+  memberName,
+  serializeMember,
+  serializeAccountHolder,
+  findWorkspaceMember,
+  checkInvitableEmail,
+  recordWorkspaceAction,
+  getWorkspaceActivity
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const Admin = require('../models/Admin');
+const Startup = require('../models/Startup');
+const StartupMember = require('../models/StartupMember');
+const { memberName } = require('./startupWorkspace');
+
+/**
+ * Task activity log. Every task mutation appends a structured entry to
+ * `Task.activityLog`: the action, the actor (userId/userModel, plus memberId
+ * for workspace members acting for a startup) and, for field
+ * changes, the field with its old and new value.
+ */
+
+// Task fields whose changes are recorded, with the action each change records
+const TRACKED_FIELDS = {
+  status: 'status_changed',
+  columnId: 'moved',
+  assigneeId: 'reassigned',
+  dueDate: 'due_date_changed',
+  title: 'updated',
+  description: 'updated',
+  taskType: 'updated',
+  priority: 'updated',
+  estimatedHours: 'updated'
+};
+
+// Long text (descriptions) is kept to a preview in the log
+const MAX_VALUE_LENGTH = 500;
+
+function activityValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return value;
+}
+
+function valueKey(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  return value.toString();
+}
+
+/**
+ * One activity entry.
+ * @param {Object} actor - { id, model, memberId }
+ * @param {String} action
+ * @param {Object} [details] - { field, oldValue, newValue, description }
+ */
+function buildActivityEntry(actor, action, { field, oldValue, newValue, description } = {}) {
+  return {
+    action,
+    field,
+    oldValue: activityValue(oldValue),
+    newValue: activityValue(newValue),
+    description,
+    userId: actor ? actor.id : undefined,
+    userModel: actor ? actor.model : undefined,
+    memberId: actor ? actor.memberId : undefined,
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Append an entry to a task document (caller saves).
+ */
+function recordTaskActivity(task, actor, action, details) {
+  task.activityLog.push(buildActivityEntry(actor, action, details));
+}
+
+/**
+ * Tracked field values of a task, to diff against after a change.
+ */
+function snapshotTrackedFields(task) {
+  const snapshot = {};
+  Object.keys(TRACKED_FIELDS).forEach(field => {
+    snapshot[field] = task[field];
+  });
+  return snapshot;
+}
+
+/**
+ * Entries for the tracked fields that differ between two snapshots.
+ * @returns {Object[]}
+ */
+function fieldChangeEntries(before, after, actor) {
+  return Object.keys(TRACKED_FIELDS)
+    .filter(field => field in after && valueKey(before[field]) !== valueKey(after[field]))
+    .map(field => buildActivityEntry(actor, TRACKED_FIELDS[field], {
+      field,
+      oldValue: before[field],
+      newValue: after[field]
+    }));
+}
+
+/**
+ * Append an entry for every tracked field changed since `before` (caller saves).
+ * @returns {String[]} changed fields
+ */
+function recordFieldChanges(task, actor, before) {
+  const entries = fieldChangeEntries(before, snapshotTrackedFields(task), actor);
+  entries.forEach(entry => task.activityLog.push(entry));
+  return entries.map(entry => entry.field);
+}
+
+/**
+ * Replace userId/userModel/memberId on entries with a short `actor` summary;
+ * startup actors carry the acting `member` when there was one.
+ */
+async function attachActors(entries) {
+  const idsFor = (model) => [...new Set(entries
+    .filter(entry => entry.userModel === model && entry.userId)
+    .map(entry => entry.userId.toString()))];
+
+  const memberIds = [...new Set(entries.filter(entry => entry.memberId).map(entry => entry.memberId.toString()))];
+
+  const [admins, startups, members] = await Promise.all([
+    Admin.find({ _id: { $in: idsFor('Admin') } }).select('profile.firstName profile.lastName email'),
+    Startup.find({ _id: { $in: idsFor('Startup') } }).select('profile.founderFirstName profile.founderLastName profile.companyName email'),
+    StartupMember.find({ _id: { $in: memberIds } }).select('profile.firstName profile.lastName email')
+  ]);
+  const memberSummaries = new Map(members.map(member => [member._id.toString(), {
+    id: member._id,
+    name: memberName(member),
+    email: member.email
+  }]));
+  const actors = new Map();
+  admins.forEach(admin => actors.set(admin._id.toString(), {
+    id: admin._id,
+    model: 'Admin',
+    name: `${admin.profile?.firstName || ''} ${admin.profile?.lastName || ''}`.trim(),
+    email: admin.email
+  }));
+  startups.forEach(startup => actors.set(startup._id.toString(), {
+    id: startup._id,
+    model: 'Startup',
+    name: startup.profile?.companyName ||
+      `${startup.profile?.founderFirstName || ''} ${startup.profile?.founderLastName || ''}`.trim(),
+    email: startup.email
+  }));
+
+  return entries.map(({ userId, userModel, memberId, ...entry }) => {
+    let actor = userId ? actors.get(userId.toString()) || { id: userId, model: userModel } : null;
+    if (actor && memberId) {
+      actor = { ...actor, member: memberSummaries.get(memberId.toString()) || { id: memberId } };
+    }
+    return { ...entry, actor };
+  });
+}
+
+function paginationOf(total, page, limit) {
+  return {
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    totalItems: total,
+    limit
+  };
+}
+
+function entryMatches(entry, { action, field, actorId, from, to }) {
+  if (action && !action.includes(entry.action)) return false;
+  if (field && entry.field !== field) return false;
+  if (actorId && (!entry.userId || entry.userId.toString() !== actorId)) return false;
+  if (from && entry.timestamp < from) return false;
+  if (to && entry.timestamp > to) return false;
+  return true;
+}
+
+/**
+ * Activity of one task, newest first.
+ * @param {Object} task - Task document
+ * @param {Object} filters - { action: String[], field, actorId, from, to, page, limit }
+ * @returns {Promise<Object>} { activity, pagination }
+ */
+async function getTaskActivity(task, { page = 1, limit = 50, ...filters } = {}) {
+  const matching = task.activityLog
+    .map(entry => entry.toObject())
+    .filter(entry => entryMatches(entry, filters))
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  return {
+    activity: await attachActors(matching.slice((page - 1) * limit, page * limit)),
+    pagination: paginationOf(matching.length, page, limit)
+  };
+}
+
+/**
+ * Activity feed across every task on a sprint's boards, newest first.
+ * Includes trashed tasks (their `trashed` entry shows when they left the board).
+ * @param {Object} sprint - Sprint document
+ * @param {Object} filters - { action: String[], field, actorId, taskId, boardId, from, to, page, limit }
+ * @returns {Promise<Object>} { activity, pagination }
+ */
+async function getSprintActivity(sprint, { page = 1, limit = 50, action, field, actorId, taskId, boardId, from, to } = {}) {
+  const boards = await Board.find({ sprintId: sprint._id }).select('_id');
+  let boardIds = boards.map(board => board._id);
+  if (boardId) {
+    boardIds = boardIds.filter(id => id.toString() === boardId);
+  }
+
+  const taskMatch = { boardId: { $in: boardIds } };
+  if (taskId) taskMatch._id = new mongoose.Types.ObjectId(taskId);
+
+  const entryMatch = {};
+  if (action) entryMatch['activityLog.action'] = { $in: action };
+  if (field) entryMatch['activityLog.field'] = field;
+  if (actorId) entryMatch['activityLog.userId'] = new mongoose.Types.ObjectId(actorId);
+  if (from || to) {
+    entryMatch['activityLog.timestamp'] = {};
+    if (from) entryMatch['activityLog.timestamp'].$gte = from;
+    if (to) entryMatch['activityLog.timestamp'].$lte = to;
+  }
+
+  const [result] = await Task.aggregate([
+    { $match: taskMatch },
+    { $unwind: '$activityLog' },
+    { $match: entryMatch },
+    { $sort: { 'activityLog.timestamp': -1, _id: 1 } },
+    {
+      $facet: {
+        entries: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: '$activityLog._id',
+              task: { id: '$_id', title: '$title', boardId: '$boardId', trashed: { $ne: [{ $ifNull: ['$deletedAt', null] }, null] } },
+              action: '$activityLog.action',
+              field: '$activityLog.field',
+              oldValue: '$activityLog.oldValue',
+              newValue: '$activityLog.newValue',
+              description: '$activityLog.description',
+              userId: '$activityLog.userId',
+              userModel: '$activityLog.userModel',
+              timestamp: '$activityLog.timestamp'
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  return {
+    activity: await attachActors(result.entries),
+    pagination: paginationOf(total, page, limit)
+  };
+}
+
+module.exports = {
+  buildActivityEntry,
+  recordTaskActivity,
+  snapshotTrackedFields,
+  fieldChangeEntries,
+  recordFieldChanges,
+  getTaskActivity,
+  getSprintActivity
+};
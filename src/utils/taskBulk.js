@@ -0,0 +1,170 @@
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const Sprint = require('../models/Sprint');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { moveTask, notifyTaskReadyForReview } = require('./taskMoves');
+const { syncSprintProgressForBoard } = require('./sprintProgress');
+const { refreshBlockedTasks } = require('./taskDependencies');
+const { trashTask, setTaskArchived } = require('./taskTrash');
+const { generateCompletedRecurrences } = require('./taskRecurrence');
+const { publishBoardEvent } = require('./boardEvents');
+const { snapshotTrackedFields, recordFieldChanges } = require('./taskActivity');
+const { authorizeResource } = require('./resourcePolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Apply one set of changes to a single task.
+ * @returns {Promise<Object>} { task, deleted, enteredReview, warnings }
+ */
+async function applyToTask(task, board, changes, actor) {
+  if (changes.delete) {
+    await trashTask(task, actor);
+    return { task, deleted: true, enteredReview: false, warnings: [] };
+  }
+
+  let warnings = [];
+  let enteredReview = false;
+  if (changes.columnId) {
+    // Appended to the bottom of the target column
+    const moved = await moveTask(task, board, { columnId: changes.columnId, overrideWipLimit: changes.overrideWipLimit, actor });
+    enteredReview = moved.previousStatus !== 'review' && moved.task.status === 'review';
+    warnings = moved.warnings;
+    task = moved.task;
+  }
+
+  // The move logged its own activity; the remaining changes are diffed from here
+  const before = snapshotTrackedFields(task);
+  if (changes.assigneeId !== undefined) task.assigneeId = changes.assigneeId || undefined;
+  if (changes.priority) task.priority = changes.priority;
+  if (changes.status) {
+    enteredReview = enteredReview || (task.status !== 'review' && changes.status === 'review');
+    task.status = changes.status;
+  }
+  if (changes.dueDateShiftDays) {
+    if (task.dueDate) {
+      task.dueDate = new Date(task.dueDate.getTime() + changes.dueDateShiftDays * DAY_MS);
+    } else {
+      warnings.push('Task has no due date to shift');
+    }
+  }
+  if (changes.archive !== undefined) {
+    setTaskArchived(task, changes.archive, actor);
+  }
+
+  recordFieldChanges(task, actor, before);
+  await task.save();
+  return { task, deleted: false, enteredReview, warnings };
+}
+
+/**
+ * Apply the same changes to many tasks of one board. Each task succeeds or
+ * fails on its own (tasks on other boards fail as not found); board-level
+ * follow-ups (progress roll-up, blocked state, recurrences, review email) and
+ * one consolidated `tasks_bulk_updated` event run once at the end.
+ * @param {String} boardId - the board the caller was authorized on
+ * @param {String[]} taskIds
+ * @param {Object} changes - { assigneeId, priority, status, columnId, overrideWipLimit,
+ *   dueDateShiftDays, archive, delete }
+ * @param {Object} actor - { id, model }
+ * @param {Object} principal - from requestPrincipal(); each task is authorized
+ *   against its board (canDeleteTasks for deletes, canEditTasks otherwise)
+ * @returns {Promise<Object>} { results, summary }
+ */
+async function applyBulkTaskChanges(boardId, taskIds, changes, actor, principal) {
+  const tasks = await Task.find({ _id: { $in: taskIds }, boardId });
+  const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+  const boards = await Board.find({ _id: { $in: [...new Set(tasks.map(task => task.boardId.toString()))] } });
+  const boardsById = new Map(boards.map(board => [board._id.toString(), board]));
+  const sprints = await Sprint.find({ _id: { $in: boards.filter(board => board.sprintId).map(board => board.sprintId) } })
+    .select('questionnaireId assignedTeam');
+  const sprintsById = new Map(sprints.map(sprint => [sprint._id.toString(), sprint]));
+  const permission = changes.delete ? 'canDeleteTasks' : 'canEditTasks';
+
+  const results = [];
+  const touchedBoards = new Map(); // boardId -> { updated: [], deletedTaskIds: [], enteredReview }
+
+  for (const taskId of taskIds) {
+    const task = tasksById.get(taskId.toString());
+    if (!task) {
+      results.push({ taskId, success: false, error: { code: 'TASK_NOT_FOUND', message: 'Task not found' } });
+      continue;
+    }
+
+    const boardId = task.boardId.toString();
+    try {
+      const board = boardsById.get(boardId);
+      if (!board) {
+        throw new AppError('Board not found', 404, 'BOARD_NOT_FOUND');
+      }
+      const sprint = board.sprintId ? sprintsById.get(board.sprintId.toString()) || null : null;
+      await authorizeResource({ task, board, sprint }, principal, permission);
+      const outcome = await applyToTask(task, board, changes, actor);
+
+      if (!touchedBoards.has(boardId)) {
+        touchedBoards.set(boardId, { updated: [], deletedTaskIds: [], enteredReview: false });
+      }
+      const touched = touchedBoards.get(boardId);
+      if (outcome.deleted) {
+        touched.deletedTaskIds.push(task._id);
+      } else {
+        touched.updated.push(outcome.task.toJSON());
+      }
+      touched.enteredReview = touched.enteredReview || outcome.enteredReview;
+
+      results.push({
+        taskId,
+        success: true,
+        deleted: outcome.deleted,
+        task: outcome.deleted ? undefined : outcome.task,
+        warnings: outcome.warnings
+      });
+    } catch (error) {
+      if (!error.isOperational) {
+        logger.logError(error, `Bulk update failed for task ${taskId}`);
+      }
+      results.push({
+        taskId,
+        success: false,
+        error: {
+          code: error.isOperational ? error.code : 'TASK_UPDATE_FAILED',
+          message: error.isOperational ? error.message : 'Task could not be updated',
+          details: error.details
+        }
+      });
+    }
+  }
+
+  for (const [boardId, touched] of touchedBoards) {
+    await syncSprintProgressForBoard(boardId);
+    await refreshBlockedTasks(boardId);
+    await generateCompletedRecurrences(boardId);
+    if (touched.enteredReview) {
+      notifyTaskReadyForReview(boardsById.get(boardId));
+    }
+
+    await publishBoardEvent(boardId, 'tasks_bulk_updated', {
+      data: {
+        changes,
+        tasks: touched.updated,
+        deletedTaskIds: touched.deletedTaskIds
+      },
+      actor
+    });
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    results,
+    summary: {
+      requested: taskIds.length,
+      succeeded,
+      failed: taskIds.length - succeeded
+    }
+  };
+}
+
+module.exports = {
+  applyBulkTaskChanges
+};
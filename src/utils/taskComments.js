@@ -0,0 +1,227 @@
+const Admin = require('../models/Admin');
+const Startup = require('../models/Startup');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { isBoardStartup } = require('./boardAccess');
+const { recordTaskActivity } = require('./taskActivity');
+const { memberName } = require('./startupWorkspace');
+
+/**
+ * Task comments shared by admins and the board's startup. Startups read and
+ * post non-internal comments on their own sprint boards; internal comments
+ * never reach them. Replies are one level deep and inherit the visibility of
+ * the comment they answer. Routes authorize the task first (middleware/resourcePolicy).
+ */
+
+/**
+ * Who is reading or writing comments, from an authenticated request.
+ * `memberId` is the workspace member acting for a startup.
+ * @returns {Object} { userId, userType, role, model, memberId, name }
+ */
+function commentViewer(req) {
+  const model = req.userType === 'admin' ? 'Admin' : 'Startup';
+  return {
+    userId: req.user._id,
+    userType: req.userType,
+    role: req.user.role,
+    model,
+    memberId: req.member ? req.member._id : undefined,
+    name: req.member ? memberName(req.member) : displayName(req.user, model)
+  };
+}
+
+function canSeeComment(comment, viewer) {
+  return viewer.userType === 'admin' || !comment.isInternal;
+}
+
+/**
+ * Comments visible to the viewer as threads: top-level comments (oldest
+ * first), each with its replies.
+ * @param {Object} task - Task document with comments.authorId populated
+ * @returns {Object[]}
+ */
+function getCommentThreads(task, viewer) {
+  const visible = task.comments.filter(comment => canSeeComment(comment, viewer));
+  const repliesByParent = new Map();
+  visible.filter(comment => comment.parentCommentId).forEach(reply => {
+    const key = reply.parentCommentId.toString();
+    if (!repliesByParent.has(key)) repliesByParent.set(key, []);
+    repliesByParent.get(key).push(reply.toJSON());
+  });
+
+  return visible
+    .filter(comment => !comment.parentCommentId)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(comment => ({
+      ...comment.toJSON(),
+      replies: (repliesByParent.get(comment._id.toString()) || []).sort((a, b) => a.createdAt - b.createdAt)
+    }));
+}
+
+/**
+ * Resolve requested mentions to existing users who may read the comment:
+ * admins always; a startup only on its own board and never on internal comments.
+ * @param {Object[]} mentions - [{ userId, userModel }]
+ * @returns {Promise<Object[]>} [{ userId, userModel, user }]
+ */
+async function resolveMentions(board, mentions, { isInternal }) {
+  const unique = [...new Map(mentions.map(mention => [`${mention.userModel}:${mention.userId}`, mention])).values()];
+  const resolved = [];
+
+  for (const { userId, userModel } of unique) {
+    const user = userModel === 'Admin'
+      ? await Admin.findById(userId).select('email profile.firstName profile.lastName')
+      : await Startup.findById(userId).select('email profile.founderFirstName profile.founderLastName profile.companyName');
+    if (!user) {
+      throw new AppError(`Mentioned user ${userId} not found`, 404, 'MENTION_NOT_FOUND');
+    }
+
+    if (userModel === 'Startup') {
+      if (isInternal) {
+        throw new AppError('Startups cannot be mentioned in internal comments', 400, 'MENTION_NOT_ALLOWED');
+      }
+      if (!board.getMember(user._id, 'Startup') && !(await isBoardStartup(board, user._id))) {
+        throw new AppError('Only the startup of this board can be mentioned', 400, 'MENTION_NOT_ALLOWED');
+      }
+    }
+
+    resolved.push({ userId: user._id, userModel, user });
+  }
+
+  return resolved;
+}
+
+/**
+ * Add a comment or reply (saves the task). Startups can only post public
+ * comments; a reply takes the visibility of its thread.
+ * @param {Object} author - viewer from commentViewer()
+ * @param {Object} input - { content, isInternal, parentCommentId, mentions }
+ * @returns {Promise<Object>} { comment, mentioned }
+ */
+async function addTaskComment(task, board, author, { content, isInternal = false, parentCommentId, mentions = [] }) {
+  let internal = author.userType === 'admin' && Boolean(isInternal);
+
+  let parent = null;
+  if (parentCommentId) {
+    parent = task.comments.id(parentCommentId);
+    if (!parent || !canSeeComment(parent, author)) {
+      throw new AppError('Comment to reply to not found', 404, 'COMMENT_NOT_FOUND');
+    }
+    // Replies to a reply join the same thread
+    if (parent.parentCommentId) {
+      parent = task.comments.id(parent.parentCommentId) || parent;
+    }
+    internal = parent.isInternal;
+  }
+
+  const mentioned = (await resolveMentions(board, mentions, { isInternal: internal }))
+    .filter(mention => !(mention.userId.toString() === author.userId.toString() && mention.userModel === author.model));
+
+  task.comments.push({
+    content,
+    authorId: author.userId,
+    authorModel: author.model,
+    authorMemberId: author.memberId,
+    isInternal: internal,
+    parentCommentId: parent ? parent._id : undefined,
+    mentions: mentioned.map(({ userId, userModel }) => ({ userId, userModel })),
+    createdAt: new Date()
+  });
+  const comment = task.comments[task.comments.length - 1];
+
+  // Internal comment content stays out of the activity log
+  recordTaskActivity(task, { id: author.userId, model: author.model, memberId: author.memberId }, 'comment_added', {
+    field: 'comments',
+    newValue: internal ? null : content,
+    description: [parent ? 'Reply' : null, internal ? 'Internal comment' : null].filter(Boolean).join(', ') || undefined
+  });
+
+  await task.save();
+  return { comment, mentioned };
+}
+
+function displayName(user, userModel) {
+  if (userModel === 'Admin') {
+    return `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim();
+  }
+  return `${user.profile?.founderFirstName || ''} ${user.profile?.founderLastName || ''}`.trim() || user.profile?.companyName || '';
+}
+
+/**
+ * Tell mentioned users about a comment: a socket `notification` and an email
+ * (async, non-blocking).
+ * @param {Object[]} mentioned - from resolveMentions()
+ * @param {Object} author - viewer from commentViewer()
+ */
+function notifyMentions(task, comment, mentioned, author) {
+  if (mentioned.length === 0) return;
+
+  setImmediate(async () => {
+    const socketManager = require('./socketManager');
+    const { sendEmail } = require('./communications');
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    for (const { userId, userModel, user } of mentioned) {
+      const taskUrl = userModel === 'Admin'
+        ? `${frontendUrl}/admin/boards/${task.boardId}?task=${task._id}`
+        : `${frontendUrl}/startup/boards/${task.boardId}?task=${task._id}`;
+
+      try {
+        socketManager.sendToUser(userId.toString(), 'notification', {
+          type: 'task_mention',
+          taskId: task._id,
+          boardId: task.boardId,
+          commentId: comment._id,
+          authorName: author.name,
+          message: `${author.name || 'Someone'} mentioned you on "${task.title}"`,
+          createdAt: new Date()
+        });
+      } catch (error) {
+        logger.logError(error, `Mention notification failed for task ${task._id}`);
+      }
+
+      try {
+        await sendEmail({
+          to: user.email,
+          template: 'taskMention',
+          escapeData: true,
+          data: {
+            name: displayName(user, userModel) || 'there',
+            authorName: author.name || 'A teammate',
+            taskTitle: task.title,
+            comment: comment.content,
+            taskUrl
+          }
+        });
+      } catch (error) {
+        logger.logError(error, `Mention email failed for task ${task._id}`);
+      }
+    }
+  });
+}
+
+/**
+ * Comment fields sent to clients.
+ */
+function serializeComment(comment) {
+  return {
+    id: comment._id,
+    content: comment.content,
+    author: comment.authorId,
+    authorModel: comment.authorModel,
+    authorMember: comment.authorMemberId || null,
+    isInternal: comment.isInternal,
+    parentCommentId: comment.parentCommentId || null,
+    mentions: comment.mentions,
+    createdAt: comment.createdAt
+  };
+}
+
+module.exports = {
+  commentViewer,
+  getCommentThreads,
+  resolveMentions,
+  addTaskComment,
+  notifyMentions,
+  serializeComment
+};
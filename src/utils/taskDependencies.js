@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { getCompletedColumnIds } = require('./sprintProgress');
+const { getColumnTaskStatus } = require('./boardColumns');
+const { publishBoardEvent } = require('./boardEvents');
+const { buildActivityEntry, recordTaskActivity } = require('./taskActivity');
+
+/**
+ * Task dependencies. `Task.blockedBy` lists prerequisite tasks on the same
+ * board; a prerequisite is complete once it sits in a column flagged
+ * `isCompleted`. Tasks with incomplete prerequisites are kept in `blocked`
+ * status and released to their column's status when the last one completes.
+ */
+
+// Weight of a task without an estimate in the critical path
+const DEFAULT_TASK_HOURS = 1;
+
+/**
+ * Prerequisite chain from `fromId` back to `toId` through blockedBy edges, or
+ * null when there is none.
+ * @param {Map} edges - taskId -> [prerequisite taskIds]
+ */
+function findDependencyPath(edges, fromId, toId) {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === toId) {
+      const path = [];
+      for (let id = current; id !== null; id = previous.get(id)) path.unshift(id);
+      return path;
+    }
+    (edges.get(current) || []).forEach(next => {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+  return null;
+}
+
+/**
+ * Make `task` wait on `prerequisiteId`. Rejects self-references, tasks on
+ * other boards, duplicates and anything that would close a cycle.
+ * @param {Object} [actor] - { id, model }, recorded in the task's activity
+ * @returns {Promise<Object>} the updated task
+ */
+async function addTaskDependency(task, prerequisiteId, actor) {
+  const taskId = task._id.toString();
+  if (taskId === prerequisiteId.toString()) {
+    throw new AppError('A task cannot depend on itself', 400, 'DEPENDENCY_SELF');
+  }
+
+  const prerequisite = await Task.findById(prerequisiteId).select('boardId');
+  if (!prerequisite) {
+    throw new AppError('Prerequisite task not found', 404, 'TASK_NOT_FOUND');
+  }
+  if (prerequisite.boardId.toString() !== task.boardId.toString()) {
+    throw new AppError('Dependencies must be between tasks on the same board', 400, 'DEPENDENCY_BOARD_MISMATCH');
+  }
+  if (task.blockedBy.some(id => id.toString() === prerequisiteId.toString())) {
+    throw new AppError('Task already depends on this task', 409, 'DEPENDENCY_EXISTS');
+  }
+
+  // The new edge closes a cycle if the prerequisite already (transitively) waits on this task
+  const findCycle = async () => {
+    const boardTasks = await Task.find({ boardId: task.boardId }).select('blockedBy');
+    const edges = new Map(boardTasks.map(t => [t._id.toString(), t.blockedBy.map(id => id.toString())]));
+    const path = findDependencyPath(edges, prerequisite._id.toString(), taskId);
+    return path && [taskId, ...path];
+  };
+  const cycleError = (cycle) => {
+    const error = new AppError('This dependency would create a cycle', 409, 'DEPENDENCY_CYCLE');
+    error.details = { cycle };
+    return error;
+  };
+
+  let cycle = await findCycle();
+  if (cycle) {
+    throw cycleError(cycle);
+  }
+
+  const entry = { _id: new mongoose.Types.ObjectId(), ...buildActivityEntry(actor, 'dependency_added', { field: 'blockedBy', newValue: prerequisite._id }) };
+  const added = await Task.updateOne({ _id: task._id, blockedBy: { $ne: prerequisite._id } }, {
+    $push: { blockedBy: prerequisite._id, activityLog: entry }
+  });
+  if (added.matchedCount === 0) {
+    throw new AppError('Task already depends on this task', 409, 'DEPENDENCY_EXISTS');
+  }
+
+  // A concurrent add can close a cycle between the check and the write: check
+  // again now the edge is stored and take it back out if it did
+  cycle = await findCycle();
+  if (cycle) {
+    await Task.updateOne({ _id: task._id }, {
+      $pull: { blockedBy: prerequisite._id, activityLog: { _id: entry._id } }
+    });
+    throw cycleError(cycle);
+  }
+
+  await refreshBlockedTasks(task.boardId);
+  return Task.findById(task._id);
+}
+
+/**
+ * Remove a prerequisite from `task`, releasing it if nothing else blocks it.
+ * @param {Object} [actor] - { id, model }, recorded in the task's activity
+ * @returns {Promise<Object>} the updated task
+ */
+async function removeTaskDependency(task, prerequisiteId, actor) {
+  if (!task.blockedBy.some(id => id.toString() === prerequisiteId.toString())) {
+    throw new AppError('Task does not depend on this task', 404, 'DEPENDENCY_NOT_FOUND');
+  }
+
+  await Task.updateOne({ _id: task._id }, {
+    $pull: { blockedBy: prerequisiteId },
+    $push: { activityLog: buildActivityEntry(actor, 'dependency_removed', { field: 'blockedBy', oldValue: prerequisiteId }) }
+  });
+  await refreshBlockedTasks(task.boardId);
+  return Task.findById(task._id);
+}
+
+/**
+ * Remove the prerequisites of a task being restored from the trash that would
+ * now close a cycle: its dependency links were out of the cycle check while it
+ * was trashed (caller saves).
+ * @param {Object} [actor] - { id, model }, recorded in the task's activity
+ * @returns {Promise<String[]>} ids of the removed prerequisites
+ */
+async function dropCyclicDependencies(task, actor) {
+  if (task.blockedBy.length === 0) return [];
+
+  const taskId = task._id.toString();
+  const boardTasks = await Task.find({ boardId: task.boardId, _id: { $ne: task._id } }).select('blockedBy');
+  const edges = new Map(boardTasks.map(t => [t._id.toString(), t.blockedBy.map(id => id.toString())]));
+
+  const removed = task.blockedBy
+    .map(id => id.toString())
+    .filter(prerequisiteId => findDependencyPath(edges, prerequisiteId, taskId));
+  removed.forEach(prerequisiteId => {
+    task.blockedBy.pull(prerequisiteId);
+    recordTaskActivity(task, actor, 'dependency_removed', {
+      field: 'blockedBy',
+      oldValue: prerequisiteId,
+      description: 'Would have created a dependency cycle'
+    });
+  });
+  return removed;
+}
+
+/**
+ * Drop a deleted task from every task that waited on it.
+ */
+async function detachDeletedTask(task) {
+  await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+}
+
+/**
+ * Block tasks whose prerequisites are incomplete and release tasks that were
+ * blocked by dependencies once they are not. Tasks already in a completed
+ * column are never blocked; tasks blocked by hand are left alone. Errors are
+ * logged, not thrown (callers run this after their own write succeeded).
+ * @returns {Promise<Object[]>} changed tasks: [{ id, status }]
+ */
+async function refreshBlockedTasks(boardId) {
+  try {
+    const board = await Board.findById(boardId).select('columns');
+    if (!board) return [];
+
+    // Archived prerequisites no longer hold anything up
+    const tasks = await Task.find({ boardId, isArchived: { $ne: true } }).select('columnId status blockedBy blockedByDependencies');
+    const completedColumnIds = getCompletedColumnIds([board]);
+    const isDone = task => completedColumnIds.has(task.columnId.toString());
+    const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    const changes = [];
+    tasks.forEach(task => {
+      const waiting = task.blockedBy.some(id => {
+        const prerequisite = byId.get(id.toString());
+        return prerequisite && !isDone(prerequisite);
+      });
+
+      if (waiting && !isDone(task)) {
+        if (task.status !== 'blocked') {
+          changes.push({ task, status: 'blocked', blockedByDependencies: true });
+        }
+      } else if (task.blockedByDependencies) {
+        const column = board.columns.id(task.columnId);
+        changes.push({ task, status: column ? getColumnTaskStatus(column) : 'todo', blockedByDependencies: false });
+      }
+    });
+
+    if (changes.length === 0) return [];
+
+    await Task.bulkWrite(changes.map(({ task, status, blockedByDependencies }) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: {
+          $set: { status, blockedByDependencies },
+          // System change: no actor
+          $push: {
+            activityLog: buildActivityEntry(null, 'status_changed', {
+              field: 'status',
+              oldValue: task.status,
+              newValue: status,
+              description: blockedByDependencies ? 'Blocked by incomplete prerequisites' : 'Prerequisites completed'
+            })
+          }
+        }
+      }
+    })));
+
+    for (const { task, status, blockedByDependencies } of changes) {
+      await publishBoardEvent(boardId, 'task_updated', {
+        taskId: task._id,
+        data: {
+          task: { id: task._id, status, blockedByDependencies },
+          changedFields: ['status'],
+          reason: 'dependencies'
+        }
+      });
+    }
+
+    return changes.map(({ task, status }) => ({ id: task._id, status }));
+  } catch (error) {
+    logger.logError(error, `Blocked-state refresh failed for board ${boardId}`);
+    return [];
+  }
+}
+
+/**
+ * Prerequisites of a task and the tasks waiting on it.
+ * @returns {Promise<Object>} { blockedBy, blocks }
+ */
+async function getTaskDependencies(task) {
+  const fields = 'title status columnId blockedByDependencies';
+  const [blockedBy, blocks] = await Promise.all([
+    Task.find({ _id: { $in: task.blockedBy } }).select(fields),
+    Task.find({ blockedBy: task._id }).select(fields)
+  ]);
+  return { blockedBy, blocks };
+}
+
+/**
+ * Longest chain of incomplete tasks through the dependency graph, weighted by
+ * estimated hours. This is the sequence that bounds how soon the remaining
+ * work can be delivered.
+ * @param {Object[]} nodes - graph nodes ({ id, completed, estimatedHours, blockedBy })
+ * @returns {Object} { taskIds, totalHours }
+ */
+function findCriticalPath(nodes) {
+  const open = new Map(nodes.filter(node => !node.completed).map(node => [node.id, node]));
+  const prerequisites = new Map();
+  const dependents = new Map();
+  open.forEach((node, id) => {
+    const pending = node.blockedBy.filter(prerequisiteId => open.has(prerequisiteId));
+    prerequisites.set(id, pending);
+    pending.forEach(prerequisiteId => {
+      if (!dependents.has(prerequisiteId)) dependents.set(prerequisiteId, []);
+      dependents.get(prerequisiteId).push(id);
+    });
+  });
+
+  // Kahn's algorithm; dependencies are kept acyclic when they are added
+  const remaining = new Map([...prerequisites].map(([id, pending]) => [id, pending.length]));
+  const queue = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  const hours = new Map();
+  const via = new Map();
+  while (queue.length > 0) {
+    const id = queue.shift();
+    let best = null;
+    prerequisites.get(id).forEach(prerequisiteId => {
+      if (best === null || hours.get(prerequisiteId) > hours.get(best)) best = prerequisiteId;
+    });
+    const own = open.get(id).estimatedHours || DEFAULT_TASK_HOURS;
+    hours.set(id, own + (best !== null ? hours.get(best) : 0));
+    via.set(id, best);
+
+    (dependents.get(id) || []).forEach(dependentId => {
+      remaining.set(dependentId, remaining.get(dependentId) - 1);
+      if (remaining.get(dependentId) === 0) queue.push(dependentId);
+    });
+  }
+
+  let end = null;
+  hours.forEach((total, id) => {
+    if (end === null || total > hours.get(end)) end = id;
+  });
+  if (end === null) return { taskIds: [], totalHours: 0 };
+
+  const taskIds = [];
+  for (let id = end; id !== null; id = via.get(id)) taskIds.unshift(id);
+  return { taskIds, totalHours: hours.get(end) };
+}
+
+/**
+ * Dependency graph of a sprint's board tasks with its critical path.
+ * @returns {Promise<Object>} { nodes, edges, criticalPath }
+ */
+async function getSprintDependencyGraph(sprint) {
+  const boards = await Board.find({ sprintId: sprint._id }).select('columns');
+  const tasks = await Task.find({ boardId: { $in: boards.map(board => board._id) }, isArchived: { $ne: true } })
+    .select('title status columnId boardId assigneeId dueDate estimatedHours blockedBy blockedByDependencies');
+  const completedColumnIds = getCompletedColumnIds(boards);
+  const taskIds = new Set(tasks.map(task => task._id.toString()));
+
+  const blocks = new Map();
+  const edges = [];
+  tasks.forEach(task => {
+    task.blockedBy.forEach(prerequisiteId => {
+      const from = prerequisiteId.toString();
+      if (!taskIds.has(from)) return;
+      edges.push({ from, to: task._id.toString() });
+      blocks.set(from, (blocks.get(from) || 0) + 1);
+    });
+  });
+
+  const nodes = tasks.map(task => ({
+    id: task._id.toString(),
+    title: task.title,
+    status: task.status,
+    boardId: task.boardId,
+    columnId: task.columnId,
+    assigneeId: task.assigneeId,
+    dueDate: task.dueDate,
+    estimatedHours: task.estimatedHours,
+    completed: completedColumnIds.has(task.columnId.toString()),
+    blockedByDependencies: task.blockedByDependencies,
+    blockedBy: task.blockedBy.map(id => id.toString()).filter(id => taskIds.has(id)),
+    blocksCount: blocks.get(task._id.toString()) || 0
+  }));
+
+  const path = findCriticalPath(nodes);
+  const byId = new Map(nodes.map(node => [node.id, node]));
+
+  return {
+    nodes,
+    edges,
+    criticalPath: {
+      totalHours: path.totalHours,
+      tasks: path.taskIds.map(id => {
+        const node = byId.get(id);
+        return { id, title: node.title, status: node.status, estimatedHours: node.estimatedHours, dueDate: node.dueDate };
+      })
+    }
+  };
+}
+
+module.exports = {
+  addTaskDependency,
+  removeTaskDependency,
+  dropCyclicDependencies,
+  detachDeletedTask,
+  refreshBlockedTasks,
+  getTaskDependencies,
+  findCriticalPath,
+  getSprintDependencyGraph
+};
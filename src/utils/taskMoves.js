@@ -0,0 +1,172 @@
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { getBoardColumn, getColumnTaskStatus, enforceWipLimit } = require('./boardColumns');
+const { rankBetween, normalizeColumnRanks } = require('./taskRanking');
+const { fieldChangeEntries } = require('./taskActivity');
+
+/**
+ * Ranked neighbours for a task dropped into a column. Placement is either
+ * relative to a neighbour (`afterTaskId` = the card above, `beforeTaskId` =
+ * the card below) or a zero-based `position` index among the other cards.
+ * @returns {Promise<Object>} { above, below } rank holders (either may be null)
+ */
+async function findNeighbours(task, columnId, { position, beforeTaskId, afterTaskId }) {
+  const siblings = await Task.find({
+    boardId: task.boardId,
+    columnId,
+    _id: { $ne: task._id }
+  }).select('rank').sort({ rank: 1, _id: 1 });
+
+  const indexOf = (id) => {
+    const index = siblings.findIndex(sibling => sibling._id.toString() === id.toString());
+    if (index === -1) {
+      throw new AppError('Neighbour task is not in the target column', 400, 'INVALID_NEIGHBOUR_TASK');
+    }
+    return index;
+  };
+
+  let index;
+  if (afterTaskId) {
+    index = indexOf(afterTaskId) + 1;
+  } else if (beforeTaskId) {
+    index = indexOf(beforeTaskId);
+  } else {
+    const requested = Number.isInteger(Number(position)) ? Number(position) : siblings.length;
+    index = Math.min(Math.max(requested, 0), siblings.length);
+  }
+
+  return {
+    above: siblings[index - 1] || null,
+    below: siblings[index] || null
+  };
+}
+
+/**
+ * 409 TASK_VERSION_CONFLICT carrying the task's current version and placement.
+ * @param {Object|null} current - the task as stored now
+ */
+function versionConflict(current) {
+  const error = new AppError('Task was changed by someone else; reload it and retry', 409, 'TASK_VERSION_CONFLICT');
+  error.details = {
+    currentVersion: current ? current.__v : null,
+    task: current ? { id: current._id, columnId: current.columnId, rank: current.rank, status: current.status } : null
+  };
+  return error;
+}
+
+/**
+ * Reject a write made against an older copy of the task. `version` is the task
+ * version the client last saw; without one the write is not checked.
+ */
+function assertTaskVersion(task, version) {
+  if (version !== undefined && version !== null && version !== '' && Number(version) !== task.__v) {
+    throw versionConflict(task);
+  }
+}
+
+/**
+ * Move a task as a single versioned write: the task gets a rank between its new
+ * neighbours, so no other card is rewritten. `version` is the task version the
+ * client last saw (defaults to the version just read); a concurrent change to
+ * the task fails with 409 TASK_VERSION_CONFLICT and the current task state.
+ * Column and status changes are logged to the task's activity in the same write.
+ * @param {Object} task - Task document
+ * @param {Object} board - the task's Board document
+ * @param {Object} move - { columnId, position, beforeTaskId, afterTaskId, version, overrideWipLimit, actor }
+ * @returns {Promise<Object>} { task, previousStatus, warnings }
+ */
+async function moveTask(task, board, { columnId, position, beforeTaskId, afterTaskId, version, overrideWipLimit, actor }) {
+  const targetColumn = getBoardColumn(board, columnId);
+  const expectedVersion = version !== undefined && version !== null ? Number(version) : task.__v;
+
+  if (expectedVersion !== task.__v) {
+    throw versionConflict(task);
+  }
+
+  // Moving into another column must respect its WIP limit
+  let warnings = [];
+  if (task.columnId.toString() !== targetColumn._id.toString()) {
+    warnings = await enforceWipLimit(board, targetColumn._id, task._id, { override: Boolean(overrideWipLimit) });
+  }
+
+  // Columns with unranked (legacy) or tied cards are re-ranked before placing
+  const unranked = await Task.exists({ boardId: task.boardId, columnId: targetColumn._id, rank: null, _id: { $ne: task._id } });
+  if (unranked) {
+    await normalizeColumnRanks(task.boardId, targetColumn._id);
+  }
+  let { above, below } = await findNeighbours(task, targetColumn._id, { position, beforeTaskId, afterTaskId });
+  if (above && below && above.rank >= below.rank) {
+    await normalizeColumnRanks(task.boardId, targetColumn._id);
+    ({ above, below } = await findNeighbours(task, targetColumn._id, { position, beforeTaskId, afterTaskId }));
+  }
+
+  const previousStatus = task.status;
+  const placement = {
+    columnId: targetColumn._id,
+    rank: rankBetween(above ? above.rank : null, below ? below.rank : null),
+    status: getColumnTaskStatus(targetColumn)
+  };
+  const activity = fieldChangeEntries(
+    { columnId: task.columnId, status: task.status },
+    { columnId: placement.columnId, status: placement.status },
+    actor
+  );
+  const updated = await Task.findOneAndUpdate(
+    { _id: task._id, __v: expectedVersion },
+    {
+      $set: placement,
+      $push: { activityLog: { $each: activity } },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw versionConflict(await Task.findById(task._id));
+  }
+
+  return { task: updated, previousStatus, warnings };
+}
+
+/**
+ * Email the startup that a task on their sprint board is ready for review
+ * (async, non-blocking).
+ */
+function notifyTaskReadyForReview(board) {
+  setImmediate(async () => {
+    try {
+      // Find related sprint, questionnaire, and startup
+      const sprintId = board.sprintId;
+      if (!sprintId) return;
+      const Sprint = require('../models/Sprint');
+      const Questionnaire = require('../models/Questionnaire');
+      const Startup = require('../models/Startup');
+      const sprint = await Sprint.findById(sprintId);
+      if (!sprint || !sprint.questionnaireId) return;
+      const questionnaire = await Questionnaire.findById(sprint.questionnaireId);
+      if (!questionnaire || !questionnaire.startupId) return;
+      const startup = await Startup.findById(questionnaire.startupId);
+      if (!startup || !startup.email) return;
+
+      const { sendEmail } = require('./communications');
+      await sendEmail({
+        to: startup.email,
+        template: 'tasksForReview',
+        data: {
+          name: startup.profile?.founderFirstName || 'Founder',
+          boardName: board.name || 'Board',
+          dashboardUrl: process.env.CLIENT_DASHBOARD_URL || 'http://20.57.132.51:3000//startup/dashboard'
+        }
+      });
+    } catch (emailErr) {
+      logger.logError('Failed to send review notification email to startup', emailErr);
+    }
+  });
+}
+
+module.exports = {
+  versionConflict,
+  assertTaskVersion,
+  moveTask,
+  notifyTaskReadyForReview
+};
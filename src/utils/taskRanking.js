@@ -0,0 +1,127 @@
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Lexicographic rank keys for task ordering within a column. Tasks sort by
+ * `rank` (plain string comparison); a move computes a key between its new
+ * neighbours, so only the moved task is written.
+ */
+
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const RANK_BASE = RANK_DIGITS.length;
+
+/**
+ * A rank strictly between two ranks. Generated ranks never end in '0', which
+ * keeps a free slot between any two of them.
+ * @param {String|null} before - rank of the task above (null = top of column)
+ * @param {String|null} after - rank of the task below (null = bottom of column)
+ * @returns {String}
+ */
+function rankBetween(before, after) {
+  const lower = before || '';
+  let upper = after || null;
+  if (upper !== null && lower >= upper) {
+    throw new AppError('Task ranks are out of order', 409, 'TASK_RANK_CONFLICT');
+  }
+
+  let rank = '';
+  for (let i = 0; ; i++) {
+    const lo = i < lower.length ? RANK_DIGITS.indexOf(lower[i]) : 0;
+    const hi = upper !== null ? (i < upper.length ? RANK_DIGITS.indexOf(upper[i]) : 0) : RANK_BASE;
+
+    if (hi - lo > 1) {
+      return rank + RANK_DIGITS[Math.floor((lo + hi) / 2)];
+    }
+    rank += RANK_DIGITS[lo];
+    // Once our prefix sorts below the upper bound, later digits are unconstrained
+    if (hi - lo === 1) {
+      upper = null;
+    }
+  }
+}
+
+/**
+ * `count` evenly spread ranks, used when (re)ranking a whole column.
+ * @returns {String[]}
+ */
+function spreadRanks(count) {
+  const width = Math.max(2, Math.ceil(Math.log(count + 1) / Math.log(RANK_BASE)) + 1);
+  const space = Math.pow(RANK_BASE, width);
+  const step = Math.floor(space / (count + 1));
+  return Array.from({ length: count }, (_, index) => {
+    let rank = ((index + 1) * step).toString(RANK_BASE).padStart(width, '0');
+    // Keep the no-trailing-zero invariant of rankBetween
+    rank = rank.replace(/0+$/, '');
+    return rank;
+  });
+}
+
+/**
+ * Rank for a task appended to the bottom of a column.
+ */
+async function getAppendRank(boardId, columnId) {
+  const last = await Task.findOne({ boardId, columnId, rank: { $ne: null } }).sort({ rank: -1 }).select('rank');
+  return rankBetween(last ? last.rank : null, null);
+}
+
+/**
+ * Re-rank every task in a column evenly, keeping the current order (rank, then
+ * legacy integer position, then creation time). Also renumbers `position`.
+ * @returns {Promise<Number>} number of tasks updated
+ */
+async function normalizeColumnRanks(boardId, columnId) {
+  const tasks = await Task.find({ boardId, columnId }).select('rank position createdAt');
+  tasks.sort((a, b) => {
+    if (a.rank && b.rank && a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+    if (Boolean(a.rank) !== Boolean(b.rank)) return a.rank ? 1 : -1;
+    if ((a.position || 0) !== (b.position || 0)) return (a.position || 0) - (b.position || 0);
+    return a.createdAt - b.createdAt;
+  });
+
+  const ranks = spreadRanks(tasks.length);
+  const ops = tasks
+    .map((task, index) => ({ task, rank: ranks[index], position: index }))
+    .filter(({ task, rank, position }) => task.rank !== rank || task.position !== position)
+    .map(({ task, rank, position }) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        // bulkWrite skips the Task update hooks, so bump the version here
+        update: { $set: { rank, position }, $inc: { __v: 1 } }
+      }
+    }));
+  if (ops.length > 0) {
+    await Task.bulkWrite(ops);
+  }
+  return ops.length;
+}
+
+/**
+ * Re-rank the tasks of every column (or of one board's columns), giving legacy
+ * unranked tasks a rank and respreading columns whose ranks have grown long or
+ * collided. Safe to re-run; unchanged tasks are not written.
+ * @param {String} [boardId] - limit the repair to one board
+ * @returns {Promise<Object>} { boards, columns, tasksUpdated }
+ */
+async function repairTaskRanks(boardId) {
+  const boards = await Board.find(boardId ? { _id: boardId } : {}).select('columns');
+  let columns = 0;
+  let tasksUpdated = 0;
+
+  for (const board of boards) {
+    for (const column of board.columns) {
+      tasksUpdated += await normalizeColumnRanks(board._id, column._id);
+      columns++;
+    }
+  }
+
+  return { boards: boards.length, columns, tasksUpdated };
+}
+
+module.exports = {
+  rankBetween,
+  spreadRanks,
+  getAppendRank,
+  normalizeColumnRanks,
+  repairTaskRanks
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { getColumnTaskStatus } = require('./boardColumns');
+const { getAppendRank } = require('./taskRanking');
+const { publishBoardEvent } = require('./boardEvents');
+const { recordTaskActivity } = require('./taskActivity');
+
+/**
+ * Recurring tasks. The latest instance of a series holds the recurrence rule;
+ * generating the next instance copies the task into the board's first open
+ * column, moves the rule onto the copy and links the two through
+ * `recurrence.nextInstanceId` / `recurringFromId`. The link is claimed
+ * atomically, so an instance only ever produces one successor.
+ */
+
+/**
+ * `date` advanced by one recurrence period.
+ */
+function addRecurrenceInterval(date, frequency) {
+  const next = new Date(date);
+  switch (frequency) {
+    case 'daily':
+      next.setDate(next.getDate() + 1);
+      break;
+    case 'weekly':
+      next.setDate(next.getDate() + 7);
+      break;
+    case 'biweekly':
+      next.setDate(next.getDate() + 14);
+      break;
+    case 'monthly': {
+      // Clamp to the last day of shorter months (Jan 31 -> Feb 28)
+      const day = next.getDate();
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      next.setDate(Math.min(day, new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate()));
+      break;
+    }
+    default:
+      throw new AppError(`Unknown recurrence frequency: ${frequency}`, 400, 'INVALID_RECURRENCE');
+  }
+  return next;
+}
+
+/**
+ * Set (or replace) the recurrence rule of a task (caller saves). Scheduled
+ * rules first run one period after `startAt` (default: now).
+ * @param {Object} rule - { frequency, trigger, endsAt, startAt }
+ */
+function setTaskRecurrence(task, { frequency, trigger = 'on_completion', endsAt, startAt }) {
+  if (task.recurrence && task.recurrence.nextInstanceId) {
+    throw new AppError('Only the latest instance of a recurring task can change its recurrence', 409, 'RECURRENCE_NOT_LATEST');
+  }
+
+  task.recurrence = {
+    frequency,
+    trigger,
+    endsAt: endsAt ? new Date(endsAt) : undefined,
+    nextRunAt: trigger === 'schedule' ? addRecurrenceInterval(startAt ? new Date(startAt) : new Date(), frequency) : undefined,
+    active: true
+  };
+}
+
+/**
+ * First column of the board that is not a completed column.
+ */
+function getFirstOpenColumn(board) {
+  const columns = [...board.columns].sort((a, b) => a.position - b.position);
+  return columns.find(column => !column.isCompleted) || columns[0];
+}
+
+/**
+ * Create the next instance of a recurring task. Returns null when the rule
+ * has ended or another caller already generated the successor.
+ * @param {Object} task - Task document holding an active recurrence rule
+ * @param {Object} [board] - the task's board (loaded when omitted)
+ * @returns {Promise<Object|null>} the new Task document
+ */
+async function generateNextRecurrence(task, board) {
+  const rule = task.recurrence;
+  if (!rule || !rule.active || rule.nextInstanceId) return null;
+
+  board = board || await Board.findById(task.boardId);
+  if (!board) return null;
+
+  const runAt = rule.trigger === 'schedule' ? rule.nextRunAt : new Date();
+  const dueDate = task.dueDate ? addRecurrenceInterval(task.dueDate, rule.frequency) : undefined;
+  if (rule.endsAt && runAt > rule.endsAt) {
+    await Task.updateOne({ _id: task._id }, { $set: { 'recurrence.active': false } });
+    return null;
+  }
+
+  // Claim the successor slot before creating it
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, 'recurrence.active': true, 'recurrence.nextInstanceId': null },
+    { $set: { 'recurrence.nextInstanceId': nextId, 'recurrence.active': false } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const column = getFirstOpenColumn(board);
+  const next = new Task({
+    _id: nextId,
+    boardId: task.boardId,
+    sprintId: task.sprintId,
+    columnId: column._id,
+    rank: await getAppendRank(task.boardId, column._id),
+    title: task.title,
+    description: task.description,
+    taskType: task.taskType,
+    priority: task.priority,
+    estimatedHours: task.estimatedHours,
+    assigneeId: task.assigneeId,
+    dueDate,
+    status: getColumnTaskStatus(column),
+    createdBy: task.createdBy,
+    createdByModel: task.createdByModel,
+    templateId: task.templateId,
+    recurringFromId: task._id,
+    subtasks: task.subtasks.map(subtask => ({
+      title: subtask.title,
+      description: subtask.description,
+      assigneeId: subtask.assigneeId,
+      createdBy: subtask.createdBy
+    })),
+    checklist: task.checklist.map(item => ({ text: item.text })),
+    recurrence: {
+      frequency: rule.frequency,
+      trigger: rule.trigger,
+      endsAt: rule.endsAt,
+      nextRunAt: rule.trigger === 'schedule' ? addRecurrenceInterval(runAt, rule.frequency) : undefined,
+      active: true
+    }
+  });
+
+  // System change: no actor
+  recordTaskActivity(next, null, 'created', { description: `Recurring instance of task ${task._id}` });
+
+  try {
+    await next.save();
+  } catch (error) {
+    // Release the claim so the series is not lost
+    await Task.updateOne(
+      { _id: task._id, 'recurrence.nextInstanceId': nextId },
+      { $set: { 'recurrence.active': true }, $unset: { 'recurrence.nextInstanceId': 1 } }
+    );
+    throw error;
+  }
+
+  await publishBoardEvent(task.boardId, 'task_created', {
+    taskId: next._id,
+    data: { task: next.toJSON(), reason: 'recurrence', recurringFromId: task._id }
+  });
+  return next;
+}
+
+/**
+ * Generate successors for on-completion recurring tasks that have been
+ * completed: moved to a completed column or set to `done`. Called after every
+ * write that can complete a task. Errors are logged, not thrown.
+ * @returns {Promise<Object[]>} the new Task documents
+ */
+async function generateCompletedRecurrences(boardId) {
+  try {
+    const board = await Board.findById(boardId);
+    if (!board) return [];
+
+    const completedColumnIds = board.columns.filter(column => column.isCompleted).map(column => column._id);
+
+    const tasks = await Task.find({
+      boardId,
+      $or: [{ columnId: { $in: completedColumnIds } }, { status: 'done' }],
+      'recurrence.active': true,
+      'recurrence.trigger': 'on_completion',
+      'recurrence.nextInstanceId': null
+    });
+
+    const created = [];
+    for (const task of tasks) {
+      const next = await generateNextRecurrence(task, board);
+      if (next) created.push(next);
+    }
+    return created;
+  } catch (error) {
+    logger.logError(error, `Recurring task generation failed for board ${boardId}`);
+    return [];
+  }
+}
+
+/**
+ * Generate the next instance of every scheduled recurring task that is due.
+ * Meant to run periodically (e.g. hourly from cron); safe to re-run, since
+ * each instance produces at most one successor.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { due, created }
+ */
+async function generateScheduledRecurrences(now = new Date()) {
+  const due = await Task.find({
+    'recurrence.active': true,
+    'recurrence.trigger': 'schedule',
+    'recurrence.nextRunAt': { $lte: now },
+    'recurrence.nextInstanceId': null
+  });
+
+  let created = 0;
+  for (const task of due) {
+    try {
+      if (await generateNextRecurrence(task)) created++;
+    } catch (error) {
+      logger.logError(error, `Scheduled recurrence failed for task ${task._id}`);
+    }
+  }
+
+  return { due: due.length, created };
+}
+
+module.exports = {
+  addRecurrenceInterval,
+  setTaskRecurrence,
+  getFirstOpenColumn,
+  generateNextRecurrence,
+  generateCompletedRecurrences,
+  generateScheduledRecurrences
+};
@@ -0,0 +1,114 @@
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { getBoardColumn, getColumnTaskStatus } = require('./boardColumns');
+const { rankBetween, getAppendRank } = require('./taskRanking');
+const { setTaskRecurrence, getFirstOpenColumn } = require('./taskRecurrence');
+const { publishBoardEvent } = require('./boardEvents');
+const { recordTaskActivity } = require('./taskActivity');
+
+/**
+ * Stamp task templates onto a board, appended in template order to one column
+ * (default: the board's first open column). Templates with a recurrence rule
+ * produce recurring tasks.
+ * @param {Object} board - Board document
+ * @param {Object[]} templates - TaskTemplate documents
+ * @param {Object} options - { columnId, actor: { id, model } }
+ * @returns {Promise<Object[]>} created Task documents
+ */
+async function applyTaskTemplates(board, templates, { columnId, actor }) {
+  const column = columnId ? getBoardColumn(board, columnId) : getFirstOpenColumn(board);
+  let rank = await getAppendRank(board._id, column._id);
+  const now = new Date();
+
+  const tasks = templates.map(template => {
+    const task = new Task({
+      boardId: board._id,
+      sprintId: board.sprintId,
+      columnId: column._id,
+      rank,
+      title: template.title,
+      description: template.description,
+      taskType: template.taskType,
+      priority: template.priority,
+      estimatedHours: template.estimatedHours,
+      dueDate: template.dueInDays !== undefined && template.dueInDays !== null
+        ? new Date(now.getTime() + template.dueInDays * 24 * 60 * 60 * 1000)
+        : undefined,
+      status: getColumnTaskStatus(column),
+      createdBy: actor.id,
+      createdByModel: actor.model,
+      templateId: template._id,
+      subtasks: template.subtasks.map(subtask => ({
+        title: subtask.title,
+        description: subtask.description,
+        createdBy: actor.model === 'Admin' ? actor.id : undefined
+      })),
+      checklist: template.checklist.map(text => ({ text }))
+    });
+    if (template.recurrence && template.recurrence.frequency) {
+      setTaskRecurrence(task, {
+        frequency: template.recurrence.frequency,
+        trigger: template.recurrence.trigger,
+        startAt: now
+      });
+    }
+    recordTaskActivity(task, actor, 'created', { description: `From template "${template.name}"` });
+    rank = rankBetween(rank, null);
+    return task;
+  });
+
+  if (tasks.length === 0) return [];
+  await Task.insertMany(tasks);
+
+  for (const task of tasks) {
+    await publishBoardEvent(board._id, 'task_created', {
+      taskId: task._id,
+      data: { task: task.toJSON(), reason: 'template', templateId: task.templateId },
+      actor
+    });
+  }
+  return tasks;
+}
+
+/**
+ * Load active templates by id, in the order given.
+ * @returns {Promise<Object[]>} TaskTemplate documents
+ */
+async function getActiveTemplates(templateIds) {
+  const templates = await TaskTemplate.find({ _id: { $in: templateIds }, isActive: true });
+  const byId = new Map(templates.map(template => [template._id.toString(), template]));
+  const missing = templateIds.filter(id => !byId.has(id.toString()));
+  if (missing.length > 0) {
+    const error = new AppError('Some task templates were not found or are inactive', 404, 'TASK_TEMPLATE_NOT_FOUND');
+    error.details = { templateIds: missing };
+    throw error;
+  }
+  return templateIds.map(id => byId.get(id.toString()));
+}
+
+/**
+ * Stamp the templates registered for the sprint's type onto its newly created
+ * board. Errors are logged, not thrown, so board creation still succeeds.
+ * @returns {Promise<Object[]>} created Task documents
+ */
+async function applySprintTypeTemplates(board, sprint, actor) {
+  try {
+    const templates = await TaskTemplate.find({ sprintTypes: sprint.type, isActive: true }).sort({ name: 1 });
+    const tasks = await applyTaskTemplates(board, templates, { actor });
+    if (tasks.length > 0) {
+      logger.info(`Stamped ${tasks.length} templated task(s) onto board ${board._id} for ${sprint.type} sprint ${sprint._id}`);
+    }
+    return tasks;
+  } catch (error) {
+    logger.logError(error, `Applying task templates failed for board ${board._id}`);
+    return [];
+  }
+}
+
+module.exports = {
+  applyTaskTemplates,
+  getActiveTemplates,
+  applySprintTypeTemplates
+};
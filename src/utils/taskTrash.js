@@ -0,0 +1,176 @@
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const { enforceWipLimit } = require('./boardColumns');
+const { getAppendRank, normalizeColumnRanks } = require('./taskRanking');
+const { getFirstOpenColumn } = require('./taskRecurrence');
+const { detachDeletedTask, dropCyclicDependencies } = require('./taskDependencies');
+const { recordTaskActivity } = require('./taskActivity');
+
+/**
+ * Task trash and archive. Deleting a task moves it to the trash (`deletedAt`):
+ * it disappears from the board and from every Task query that does not filter
+ * on `deletedAt`, but keeps its column, rank, comments, attachments and
+ * dependency links so a restore puts it back where it was. Trashed tasks are
+ * purged for good after TASK_TRASH_RETENTION_DAYS (default 30).
+ */
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+function getTrashRetentionDays() {
+  const days = parseInt(process.env.TASK_TRASH_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * When a trashed task will be purged.
+ */
+function getPurgeDate(task) {
+  if (!task.deletedAt) return null;
+  return new Date(task.deletedAt.getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Move a task to the trash (caller runs board follow-ups).
+ * @param {Object} actor - { id, model }
+ */
+async function trashTask(task, actor) {
+  task.deletedAt = new Date();
+  task.deletedBy = actor.id;
+  task.deletedByModel = actor.model;
+  recordTaskActivity(task, actor, 'trashed');
+  await task.save();
+  return task;
+}
+
+/**
+ * Load a trashed task.
+ */
+async function getTrashedTask(taskId) {
+  const task = await Task.findOne({ _id: taskId, deletedAt: { $ne: null } });
+  if (!task) {
+    throw new AppError('Task not found in trash', 404, 'TASK_NOT_IN_TRASH');
+  }
+  return task;
+}
+
+/**
+ * Restore a trashed task to its former column and rank. If that column has
+ * since been deleted, the task goes to the bottom of the board's first open
+ * column. The target column's WIP limit applies as for a move, and
+ * prerequisites that would now close a dependency cycle are removed.
+ * @param {Object} options - { overrideWipLimit, actor }
+ * @returns {Promise<Object>} { task, warnings }
+ */
+async function restoreTask(task, { overrideWipLimit = false, actor } = {}) {
+  const board = await Board.findById(task.boardId);
+  if (!board) {
+    throw new AppError('The board of this task no longer exists', 404, 'BOARD_NOT_FOUND');
+  }
+
+  const warnings = [];
+  let column = board.columns.id(task.columnId);
+  if (!column) {
+    column = getFirstOpenColumn(board);
+    recordTaskActivity(task, actor, 'moved', {
+      field: 'columnId',
+      oldValue: task.columnId,
+      newValue: column._id,
+      description: 'Former column no longer exists'
+    });
+    task.columnId = column._id;
+    task.rank = await getAppendRank(board._id, column._id);
+    warnings.push('The task\'s former column was deleted; it was restored to the first open column');
+  }
+  warnings.push(...await enforceWipLimit(board, column._id, task._id, { override: overrideWipLimit }));
+
+  // Links added while the task was in the trash were checked without it
+  const dropped = await dropCyclicDependencies(task, actor);
+  if (dropped.length > 0) {
+    warnings.push('Dependencies that would have created a cycle were removed from the task');
+  }
+
+  task.deletedAt = undefined;
+  task.deletedBy = undefined;
+  task.deletedByModel = undefined;
+  recordTaskActivity(task, actor, 'restored');
+  await task.save();
+
+  // Another task may have taken the same rank while this one was in the trash
+  const tied = task.rank && await Task.exists({ boardId: task.boardId, columnId: task.columnId, rank: task.rank, _id: { $ne: task._id } });
+  if (!task.rank || tied) {
+    await normalizeColumnRanks(task.boardId, task.columnId);
+  }
+
+  return { task: await Task.findById(task._id), warnings };
+}
+
+/**
+ * Permanently delete a trashed task with its stored files.
+ */
+async function purgeTask(task) {
+  const { deleteFile } = require('./azureStorage');
+  const fileUrls = [
+    ...task.attachments.map(attachment => attachment.url),
+    ...task.comments.flatMap(comment => comment.attachments.map(attachment => attachment.url))
+  ].filter(Boolean);
+  for (const url of fileUrls) {
+    const result = await deleteFile(url);
+    if (!result.success) {
+      logger.logError(new Error(result.error), `Failed to delete file of purged task ${task._id}`);
+    }
+  }
+
+  await Task.deleteOne({ _id: task._id });
+  await detachDeletedTask(task);
+}
+
+/**
+ * Purge every task that has been in the trash longer than the retention period.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { purged, failed, retentionDays }
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  const retentionDays = getTrashRetentionDays();
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  let failed = 0;
+  for (const task of expired) {
+    try {
+      await purgeTask(task);
+      purged++;
+    } catch (error) {
+      failed++;
+      logger.logError(error, `Failed to purge trashed task ${task._id}`);
+    }
+  }
+
+  return { purged, failed, retentionDays };
+}
+
+/**
+ * Archive or unarchive a task (caller saves).
+ * @param {Object} actor - { id, model }
+ */
+function setTaskArchived(task, archived, actor) {
+  if (Boolean(task.isArchived) !== Boolean(archived)) {
+    recordTaskActivity(task, actor, archived ? 'archived' : 'unarchived');
+  }
+  task.isArchived = archived;
+  task.archivedAt = archived ? new Date() : undefined;
+  task.archivedBy = archived && actor.model === 'Admin' ? actor.id : undefined;
+}
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  trashTask,
+  getTrashedTask,
+  restoreTask,
+  purgeTask,
+  purgeExpiredTrash,
+  setTaskArchived
+};
@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const TimeLog = require('../models/TimeLog');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const Sprint = require('../models/Sprint');
+const logger = require('./logger');
+const { getPricingModel } = require('./packagePricing');
+
+/**
+ * Time tracking: hours logged per task (TimeLog), timesheets per admin, sprint
+ * and period, and sprint burn reports comparing billable hours with the hours
+ * sold in the selected package.
+ */
+
+// Share of the sold hours at which a sprint's burn turns into a warning
+const BURN_WARNING_RATIO = 0.8;
+
+/**
+ * Hours sold with a sprint's selected package: QTY for hourly packages,
+ * otherwise the package's engagementHours.
+ * @returns {Object} { soldHours, source: 'QTY'|'engagementHours'|null }
+ */
+function getSoldHours(sprint) {
+  const pkg = sprint.selectedPackage;
+  if (pkg && getPricingModel(pkg) === 'hourly') {
+    return { soldHours: pkg.QTY, source: 'QTY' };
+  }
+  if (pkg && pkg.engagementHours) {
+    return { soldHours: pkg.engagementHours, source: 'engagementHours' };
+  }
+  return { soldHours: null, source: null };
+}
+
+/**
+ * @returns {String} 'no_budget' | 'on_track' | 'warning' | 'overrun'
+ */
+function getBurnStatus(billableHours, soldHours) {
+  if (!soldHours) return 'no_budget';
+  if (billableHours > soldHours) return 'overrun';
+  if (billableHours >= soldHours * BURN_WARNING_RATIO) return 'warning';
+  return 'on_track';
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+async function getSprintHourTotals(sprintId) {
+  const [totals] = await TimeLog.aggregate([
+    { $match: { sprintId: new mongoose.Types.ObjectId(sprintId) } },
+    {
+      $group: {
+        _id: null,
+        loggedHours: { $sum: '$hours' },
+        billableHours: { $sum: { $cond: ['$billable', '$hours', 0] } }
+      }
+    }
+  ]);
+  return {
+    loggedHours: roundHours(totals ? totals.loggedHours : 0),
+    billableHours: roundHours(totals ? totals.billableHours : 0)
+  };
+}
+
+/**
+ * Burn report of a sprint: billable hours against sold hours, with daily
+ * burn-up, hours per admin and alerts once the warning ratio or the sold hours
+ * are exceeded.
+ * @param {Object} sprint - Sprint document
+ * @returns {Promise<Object>}
+ */
+async function getSprintBurnReport(sprint) {
+  const { soldHours, source } = getSoldHours(sprint);
+  const { loggedHours, billableHours } = await getSprintHourTotals(sprint._id);
+
+  const [byDay, byAdmin, boards] = await Promise.all([
+    TimeLog.aggregate([
+      { $match: { sprintId: sprint._id } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$logDate' } },
+          hours: { $sum: '$hours' },
+          billableHours: { $sum: { $cond: ['$billable', '$hours', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    TimeLog.aggregate([
+      { $match: { sprintId: sprint._id } },
+      { $group: { _id: '$adminId', hours: { $sum: '$hours' }, billableHours: { $sum: { $cond: ['$billable', '$hours', 0] } } } },
+      { $lookup: { from: 'admins', localField: '_id', foreignField: '_id', as: 'admin' } },
+      { $sort: { hours: -1 } }
+    ]),
+    Board.find({ sprintId: sprint._id }).select('_id')
+  ]);
+
+  const estimate = await Task.aggregate([
+    { $match: { boardId: { $in: boards.map(board => board._id) }, isArchived: { $ne: true }, deletedAt: null } },
+    { $group: { _id: null, estimatedHours: { $sum: { $ifNull: ['$estimatedHours', 0] } } } }
+  ]);
+
+  let cumulative = 0;
+  const burnUp = byDay.map(day => {
+    cumulative += day.billableHours;
+    return {
+      date: day._id,
+      hours: roundHours(day.hours),
+      billableHours: roundHours(day.billableHours),
+      cumulativeBillableHours: roundHours(cumulative)
+    };
+  });
+
+  const status = getBurnStatus(billableHours, soldHours);
+  const alerts = [];
+  if (status === 'overrun') {
+    alerts.push({
+      level: 'overrun',
+      message: `Billable hours (${billableHours}) exceed the ${soldHours} hours sold by ${roundHours(billableHours - soldHours)}`
+    });
+  } else if (status === 'warning') {
+    alerts.push({
+      level: 'warning',
+      message: `${Math.round((billableHours / soldHours) * 100)}% of the ${soldHours} hours sold have been used`
+    });
+  }
+  const estimatedHours = roundHours(estimate.length > 0 ? estimate[0].estimatedHours : 0);
+  if (soldHours && estimatedHours > soldHours) {
+    alerts.push({
+      level: 'warning',
+      message: `Task estimates (${estimatedHours} hours) exceed the ${soldHours} hours sold`
+    });
+  }
+
+  return {
+    sprint: { id: sprint._id, name: sprint.name, status: sprint.status },
+    soldHours,
+    soldHoursSource: source,
+    loggedHours,
+    billableHours,
+    estimatedHours,
+    remainingHours: soldHours ? roundHours(soldHours - billableHours) : null,
+    percentUsed: soldHours ? Math.round((billableHours / soldHours) * 100) : null,
+    status,
+    alerts,
+    burnUp,
+    byAdmin: byAdmin.map(row => ({
+      adminId: row._id,
+      name: row.admin[0] ? `${row.admin[0].profile?.firstName || ''} ${row.admin[0].profile?.lastName || ''}`.trim() : null,
+      hours: roundHours(row.hours),
+      billableHours: roundHours(row.billableHours)
+    }))
+  };
+}
+
+/**
+ * Admins are alerted (socket) when a new log moves a sprint into the warning
+ * or overrun band (async, non-blocking).
+ */
+function alertOnBurnChange(sprint, before, after) {
+  const { soldHours } = getSoldHours(sprint);
+  const previousStatus = getBurnStatus(before.billableHours, soldHours);
+  const status = getBurnStatus(after.billableHours, soldHours);
+  if (status === previousStatus || !['warning', 'overrun'].includes(status)) return;
+
+  logger.warn(`Sprint ${sprint._id} time budget ${status}: ${after.billableHours}/${soldHours} billable hours`);
+  setImmediate(() => {
+    try {
+      const socketManager = require('./socketManager');
+      socketManager.sendToAdmins('notification', {
+        type: 'sprint_time_budget',
+        level: status,
+        sprintId: sprint._id,
+        sprintName: sprint.name,
+        soldHours,
+        billableHours: after.billableHours,
+        message: status === 'overrun'
+          ? `${sprint.name} has gone over its ${soldHours} sold hours`
+          : `${sprint.name} has used ${Math.round((after.billableHours / soldHours) * 100)}% of its ${soldHours} sold hours`,
+        createdAt: new Date()
+      });
+    } catch (error) {
+      logger.logError(error, `Time budget notification failed for sprint ${sprint._id}`);
+    }
+  });
+}
+
+/**
+ * Log hours against a task. The log is attributed to the sprint of the task's
+ * board so sprint reports keep working if tasks move later.
+ * @param {Object} task - Task document
+ * @param {Object} board - the task's Board document
+ * @param {Object} input - { hours, description, logDate, billable }
+ * @returns {Promise<Object>} TimeLog document
+ */
+async function logTaskTime(task, board, adminId, { hours, description, logDate, billable = true }) {
+  const sprint = board.sprintId ? await Sprint.findById(board.sprintId).select('name selectedPackage') : null;
+  const before = sprint ? await getSprintHourTotals(sprint._id) : null;
+
+  const timeLog = await TimeLog.create({
+    taskId: task._id,
+    boardId: board._id,
+    sprintId: sprint ? sprint._id : undefined,
+    adminId,
+    hours,
+    description,
+    logDate: logDate ? new Date(logDate) : new Date(),
+    billable
+  });
+
+  if (sprint && billable) {
+    alertOnBurnChange(sprint, before, await getSprintHourTotals(sprint._id));
+  }
+  return timeLog;
+}
+
+/**
+ * Time logs matching a timesheet query with totals per admin, sprint and day.
+ * @param {Object} query - { adminId, sprintId, from, to }
+ * @returns {Promise<Object>} { filters, entries, totals }
+ */
+async function getTimesheet({ adminId, sprintId, from, to }) {
+  const match = {};
+  if (adminId) match.adminId = adminId;
+  if (sprintId) match.sprintId = sprintId;
+  if (from || to) {
+    match.logDate = {};
+    if (from) match.logDate.$gte = from;
+    if (to) match.logDate.$lte = to;
+  }
+
+  const logs = await TimeLog.find(match)
+    .populate('adminId', 'profile.firstName profile.lastName email')
+    .populate('taskId', 'title')
+    .populate('sprintId', 'name')
+    .sort({ logDate: 1, createdAt: 1 });
+
+  const entries = logs.map(log => ({
+    id: log._id,
+    date: log.logDate.toISOString().slice(0, 10),
+    adminId: log.adminId ? log.adminId._id : null,
+    adminName: log.adminId ? `${log.adminId.profile?.firstName || ''} ${log.adminId.profile?.lastName || ''}`.trim() : '',
+    sprintId: log.sprintId ? log.sprintId._id : null,
+    sprintName: log.sprintId ? log.sprintId.name : '',
+    taskId: log.taskId ? log.taskId._id : null,
+    taskTitle: log.taskId ? log.taskId.title : '(deleted task)',
+    description: log.description,
+    hours: log.hours,
+    billable: log.billable
+  }));
+
+  const sumBy = (keyOf, labelOf) => {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      const group = groups.get(key) || { key, label: labelOf(entry), hours: 0, billableHours: 0 };
+      group.hours += entry.hours;
+      if (entry.billable) group.billableHours += entry.hours;
+      groups.set(key, group);
+    });
+    return [...groups.values()].map(group => ({
+      ...group,
+      hours: roundHours(group.hours),
+      billableHours: roundHours(group.billableHours)
+    }));
+  };
+
+  return {
+    filters: { adminId: adminId || null, sprintId: sprintId || null, from: from || null, to: to || null },
+    entries,
+    totals: {
+      hours: roundHours(entries.reduce((sum, entry) => sum + entry.hours, 0)),
+      billableHours: roundHours(entries.filter(entry => entry.billable).reduce((sum, entry) => sum + entry.hours, 0)),
+      byAdmin: sumBy(entry => String(entry.adminId), entry => entry.adminName),
+      bySprint: sumBy(entry => String(entry.sprintId), entry => entry.sprintName),
+      byDay: sumBy(entry => entry.date, entry => entry.date)
+    }
+  };
+}
+
+const TIMESHEET_COLUMNS = [
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Admin', key: 'adminName', width: 24 },
+  { header: 'Sprint', key: 'sprintName', width: 28 },
+  { header: 'Task', key: 'taskTitle', width: 36 },
+  { header: 'Description', key: 'description', width: 48 },
+  { header: 'Hours', key: 'hours', width: 8 },
+  { header: 'Billable', key: 'billable', width: 10 }
+];
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet apps from evaluating user text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @returns {String} CSV with one row per time log and a total row
+ */
+function timesheetToCsv(timesheet) {
+  const rows = [TIMESHEET_COLUMNS.map(column => column.header)];
+  timesheet.entries.forEach(entry => {
+    rows.push(TIMESHEET_COLUMNS.map(column => (column.key === 'billable' ? (entry.billable ? 'yes' : 'no') : entry[column.key])));
+  });
+  rows.push(['Total', '', '', '', '', timesheet.totals.hours, `${timesheet.totals.billableHours} billable`]);
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * @returns {Promise<Buffer>} workbook with the time logs and a per-admin/sprint summary
+ */
+async function timesheetToXlsx(timesheet) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Timesheet');
+  sheet.columns = TIMESHEET_COLUMNS;
+  timesheet.entries.forEach(entry => {
+    sheet.addRow({ ...entry, billable: entry.billable ? 'yes' : 'no' });
+  });
+  const totalRow = sheet.addRow({ date: 'Total', hours: timesheet.totals.hours, billable: `${timesheet.totals.billableHours} billable` });
+  totalRow.font = { bold: true };
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn('hours').numFmt = '0.00';
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { header: 'Group', key: 'group', width: 10 },
+    { header: 'Name', key: 'label', width: 32 },
+    { header: 'Hours', key: 'hours', width: 10 },
+    { header: 'Billable hours', key: 'billableHours', width: 14 }
+  ];
+  summary.getRow(1).font = { bold: true };
+  timesheet.totals.byAdmin.forEach(row => summary.addRow({ group: 'Admin', ...row }));
+  timesheet.totals.bySprint.forEach(row => summary.addRow({ group: 'Sprint', ...row }));
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  getSoldHours,
+  getBurnStatus,
+  getSprintBurnReport,
+  logTaskTime,
+  getTimesheet,
+  timesheetToCsv,
+  timesheetToXlsx
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 s steps) for
+ * admins and startups. Works on `user.authentication.twoFactor*` of either
+ * model; callers save the document. Secrets are stored AES-256-GCM encrypted
+ * and recovery codes as SHA-256 hashes.
+ *
+ * Login is two-step: a correct password returns a short-lived challenge token
+ * instead of session tokens, exchanged for them with a TOTP or recovery code.
+ * The challenge is signed with its own secret so it never works as an access
+ * token.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || 'Taotter';
+const challengeSecret = () => process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET}:2fa-challenge`;
+const challengeExpiry = () => process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptionKey() {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+}
+
+// iv.tag.ciphertext, base64 parts
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * TOTP code for a base32 secret at a time step.
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step a code matches within the drift window, or null.
+ */
+function matchTotpStep(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+}
+
+// Fresh recovery codes on the user (caller saves); returns the plain codes, shown once
+function issueRecoveryCodes(user) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.authentication.twoFactorRecoveryCodes = codes.map(code => ({ codeHash: hashRecoveryCode(code) }));
+  return codes;
+}
+
+function remainingRecoveryCodes(user) {
+  return (user.authentication.twoFactorRecoveryCodes || []).filter(entry => !entry.usedAt).length;
+}
+
+/**
+ * Start enrolment: a new pending secret (caller saves) with its otpauth URI
+ * and a QR code of it as a data URL.
+ * @param {String} accountName - shown in the authenticator app, usually the email
+ * @returns {Promise<Object>} { secret, otpauthUri, qrCode }
+ */
+async function beginTwoFactorSetup(user, accountName) {
+  if (user.authentication.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.authentication.twoFactorPendingSecret = encryptSecret(secret);
+
+  const label = encodeURIComponent(`${issuer()}:${accountName}`);
+  const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer())}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri)
+  };
+}
+
+/**
+ * Finish enrolment with a code from the authenticator app (caller saves).
+ * @returns {String[]} recovery codes, shown once
+ */
+function confirmTwoFactorSetup(user, code) {
+  const auth = user.authentication;
+  if (auth.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+  if (!auth.twoFactorPendingSecret) {
+    throw new AppError('Start two-factor setup first', 400, 'TWO_FACTOR_SETUP_NOT_STARTED');
+  }
+
+  const step = matchTotpStep(decryptSecret(auth.twoFactorPendingSecret), code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 401, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  auth.twoFactorSecret = auth.twoFactorPendingSecret;
+  auth.twoFactorPendingSecret = undefined;
+  auth.twoFactorEnabled = true;
+  auth.twoFactorEnabledAt = new Date();
+  auth.twoFactorLastUsedStep = step;
+  return issueRecoveryCodes(user);
+}
+
+/**
+ * Check a TOTP code or a recovery code (caller saves). A TOTP code is
+ * accepted once; a recovery code is spent.
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Object} { method: 'totp'|'recovery_code', recoveryCodesRemaining }
+ */
+function verifySecondFactor(user, { code, recoveryCode }) {
+  const auth = user.authentication;
+  if (!auth.twoFactorEnabled || !auth.twoFactorSecret) {
+    throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const entry = (auth.twoFactorRecoveryCodes || []).find(candidate => candidate.codeHash === codeHash && !candidate.usedAt);
+    if (!entry) {
+      throw new AppError('Invalid recovery code', 401, 'INVALID_RECOVERY_CODE');
+    }
+    entry.usedAt = new Date();
+    return { method: 'recovery_code', recoveryCodesRemaining: remainingRecoveryCodes(user) };
+  }
+
+  const step = matchTotpStep(decryptSecret(auth.twoFactorSecret), code);
+  if (step === null || (auth.twoFactorLastUsedStep !== undefined && step <= auth.twoFactorLastUsedStep)) {
+    throw new AppError('Invalid two-factor code', 401, 'INVALID_TWO_FACTOR_CODE');
+  }
+  auth.twoFactorLastUsedStep = step;
+  return { method: 'totp', recoveryCodesRemaining: remainingRecoveryCodes(user) };
+}
+
+/**
+ * Replace the recovery codes (caller saves).
+ * @returns {String[]} new recovery codes, shown once
+ */
+function regenerateRecoveryCodes(user) {
+  if (!user.authentication.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+  return issueRecoveryCodes(user);
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret (caller saves).
+ */
+function resetTwoFactor(user) {
+  const auth = user.authentication;
+  auth.twoFactorEnabled = false;
+  auth.twoFactorSecret = undefined;
+  auth.twoFactorPendingSecret = undefined;
+  auth.twoFactorEnabledAt = undefined;
+  auth.twoFactorLastUsedStep = undefined;
+  auth.twoFactorRecoveryCodes = [];
+}
+
+function twoFactorStatus(user) {
+  const auth = user.authentication;
+  return {
+    enabled: Boolean(auth.twoFactorEnabled),
+    required: Boolean(auth.twoFactorRequired),
+    enabledAt: auth.twoFactorEnabledAt || null,
+    recoveryCodesRemaining: auth.twoFactorEnabled ? remainingRecoveryCodes(user) : 0
+  };
+}
+
+/**
+ * Short-lived token proving the password step passed.
+ * @param {String} purpose - 'login' (enter a code) or 'enrol' (2FA is required
+ *   but not yet set up; the token allows setup only)
+ * @returns {Object} { challengeToken, expiresIn }
+ */
+function createTwoFactorChallenge(user, userType, purpose = 'login') {
+  return {
+    challengeToken: jwt.sign({ id: user._id, userType, purpose }, challengeSecret(), { expiresIn: challengeExpiry() }),
+    expiresIn: challengeExpiry()
+  };
+}
+
+/**
+ * Decode a challenge token issued for this user type and purpose.
+ * @returns {Object} { id, userType, purpose }
+ */
+function verifyTwoFactorChallenge(token, userType, purpose = 'login') {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, challengeSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('Two-factor challenge has expired, sign in again', 401, 'CHALLENGE_EXPIRED');
+    }
+    throw new AppError('Invalid two-factor challenge', 401, 'INVALID_CHALLENGE');
+  }
+  if (decoded.userType !== userType || decoded.purpose !== purpose) {
+    throw new AppError('Invalid two-factor challenge', 401, 'INVALID_CHALLENGE');
+  }
+  return decoded;
+}
+
+module.exports = {
+  generateTotp,
+  matchTotpStep,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+  twoFactorStatus,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
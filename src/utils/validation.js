@@ -20,7 +20,8 @@ const userSchemas = {
 
   login: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().required()
+    password: Joi.string().required(),
+    deviceInfo: Joi.string().max(500).optional()
   }),
 
   updateProfile: Joi.object({
@@ -336,6 +337,41 @@ const taskSchemas = {
         })
       ).optional()
     }).required()
+  }),
+
+  // Query of the task and sprint activity endpoints; action takes one or more values
+  activityQuery: Joi.object({
+    action: Joi.array().items(Joi.string().valid(
+      'created',
+      'updated',
+      'status_changed',
+      'moved',
+      'reassigned',
+      'due_date_changed',
+      'comment_added',
+      'comment_edited',
+      'comment_deleted',
+      'attachment_added',
+      'attachment_removed',
+      'subtask_added',
+      'subtask_updated',
+      'subtask_deleted',
+      'dependency_added',
+      'dependency_removed',
+      'recurrence_changed',
+      'archived',
+      'unarchived',
+      'trashed',
+      'restored'
+    )).single().optional(),
+    field: Joi.string().trim().max(50).optional(),
+    actorId: objectId.optional(),
+    taskId: objectId.optional(),
+    boardId: objectId.optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
   })
 };
 
@@ -420,6 +456,43 @@ const messageSchemas = {
   })
 };
 
+// Two-factor authentication schemas (admin and startup auth routes)
+const totpCode = Joi.string().trim().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Code must be the 6-digit code from your authenticator app'
+});
+const recoveryCode = Joi.string().trim().max(20);
+
+const twoFactorSchemas = {
+  // challengeToken: enrolment challenge from login when 2FA is required
+  setup: Joi.object({
+    challengeToken: Joi.string().optional()
+  }),
+
+  enable: Joi.object({
+    code: totpCode.required(),
+    challengeToken: Joi.string().optional(),
+    deviceInfo: Joi.string().max(500).optional()
+  }),
+
+  verify: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: totpCode,
+    recoveryCode,
+    deviceInfo: Joi.string().max(500).optional()
+  }).xor('code', 'recoveryCode'),
+
+  // password: required when the account has one
+  disable: Joi.object({
+    password: Joi.string().optional(),
+    code: totpCode,
+    recoveryCode
+  }).xor('code', 'recoveryCode'),
+
+  regenerateRecoveryCodes: Joi.object({
+    code: totpCode.required()
+  })
+};
+
 // Common query validation schemas
 const querySchemas = {
   pagination: Joi.object({
@@ -480,6 +553,7 @@ module.exports = {
   taskSchemas,
   boardSchemas,
   messageSchemas,
+  twoFactorSchemas,
   querySchemas,
   validate,
   objectId,
@@ -0,0 +1,57 @@
+/**
+ * Roles of the people sharing a startup account (its workspace). The startup
+ * account's own login is the primary owner; invited StartupMembers hold one
+ * of the roles below. Every role can read the workspace; write routes check a
+ * named permission with authorizeMember() from middleware/auth.
+ */
+const WORKSPACE_PERMISSIONS = {
+  'members.manage': 'Invite and remove members and change their roles',
+  'questionnaires.edit': 'Edit, link and upload files to questionnaires and schedule calls',
+  'sprints.manage': 'Select packages, request proposal changes, upload documents, review deliverables and give feedback',
+  'payments.manage': 'Pay for sprints',
+  'tasks.edit': 'Create, edit, move and delete tasks',
+  'tasks.comment': 'Comment on tasks',
+  'chat.send': 'Start chats and send messages'
+};
+
+const WORKSPACE_PERMISSION_NAMES = Object.keys(WORKSPACE_PERMISSIONS);
+
+const WORKSPACE_ROLES = ['owner', 'member', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: WORKSPACE_PERMISSION_NAMES,
+  // Day-to-day work, no money or membership changes
+  member: ['questionnaires.edit', 'sprints.manage', 'tasks.edit', 'tasks.comment', 'chat.send'],
+  viewer: []
+};
+
+/**
+ * Workspace role of an authenticated startup request: the member's role, or
+ * 'owner' for the account's own login.
+ */
+function workspaceRole(req) {
+  return req.member ? req.member.role : 'owner';
+}
+
+function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Role catalog for clients: [{ role, permissions }]
+ */
+function describeRoles() {
+  return WORKSPACE_ROLES.map(role => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role].map(name => ({ name, description: WORKSPACE_PERMISSIONS[name] }))
+  }));
+}
+
+module.exports = {
+  WORKSPACE_PERMISSIONS,
+  WORKSPACE_PERMISSION_NAMES,
+  WORKSPACE_ROLES,
+  workspaceRole,
+  roleHasPermission,
+  describeRoles
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Admin = require('../src/models/Admin');
+const AdminRole = require('../src/models/AdminRole');
+const { DEFAULT_ADMIN_PERMISSIONS } = require('../src/utils/adminPermissions');
+const { getAssignableRole } = require('../src/utils/adminRoles');
+
+// Stand-in for an admin holding exactly `permissions`
+function adminWith(permissions) {
+  return { hasPermission: permission => permissions.includes(permission) };
+}
+
+describe('getAssignableRole', () => {
+  const role = new AdminRole({ _id: new mongoose.Types.ObjectId(), name: 'Finance', permissions: ['payments.view', 'payments.verify'] });
+
+  beforeEach(() => {
+    jest.spyOn(AdminRole, 'findById').mockImplementation(id => Promise.resolve(id.toString() === role._id.toString() ? role : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets a super admin assign any role', async () => {
+    const superAdmin = new Admin({ role: 'super_admin' });
+
+    await expect(getAssignableRole(role._id, superAdmin)).resolves.toBe(role);
+  });
+
+  it('rejects a role with permissions the grantor lacks', async () => {
+    const admin = new Admin({ role: 'admin' });
+
+    await expect(getAssignableRole(role._id, admin))
+      .rejects.toMatchObject({ statusCode: 403, code: 'ROLE_ESCALATION_DENIED' });
+  });
+
+  it('checks the default permissions when no role is given', async () => {
+    await expect(getAssignableRole(null, new Admin({ role: 'admin' }))).resolves.toBeNull();
+    await expect(getAssignableRole(undefined, adminWith(['admins.invite', 'dashboard.view'])))
+      .rejects.toMatchObject({ statusCode: 403, code: 'ROLE_ESCALATION_DENIED' });
+    await expect(getAssignableRole(null, adminWith(['admins.invite', ...DEFAULT_ADMIN_PERMISSIONS]))).resolves.toBeNull();
+  });
+
+  it('rejects an unknown role', async () => {
+    await expect(getAssignableRole(new mongoose.Types.ObjectId(), new Admin({ role: 'super_admin' })))
+      .rejects.toMatchObject({ statusCode: 404, code: 'ROLE_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,43 @@
+const { getPaymentProvider, isFakeProviderEnabled } = require('../src/utils/paymentProvider');
+
+describe('payment provider configuration', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('has no default provider', () => {
+    delete process.env.PAYMENT_PROVIDER;
+
+    expect(() => getPaymentProvider()).toThrow(expect.objectContaining({ code: 'PAYMENT_PROVIDER_NOT_CONFIGURED' }));
+    expect(isFakeProviderEnabled()).toBe(false);
+  });
+
+  it('uses the fake provider only when named, outside production', () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'development';
+    expect(getPaymentProvider().name).toBe('fake');
+    expect(isFakeProviderEnabled()).toBe(true);
+
+    process.env.NODE_ENV = 'production';
+    expect(() => getPaymentProvider()).toThrow(expect.objectContaining({ code: 'PAYMENT_PROVIDER_NOT_CONFIGURED' }));
+    expect(isFakeProviderEnabled()).toBe(false);
+  });
+
+  it('requires the Stripe keys for the Stripe provider', () => {
+    process.env.PAYMENT_PROVIDER = 'stripe';
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    process.env.STRIPE_SECRET_KEY = 'sk_test_x';
+    expect(() => getPaymentProvider()).toThrow(expect.objectContaining({ code: 'PAYMENT_PROVIDER_NOT_CONFIGURED' }));
+
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_x';
+    expect(getPaymentProvider().name).toBe('stripe');
+  });
+
+  it('rejects unknown providers', () => {
+    process.env.PAYMENT_PROVIDER = 'paypal';
+
+    expect(() => getPaymentProvider()).toThrow('Unknown payment provider: paypal');
+  });
+});
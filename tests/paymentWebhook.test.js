@@ -0,0 +1,150 @@
+process.env.AZURE_STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING ||
+  'DefaultEndpointsProtocol=https;AccountName=test;AccountKey=dGVzdA==;EndpointSuffix=core.windows.net';
+process.env.AZURE_STORAGE_CONTAINER_NAME = process.env.AZURE_STORAGE_CONTAINER_NAME || 'test';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Sprint = require('../src/models/Sprint');
+const { getPaymentProvider, signPayload, verifySignedPayload } = require('../src/utils/paymentProvider');
+const { addPayment, addRefund, setPaymentSchedule } = require('../src/utils/paymentLedger');
+
+const env = { ...process.env };
+
+// A sprint whose 1000 QAR package is split into two instalments, with an open checkout for the first
+function sprintWithOpenCheckout() {
+  const sprint = new Sprint({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Launch sprint',
+    selectedPackage: { name: 'Standard', description: 'Standard package', price: 1000, currency: 'QAR' }
+  });
+  setPaymentSchedule(sprint, [
+    { label: 'Deposit', amount: 400 },
+    { label: 'Balance', amount: 600 }
+  ]);
+  sprint.paymentCheckout = { provider: 'fake', sessionId: 'fake_cs_1', amount: 400, currency: 'QAR', status: 'open' };
+  return sprint;
+}
+
+describe('payment webhook signatures', () => {
+  const secret = 'whsec_test';
+  const payload = JSON.stringify({ id: 'evt_1' });
+
+  it('accepts a fresh signature over the raw body', () => {
+    expect(() => verifySignedPayload(secret, payload, signPayload(secret, payload))).not.toThrow();
+  });
+
+  it.each([
+    ['a missing signature', () => undefined, 'MISSING_WEBHOOK_SIGNATURE'],
+    ['another secret', () => signPayload('whsec_other', payload), 'INVALID_WEBHOOK_SIGNATURE'],
+    ['a tampered body', () => signPayload(secret, JSON.stringify({ id: 'evt_2' })), 'INVALID_WEBHOOK_SIGNATURE'],
+    ['a stale timestamp', () => signPayload(secret, payload, Math.floor(Date.now() / 1000) - 600), 'WEBHOOK_TIMESTAMP_EXPIRED']
+  ])('rejects %s', (label, header, code) => {
+    expect(() => verifySignedPayload(secret, payload, header()))
+      .toThrow(expect.objectContaining({ statusCode: 401, code }));
+  });
+});
+
+describe('POST /api/payments/webhook', () => {
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/payments', require('../src/routes/paymentWebhook'));
+
+  let sprint;
+
+  beforeEach(() => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'test';
+    sprint = sprintWithOpenCheckout();
+    jest.spyOn(Sprint, 'findOne').mockImplementation(() => Promise.resolve(sprint));
+    jest.spyOn(Sprint, 'findById').mockImplementation(() => Promise.resolve(sprint));
+    jest.spyOn(Sprint.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  const send = (webhook) => request(app)
+    .post('/api/payments/webhook')
+    .set(webhook.headers)
+    .set('Content-Type', 'application/json')
+    .send(webhook.rawBody.toString('utf8'));
+
+  const completion = () => getPaymentProvider().buildWebhook({
+    sessionId: 'fake_cs_1',
+    sprintId: sprint._id.toString(),
+    amount: 400,
+    currency: 'QAR'
+  });
+
+  it('rejects an unsigned event without touching the sprint', async () => {
+    const webhook = completion();
+    const res = await send({ ...webhook, headers: {} });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('MISSING_WEBHOOK_SIGNATURE');
+    expect(Sprint.findOne).not.toHaveBeenCalled();
+  });
+
+  it('records a completed instalment checkout', async () => {
+    const res = await send(completion());
+
+    expect(res.status).toBe(200);
+    expect(sprint.paymentCheckout.status).toBe('completed');
+    expect(sprint.selectedPackagePaymentStatus).toBe('partially_paid');
+    expect(sprint.paymentSchedule.map(instalment => instalment.status)).toEqual(['paid', 'pending']);
+  });
+
+  it('records a checkout once when the completion is sent again with a new event id', async () => {
+    const first = completion();
+    const second = completion();
+    expect(JSON.parse(second.rawBody).id).not.toBe(JSON.parse(first.rawBody).id);
+
+    await send(first);
+    const res = await send(second);
+
+    expect(res.status).toBe(200);
+    expect(sprint.paymentLedger).toHaveLength(1);
+    expect(sprint.paymentSummary.amountPaid).toBe(400);
+    expect(sprint.paymentSchedule[1].status).toBe('pending');
+  });
+});
+
+describe('payment ledger', () => {
+  it('allocates payments to instalments in schedule order', () => {
+    const sprint = sprintWithOpenCheckout();
+
+    addPayment(sprint, { amount: 250 });
+    expect(sprint.paymentSchedule.map(instalment => instalment.status)).toEqual(['partially_paid', 'pending']);
+    expect(sprint.selectedPackagePaymentStatus).toBe('partially_paid');
+
+    addPayment(sprint, { amount: 350 });
+    expect(sprint.paymentSchedule.map(instalment => instalment.amountPaid)).toEqual([400, 200]);
+
+    addPayment(sprint, { amount: 400 });
+    expect(sprint.selectedPackagePaymentStatus).toBe('paid');
+    expect(sprint.paymentSummary.outstandingBalance).toBe(0);
+  });
+
+  it('reopens instalments and the balance when a payment is refunded', () => {
+    const sprint = sprintWithOpenCheckout();
+    const payment = addPayment(sprint, { amount: 1000 });
+
+    addRefund(sprint, payment._id, { amount: 700 });
+
+    expect(sprint.selectedPackagePaymentStatus).toBe('partially_paid');
+    expect(sprint.paymentSummary).toMatchObject({ amountPaid: 1000, amountRefunded: 700, outstandingBalance: 700 });
+    expect(sprint.paymentSchedule.map(instalment => instalment.status)).toEqual(['partially_paid', 'pending']);
+  });
+
+  it('refuses to refund more than was paid', () => {
+    const sprint = sprintWithOpenCheckout();
+    const payment = addPayment(sprint, { amount: 400 });
+    addRefund(sprint, payment._id, { amount: 300 });
+
+    expect(() => addRefund(sprint, payment._id, { amount: 200 }))
+      .toThrow(expect.objectContaining({ code: 'REFUND_AMOUNT_INVALID' }));
+  });
+});
@@ -0,0 +1,293 @@
+process.env.AZURE_STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING ||
+  'DefaultEndpointsProtocol=https;AccountName=test;AccountKey=dGVzdA==;EndpointSuffix=core.windows.net';
+process.env.AZURE_STORAGE_CONTAINER_NAME = process.env.AZURE_STORAGE_CONTAINER_NAME || 'test';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+// Requests authenticate as the fixture named in the x-test-user header
+jest.mock('../src/middleware/auth', () => {
+  const actual = jest.requireActual('../src/middleware/auth');
+  const fakeAuthenticate = (userType) => (req, res, next) => {
+    const principal = global.testPrincipals[req.headers['x-test-user']];
+    if (!principal || (userType && principal.userType !== userType)) {
+      return res.status(401).json({ success: false });
+    }
+    req.user = principal.user;
+    req.userType = principal.userType;
+    next();
+  };
+  return {
+    ...actual,
+    authenticate: fakeAuthenticate(),
+    authenticateStartup: fakeAuthenticate('startup'),
+    authenticateAdmin: fakeAuthenticate('admin')
+  };
+});
+
+const Task = require('../src/models/Task');
+const Board = require('../src/models/Board');
+const Sprint = require('../src/models/Sprint');
+const Questionnaire = require('../src/models/Questionnaire');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+const { authorizeTask, authorizeBoard } = require('../src/middleware/resourcePolicy');
+const {
+  requestPrincipal,
+  loadBoardChain,
+  loadTaskChain,
+  canAccessResource,
+  authorizeResource
+} = require('../src/utils/resourcePolicy');
+const boardEvents = require('../src/utils/boardEvents');
+const socketManager = require('../src/utils/socketManager');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Two startups, each with a sprint board holding one task
+const startupA = { _id: id(), email: 'a@example.com', profile: { companyName: 'A' } };
+const startupB = { _id: id(), email: 'b@example.com', profile: { companyName: 'B' } };
+const admin = { _id: id(), email: 'admin@example.com', role: 'admin', profile: {} };
+// An admin whose custom role only reads boards
+const boardViewer = {
+  _id: id(),
+  email: 'viewer@example.com',
+  role: 'admin',
+  profile: {},
+  hasPermission: permission => permission === 'boards.view'
+};
+
+function tenantFixtures(startup) {
+  const questionnaire = { _id: id(), startupId: startup._id };
+  const sprint = { _id: id(), questionnaireId: questionnaire._id, assignedTeam: { members: [] } };
+  const board = new Board({
+    _id: id(),
+    name: `${startup.profile.companyName} board`,
+    type: 'sprint',
+    visibility: 'admin-only',
+    sprintId: sprint._id,
+    ownerId: admin._id,
+    ownerModel: 'Admin',
+    columns: [{ _id: id(), name: 'To Do', position: 0 }]
+  });
+  const task = new Task({
+    _id: id(),
+    title: `${startup.profile.companyName} task`,
+    taskType: 'feature',
+    boardId: board._id,
+    columnId: board.columns[0]._id,
+    createdBy: admin._id,
+    createdByModel: 'Admin'
+  });
+  return { questionnaire, sprint, board, task };
+}
+
+const tenantA = tenantFixtures(startupA);
+const tenantB = tenantFixtures(startupB);
+const tenants = [tenantA, tenantB];
+
+global.testPrincipals = {
+  startupA: { user: startupA, userType: 'startup' },
+  startupB: { user: startupB, userType: 'startup' },
+  admin: { user: admin, userType: 'admin' },
+  boardViewer: { user: boardViewer, userType: 'admin' }
+};
+
+const principal = (name) => requestPrincipal(global.testPrincipals[name]);
+
+const byId = (docs, docId) => docs.find(doc => doc._id.toString() === String(docId)) || null;
+// findById(...) is awaited directly or narrowed with .select() first
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  return promise;
+};
+
+beforeEach(() => {
+  jest.spyOn(Task, 'findById').mockImplementation(taskId => query(byId(tenants.map(t => t.task), taskId)));
+  jest.spyOn(Task, 'findOne').mockImplementation(() => query(null));
+  jest.spyOn(Board, 'findById').mockImplementation(boardId => query(byId(tenants.map(t => t.board), boardId)));
+  jest.spyOn(Sprint, 'findById').mockImplementation(sprintId => query(byId(tenants.map(t => t.sprint), sprintId)));
+  jest.spyOn(Questionnaire, 'exists').mockImplementation(({ _id, startupId }) => {
+    const questionnaire = byId(tenants.map(t => t.questionnaire), _id);
+    return Promise.resolve(questionnaire && questionnaire.startupId.toString() === startupId.toString()
+      ? { _id: questionnaire._id }
+      : null);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resource policy', () => {
+  it('lets a startup act on its own tasks and boards', async () => {
+    const chain = await loadTaskChain(tenantA.task._id);
+
+    for (const permission of ['view', 'canCreateTasks', 'canEditTasks', 'canDeleteTasks']) {
+      await expect(canAccessResource(chain, principal('startupA'), permission)).resolves.toBe(true);
+    }
+  });
+
+  it("denies a startup every permission on another startup's board", async () => {
+    const chain = await loadBoardChain(tenantA.board._id);
+
+    for (const permission of ['view', 'canCreateTasks', 'canEditTasks', 'canDeleteTasks']) {
+      await expect(canAccessResource(chain, principal('startupB'), permission)).resolves.toBe(false);
+    }
+  });
+
+  it("hides another startup's task and board as not found", async () => {
+    await expect(authorizeResource(await loadTaskChain(tenantA.task._id), principal('startupB'), 'view'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'TASK_NOT_FOUND' });
+    await expect(authorizeResource(await loadTaskChain(tenantA.task._id), principal('startupB'), 'canEditTasks'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'TASK_NOT_FOUND' });
+    await expect(authorizeResource(await loadBoardChain(tenantA.board._id), principal('startupB'), 'view'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'BOARD_NOT_FOUND' });
+  });
+
+  it('limits workspace members without tasks.edit to reading', async () => {
+    const chain = await loadTaskChain(tenantA.task._id);
+    const viewer = { ...principal('startupA'), workspaceRole: 'viewer' };
+
+    await expect(canAccessResource(chain, viewer, 'view')).resolves.toBe(true);
+    await expect(canAccessResource(chain, viewer, 'canEditTasks')).resolves.toBe(false);
+  });
+});
+
+describe('authorizeTask and authorizeBoard', () => {
+  const app = express();
+  app.use(express.json());
+  const { authenticate } = require('../src/middleware/auth');
+  const ok = (req, res) => res.json({ success: true, taskId: req.task && req.task._id, boardId: req.board._id });
+  app.get('/tasks/:id', authenticate, authorizeTask('view'), ok);
+  app.put('/tasks/:id', authenticate, authorizeTask('canEditTasks'), ok);
+  app.get('/boards/:boardId', authenticate, authorizeBoard('view'), ok);
+  app.get('/trash', authenticate, authorizeBoard('view', req => req.query.boardId), ok);
+  app.use(globalErrorHandler);
+
+  it('passes the tenant through and attaches the resources', async () => {
+    const res = await request(app).put(`/tasks/${tenantA.task._id}`).set('x-test-user', 'startupA');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ taskId: tenantA.task._id.toString(), boardId: tenantA.board._id.toString() });
+  });
+
+  it.each([
+    ['reading a task', 'get', () => `/tasks/${tenantA.task._id}`, 'TASK_NOT_FOUND'],
+    ['editing a task', 'put', () => `/tasks/${tenantA.task._id}`, 'TASK_NOT_FOUND'],
+    ['reading a board', 'get', () => `/boards/${tenantA.board._id}`, 'BOARD_NOT_FOUND'],
+    ['listing a board by query', 'get', () => `/trash?boardId=${tenantA.board._id}`, 'BOARD_NOT_FOUND']
+  ])("returns 404 to another startup %s", async (label, method, url, code) => {
+    const res = await request(app)[method](url()).set('x-test-user', 'startupB');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe(code);
+  });
+});
+
+describe("task and board routes across tenants", () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/boards', require('../src/routes/boards'));
+  app.use('/api/tasks', require('../src/routes/tasks'));
+  app.use('/api/task-collaboration', require('../src/routes/task-collaboration'));
+  app.use(globalErrorHandler);
+
+  it("returns 404 for another startup's task comments", async () => {
+    const res = await request(app)
+      .get(`/api/task-collaboration/${tenantA.task._id}/comments`)
+      .set('x-test-user', 'startupB');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('TASK_NOT_FOUND');
+  });
+
+  it("rejects a comment on another startup's task", async () => {
+    const res = await request(app)
+      .post(`/api/task-collaboration/startup/${tenantA.task._id}/comments`)
+      .set('x-test-user', 'startupB')
+      .send({ content: 'Looks good' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('TASK_NOT_FOUND');
+  });
+
+  it("rejects an edit to another startup's task", async () => {
+    const save = jest.spyOn(Task.prototype, 'save');
+    const res = await request(app)
+      .put(`/api/tasks/startup/${tenantA.task._id}`)
+      .set('x-test-user', 'startupB')
+      .send({ title: 'Renamed' });
+
+    expect(res.status).toBe(404);
+    expect(save).not.toHaveBeenCalled();
+    expect(tenantA.task.title).toBe('A task');
+  });
+
+  it('requires tasks.edit for admin task edits', async () => {
+    const res = await request(app)
+      .put(`/api/tasks/${tenantA.task._id}`)
+      .set('x-test-user', 'boardViewer')
+      .send({ title: 'Renamed' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+
+  it("hides another startup's board events", async () => {
+    const res = await request(app)
+      .get(`/api/boards/${tenantA.board._id}/events?since=0`)
+      .set('x-test-user', 'startupB');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('BOARD_NOT_FOUND');
+  });
+});
+
+describe('join_board socket event', () => {
+  // A stand-in for the Socket.IO server capturing the connection handler
+  function connect(user, userRole) {
+    const handlers = {};
+    let onConnection;
+    socketManager.initializeSocketIO({
+      use: () => {},
+      on: (event, handler) => { onConnection = handler; }
+    });
+    const socket = {
+      id: `socket-${user._id}`,
+      userId: user._id.toString(),
+      userRole,
+      member: null,
+      userData: { id: user._id, role: userRole },
+      join: jest.fn(),
+      leave: jest.fn(),
+      emit: jest.fn(),
+      on: (event, handler) => { handlers[event] = handler; }
+    };
+    onConnection(socket);
+    const join = (payload) => new Promise(resolve => handlers.join_board(payload, resolve));
+    return { socket, join };
+  }
+
+  it('joins the room of a board the startup owns', async () => {
+    jest.spyOn(boardEvents, 'getLatestSeq').mockResolvedValue(7);
+    const { socket, join } = connect(startupA, 'startup');
+
+    const ack = await join({ boardId: tenantA.board._id.toString() });
+
+    expect(ack).toMatchObject({ success: true, latestSeq: 7 });
+    expect(socket.join).toHaveBeenCalledWith(`board:${tenantA.board._id}`);
+  });
+
+  it("refuses another startup's board room and its missed events", async () => {
+    const missed = jest.spyOn(boardEvents, 'getBoardEventsSince');
+    const { socket, join } = connect(startupB, 'startup');
+
+    const ack = await join({ boardId: tenantA.board._id.toString(), lastSeq: 0 });
+
+    expect(ack).toMatchObject({ success: false, code: 'BOARD_NOT_FOUND' });
+    expect(socket.join).not.toHaveBeenCalledWith(`board:${tenantA.board._id}`);
+    expect(missed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+// Requests authenticate as the fixture named in the x-test-user header
+jest.mock('../src/middleware/auth', () => {
+  const actual = jest.requireActual('../src/middleware/auth');
+  return {
+    ...actual,
+    authenticate: (req, res, next) => {
+      const principal = global.testPrincipals[req.headers['x-test-user']];
+      if (!principal) {
+        return res.status(401).json({ success: false });
+      }
+      Object.assign(req, principal);
+      next();
+    }
+  };
+});
+
+const Startup = require('../src/models/Startup');
+const User = require('../src/models/User');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+const { generateStartupTokens, generateTokens, verifyToken } = require('../src/middleware/auth');
+const { newSessionId, findRefreshSession, rotateRefreshSession } = require('../src/utils/sessions');
+
+const week = 7 * 24 * 60 * 60 * 1000;
+const fakeRequest = { headers: { 'user-agent': 'jest' }, ip: '127.0.0.1' };
+
+// A startup with one session of its own login and one of a workspace member
+function startupWithSessions() {
+  const startup = new Startup({ _id: new mongoose.Types.ObjectId(), email: 'founder@example.com' });
+  const member = { _id: new mongoose.Types.ObjectId(), email: 'member@example.com' };
+  const ownSession = newSessionId();
+  const memberSession = newSessionId();
+  const own = generateStartupTokens(startup, ownSession);
+  const ofMember = generateStartupTokens(startup, memberSession, member);
+  startup.authentication.refreshTokens.push(
+    { _id: ownSession, token: own.refreshToken, expiresAt: new Date(Date.now() + week) },
+    { _id: memberSession, token: ofMember.refreshToken, expiresAt: new Date(Date.now() + week), memberId: member._id }
+  );
+  return { startup, member, ownSession, memberSession, refreshToken: own.refreshToken };
+}
+
+beforeEach(() => {
+  jest.spyOn(Startup.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(User.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh token reuse detection', () => {
+  it('rotates the session token on refresh', async () => {
+    const { startup, ownSession, refreshToken } = startupWithSessions();
+    const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+    const session = await findRefreshSession(startup, refreshToken, decoded, fakeRequest.ip);
+    const rotated = generateStartupTokens(startup, session._id).refreshToken;
+    await rotateRefreshSession(startup, session, rotated, fakeRequest);
+
+    expect(rotated).not.toBe(refreshToken);
+    expect(startup.authentication.refreshTokens.id(ownSession).token).toBe(rotated);
+  });
+
+  it('revokes the whole session when a rotated token is replayed', async () => {
+    const { startup, ownSession, memberSession, refreshToken } = startupWithSessions();
+    const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    const session = await findRefreshSession(startup, refreshToken, decoded, fakeRequest.ip);
+    await rotateRefreshSession(startup, session, generateStartupTokens(startup, session._id).refreshToken, fakeRequest);
+
+    await expect(findRefreshSession(startup, refreshToken, decoded, fakeRequest.ip))
+      .rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_REUSED' });
+    expect(startup.authentication.refreshTokens.id(ownSession)).toBeNull();
+    expect(startup.authentication.refreshTokens.id(memberSession)).not.toBeNull();
+  });
+});
+
+describe('legacy /api/auth session routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../src/routes/auth'));
+  app.use(globalErrorHandler);
+
+  it('refuses startup refresh tokens, which must go through their session', async () => {
+    const { refreshToken } = startupWithSessions();
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_TOKEN_TYPE');
+  });
+
+  it('refuses a user refresh token once it has been rotated', async () => {
+    const user = new User({ _id: new mongoose.Types.ObjectId(), email: 'user@example.com' });
+    const { refreshToken } = generateTokens(user._id);
+    user.authentication.refreshTokens.push({ token: refreshToken, expiresAt: new Date(Date.now() + week) });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+
+  it("keeps the other people's sessions when a workspace member logs out everywhere", async () => {
+    const { startup, member, ownSession, memberSession } = startupWithSessions();
+    global.testPrincipals = { member: { user: startup, userType: 'startup', member } };
+
+    const res = await request(app).post('/api/auth/logout-all').set('x-test-user', 'member');
+
+    expect(res.status).toBe(200);
+    expect(startup.authentication.refreshTokens.id(memberSession)).toBeNull();
+    expect(startup.authentication.refreshTokens.id(ownSession)).not.toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+// Requests authenticate as the startup account holder
+jest.mock('../src/middleware/auth', () => {
+  const actual = jest.requireActual('../src/middleware/auth');
+  return {
+    ...actual,
+    authenticateStartup: (req, res, next) => {
+      req.user = global.testStartup;
+      req.userType = 'startup';
+      req.member = null;
+      next();
+    }
+  };
+});
+
+const Startup = require('../src/models/Startup');
+const StartupMember = require('../src/models/StartupMember');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+const { checkInvitableEmail } = require('../src/utils/startupWorkspace');
+
+const id = () => new mongoose.Types.ObjectId();
+
+global.testStartup = { _id: id(), email: 'founder@example.com', profile: { companyName: 'Acme' } };
+const otherStartupId = id();
+
+// StartupMember.find(...) is narrowed with .select() before being awaited
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  return promise;
+};
+
+// Accounts and members as stored, keyed by email
+const accounts = ['founder@example.com', 'other-founder@example.com'];
+const members = [
+  { email: 'invited@example.com', startupId: global.testStartup._id, status: 'invited' },
+  { email: 'active@example.com', startupId: global.testStartup._id, status: 'active' },
+  { email: 'elsewhere@example.com', startupId: otherStartupId, status: 'active' }
+];
+
+beforeEach(() => {
+  jest.spyOn(Startup, 'exists').mockImplementation(({ email }) => Promise.resolve(accounts.includes(email) ? { _id: id() } : null));
+  jest.spyOn(StartupMember, 'find').mockImplementation(({ email }) => query(members.filter(member => member.email === email)));
+  jest.spyOn(StartupMember, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkInvitableEmail', () => {
+  it.each([
+    ['the account holder', 'founder@example.com', 'EMAIL_HAS_ACCOUNT'],
+    ['another startup account', 'other-founder@example.com', 'EMAIL_HAS_ACCOUNT'],
+    ['a pending invite', 'invited@example.com', 'MEMBER_EXISTS'],
+    ['a current member', 'active@example.com', 'MEMBER_EXISTS'],
+    ["another startup's member", 'elsewhere@example.com', 'EMAIL_IN_OTHER_WORKSPACE']
+  ])('rejects the email of %s', async (label, email, code) => {
+    await expect(checkInvitableEmail(global.testStartup._id, email)).rejects.toMatchObject({ statusCode: 409, code });
+  });
+
+  it('accepts a new email', async () => {
+    await expect(checkInvitableEmail(global.testStartup._id, 'new@example.com')).resolves.toBeNull();
+  });
+});
+
+describe('POST /api/startup/members/invite', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/startup/members', require('../src/routes/startupMembers'));
+  app.use(globalErrorHandler);
+
+  it('rejects a startup account email however it is written', async () => {
+    const save = jest.spyOn(StartupMember.prototype, 'save');
+
+    const res = await request(app)
+      .post('/api/startup/members/invite')
+      .send({ email: ' Other-Founder@Example.com ', role: 'member' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('EMAIL_HAS_ACCOUNT');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
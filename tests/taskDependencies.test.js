@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Task = require('../src/models/Task');
+const Board = require('../src/models/Board');
+const { addTaskDependency } = require('../src/utils/taskDependencies');
+const { restoreTask } = require('../src/utils/taskTrash');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Task.find(...) / findById(...) are narrowed with .select() before being awaited
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  return promise;
+};
+
+const board = new Board({ _id: id(), name: 'Board', columns: [{ _id: id(), name: 'To Do', position: 0 }] });
+
+function boardTask(title, blockedBy = []) {
+  return new Task({
+    _id: id(),
+    title,
+    taskType: 'feature',
+    boardId: board._id,
+    columnId: board.columns[0]._id,
+    rank: 'i',
+    createdBy: id(),
+    createdByModel: 'Admin',
+    blockedBy: blockedBy.map(task => task._id)
+  });
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('addTaskDependency', () => {
+  it('rejects a dependency that would close a cycle', async () => {
+    // c waits on b, which waits on a: a may not wait on c
+    const a = boardTask('A');
+    const b = boardTask('B', [a]);
+    const c = boardTask('C', [b]);
+    const tasks = [a, b, c];
+    jest.spyOn(Task, 'findById').mockImplementation(taskId => query(tasks.find(t => t._id.equals(taskId))));
+    jest.spyOn(Task, 'find').mockReturnValue(query(tasks));
+    const update = jest.spyOn(Task, 'updateOne');
+
+    await expect(addTaskDependency(a, c._id))
+      .rejects.toMatchObject({
+        statusCode: 409,
+        code: 'DEPENDENCY_CYCLE',
+        details: { cycle: [a, c, b, a].map(t => t._id.toString()) }
+      });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('rejects a task depending on itself', async () => {
+    const a = boardTask('A');
+
+    await expect(addTaskDependency(a, a._id)).rejects.toMatchObject({ code: 'DEPENDENCY_SELF' });
+  });
+});
+
+describe('restoreTask', () => {
+  it('removes prerequisites that closed a cycle while the task was trashed', async () => {
+    // a waited on b and was trashed; b was then made to wait on a
+    const b = boardTask('B');
+    const other = boardTask('Other');
+    const a = boardTask('A', [b, other]);
+    a.deletedAt = new Date();
+    b.blockedBy.push(a._id);
+    jest.spyOn(Board, 'findById').mockResolvedValue(board);
+    jest.spyOn(Task, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Task, 'find').mockReturnValue(query([b, other]));
+    jest.spyOn(Task, 'exists').mockResolvedValue(null);
+    jest.spyOn(Task, 'findById').mockResolvedValue(a);
+    jest.spyOn(a, 'save').mockResolvedValue(a);
+
+    const { task, warnings } = await restoreTask(a, { actor: { id: id(), model: 'Admin' } });
+
+    expect(task.deletedAt).toBeUndefined();
+    expect(task.blockedBy.map(String)).toEqual([other._id.toString()]);
+    expect(task.activityLog[task.activityLog.length - 2]).toMatchObject({ action: 'dependency_removed', field: 'blockedBy' });
+    expect(warnings).toContain('Dependencies that would have created a cycle were removed from the task');
+  });
+});
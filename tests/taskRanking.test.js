@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Task = require('../src/models/Task');
+const Board = require('../src/models/Board');
+const { rankBetween, spreadRanks, normalizeColumnRanks } = require('../src/utils/taskRanking');
+const { rehomeColumnTasks } = require('../src/utils/boardColumns');
+const { moveTask } = require('../src/utils/taskMoves');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Task.find(...) chains select/sort/limit before being awaited
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rankBetween', () => {
+  it('places ranks strictly between their neighbours', () => {
+    const first = rankBetween(null, null);
+    const below = rankBetween(first, null);
+    const above = rankBetween(null, first);
+    const middle = rankBetween(first, below);
+
+    expect([above, first, middle, below]).toEqual([above, first, middle, below].slice().sort());
+    expect(new Set([above, first, middle, below]).size).toBe(4);
+  });
+
+  it('keeps finding room between adjacent ranks', () => {
+    let lower = 'a';
+    const upper = 'b';
+    for (let i = 0; i < 50; i++) {
+      const rank = rankBetween(lower, upper);
+      expect(rank > lower && rank < upper).toBe(true);
+      expect(rank.endsWith('0')).toBe(false);
+      lower = rank;
+    }
+  });
+
+  it('rejects neighbours that are out of order', () => {
+    expect(() => rankBetween('b', 'a')).toThrow(expect.objectContaining({ statusCode: 409, code: 'TASK_RANK_CONFLICT' }));
+    expect(() => rankBetween('a', 'a')).toThrow(expect.objectContaining({ code: 'TASK_RANK_CONFLICT' }));
+  });
+
+  it('spreads ranks in order for whole columns', () => {
+    const ranks = spreadRanks(100);
+
+    expect(ranks).toEqual(ranks.slice().sort());
+    expect(new Set(ranks).size).toBe(100);
+  });
+});
+
+describe('versioned task moves', () => {
+  const board = new Board({
+    _id: id(),
+    name: 'Board',
+    columns: [{ _id: id(), name: 'To Do', position: 0 }, { _id: id(), name: 'In Progress', position: 1 }]
+  });
+  const [todo] = board.columns;
+
+  const storedTask = (version) => ({
+    _id: id(),
+    boardId: board._id,
+    columnId: todo._id,
+    rank: 'i',
+    status: 'todo',
+    __v: version
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Task, 'exists').mockResolvedValue(null);
+    jest.spyOn(Task, 'find').mockReturnValue(query([{ _id: id(), rank: 'a' }, { _id: id(), rank: 'z' }]));
+  });
+
+  it('rejects a move made against an older version with the current state', async () => {
+    const task = storedTask(3);
+    const update = jest.spyOn(Task, 'findOneAndUpdate');
+
+    await expect(moveTask(task, board, { columnId: todo._id, position: 1, version: 2 }))
+      .rejects.toMatchObject({
+        statusCode: 409,
+        code: 'TASK_VERSION_CONFLICT',
+        details: { currentVersion: 3, task: { id: task._id, columnId: todo._id, rank: 'i', status: 'todo' } }
+      });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('writes only when the stored version still matches and bumps it', async () => {
+    const task = storedTask(3);
+    const update = jest.spyOn(Task, 'findOneAndUpdate').mockImplementation((filter, change) =>
+      Promise.resolve({ ...task, ...change.$set, __v: 4 }));
+
+    const { task: moved } = await moveTask(task, board, { columnId: todo._id, position: 1, version: 3 });
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: task._id, __v: 3 });
+    expect(change.$inc).toEqual({ __v: 1 });
+    expect(moved.rank > 'a' && moved.rank < 'z').toBe(true);
+  });
+
+  it('reports a conflict when the task changes between the read and the write', async () => {
+    const task = storedTask(3);
+    const current = { ...storedTask(4), _id: task._id, rank: 'q' };
+    jest.spyOn(Task, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Task, 'findById').mockResolvedValue(current);
+
+    await expect(moveTask(task, board, { columnId: todo._id, position: 0 }))
+      .rejects.toMatchObject({
+        code: 'TASK_VERSION_CONFLICT',
+        details: { currentVersion: 4, task: { id: task._id, rank: 'q' } }
+      });
+  });
+});
+
+describe('bulk rank writes', () => {
+  const board = new Board({
+    _id: id(),
+    name: 'Board',
+    columns: [{ _id: id(), name: 'To Do', position: 0 }, { _id: id(), name: 'Done', position: 1 }]
+  });
+  const [todo, done] = board.columns;
+
+  const bulkUpdates = (bulkWrite) => bulkWrite.mock.calls[0][0].map(op => op.updateOne.update);
+
+  it('bumps the version of every re-ranked task', async () => {
+    jest.spyOn(Task, 'find').mockReturnValue(query([
+      { _id: id(), rank: null, position: 1, createdAt: new Date() },
+      { _id: id(), rank: null, position: 0, createdAt: new Date() }
+    ]));
+    const bulkWrite = jest.spyOn(Task, 'bulkWrite').mockResolvedValue({});
+
+    await expect(normalizeColumnRanks(board._id, todo._id)).resolves.toBe(2);
+
+    bulkUpdates(bulkWrite).forEach(update => expect(update.$inc).toEqual({ __v: 1 }));
+  });
+
+  it('bumps the version of every task moved out of a deleted column', async () => {
+    jest.spyOn(Task, 'find').mockImplementation(({ columnId }) =>
+      query(columnId.toString() === todo._id.toString() ? [{ _id: id() }, { _id: id() }] : []));
+    jest.spyOn(Task, 'findOne').mockReturnValue(query(null));
+    const bulkWrite = jest.spyOn(Task, 'bulkWrite').mockResolvedValue({});
+
+    await expect(rehomeColumnTasks(board, todo._id, done._id)).resolves.toBe(2);
+
+    bulkUpdates(bulkWrite).forEach(update => {
+      expect(update.$set).toMatchObject({ columnId: done._id, status: 'done' });
+      expect(update.$inc).toEqual({ __v: 1 });
+    });
+  });
+});
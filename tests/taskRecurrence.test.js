@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/boardEvents', () => ({
+  ...jest.requireActual('../src/utils/boardEvents'),
+  publishBoardEvent: jest.fn().mockResolvedValue(null)
+}));
+
+const Task = require('../src/models/Task');
+const Board = require('../src/models/Board');
+const { addRecurrenceInterval, setTaskRecurrence, generateNextRecurrence } = require('../src/utils/taskRecurrence');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Task.findOne(...) chains sort/select before being awaited
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const board = new Board({
+  _id: id(),
+  name: 'Board',
+  columns: [{ _id: id(), name: 'To Do', position: 0 }, { _id: id(), name: 'Done', position: 1, isCompleted: true }]
+});
+
+function recurringTask() {
+  const task = new Task({
+    _id: id(),
+    title: 'Weekly report',
+    taskType: 'feature',
+    boardId: board._id,
+    columnId: board.columns[1]._id,
+    createdBy: id(),
+    createdByModel: 'Admin'
+  });
+  setTaskRecurrence(task, { frequency: 'weekly' });
+  return task;
+}
+
+// Stand-in for the stored task's recurrence, claimed the way MongoDB would apply the filter
+function storeClaims(task) {
+  const stored = { active: true, nextInstanceId: null };
+  jest.spyOn(Task, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (filter._id !== task._id || !stored.active || stored.nextInstanceId !== null) return null;
+    stored.nextInstanceId = update.$set['recurrence.nextInstanceId'];
+    stored.active = false;
+    return task;
+  });
+  jest.spyOn(Task, 'updateOne').mockImplementation(async (filter, update) => {
+    if (update.$unset && stored.nextInstanceId === filter['recurrence.nextInstanceId']) {
+      stored.nextInstanceId = null;
+      stored.active = true;
+    }
+    return { matchedCount: 1 };
+  });
+  return stored;
+}
+
+beforeEach(() => {
+  jest.spyOn(Task, 'findOne').mockReturnValue(query(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('addRecurrenceInterval', () => {
+  it('clamps monthly recurrences to the end of shorter months', () => {
+    expect(addRecurrenceInterval(new Date(2025, 0, 31), 'monthly')).toEqual(new Date(2025, 1, 28));
+  });
+});
+
+describe('generateNextRecurrence', () => {
+  it('creates one successor when two callers race for the same instance', async () => {
+    const task = recurringTask();
+    const stored = storeClaims(task);
+    const save = jest.spyOn(Task.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+
+    const results = await Promise.all([generateNextRecurrence(task, board), generateNextRecurrence(task, board)]);
+    const created = results.filter(Boolean);
+
+    expect(created).toHaveLength(1);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(stored.nextInstanceId).toEqual(created[0]._id);
+    expect(created[0]).toMatchObject({ columnId: board.columns[0]._id, recurringFromId: task._id });
+    expect(created[0].recurrence.active).toBe(true);
+  });
+
+  it('releases the claim when the successor cannot be saved', async () => {
+    const task = recurringTask();
+    const stored = storeClaims(task);
+    jest.spyOn(Task.prototype, 'save').mockRejectedValue(new Error('write failed'));
+
+    await expect(generateNextRecurrence(task, board)).rejects.toThrow('write failed');
+
+    expect(stored).toEqual({ active: true, nextInstanceId: null });
+  });
+});
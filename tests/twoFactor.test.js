@@ -0,0 +1,130 @@
+process.env.AZURE_STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING ||
+  'DefaultEndpointsProtocol=https;AccountName=test;AccountKey=dGVzdA==;EndpointSuffix=core.windows.net';
+process.env.AZURE_STORAGE_CONTAINER_NAME = process.env.AZURE_STORAGE_CONTAINER_NAME || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+// Requests authenticate as the super admin fixture
+jest.mock('../src/middleware/auth', () => {
+  const actual = jest.requireActual('../src/middleware/auth');
+  return {
+    ...actual,
+    authenticateSuperAdmin: (req, res, next) => {
+      req.user = global.testSuperAdmin;
+      req.userType = 'admin';
+      next();
+    }
+  };
+});
+
+const Admin = require('../src/models/Admin');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+const {
+  generateTotp,
+  matchTotpStep,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor
+} = require('../src/utils/twoFactor');
+
+global.testSuperAdmin = { _id: new mongoose.Types.ObjectId(), email: 'root@example.com', role: 'super_admin' };
+
+const STEP_MS = 30 * 1000;
+const currentStep = () => Math.floor(Date.now() / STEP_MS);
+
+// An admin enrolled in 2FA; returns the plain secret and recovery codes
+async function enrolledAdmin() {
+  const admin = new Admin({ _id: new mongoose.Types.ObjectId(), email: 'ops@example.com', role: 'admin' });
+  const { secret } = await beginTwoFactorSetup(admin, admin.email);
+  const recoveryCodes = confirmTwoFactorSetup(admin, generateTotp(secret, currentStep() - 1));
+  return { admin, secret, recoveryCodes };
+}
+
+describe('TOTP codes', () => {
+  // RFC 6238 appendix B test secret ("12345678901234567890"), truncated to 6 digits
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  it('matches the RFC 6238 reference values', () => {
+    expect(generateTotp(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(generateTotp(secret, Math.floor(1111111109 / 30))).toBe('081804');
+  });
+
+  it('accepts one step of clock drift either side', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(now / STEP_MS);
+
+    expect(matchTotpStep(secret, generateTotp(secret, step - 1), now)).toBe(step - 1);
+    expect(matchTotpStep(secret, generateTotp(secret, step + 1), now)).toBe(step + 1);
+    expect(matchTotpStep(secret, generateTotp(secret, step + 2), now)).toBeNull();
+    expect(matchTotpStep(secret, 'abcdef', now)).toBeNull();
+  });
+});
+
+describe('second factor verification', () => {
+  it('accepts a fresh code once', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    const code = generateTotp(secret, currentStep());
+
+    expect(verifySecondFactor(admin, { code })).toMatchObject({ method: 'totp' });
+    expect(() => verifySecondFactor(admin, { code }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TWO_FACTOR_CODE' }));
+  });
+
+  it('rejects a code from a step before the last one used', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    verifySecondFactor(admin, { code: generateTotp(secret, currentStep() + 1) });
+
+    expect(() => verifySecondFactor(admin, { code: generateTotp(secret, currentStep()) }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TWO_FACTOR_CODE' }));
+  });
+
+  it('spends each recovery code', async () => {
+    const { admin, recoveryCodes } = await enrolledAdmin();
+
+    expect(verifySecondFactor(admin, { recoveryCode: recoveryCodes[0] }))
+      .toEqual({ method: 'recovery_code', recoveryCodesRemaining: recoveryCodes.length - 1 });
+    expect(() => verifySecondFactor(admin, { recoveryCode: recoveryCodes[0] }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_RECOVERY_CODE' }));
+  });
+});
+
+describe('PUT /api/admin/users/:id/two-factor', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', require('../src/routes/admin'));
+  app.use(globalErrorHandler);
+
+  const withSession = (admin) => {
+    admin.authentication.refreshTokens.push({ token: 'refresh', expiresAt: new Date(Date.now() + STEP_MS) });
+    jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+    jest.spyOn(admin, 'save').mockResolvedValue(admin);
+    return admin;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs out an admin without 2FA when it becomes required', async () => {
+    const admin = withSession(new Admin({ _id: new mongoose.Types.ObjectId(), email: 'ops@example.com', role: 'admin' }));
+
+    const res = await request(app).put(`/api/admin/users/${admin._id}/two-factor`).send({ required: true });
+
+    expect(res.status).toBe(200);
+    expect(admin.authentication.twoFactorRequired).toBe(true);
+    expect(admin.authentication.refreshTokens).toHaveLength(0);
+  });
+
+  it('keeps the sessions of an admin already using 2FA', async () => {
+    const { admin } = await enrolledAdmin();
+    withSession(admin);
+
+    const res = await request(app).put(`/api/admin/users/${admin._id}/two-factor`).send({ required: true });
+
+    expect(res.status).toBe(200);
+    expect(admin.authentication.refreshTokens).toHaveLength(1);
+  });
+});